@@ -1,8 +1,65 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isRequiredForRole } = require('../utils/twoFactor');
+const { hasPermission } = require('../utils/permissions');
 
-// Middleware to verify JWT token
-const auth = async (req, res, next) => {
+// Resolve an access token to its active user and server-side session; throws with a
+// client-safe message otherwise. Shared by the HTTP middleware below and the Socket.IO handshake.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sessionId) {
+    throw new Error('Token is not valid');
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findById(decoded.sessionId)
+  ]);
+
+  if (!user || !session || session.user.toString() !== user._id.toString()) {
+    throw new Error('Token is not valid');
+  }
+
+  if (!user.isActive) {
+    throw new Error('Account is deactivated');
+  }
+
+  if (session.revokedAt) {
+    throw new Error('Session expired');
+  }
+
+  if (session.isIdle(await Session.getIdleTimeout())) {
+    await session.revoke('idle');
+    throw new Error('Session expired');
+  }
+
+  // Sessions that skipped the second step cannot be used once two-factor is turned on
+  if (user.twoFactor?.enabled && !session.twoFactorVerified) {
+    await session.revoke('two_factor_changed');
+    throw new Error('Session expired');
+  }
+
+  await session.touch();
+  user.$locals.session = session;
+
+  return user;
+};
+
+// Error messages that are safe to pass back to the client as-is
+const CLIENT_AUTH_ERRORS = ['Account is deactivated', 'Session expired'];
+
+// Whether the user's role requires two-factor authentication but this session has not set it up
+const needsTwoFactorSetup = async (user, session) => {
+  if (session.twoFactorVerified || user.twoFactor?.enabled) {
+    return false;
+  }
+  return isRequiredForRole(user.role);
+};
+
+// Middleware to verify JWT token. Users who still have to enroll in required two-factor
+// authentication are refused everywhere except routes built with allowTwoFactorSetup.
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -10,25 +67,38 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
+    req.user = await authenticateToken(token);
+    req.authSession = req.user.$locals.session;
+  } catch (error) {
+    if (error.name !== 'TokenExpiredError') {
+      console.error('Auth middleware error:', error);
     }
-    
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
+    return res.status(401).json({
+      message: CLIENT_AUTH_ERRORS.includes(error.message) ? error.message : 'Token is not valid',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : undefined
+    });
+  }
+
+  try {
+    if (!allowTwoFactorSetup && await needsTwoFactorSetup(req.user, req.authSession)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
     }
-    
-    req.user = user;
-    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(500).json({ message: 'Server error during authentication' });
   }
+
+  next();
 };
 
+const auth = authenticate();
+
+// For the routes a user needs while enrolling in required two-factor authentication
+const authAllowTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 // Middleware to check user roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -46,6 +116,31 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to check permissions; passes when the user holds any of them (for some or all courses).
+// Course-scoped permissions still need canAccessCourse on the course being changed.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+      for (const permission of permissions) {
+        if (await hasPermission(req.user, permission)) {
+          return next();
+        }
+      }
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ message: 'Server error during authorization' });
+    }
+
+    res.status(403).json({
+      message: `Access denied. Required permission: ${permissions.join(' or ')}`
+    });
+  };
+};
+
 // Middleware to check if user is approved (for instructors)
 const checkApproval = (req, res, next) => {
   if (!req.user.isApproved && req.user.role !== 'student') {
@@ -56,4 +151,4 @@ const checkApproval = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, authorize, checkApproval };
+module.exports = { auth, authAllowTwoFactorSetup, authorize, requirePermission, checkApproval, authenticateToken, needsTwoFactorSetup, CLIENT_AUTH_ERRORS };
@@ -2,8 +2,16 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Submission files sit outside the public /uploads root and are only served through the
+// authenticated download route, which checks who may see them
+const SUBMISSION_UPLOAD_DIR = 'private/submissions';
+
+// Message attachments have their own directory; file names carry the uploader's id so a
+// message can only attach files its sender uploaded
+const MESSAGE_UPLOAD_DIR = 'uploads/messages';
+
 // Ensure upload directories exist
-const uploadDirs = ['uploads/documents', 'uploads/profiles'];
+const uploadDirs = ['uploads/documents', 'uploads/profiles', SUBMISSION_UPLOAD_DIR, MESSAGE_UPLOAD_DIR];
 uploadDirs.forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -43,6 +51,103 @@ const uploadDocuments = multer({
   fileFilter: documentFilter
 }).array('documents', 5); // Allow up to 5 documents
 
+// Most files a student can attach to one submission
+const MAX_SUBMISSION_FILES = 5;
+
+const submissionStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, SUBMISSION_UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'submission-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+// Upload middleware for assignment submissions. Size and type limits follow the
+// file_upload configuration, so the multer instance is built per request.
+const uploadSubmissionFiles = async (req, res, callback) => {
+  try {
+    const Configuration = require('../models/Configuration');
+    const maxFileSize = await Configuration.getValue('max_file_size', 10 * 1024 * 1024);
+    const allowedTypes = await Configuration.getValue('allowed_file_types', ['pdf', 'doc', 'docx', 'txt']);
+
+    multer({
+      storage: submissionStorage,
+      limits: {
+        fileSize: maxFileSize,
+        files: MAX_SUBMISSION_FILES
+      },
+      fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).slice(1).toLowerCase();
+        if (allowedTypes.includes(extension)) {
+          return cb(null, true);
+        }
+        cb(new Error(`File type not allowed. Allowed types: ${allowedTypes.join(', ')}`));
+      }
+    }).array('files', MAX_SUBMISSION_FILES)(req, res, callback);
+  } catch (error) {
+    callback(error);
+  }
+};
+
+const messageStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, MESSAGE_UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `message-${req.user._id}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+// Upload middleware for a message attachment: images, PDFs, documents and presentations
+const uploadMessageAttachment = multer({
+  storage: messageStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /^\.(jpeg|jpg|png|gif|pdf|doc|docx|ppt|pptx|xls|xlsx|txt|zip)$/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only images, PDFs, documents, presentations, spreadsheets, text and zip files can be attached'));
+  }
+}).single('file');
+
+// Find a message attachment uploaded by the given user. Only a bare file name is accepted,
+// so a client can't point an attachment anywhere else. Returns the stored path and size, or
+// null when the file isn't there or belongs to someone else.
+const findMessageAttachment = (filename, userId) => {
+  if (typeof filename !== 'string' || filename !== path.basename(filename) ||
+      !filename.startsWith(`message-${userId}-`)) {
+    return null;
+  }
+  const filePath = `${MESSAGE_UPLOAD_DIR}/${filename}`;
+  try {
+    return { path: filePath, size: fs.statSync(filePath).size };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Delete files stored for a request that was then rejected
+const removeUploadedFiles = (files = []) => {
+  files.forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error) {
+        console.error('Error removing uploaded file:', error);
+      }
+    });
+  });
+};
+
 module.exports = {
-  uploadDocuments
+  uploadDocuments,
+  uploadSubmissionFiles,
+  uploadMessageAttachment,
+  findMessageAttachment,
+  removeUploadedFiles,
+  MAX_SUBMISSION_FILES
 };
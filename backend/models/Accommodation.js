@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Standing accommodation for a student, recorded by an administrator. It gives the
+// student extra time on every timed assignment of the listed types.
+const accommodationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Time limits are multiplied by this, e.g. 1.5 for time and a half
+  timeMultiplier: {
+    type: Number,
+    required: [true, 'Time multiplier is required'],
+    min: [1, 'Time multiplier must be at least 1'],
+    max: [4, 'Time multiplier cannot exceed 4']
+  },
+  assignmentTypes: {
+    type: [{
+      type: String,
+      enum: ['homework', 'quiz', 'exam', 'project', 'presentation']
+    }],
+    default: ['quiz', 'exam']
+  },
+  // Private to administrators; instructors only see the effect on deadlines
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Unset means the accommodation stands until it is removed
+  expiresAt: Date,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One accommodation per student
+accommodationSchema.index({ student: 1 }, { unique: true });
+
+const activeFilter = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Method to check if the accommodation covers an assignment. Only timed work is covered.
+accommodationSchema.methods.appliesTo = function(assignment) {
+  return Boolean(assignment.timeLimitMinutes)
+    && this.assignmentTypes.includes(assignment.type)
+    && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Static method to get a student's accommodation, if it is still in force
+accommodationSchema.statics.findActiveFor = function(studentId) {
+  return this.findOne({ student: studentId, ...activeFilter() });
+};
+
+// Static method to get the accommodations in force for several students, keyed by student ID
+accommodationSchema.statics.getActiveByStudent = async function(studentIds) {
+  const accommodations = await this.find({ student: { $in: studentIds }, ...activeFilter() });
+  return new Map(accommodations.map(accommodation => [accommodation.student.toString(), accommodation]));
+};
+
+module.exports = mongoose.model('Accommodation', accommodationSchema);
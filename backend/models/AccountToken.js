@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use tokens sent by email (password reset, email verification)
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: [true, 'Purpose is required']
+  },
+  // Only the hash is stored; the raw token is in the emailed link
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ tokenHash: 1 });
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to issue a token; earlier unused tokens for the same purpose stop working.
+// Returns the raw token for the email link.
+accountTokenSchema.statics.issue = async function(userId, purpose, ttlMinutes) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Static method to check whether a token was issued to the user within the last `seconds`
+accountTokenSchema.statics.issuedRecently = async function(userId, purpose, seconds) {
+  return Boolean(await this.exists({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - seconds * 1000) }
+  }));
+};
+
+// Static method to find a usable token without spending it
+accountTokenSchema.statics.findValid = function(token, purpose) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to spend a token; returns the token document, or null if it is
+// unknown, expired or already used (also when two requests race for it)
+accountTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const announcementSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Rich text in the lightweight markup rendered by the frontend RichText component
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [10000, 'Body cannot exceed 10000 characters']
+  },
+  // Hidden from students until this time; notifications go out when it passes
+  publishAt: {
+    type: Date,
+    default: Date.now
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+announcementSchema.index({ course: 1, pinned: -1, publishAt: -1 });
+announcementSchema.index({ notifiedAt: 1, publishAt: 1 });
+
+// Plain-text excerpt of the markup, for notifications and emails
+announcementSchema.statics.toPlainText = function(body, maxLength = 300) {
+  const text = String(body || '')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~|`)/g, '')
+    .replace(/^#+\s*|^\s*[-*]\s+|^\s*\d+\.\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+};
+
+// Method to send the announcement to every enrolled student, exactly once
+announcementSchema.methods.notifyStudents = async function() {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, notifiedAt: null, publishAt: { $lte: new Date() } },
+    { notifiedAt: new Date() },
+    { new: true }
+  ).populate('course', 'title courseCode');
+
+  if (!claimed) {
+    return 0;
+  }
+
+  const Enrollment = require('./Enrollment');
+  const Notification = require('./Notification');
+
+  const studentIds = await Enrollment.distinct('student', { course: claimed.course._id, status: 'enrolled' });
+  const excerpt = this.constructor.toPlainText(claimed.body, 400);
+
+  for (const studentId of studentIds) {
+    try {
+      await Notification.createNotification({
+        recipient: studentId,
+        title: `${claimed.course.courseCode}: ${claimed.title}`.slice(0, 100),
+        message: excerpt || claimed.title,
+        type: 'announcement',
+        targetId: claimed._id,
+        targetUrl: `/courses/${claimed.course._id}`
+      });
+    } catch (notifError) {
+      console.error('Error creating announcement notification:', notifError);
+    }
+  }
+
+  return studentIds.length;
+};
+
+// Static method to notify students about scheduled announcements that are now due
+announcementSchema.statics.publishDue = async function() {
+  const due = await this.find({ notifiedAt: null, publishAt: { $lte: new Date() } });
+
+  let published = 0;
+  for (const announcement of due) {
+    await announcement.notifyStudents();
+    published += 1;
+  }
+
+  return published;
+};
+
+// Method to shape an announcement for a reader, without the full receipt list
+announcementSchema.methods.toFeedItem = function(userId, { includeReadCount = false } = {}) {
+  const item = this.toObject();
+  delete item.readBy;
+
+  item.isRead = this.readBy.some(entry => entry.user.toString() === userId.toString());
+  item.isPublished = this.publishAt <= new Date();
+  if (includeReadCount) {
+    item.readCount = this.readBy.length;
+  }
+
+  return item;
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Rubric = require('./Rubric');
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -54,11 +55,136 @@ const assignmentSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Percentage of the total points deducted for a late submission: once ('flat')
+  // or for every started day past the deadline ('per_day')
   latePenalty: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
+  },
+  latePenaltyType: {
+    type: String,
+    enum: ['flat', 'per_day'],
+    default: 'per_day'
+  },
+  // Most a late submission can lose in total, as a percentage; unset means no cap
+  latePenaltyCap: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Submissions this many minutes after the deadline are still on time
+  gracePeriodMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Minutes a student has to complete timed work such as a quiz or exam; unset for untimed work.
+  // Accommodations multiply it and push the student's deadline back by the extra time.
+  timeLimitMinutes: {
+    type: Number,
+    min: [1, 'Time limit must be at least 1 minute'],
+    max: [1440, 'Time limit cannot exceed 24 hours']
+  },
+  // Later deadlines for individual students. Extensions granted to several students at
+  // once share a group label, e.g. the name of a project team.
+  extensions: {
+    type: [{
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      dueDate: {
+        type: Date,
+        required: true
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+      },
+      group: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Group name cannot exceed 100 characters']
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  submissionType: {
+    type: String,
+    enum: ['file', 'text', 'both'],
+    default: 'both'
+  },
+  // File extensions students may upload; empty allows every type in the
+  // allowed_file_types configuration
+  allowedFileTypes: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Per-file limit in bytes; never more than the max_file_size configuration
+  maxFileSize: {
+    type: Number,
+    min: 1
+  },
+  // Number of times a student may submit; 0 allows unlimited resubmission
+  maxAttempts: {
+    type: Number,
+    min: [0, 'Max attempts cannot be negative'],
+    max: [100, 'Max attempts cannot exceed 100'],
+    default: 1
+  },
+  // Copy of the rubric submissions are graded with; no criteria means points are entered directly.
+  // source is the saved rubric it was taken from, if any.
+  rubric: {
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric'
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Rubric title cannot exceed 100 characters']
+    },
+    criteria: [Rubric.criterionSchema]
+  },
+  // Questions of a quiz or exam taken online, drawn from the course's question bank.
+  // Quizzes and exams without questions are handed in like any other assignment.
+  quiz: {
+    questions: [{
+      _id: false,
+      question: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true
+      },
+      points: {
+        type: Number,
+        min: [0, 'Points cannot be negative'],
+        required: true
+      }
+    }],
+    shuffleQuestions: {
+      type: Boolean,
+      default: true
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: true
+    },
+    // Grade attempts as soon as they are scored; otherwise every attempt waits for review.
+    // Defaults to the assignment_auto_grade configuration when the quiz is set up.
+    autoGrade: Boolean
   }
 }, {
   timestamps: true
@@ -96,4 +222,114 @@ assignmentSchema.virtual('timeUntilDue').get(function() {
   }
 });
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time limit for a student with the given accommodation (see the Accommodation model)
+assignmentSchema.methods.getTimeLimitFor = function(accommodation = null) {
+  if (!this.timeLimitMinutes) return null;
+  return accommodation && accommodation.appliesTo(this)
+    ? Math.ceil(this.timeLimitMinutes * accommodation.timeMultiplier)
+    : this.timeLimitMinutes;
+};
+
+// Deadline that applies to one student: their extension, or the assignment due date,
+// pushed back by any extra time their accommodation gives on this assignment.
+// Extensions are not selected by default; load them with select('+extensions').
+assignmentSchema.methods.getDueDateFor = function(studentId, accommodation = null) {
+  const extension = (this.extensions || []).find(e => e.student.toString() === studentId.toString());
+  const dueDate = extension ? extension.dueDate : this.dueDate;
+  const extraMinutes = (this.getTimeLimitFor(accommodation) || 0) - (this.timeLimitMinutes || 0);
+  return extraMinutes > 0 ? new Date(dueDate.getTime() + extraMinutes * 60 * 1000) : dueDate;
+};
+
+// Lateness of work handed in at submittedAt by a student, and the penalty it earns.
+// Days late are counted from the deadline once the grace period has passed.
+assignmentSchema.methods.getLateness = function(submittedAt, studentId, accommodation = null) {
+  const dueDate = this.getDueDateFor(studentId, accommodation);
+  const lateBy = new Date(submittedAt) - dueDate;
+  const isLate = Boolean(dueDate) && lateBy > (this.gracePeriodMinutes || 0) * 60 * 1000;
+
+  if (!isLate) {
+    return { isLate: false, dueDate, daysLate: 0, penaltyPercent: 0 };
+  }
+
+  const daysLate = Math.ceil(lateBy / DAY_MS);
+  let penaltyPercent = this.latePenaltyType === 'flat'
+    ? this.latePenalty
+    : this.latePenalty * daysLate;
+  if (this.latePenaltyCap !== undefined && this.latePenaltyCap !== null) {
+    penaltyPercent = Math.min(penaltyPercent, this.latePenaltyCap);
+  }
+
+  return { isLate: true, dueDate, daysLate, penaltyPercent: Math.min(penaltyPercent, 100) };
+};
+
+// Points left after the late penalty, which is a percentage of the total points
+assignmentSchema.methods.applyLatePenalty = function(points, penaltyPercent) {
+  const deducted = Math.min(points, (this.totalPoints * penaltyPercent) / 100);
+  return {
+    points: Math.round((points - deducted) * 100) / 100,
+    deducted: Math.round(deducted * 100) / 100
+  };
+};
+
+// Method to check if submissions are graded with a rubric
+assignmentSchema.methods.hasRubric = function() {
+  return Boolean(this.rubric && this.rubric.criteria && this.rubric.criteria.length > 0);
+};
+
+// Method to score a submission against the rubric. Every criterion needs a score given as a
+// level, as points, or both; points default to the level's. Returns the scores to store and
+// their total, or the errors found.
+assignmentSchema.methods.scoreRubric = function(rubricScores = []) {
+  const errors = [];
+  const scores = [];
+
+  for (const criterion of this.rubric.criteria) {
+    const entry = rubricScores.find(score => String(score.criterion) === criterion._id.toString());
+    const maxPoints = Rubric.getTotalPoints([criterion]);
+
+    if (!entry) {
+      errors.push(`${criterion.title}: a score is required`);
+      continue;
+    }
+
+    const level = entry.level ? criterion.levels.id(entry.level) : null;
+    if (entry.level && !level) {
+      errors.push(`${criterion.title}: unknown level`);
+      continue;
+    }
+
+    const points = entry.points !== undefined && entry.points !== null && entry.points !== ''
+      ? Number(entry.points)
+      : level?.points;
+    if (points === undefined || isNaN(points) || points < 0 || points > maxPoints) {
+      errors.push(`${criterion.title}: points must be between 0 and ${maxPoints}`);
+      continue;
+    }
+
+    scores.push({
+      criterion: criterion._id,
+      criterionTitle: criterion.title,
+      level: level?._id,
+      levelTitle: level?.title,
+      points,
+      maxPoints,
+      comment: entry.comment ? String(entry.comment).trim().slice(0, 1000) : undefined
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    scores,
+    points: Math.round(scores.reduce((total, score) => total + score.points, 0) * 100) / 100
+  };
+};
+
+// Method to check if the assignment is a quiz taken online
+assignmentSchema.methods.hasQuiz = function() {
+  return Boolean(this.quiz && this.quiz.questions && this.quiz.questions.length > 0);
+};
+
 module.exports = mongoose.model('Assignment', assignmentSchema);
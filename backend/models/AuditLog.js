@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['Grade', 'User', 'Configuration', 'Course', 'Enrollment', 'Role'];
+
+// Append-only record of a sensitive change: who did what to which record, with the
+// values before and after. Entries are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied so entries stay readable after the account changes or is removed
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  // Dotted verb such as 'grade.finalize' or 'configuration.update'
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: [true, 'Target type is required']
+  },
+  targetId: String,
+  // Human-readable name of the target, e.g. a user's email or a configuration key
+  targetLabel: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Anything else worth keeping, e.g. the reason given
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be changed or removed');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed or removed'));
+  }
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+// Plain copy of the listed fields, for the before/after values
+auditLogSchema.statics.snapshot = function(doc, fields) {
+  if (!doc) {
+    return null;
+  }
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return fields.reduce((values, field) => {
+    values[field] = source[field] === undefined ? null : source[field];
+    return values;
+  }, {});
+};
+
+// Static method to record an action taken in a request. Failures are logged rather than
+// thrown so that a change which already happened is still reported to the client.
+auditLogSchema.statics.record = async function(req, { action, targetType, target, targetLabel, before, after, details }) {
+  try {
+    const actor = req.user;
+    return await this.create({
+      actor: actor?._id,
+      actorName: actor ? `${actor.firstName} ${actor.lastName}` : undefined,
+      actorEmail: actor?.email,
+      actorRole: actor?.role,
+      action,
+      targetType,
+      targetId: target ? (target._id || target).toString() : undefined,
+      targetLabel,
+      before,
+      after,
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+auditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -32,7 +32,8 @@ const ConfigurationSchema = new mongoose.Schema({
       'file_upload',
       'security',
       'ui',
-      'analytics'
+      'analytics',
+      'billing'
     ],
     default: 'system'
   },
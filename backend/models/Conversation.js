@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['direct', 'group', 'course'],
+    default: 'direct'
+  },
+  // Set for course-wide conversations
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Per-user folder state; a new message moves the thread back to the inbox
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    archived: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+conversationSchema.index({ subject: 'text' });
+
+// Method to check whether a user takes part in the conversation
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => p.user.toString() === userId.toString()) || null;
+};
+
+// Method to work out who receives a new message from a sender. In course-wide
+// threads only the creator writes to everyone; other replies go back to the creator.
+conversationSchema.methods.getRecipientsFor = function(senderId) {
+  const sender = senderId.toString();
+  const creator = this.createdBy.toString();
+
+  if (this.kind === 'course' && sender !== creator) {
+    return [this.createdBy];
+  }
+
+  return this.participants
+    .map(p => p.user)
+    .filter(userId => userId.toString() !== sender);
+};
+
+// Static method to build the inbox/archive filter for a user
+conversationSchema.statics.folderFilter = function(userId, folder = 'inbox') {
+  return {
+    participants: {
+      $elemMatch: {
+        user: userId,
+        deletedAt: null,
+        archived: folder === 'archived'
+      }
+    }
+  };
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
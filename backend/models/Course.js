@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Roles on a course's teaching staff besides the lead instructor (`instructor`)
+const STAFF_ROLES = ['co_instructor', 'teaching_assistant'];
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -15,7 +18,6 @@ const courseSchema = new mongoose.Schema({
   courseCode: {
     type: String,
     required: [true, 'Course code is required'],
-    unique: true,
     uppercase: true,
     trim: true
   },
@@ -24,6 +26,36 @@ const courseSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Instructor is required']
   },
+  // People teaching alongside the lead instructor
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Staff role is required']
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term'
+  },
+  // Offering this course was cloned from, if any
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
   credits: {
     type: Number,
     required: [true, 'Credits are required'],
@@ -35,6 +67,7 @@ const courseSchema = new mongoose.Schema({
     required: [true, 'Maximum students limit is required'],
     min: [1, 'Maximum students must be at least 1']
   },
+  // Number of enrollments holding a seat; only changed through claimSeat/releaseSeat
   currentEnrollment: {
     type: Number,
     default: 0
@@ -54,7 +87,69 @@ const courseSchema = new mongoose.Schema({
     required: [true, 'Level is required'],
     enum: ['Beginner', 'Intermediate', 'Advanced']
   },
-  prerequisites: [String],
+  // Any offering of the prerequisite's course code satisfies it
+  prerequisites: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Prerequisite course is required']
+    },
+    // Letter on the prerequisite course's grading scale; any passing grade when empty
+    minimumGrade: {
+      type: String,
+      trim: true,
+      maxlength: 10
+    }
+  }],
+  // Students allowed to enroll without meeting the prerequisites
+  prerequisiteOverrides: {
+    type: [{
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Student is required']
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Granting user is required']
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Falls back to the institution default scale when not set
+  gradingScale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
+  gradingScheme: {
+    categories: [{
+      type: {
+        type: String,
+        enum: ['homework', 'quiz', 'exam', 'project', 'presentation'],
+        required: [true, 'Category type is required']
+      },
+      weight: {
+        type: Number,
+        required: [true, 'Category weight is required'],
+        min: [0, 'Weight cannot be negative'],
+        max: [100, 'Weight cannot exceed 100']
+      },
+      dropLowest: {
+        type: Number,
+        min: [0, 'Drop lowest cannot be negative'],
+        default: 0
+      }
+    }]
+  },
   materials: [{
     title: String,
     type: {
@@ -90,8 +185,11 @@ const courseSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-courseSchema.index({ courseCode: 1 });
+// The same course code can be offered once per term
+courseSchema.index({ courseCode: 1, term: 1 }, { unique: true });
+courseSchema.index({ term: 1 });
 courseSchema.index({ instructor: 1 });
+courseSchema.index({ 'staff.user': 1 });
 courseSchema.index({ category: 1 });
 courseSchema.index({ isActive: 1, isApproved: 1 });
 
@@ -100,6 +198,174 @@ courseSchema.virtual('isFullyEnrolled').get(function() {
   return this.currentEnrollment >= this.maxStudents;
 });
 
+// Static method building the filter for courses a user teaches, as lead instructor or staff
+courseSchema.statics.taughtBy = function(userId) {
+  return { $or: [{ instructor: userId }, { 'staff.user': userId }] };
+};
+
+// Method returning the user's role on the teaching team: 'lead', a staff role, or null
+courseSchema.methods.getStaffRole = function(userId) {
+  const instructorId = this.instructor?._id || this.instructor;
+  if (instructorId && instructorId.toString() === userId.toString()) {
+    return 'lead';
+  }
+  const member = (this.staff || []).find(m => (m.user?._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Static method to atomically take a seat. The capacity check and the increment
+// happen in one update, so concurrent enrollments cannot overfill the course.
+// reservedSeats are seats held for others (e.g. waitlist offers).
+// Returns the updated course, or null when no seat is free.
+courseSchema.statics.claimSeat = function(courseId, reservedSeats = 0) {
+  return this.findOneAndUpdate(
+    {
+      _id: courseId,
+      $expr: { $lt: [{ $add: ['$currentEnrollment', reservedSeats] }, '$maxStudents'] }
+    },
+    { $inc: { currentEnrollment: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a seat back, never taking the count below zero
+courseSchema.statics.releaseSeat = function(courseId) {
+  return this.findOneAndUpdate(
+    { _id: courseId, currentEnrollment: { $gt: 0 } },
+    { $inc: { currentEnrollment: -1 } },
+    { new: true }
+  );
+};
+
+// Method to check a student's completed coursework against the prerequisites.
+// Completed enrollments and finalized grades count; withdrawn, incomplete and
+// failing grades do not.
+courseSchema.methods.checkPrerequisites = async function(studentId) {
+  const Enrollment = require('./Enrollment');
+  const Grade = require('./Grade');
+  const GradingScale = require('./GradingScale');
+  const Course = this.constructor;
+
+  const scales = new Map();
+  const getScale = async (scaleId, courseId) => {
+    const key = scaleId ? `scale:${scaleId}` : `course:${courseId}`;
+    if (!scales.has(key)) {
+      const scale = scaleId ? await GradingScale.findById(scaleId) : null;
+      scales.set(key, scale || await GradingScale.getForCourse(courseId));
+    }
+    return scales.get(key);
+  };
+
+  const results = [];
+
+  for (const prerequisite of this.prerequisites) {
+    const required = await Course.findById(prerequisite.course).select('title courseCode');
+    const minimumGrade = prerequisite.minimumGrade || null;
+
+    if (!required) {
+      results.push({
+        course: null,
+        minimumGrade,
+        met: false,
+        reason: 'A prerequisite course no longer exists'
+      });
+      continue;
+    }
+
+    const label = `${required.courseCode} (${required.title})`;
+    const offerings = await Course.find({ courseCode: required.courseCode }).distinct('_id');
+
+    let threshold = null;
+    if (minimumGrade) {
+      const scale = await getScale(null, required._id);
+      const band = scale.bands.find(b => b.letter === minimumGrade);
+      threshold = band ? band.minPercentage : null;
+    }
+
+    const [grades, completed] = await Promise.all([
+      Grade.find({ student: studentId, course: { $in: offerings }, isFinalized: true }),
+      Enrollment.find({ student: studentId, course: { $in: offerings }, status: 'completed' })
+    ]);
+
+    // Each attempt is reduced to its letter, whether it passed and where it
+    // ranks (the band's minimum percentage) so attempts on different scales compare
+    const attempts = [];
+    const gradedCourses = new Set();
+
+    for (const grade of grades) {
+      gradedCourses.add(grade.course.toString());
+      const scale = await getScale(grade.gradingScale, grade.course);
+      const band = scale.bands.find(b => b.letter === grade.letterGrade);
+      attempts.push({
+        letterGrade: grade.letterGrade,
+        isPassing: band ? band.isPassing : false,
+        rank: band ? band.minPercentage : grade.percentage
+      });
+    }
+
+    for (const enrollment of completed) {
+      if (gradedCourses.has(enrollment.course.toString())) continue;
+
+      const letterGrade = enrollment.finalGrade?.letterGrade;
+      if (!letterGrade) {
+        attempts.push({ letterGrade: null, isPassing: true, rank: null });
+        continue;
+      }
+
+      const scale = await getScale(null, enrollment.course);
+      const band = scale.bands.find(b => b.letter === letterGrade);
+      attempts.push({
+        letterGrade,
+        isPassing: band ? band.isPassing : true,
+        rank: band ? band.minPercentage : enrollment.finalGrade.percentage ?? null
+      });
+    }
+
+    const satisfying = attempts.find(attempt =>
+      attempt.isPassing && (threshold === null || (attempt.rank !== null && attempt.rank >= threshold))
+    );
+
+    let reason = null;
+    if (!satisfying) {
+      const requirement = minimumGrade ? ` with ${minimumGrade} or better` : '';
+      const best = attempts
+        .filter(attempt => attempt.letterGrade)
+        .sort((a, b) => (b.rank ?? -1) - (a.rank ?? -1))[0];
+
+      if (attempts.length === 0) {
+        reason = `Requires completing ${label}${requirement}`;
+      } else if (best) {
+        reason = `Requires completing ${label}${requirement}; best grade on record is ${best.letterGrade}`;
+      } else {
+        reason = `Requires completing ${label}${requirement}; no grade is on record to verify it`;
+      }
+    }
+
+    results.push({
+      course: { _id: required._id, title: required.title, courseCode: required.courseCode },
+      minimumGrade,
+      met: !!satisfying,
+      reason
+    });
+  }
+
+  const withOverride = await Course.findOne(
+    { _id: this._id, 'prerequisiteOverrides.student': studentId },
+    { prerequisiteOverrides: { $elemMatch: { student: studentId } } }
+  );
+  const override = withOverride ? withOverride.prerequisiteOverrides[0] : null;
+  const allMet = results.every(result => result.met);
+
+  return {
+    met: allMet || !!override,
+    overridden: !allMet && !!override,
+    override,
+    prerequisites: results
+  };
+};
+
 // Removed duration validation since we removed duration fields
 
+courseSchema.statics.STAFF_ROLES = STAFF_ROLES;
+
 module.exports = mongoose.model('Course', courseSchema);
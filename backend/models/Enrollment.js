@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Enrollments in these statuses hold a seat and count towards Course.currentEnrollment
+const SEAT_STATUSES = ['enrolled', 'suspended', 'completed'];
+
+// Attendance statuses that count as attending a class
+const ATTENDED_STATUSES = ['present'];
+
 const enrollmentSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +17,11 @@ const enrollmentSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Copied from the course at enrollment time
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term'
+  },
   enrollmentDate: {
     type: Date,
     default: Date.now
@@ -48,7 +59,16 @@ const enrollmentSchema = new mongoose.Schema({
     enum: ['pending', 'partial', 'completed'],
     default: 'pending'
   },
-  completionDate: Date
+  completionDate: Date,
+  // Set when the student enrolled on a prerequisite override
+  prerequisiteOverride: {
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    grantedAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -60,6 +80,7 @@ enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
 enrollmentSchema.index({ student: 1 });
 enrollmentSchema.index({ course: 1 });
 enrollmentSchema.index({ status: 1 });
+enrollmentSchema.index({ term: 1 });
 
 // Calculate attendance percentage before saving
 enrollmentSchema.pre('save', function(next) {
@@ -70,4 +91,29 @@ enrollmentSchema.pre('save', function(next) {
   next();
 });
 
+// Static method to add one class to a student's attendance totals. The
+// percentage is recomputed in the same update since save hooks don't run here.
+enrollmentSchema.statics.recordAttendance = function(studentId, courseId, status) {
+  const attended = ATTENDED_STATUSES.includes(status) ? 1 : 0;
+
+  return this.updateOne({ student: studentId, course: courseId }, [
+    {
+      $set: {
+        'attendance.totalClasses': { $add: [{ $ifNull: ['$attendance.totalClasses', 0] }, 1] },
+        'attendance.attendedClasses': { $add: [{ $ifNull: ['$attendance.attendedClasses', 0] }, attended] }
+      }
+    },
+    {
+      $set: {
+        'attendance.attendancePercentage': {
+          $multiply: [{ $divide: ['$attendance.attendedClasses', '$attendance.totalClasses'] }, 100]
+        }
+      }
+    }
+  ]);
+};
+
+enrollmentSchema.statics.SEAT_STATUSES = SEAT_STATUSES;
+enrollmentSchema.statics.ATTENDED_STATUSES = ATTENDED_STATUSES;
+
 module.exports = mongoose.model('Enrollment', enrollmentSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Replies nest up to this depth; deeper replies attach to the deepest allowed level
+const MAX_DEPTH = 4;
+
+const forumPostSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumTopic',
+    required: [true, 'Topic is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Null for direct replies to the topic
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumPost',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [10000, 'Body cannot exceed 10000 characters']
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  endorsed: {
+    type: Boolean,
+    default: false
+  },
+  endorsedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+forumPostSchema.index({ topic: 1, createdAt: 1 });
+
+// Static method to work out where a reply to `parent` is stored
+forumPostSchema.statics.placeReply = function(parent) {
+  if (!parent) {
+    return { parent: null, depth: 0 };
+  }
+  if (parent.depth >= MAX_DEPTH) {
+    return { parent: parent.parent, depth: parent.depth };
+  }
+  return { parent: parent._id, depth: parent.depth + 1 };
+};
+
+forumPostSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+// Method to shape a reply for a viewer. Deleted replies stay in the tree as
+// placeholders so their children keep a parent.
+forumPostSchema.methods.toThreadItem = function(viewer, canModerate) {
+  const ForumTopic = require('./ForumTopic');
+  const viewerId = viewer._id.toString();
+  const item = this.toObject();
+
+  delete item.upvotes;
+  delete item.deletedBy;
+
+  item.upvoteCount = this.upvotes.length;
+  item.hasUpvoted = this.upvotes.some(id => id.toString() === viewerId);
+
+  if (this.isDeleted) {
+    item.body = '';
+    item.author = null;
+    item.isOwn = false;
+    return item;
+  }
+
+  item.author = ForumTopic.presentAuthor(this.author, this.isAnonymous, viewer, canModerate);
+  item.isOwn = (this.author._id || this.author).toString() === viewerId;
+
+  return item;
+};
+
+module.exports = mongoose.model('ForumPost', forumPostSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const forumTopicSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Same markup as announcements, rendered by the frontend RichText component
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [10000, 'Body cannot exceed 10000 characters']
+  },
+  // Hidden from other students; course staff still see the author
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  hasEndorsedAnswer: {
+    type: Boolean,
+    default: false
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+forumTopicSchema.index({ course: 1, isDeleted: 1, pinned: -1, lastActivityAt: -1 });
+forumTopicSchema.index({ title: 'text', body: 'text' });
+
+// Static method to show an author to a viewer. Anonymous posts hide the
+// author from other students; course staff and the author still see it.
+forumTopicSchema.statics.presentAuthor = function(author, isAnonymous, viewer, canModerate) {
+  if (!author) {
+    return null;
+  }
+
+  const authorId = author._id ? author._id.toString() : author.toString();
+  const isOwn = authorId === viewer._id.toString();
+  if (isAnonymous && !canModerate && !isOwn) {
+    return null;
+  }
+
+  return author._id
+    ? { _id: author._id, firstName: author.firstName, lastName: author.lastName, role: author.role }
+    : null;
+};
+
+// Method to shape a topic for a viewer, with vote and subscription state
+forumTopicSchema.methods.toThreadItem = function(viewer, canModerate, { includeBody = true } = {}) {
+  const item = this.toObject();
+  const viewerId = viewer._id.toString();
+
+  delete item.upvotes;
+  delete item.subscribers;
+  delete item.deletedBy;
+  if (!includeBody) {
+    item.excerpt = require('./Announcement').toPlainText(this.body, 200);
+    delete item.body;
+  }
+
+  item.author = this.constructor.presentAuthor(this.author, this.isAnonymous, viewer, canModerate);
+  item.isOwn = (this.author._id || this.author).toString() === viewerId;
+  item.upvoteCount = this.upvotes.length;
+  item.hasUpvoted = this.upvotes.some(id => id.toString() === viewerId);
+  item.isSubscribed = this.subscribers.some(id => id.toString() === viewerId);
+
+  return item;
+};
+
+// Method to notify subscribers about a new reply, except the person who wrote it
+forumTopicSchema.methods.notifySubscribers = async function(post, actor) {
+  const Course = require('./Course');
+  const Notification = require('./Notification');
+  const Announcement = require('./Announcement');
+
+  const recipients = this.subscribers.filter(id => id.toString() !== actor._id.toString());
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const course = await Course.findById(this.course).select('courseCode');
+  const name = post.isAnonymous ? 'An anonymous student' : `${actor.firstName} ${actor.lastName}`;
+  const excerpt = Announcement.toPlainText(post.body, 300);
+
+  for (const recipient of recipients) {
+    try {
+      await Notification.createNotification({
+        recipient,
+        title: `${course ? `${course.courseCode}: ` : ''}Re: ${this.title}`.slice(0, 100),
+        message: `${name} replied: ${excerpt}`.slice(0, 500),
+        type: 'forum',
+        targetId: this._id,
+        targetUrl: `/courses/${this.course}/forum/${this._id}`
+      });
+    } catch (notifError) {
+      console.error('Error creating forum notification:', notifError);
+    }
+  }
+
+  return recipients.length;
+};
+
+module.exports = mongoose.model('ForumTopic', forumTopicSchema);
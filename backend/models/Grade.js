@@ -22,17 +22,72 @@ const gradeSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  // Letters come from the course grading scale; 'I' and 'W' are reserved
   letterGrade: {
     type: String,
-    enum: ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F', 'I', 'W'],
+    trim: true,
+    maxlength: 10,
     default: 'I'
   },
+  // Null when the letter carries no grade points (e.g. Pass on a pass/fail scale)
   gpa: {
     type: Number,
     min: 0,
-    max: 4.0,
     default: 0
   },
+  gradingScale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
+  // Percentage computed from graded submissions and the course grading scheme
+  computedPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  breakdown: [{
+    category: String,
+    weight: Number,
+    percentage: Number,
+    earnedPoints: Number,
+    possiblePoints: Number,
+    itemsCounted: Number,
+    itemsDropped: Number,
+    itemsExcused: Number
+  }],
+  override: {
+    isActive: {
+      type: Boolean,
+      default: false
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    note: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
+  overrideHistory: [{
+    percentage: Number,
+    previousPercentage: Number,
+    note: {
+      type: String,
+      maxlength: [500, 'Override note cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isFinalized: {
     type: Boolean,
     default: false
@@ -43,38 +98,351 @@ const gradeSchema = new mongoose.Schema({
 
 gradeSchema.index({ student: 1, course: 1 }, { unique: true });
 
-// Calculate letter grade and GPA before saving
-gradeSchema.pre('save', function(next) {
-  if (this.percentage !== undefined) {
-    // Calculate letter grade
-    if (this.percentage >= 97) this.letterGrade = 'A+';
-    else if (this.percentage >= 93) this.letterGrade = 'A';
-    else if (this.percentage >= 90) this.letterGrade = 'A-';
-    else if (this.percentage >= 87) this.letterGrade = 'B+';
-    else if (this.percentage >= 83) this.letterGrade = 'B';
-    else if (this.percentage >= 80) this.letterGrade = 'B-';
-    else if (this.percentage >= 77) this.letterGrade = 'C+';
-    else if (this.percentage >= 73) this.letterGrade = 'C';
-    else if (this.percentage >= 70) this.letterGrade = 'C-';
-    else if (this.percentage >= 67) this.letterGrade = 'D+';
-    else if (this.percentage >= 60) this.letterGrade = 'D';
-    else this.letterGrade = 'F';
-
-    // Calculate GPA
-    if (this.percentage >= 97) this.gpa = 4.0;
-    else if (this.percentage >= 93) this.gpa = 4.0;
-    else if (this.percentage >= 90) this.gpa = 3.7;
-    else if (this.percentage >= 87) this.gpa = 3.3;
-    else if (this.percentage >= 83) this.gpa = 3.0;
-    else if (this.percentage >= 80) this.gpa = 2.7;
-    else if (this.percentage >= 77) this.gpa = 2.3;
-    else if (this.percentage >= 73) this.gpa = 2.0;
-    else if (this.percentage >= 70) this.gpa = 1.7;
-    else if (this.percentage >= 67) this.gpa = 1.3;
-    else if (this.percentage >= 60) this.gpa = 1.0;
-    else this.gpa = 0.0;
+// Method to derive letter grade and GPA from a grading scale
+gradeSchema.methods.applyScale = function(scale) {
+  const band = scale.getBand(this.percentage);
+  this.letterGrade = band.letterGrade;
+  this.gpa = band.gpa;
+  this.gradingScale = scale.isNew ? undefined : scale._id;
+};
+
+// Calculate letter grade and GPA from the course grading scale before saving
+gradeSchema.pre('save', async function(next) {
+  try {
+    if (this.percentage !== undefined && (this.isNew || this.isModified('percentage'))) {
+      const GradingScale = require('./GradingScale');
+      const scale = await GradingScale.getForCourse(this.course);
+      this.applyScale(scale);
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
+// Static method to compute a student's course percentage from graded submissions.
+// Categories come from the course grading scheme (keyed by assignment type); when
+// no scheme is set, every assignment counts towards a single points-based total.
+gradeSchema.statics.computeForStudent = async function(studentId, courseId) {
+  const Course = require('./Course');
+  const Assignment = require('./Assignment');
+  const Submission = require('./Submission');
+
+  const course = await Course.findById(courseId).select('gradingScheme');
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const assignments = await Assignment.find({ course: courseId, isPublished: true });
+  const submissions = await Submission.find({
+    student: studentId,
+    assignment: { $in: assignments.map(a => a._id) }
+  });
+
+  const submissionsByAssignment = {};
+  submissions.forEach(submission => {
+    submissionsByAssignment[submission.assignment.toString()] = submission;
+  });
+
+  const schemeCategories = course.gradingScheme?.categories || [];
+  const categories = schemeCategories.length > 0
+    ? schemeCategories.map(c => ({ category: c.type, types: [c.type], weight: c.weight, dropLowest: c.dropLowest || 0 }))
+    : [{ category: 'overall', types: assignments.map(a => a.type), weight: 100, dropLowest: 0 }];
+
+  const breakdown = categories.map(({ category, types, weight, dropLowest }) => {
+    let items = [];
+    let itemsExcused = 0;
+
+    assignments
+      .filter(assignment => types.includes(assignment.type))
+      .forEach(assignment => {
+        const submission = submissionsByAssignment[assignment._id.toString()];
+        if (!submission) return;
+
+        if (submission.isExcused) {
+          itemsExcused++;
+          return;
+        }
+
+        // A resubmission keeps counting with its last grade until it is graded again
+        if (['graded', 'resubmitted'].includes(submission.status) && submission.grade?.points !== undefined) {
+          items.push({
+            earned: submission.grade.points,
+            possible: assignment.totalPoints,
+            ratio: submission.grade.points / assignment.totalPoints
+          });
+        }
+      });
+
+    // Drop the lowest scores but always keep at least one graded item
+    const itemsDropped = Math.min(dropLowest, Math.max(items.length - 1, 0));
+    if (itemsDropped > 0) {
+      items = items.sort((a, b) => a.ratio - b.ratio).slice(itemsDropped);
+    }
+
+    const earnedPoints = items.reduce((sum, item) => sum + item.earned, 0);
+    const possiblePoints = items.reduce((sum, item) => sum + item.possible, 0);
+
+    return {
+      category,
+      weight,
+      percentage: possiblePoints > 0 ? Math.min(100, (earnedPoints / possiblePoints) * 100) : null,
+      earnedPoints,
+      possiblePoints,
+      itemsCounted: items.length,
+      itemsDropped,
+      itemsExcused
+    };
+  });
+
+  // Weights are renormalized over categories that have graded work
+  const graded = breakdown.filter(c => c.percentage !== null && c.weight > 0);
+  const totalWeight = graded.reduce((sum, c) => sum + c.weight, 0);
+  const percentage = totalWeight > 0
+    ? Math.round((graded.reduce((sum, c) => sum + c.weight * c.percentage, 0) / totalWeight) * 100) / 100
+    : null;
+
+  return { percentage, breakdown };
+};
+
+// Static method to recompute and store the course grade for a student.
+// Finalized grades are left untouched; active overrides keep their percentage.
+gradeSchema.statics.recalculate = async function(studentId, courseId) {
+  const { percentage, breakdown } = await this.computeForStudent(studentId, courseId);
+
+  let grade = await this.findOne({ student: studentId, course: courseId });
+
+  if (grade && grade.isFinalized) {
+    return grade;
+  }
+
+  if (!grade) {
+    if (percentage === null) return null;
+
+    const Course = require('./Course');
+    const course = await Course.findById(courseId).select('instructor');
+    grade = new this({
+      student: studentId,
+      course: courseId,
+      instructor: course.instructor
+    });
+  }
+
+  grade.computedPercentage = percentage === null ? undefined : percentage;
+  grade.breakdown = breakdown;
+
+  if (!grade.override?.isActive) {
+    grade.percentage = percentage === null ? 0 : percentage;
+  }
+
+  await grade.save();
+  return grade;
+};
+
+// Academic term for courses without one, derived from the enrollment date
+const getTermForDate = (date) => {
+  const d = new Date(date);
+  const month = d.getMonth();
+  const season = month < 5 ? 'Spring' : month < 8 ? 'Summer' : 'Fall';
+  const seasonStart = { Spring: 0, Summer: 5, Fall: 8 }[season];
+
+  return {
+    name: `${season} ${d.getFullYear()}`,
+    startDate: new Date(d.getFullYear(), seasonStart, 1)
+  };
+};
+
+const roundGpa = (qualityPoints, credits) => (
+  credits > 0 ? Math.round((qualityPoints / credits) * 100) / 100 : null
+);
+
+// Static method to build a student's transcript grouped by term.
+// Only finalized grades carry grade points; withdrawn (W), incomplete (I) and
+// in-progress (IP) courses are listed but left out of attempted credits and GPA.
+// Grade points from other scales are converted to the default scale before averaging.
+gradeSchema.statics.getTranscript = async function(studentId) {
+  const Enrollment = require('./Enrollment');
+  const GradingScale = require('./GradingScale');
+  const User = require('./User');
+
+  const student = await User.findById(studentId).select('firstName lastName email enrollmentDate');
+  if (!student) {
+    throw new Error('Student not found');
+  }
+
+  const coursePopulate = {
+    path: 'course',
+    select: 'title courseCode credits term',
+    populate: { path: 'term', select: 'name startDate' }
+  };
+
+  const enrollments = await Enrollment.find({ student: studentId })
+    .populate(coursePopulate);
+  const grades = await this.find({ student: studentId })
+    .populate(coursePopulate)
+    .populate('gradingScale', 'bands maxGpa');
+  const defaultScale = await GradingScale.getDefault();
+
+  const gradesByCourse = {};
+  grades.forEach(grade => {
+    if (grade.course) gradesByCourse[grade.course._id.toString()] = grade;
+  });
+
+  // Grades recorded without an enrollment (e.g. transfer credit) are still listed
+  const enrolledCourseIds = new Set(enrollments.filter(e => e.course).map(e => e.course._id.toString()));
+  const records = [
+    ...enrollments
+      .filter(enrollment => enrollment.course)
+      .map(enrollment => ({ enrollment, course: enrollment.course, grade: gradesByCourse[enrollment.course._id.toString()] })),
+    ...grades
+      .filter(grade => grade.course && !enrolledCourseIds.has(grade.course._id.toString()))
+      .map(grade => ({ enrollment: null, course: grade.course, grade }))
+  ];
+
+  const termsByName = {};
+  records.forEach(({ enrollment, course, grade }) => {
+    const entry = {
+      course: {
+        _id: course._id,
+        title: course.title,
+        courseCode: course.courseCode
+      },
+      credits: course.credits,
+      percentage: null,
+      letterGrade: null,
+      gpa: null,
+      status: null,
+      creditsAttempted: 0,
+      creditsEarned: 0,
+      countsTowardsGpa: false
+    };
+
+    if (enrollment?.status === 'dropped' || grade?.letterGrade === 'W') {
+      entry.status = 'withdrawn';
+      entry.letterGrade = 'W';
+    } else if (grade?.isFinalized && grade.letterGrade !== 'I') {
+      const scale = grade.gradingScale || defaultScale;
+      const band = scale.bands.find(b => b.letter === grade.letterGrade);
+      const isPassing = band ? band.isPassing : grade.gpa > 0;
+
+      entry.status = 'completed';
+      entry.percentage = grade.percentage;
+      entry.letterGrade = grade.letterGrade;
+      entry.gpa = grade.gpa === undefined || grade.gpa === null ? null : grade.gpa;
+      // e.g. 8 on a 10-point scale counts as 3.2 on a 4.0 default scale. Kept unrounded for
+      // the quality points and rounded only for display.
+      if (entry.gpa !== null && scale.maxGpa && scale.maxGpa !== defaultScale.maxGpa) {
+        entry.scaleGpa = entry.gpa;
+        entry.scaleMaxGpa = scale.maxGpa;
+        entry.gpa = (entry.gpa / scale.maxGpa) * defaultScale.maxGpa;
+      }
+      entry.creditsAttempted = course.credits;
+      entry.creditsEarned = isPassing ? course.credits : 0;
+      entry.countsTowardsGpa = entry.gpa !== null;
+    } else if (enrollment?.status === 'enrolled') {
+      entry.status = 'in_progress';
+      entry.letterGrade = 'IP';
+    } else {
+      entry.status = 'incomplete';
+      entry.letterGrade = 'I';
+    }
+
+    const term = course.term
+      ? { name: course.term.name, startDate: course.term.startDate }
+      : getTermForDate(enrollment?.enrollmentDate || grade.createdAt);
+    if (!termsByName[term.name]) {
+      termsByName[term.name] = { ...term, courses: [] };
+    }
+    termsByName[term.name].courses.push(entry);
+  });
+
+  const totals = { creditsAttempted: 0, creditsEarned: 0, gpaCredits: 0, qualityPoints: 0 };
+
+  const terms = Object.values(termsByName)
+    .sort((a, b) => a.startDate - b.startDate)
+    .map(term => {
+      const summary = { creditsAttempted: 0, creditsEarned: 0, gpaCredits: 0, qualityPoints: 0 };
+
+      term.courses.forEach(entry => {
+        summary.creditsAttempted += entry.creditsAttempted;
+        summary.creditsEarned += entry.creditsEarned;
+        if (entry.countsTowardsGpa) {
+          summary.gpaCredits += entry.credits;
+          summary.qualityPoints += entry.gpa * entry.credits;
+        }
+      });
+
+      Object.keys(totals).forEach(key => {
+        totals[key] += summary[key];
+      });
+
+      return {
+        ...term,
+        courses: term.courses
+          .sort((a, b) => a.course.courseCode.localeCompare(b.course.courseCode))
+          .map(entry => (entry.gpa === null ? entry : { ...entry, gpa: Math.round(entry.gpa * 100) / 100 })),
+        ...summary,
+        qualityPoints: Math.round(summary.qualityPoints * 100) / 100,
+        termGpa: roundGpa(summary.qualityPoints, summary.gpaCredits),
+        cumulativeGpa: roundGpa(totals.qualityPoints, totals.gpaCredits)
+      };
+    });
+
+  return {
+    student: {
+      _id: student._id,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      email: student.email,
+      enrollmentDate: student.enrollmentDate
+    },
+    generatedAt: new Date(),
+    maxGpa: defaultScale.maxGpa,
+    terms,
+    totals: {
+      ...totals,
+      qualityPoints: Math.round(totals.qualityPoints * 100) / 100,
+      cumulativeGpa: roundGpa(totals.qualityPoints, totals.gpaCredits)
+    }
+  };
+};
+
+// Method to override the computed percentage, keeping an audit trail
+gradeSchema.methods.applyOverride = function(percentage, note, userId) {
+  const changedAt = new Date();
+
+  this.overrideHistory.push({
+    percentage,
+    previousPercentage: this.percentage,
+    note,
+    changedBy: userId,
+    changedAt
+  });
+
+  this.override = {
+    isActive: true,
+    percentage,
+    note,
+    overriddenBy: userId,
+    overriddenAt: changedAt
+  };
+  this.percentage = percentage;
+};
+
+// Method to drop an override and fall back to the computed percentage
+gradeSchema.methods.clearOverride = function(note, userId) {
+  const percentage = this.computedPercentage !== undefined ? this.computedPercentage : 0;
+
+  this.overrideHistory.push({
+    percentage,
+    previousPercentage: this.percentage,
+    note,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+
+  this.override = { isActive: false };
+  this.percentage = percentage;
+};
+
 module.exports = mongoose.model('Grade', gradeSchema);
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+// Standard US letter scale, used when no institution default has been configured
+const STANDARD_BANDS = [
+  { letter: 'A+', minPercentage: 97, gpa: 4.0, isPassing: true },
+  { letter: 'A', minPercentage: 93, gpa: 4.0, isPassing: true },
+  { letter: 'A-', minPercentage: 90, gpa: 3.7, isPassing: true },
+  { letter: 'B+', minPercentage: 87, gpa: 3.3, isPassing: true },
+  { letter: 'B', minPercentage: 83, gpa: 3.0, isPassing: true },
+  { letter: 'B-', minPercentage: 80, gpa: 2.7, isPassing: true },
+  { letter: 'C+', minPercentage: 77, gpa: 2.3, isPassing: true },
+  { letter: 'C', minPercentage: 73, gpa: 2.0, isPassing: true },
+  { letter: 'C-', minPercentage: 70, gpa: 1.7, isPassing: true },
+  { letter: 'D+', minPercentage: 67, gpa: 1.3, isPassing: true },
+  { letter: 'D', minPercentage: 60, gpa: 1.0, isPassing: true },
+  { letter: 'F', minPercentage: 0, gpa: 0.0, isPassing: false }
+];
+
+const gradingScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scale name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Scale code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  maxGpa: {
+    type: Number,
+    required: [true, 'Maximum GPA is required'],
+    min: [1, 'Maximum GPA must be at least 1']
+  },
+  // Bands are matched from the highest minPercentage down
+  bands: [{
+    letter: {
+      type: String,
+      required: [true, 'Band letter is required'],
+      trim: true,
+      maxlength: [10, 'Letter cannot exceed 10 characters']
+    },
+    minPercentage: {
+      type: Number,
+      required: [true, 'Band minimum percentage is required'],
+      min: 0,
+      max: 100
+    },
+    // Bands without grade points (e.g. Pass) do not count towards GPA
+    gpa: {
+      type: Number,
+      min: 0
+    },
+    isPassing: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+gradingScaleSchema.index({ isDefault: 1 });
+
+// Validate bands before saving
+gradingScaleSchema.pre('validate', function(next) {
+  if (!this.bands || this.bands.length === 0) {
+    this.invalidate('bands', 'A grading scale needs at least one band');
+    return next();
+  }
+
+  const letters = this.bands.map(band => band.letter);
+  if (new Set(letters).size !== letters.length) {
+    this.invalidate('bands', 'Band letters must be unique');
+  }
+
+  if (!this.bands.some(band => band.minPercentage === 0)) {
+    this.invalidate('bands', 'A grading scale needs a band starting at 0%');
+  }
+
+  if (this.bands.some(band => band.gpa !== undefined && band.gpa !== null && band.gpa > this.maxGpa)) {
+    this.invalidate('bands', 'Band GPA cannot exceed the maximum GPA of the scale');
+  }
+
+  next();
+});
+
+// Keep bands sorted from highest to lowest cutoff
+gradingScaleSchema.pre('save', function(next) {
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+  next();
+});
+
+// Method to find the band a percentage falls into
+gradingScaleSchema.methods.getBand = function(percentage) {
+  const bands = [...this.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const band = bands.find(b => percentage >= b.minPercentage) || bands[bands.length - 1];
+
+  return {
+    letterGrade: band.letter,
+    gpa: band.gpa === undefined ? null : band.gpa,
+    isPassing: band.isPassing
+  };
+};
+
+// Static method to get the institution default scale
+gradingScaleSchema.statics.getDefault = async function() {
+  const scale = await this.findOne({ isDefault: true, isActive: true });
+  if (scale) return scale;
+
+  // Fall back to an unsaved standard scale so grading works before seeding
+  return new this({
+    name: 'Standard Letter Grade (4.0)',
+    code: 'standard',
+    maxGpa: 4.0,
+    bands: STANDARD_BANDS,
+    isDefault: true
+  });
+};
+
+// Static method to get the scale that applies to a course
+gradingScaleSchema.statics.getForCourse = async function(courseId) {
+  const Course = require('./Course');
+  const course = await Course.findById(courseId).select('gradingScale');
+
+  if (course && course.gradingScale) {
+    const scale = await this.findById(course.gradingScale);
+    if (scale && scale.isActive) return scale;
+  }
+
+  return this.getDefault();
+};
+
+// Static method to re-derive stored letter grades for a course after its scale changes.
+// Finalized course grades are left as they were recorded.
+gradingScaleSchema.statics.rederiveCourse = async function(courseId) {
+  const Grade = require('./Grade');
+  const Assignment = require('./Assignment');
+  const Submission = require('./Submission');
+
+  const scale = await this.getForCourse(courseId);
+
+  const grades = await Grade.find({ course: courseId, isFinalized: false });
+  for (const grade of grades) {
+    grade.applyScale(scale);
+    await grade.save();
+  }
+
+  const assignmentIds = await Assignment.find({ course: courseId }).distinct('_id');
+  const submissions = await Submission.find({
+    assignment: { $in: assignmentIds },
+    'grade.percentage': { $exists: true }
+  });
+  for (const submission of submissions) {
+    submission.grade.letterGrade = scale.getBand(submission.grade.percentage).letterGrade;
+    await submission.save();
+  }
+
+  const finalized = await Grade.countDocuments({ course: courseId, isFinalized: true });
+
+  return {
+    grades: grades.length,
+    submissions: submissions.length,
+    finalized
+  };
+};
+
+gradingScaleSchema.statics.STANDARD_BANDS = STANDARD_BANDS;
+
+module.exports = mongoose.model('GradingScale', gradingScaleSchema);
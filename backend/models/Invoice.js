@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Credited on drop when no fee_refund_policy has been configured
+const DEFAULT_REFUND_POLICY = [
+  { days: 7, percent: 100 },
+  { days: 14, percent: 50 },
+  { days: 28, percent: 25 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: [true, 'Enrollment is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term'
+  },
+  lineItems: [{
+    kind: {
+      type: String,
+      enum: ['charge', 'drop_credit'],
+      default: 'charge'
+    },
+    description: {
+      type: String,
+      required: [true, 'Line item description is required']
+    },
+    // Credits are negative
+    amount: {
+      type: Number,
+      required: [true, 'Line item amount is required']
+    }
+  }],
+  // Sum of the line items
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Net of payments and refunds in the ledger
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  // Held by payments being charged, so concurrent payments can't overpay the invoice
+  amountReserved: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Derived from the ledger by applyLedger
+  status: {
+    type: String,
+    enum: ['open', 'partial', 'paid', 'void'],
+    default: 'open'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: Date
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ student: 1, issuedAt: -1 });
+invoiceSchema.index({ enrollment: 1 });
+invoiceSchema.index({ status: 1 });
+
+invoiceSchema.virtual('balance').get(function() {
+  return roundAmount(Math.max(this.total - this.amountPaid, 0));
+});
+
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+invoiceSchema.pre('validate', function(next) {
+  if (!this.invoiceNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.invoiceNumber = `INV-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  this.total = roundAmount(this.lineItems.reduce((sum, item) => sum + item.amount, 0));
+  next();
+});
+
+// Method to recompute paid amounts and status from the ledger, then update the
+// enrollment's paymentStatus and the student's feeStatus
+invoiceSchema.methods.applyLedger = async function() {
+  const Payment = require('./Payment');
+
+  const entries = await Payment.find({ invoice: this._id, status: 'succeeded' });
+  const paid = entries.filter(e => e.type === 'payment').reduce((sum, e) => sum + e.amount, 0);
+  const refunded = entries.filter(e => e.type === 'refund').reduce((sum, e) => sum + e.amount, 0);
+
+  this.amountPaid = roundAmount(paid - refunded);
+  this.amountRefunded = roundAmount(refunded);
+
+  if (this.total <= 0 && this.amountPaid <= 0) {
+    this.status = 'void';
+  } else if (this.amountPaid >= this.total) {
+    this.status = 'paid';
+  } else if (this.amountPaid > 0) {
+    this.status = 'partial';
+  } else {
+    this.status = 'open';
+  }
+
+  await this.save();
+  await this.constructor.syncAccount(this.student, this.enrollment);
+
+  return this;
+};
+
+// Static method to hold `amount` of an invoice's balance while a payment is charged. The
+// check and the hold are one update, so two payments can't both claim the same balance.
+// Returns null when the invoice is void or the unreserved balance is smaller than `amount`.
+invoiceSchema.statics.reserveBalance = function(invoiceId, amount) {
+  return this.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      status: { $ne: 'void' },
+      // Half a cent of slack for floating point sums of rounded amounts
+      $expr: {
+        $lte: [
+          { $add: ['$amountPaid', { $ifNull: ['$amountReserved', 0] }, amount] },
+          { $add: ['$total', 0.005] }
+        ]
+      }
+    },
+    { $inc: { amountReserved: amount } },
+    { new: true }
+  );
+};
+
+// Static method to release a hold taken by reserveBalance once the payment is recorded
+invoiceSchema.statics.releaseBalance = function(invoiceId, amount) {
+  return this.updateOne({ _id: invoiceId }, { $inc: { amountReserved: -amount } });
+};
+
+// Static method to write invoice totals through to Enrollment.paymentStatus and User.feeStatus
+invoiceSchema.statics.syncAccount = async function(studentId, enrollmentId = null) {
+  const Enrollment = require('./Enrollment');
+  const Payment = require('./Payment');
+  const User = require('./User');
+
+  const invoices = await this.find({ student: studentId });
+
+  if (enrollmentId) {
+    const forEnrollment = invoices.filter(i => i.enrollment.toString() === enrollmentId.toString());
+    const total = forEnrollment.reduce((sum, i) => sum + Math.max(i.total, 0), 0);
+    const paid = forEnrollment.reduce((sum, i) => sum + Math.max(i.amountPaid, 0), 0);
+
+    let paymentStatus = 'pending';
+    if (paid >= total) {
+      paymentStatus = 'completed';
+    } else if (paid > 0) {
+      paymentStatus = 'partial';
+    }
+
+    await Enrollment.updateOne({ _id: enrollmentId }, { paymentStatus });
+  }
+
+  const lastPayment = await Payment.findOne({ student: studentId, type: 'payment', status: 'succeeded' })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  await User.updateOne({ _id: studentId }, {
+    feeStatus: {
+      totalFees: roundAmount(invoices.reduce((sum, i) => sum + Math.max(i.total, 0), 0)),
+      paidFees: roundAmount(invoices.reduce((sum, i) => sum + Math.max(i.amountPaid, 0), 0)),
+      pendingFees: roundAmount(invoices.reduce((sum, i) => sum + i.balance, 0)),
+      lastPaymentDate: lastPayment ? lastPayment.createdAt : undefined
+    }
+  });
+};
+
+// Static method to invoice a new (or re-activated) enrollment for the course fees.
+// Free courses are marked as paid without an invoice.
+invoiceSchema.statics.createForEnrollment = async function(enrollment) {
+  const Course = require('./Course');
+  const Enrollment = require('./Enrollment');
+  const Configuration = require('./Configuration');
+
+  const course = await Course.findById(enrollment.course).select('title courseCode fees term');
+  if (!course || !course.fees) {
+    await Enrollment.updateOne({ _id: enrollment._id }, { paymentStatus: 'completed' });
+    return null;
+  }
+
+  // One invoice per enrollment period
+  const existing = await this.findOne({
+    enrollment: enrollment._id,
+    issuedAt: { $gte: enrollment.enrollmentDate }
+  });
+  if (existing) return existing;
+
+  const [currency, dueDays] = await Promise.all([
+    Configuration.getValue('billing_currency', 'USD'),
+    Configuration.getValue('invoice_due_days', 30)
+  ]);
+
+  const invoice = new this({
+    student: enrollment.student,
+    enrollment: enrollment._id,
+    course: course._id,
+    term: course.term,
+    currency,
+    lineItems: [{
+      kind: 'charge',
+      description: `Course fees: ${course.courseCode} - ${course.title}`,
+      amount: course.fees
+    }],
+    dueDate: new Date(Date.now() + dueDays * DAY_MS)
+  });
+
+  await invoice.save();
+  await invoice.applyLedger();
+
+  try {
+    const Notification = require('./Notification');
+    await Notification.createNotification({
+      recipient: enrollment.student,
+      title: 'New Invoice',
+      message: `Invoice ${invoice.invoiceNumber} for ${course.title} (${currency} ${invoice.total.toFixed(2)}) is due ${invoice.dueDate.toDateString()}.`,
+      type: 'payment',
+      targetId: invoice._id,
+      targetUrl: '/billing'
+    });
+  } catch (notifError) {
+    console.error('Error creating invoice notification:', notifError);
+  }
+
+  return invoice;
+};
+
+// Static method to get the percentage of fees credited for a drop `daysElapsed`
+// days into the course, from the fee_refund_policy steps
+invoiceSchema.statics.getRefundPercent = async function(daysElapsed) {
+  const Configuration = require('./Configuration');
+  const configured = await Configuration.getValue('fee_refund_policy', DEFAULT_REFUND_POLICY);
+  const policy = (Array.isArray(configured) ? configured : DEFAULT_REFUND_POLICY)
+    .filter(step => Number.isFinite(Number(step.days)) && Number.isFinite(Number(step.percent)))
+    .map(step => ({ days: Number(step.days), percent: Math.min(Math.max(Number(step.percent), 0), 100) }))
+    .sort((a, b) => a.days - b.days);
+
+  const step = policy.find(s => daysElapsed <= s.days);
+  return step ? step.percent : 0;
+};
+
+// Static method to apply the refund policy when an enrollment is dropped:
+// credits the policy share of the fees and refunds anything paid beyond what
+// is still owed. Returns { percent, credited, refunded }.
+invoiceSchema.statics.applyDropPolicy = async function(enrollment, recordedBy = null) {
+  const Course = require('./Course');
+  const Payment = require('./Payment');
+
+  const invoices = await this.find({ enrollment: enrollment._id, status: { $ne: 'void' } });
+  const outcome = { percent: 0, credited: 0, refunded: 0 };
+  if (invoices.length === 0) return outcome;
+
+  // Days count from the term start, or from enrollment when there is no term
+  const course = await Course.findById(enrollment.course).populate('term', 'startDate');
+  const startedAt = course?.term?.startDate || enrollment.enrollmentDate;
+  const daysElapsed = Math.max(Math.floor((Date.now() - new Date(startedAt).getTime()) / DAY_MS), 0);
+  outcome.percent = await this.getRefundPercent(daysElapsed);
+
+  for (const invoice of invoices) {
+    // Each invoice is credited once
+    if (invoice.lineItems.some(item => item.kind === 'drop_credit')) continue;
+
+    const charges = invoice.lineItems
+      .filter(item => item.kind === 'charge')
+      .reduce((sum, item) => sum + item.amount, 0);
+    const credit = roundAmount(charges * outcome.percent / 100);
+
+    if (credit > 0) {
+      invoice.lineItems.push({
+        kind: 'drop_credit',
+        description: `Drop credit (${outcome.percent}% under the refund policy)`,
+        amount: -credit
+      });
+      await invoice.save();
+      outcome.credited = roundAmount(outcome.credited + credit);
+    }
+
+    const overpaid = roundAmount(invoice.amountPaid - Math.max(invoice.total, 0));
+    if (overpaid > 0) {
+      const refunds = await Payment.refundInvoice(invoice, overpaid, {
+        reason: 'Course dropped',
+        recordedBy
+      });
+      outcome.refunded = roundAmount(outcome.refunded + refunds
+        .filter(refund => refund.status === 'succeeded')
+        .reduce((sum, refund) => sum + refund.amount, 0));
+    } else {
+      await invoice.applyLedger();
+    }
+  }
+
+  return outcome;
+};
+
+// Static method to build a student's account statement
+invoiceSchema.statics.getStatement = async function(studentId) {
+  const User = require('./User');
+  const Payment = require('./Payment');
+  const Configuration = require('./Configuration');
+
+  const student = await User.findById(studentId).select('firstName lastName email feeStatus');
+  if (!student) {
+    throw new Error('Student not found');
+  }
+
+  const [invoices, payments, currency] = await Promise.all([
+    this.find({ student: studentId })
+      .populate('course', 'title courseCode')
+      .populate('term', 'name')
+      .sort({ issuedAt: 1 }),
+    Payment.find({ student: studentId }).sort({ createdAt: 1 }),
+    Configuration.getValue('billing_currency', 'USD')
+  ]);
+
+  const entries = invoices.map(invoice => ({
+    ...invoice.toObject(),
+    payments: payments.filter(p => p.invoice.toString() === invoice._id.toString())
+  }));
+
+  return {
+    student,
+    generatedAt: new Date(),
+    currency,
+    invoices: entries,
+    totals: {
+      charged: roundAmount(invoices.reduce((sum, i) => sum + Math.max(i.total, 0), 0)),
+      paid: roundAmount(payments
+        .filter(p => p.type === 'payment' && p.status === 'succeeded')
+        .reduce((sum, p) => sum + p.amount, 0)),
+      refunded: roundAmount(payments
+        .filter(p => p.type === 'refund' && p.status === 'succeeded')
+        .reduce((sum, p) => sum + p.amount, 0)),
+      balance: roundAmount(invoices.reduce((sum, i) => sum + i.balance, 0))
+    }
+  };
+};
+
+invoiceSchema.statics.DEFAULT_REFUND_POLICY = DEFAULT_REFUND_POLICY;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
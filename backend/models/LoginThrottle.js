@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Failure counters are forgotten after a day without failures
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Failed sign-in tracking for one account (keyed by email) or one client IP
+const loginThrottleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Failures since the last lockout (or success)
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts in a row; each doubles the next lockout
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to read the lockout settings from the security configuration
+loginThrottleSchema.statics.getSettings = async function() {
+  const Configuration = require('./Configuration');
+  const [accountLimit, ipLimit, baseMinutes, maxMinutes] = await Promise.all([
+    Configuration.getValue('max_login_attempts', 5),
+    Configuration.getValue('max_login_attempts_per_ip', 20),
+    Configuration.getValue('lockout_duration_minutes', 5),
+    Configuration.getValue('lockout_max_minutes', 240)
+  ]);
+
+  return {
+    limits: { account: Number(accountLimit), ip: Number(ipLimit) },
+    baseMinutes: Number(baseMinutes),
+    maxMinutes: Number(maxMinutes)
+  };
+};
+
+// Static method returning seconds until the key may try again (0 when not locked)
+loginThrottleSchema.statics.getRetryAfter = async function(kind, key) {
+  const entry = await this.findOne({ kind, key, lockedUntil: { $gt: new Date() } });
+  return entry ? Math.ceil((entry.lockedUntil.getTime() - Date.now()) / 1000) : 0;
+};
+
+// Static method to record a failed attempt; locks the key once it reaches its limit.
+// Returns seconds until the key may try again (0 when this failure did not lock it).
+loginThrottleSchema.statics.registerFailure = async function(kind, key, settings) {
+  const now = new Date();
+  const existing = await this.findOne({ kind, key });
+  const stale = existing && existing.lastFailedAt && now - existing.lastFailedAt > RESET_AFTER_MS;
+
+  const entry = await this.findOneAndUpdate(
+    { kind, key },
+    stale
+      ? { $set: { failedAttempts: 1, lockCount: 0, lockedUntil: null, lastFailedAt: now, expiresAt: new Date(now.getTime() + RESET_AFTER_MS) } }
+      : { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + RESET_AFTER_MS) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (entry.failedAttempts < settings.limits[kind]) {
+    return 0;
+  }
+
+  // Exponential backoff: base, 2x base, 4x base ... up to the maximum
+  const minutes = Math.min(settings.baseMinutes * Math.pow(2, entry.lockCount), settings.maxMinutes);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  await this.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        failedAttempts: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + RESET_AFTER_MS)
+      },
+      $inc: { lockCount: 1 }
+    }
+  );
+
+  return minutes * 60;
+};
+
+// Static method to forget a key's failures, after a successful sign-in or an admin unlock
+loginThrottleSchema.statics.clear = function(kind, key) {
+  return this.deleteOne({ kind, key });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,21 +1,24 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation is required']
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Sender is required']
   },
-  receiver: {
+  // Everyone who can see this message besides the sender
+  recipients: [{
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Receiver is required']
-  },
-  subject: {
-    type: String,
-    required: [true, 'Subject is required'],
-    trim: true,
-    maxlength: [200, 'Subject cannot exceed 200 characters']
+    ref: 'User'
+  }],
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
   },
   content: {
     type: String,
@@ -27,20 +30,117 @@ const messageSchema = new mongoose.Schema({
     enum: ['low', 'normal', 'high', 'urgent'],
     default: 'normal'
   },
-  isRead: {
-    type: Boolean,
-    default: false
-  },
-  isDeleted: {
-    type: Boolean,
-    default: false
-  }
+  // Files stored through the upload pipeline (POST /api/upload)
+  attachments: [{
+    filename: String,
+    originalName: String,
+    url: String,
+    size: Number,
+    mimetype: String
+  }],
+  // Read receipts, one entry per recipient who has opened the message
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users who deleted the conversation after this message arrived
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true
 });
 
+messageSchema.index({ conversation: 1, createdAt: 1 });
+messageSchema.index({ recipients: 1, 'readBy.user': 1 });
 messageSchema.index({ sender: 1 });
-messageSchema.index({ receiver: 1 });
-messageSchema.index({ isRead: 1 });
+messageSchema.index({ content: 'text' });
+
+// Static method to build the filter for messages a user can see
+messageSchema.statics.visibleFilter = function(userId) {
+  return {
+    $or: [{ sender: userId }, { recipients: userId }],
+    hiddenFor: { $ne: userId }
+  };
+};
+
+// Static method to build the filter for a user's unread messages
+messageSchema.statics.unreadFilter = function(userId) {
+  return {
+    recipients: userId,
+    'readBy.user': { $ne: userId },
+    hiddenFor: { $ne: userId }
+  };
+};
+
+// Static method to post a message to a conversation and bring the thread back
+// into the inbox of everyone it reaches
+messageSchema.statics.send = async function(conversation, { sender, content, priority, attachments, replyTo }) {
+  const recipients = conversation.getRecipientsFor(sender);
+
+  const message = await this.create({
+    conversation: conversation._id,
+    sender,
+    recipients,
+    replyTo,
+    content,
+    priority,
+    attachments
+  });
+
+  await conversation.constructor.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessageAt: message.createdAt,
+        'participants.$[p].archived': false,
+        'participants.$[p].deletedAt': null
+      }
+    },
+    { arrayFilters: [{ 'p.user': { $in: recipients } }] }
+  );
+
+  return message;
+};
+
+// Static method to mark every visible message of a conversation as read by a user
+messageSchema.statics.markConversationRead = async function(conversationId, userId) {
+  const result = await this.updateMany(
+    { conversation: conversationId, ...this.unreadFilter(userId) },
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+  return result.modifiedCount;
+};
+
+messageSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Deliver new messages and unread totals to the recipients' open sessions
+messageSchema.post('save', function(doc) {
+  if (!doc.$locals.wasNew) {
+    return;
+  }
+
+  const { emitToUser, pushUnreadCounts } = require('../utils/realtime');
+
+  doc.constructor.findById(doc._id)
+    .populate('sender', 'firstName lastName email role')
+    .then(message => {
+      doc.recipients.forEach(recipient => {
+        emitToUser(recipient, 'message:new', message.toObject());
+        pushUnreadCounts(recipient);
+      });
+    })
+    .catch(error => console.error('Realtime message delivery error:', error));
+});
 
 module.exports = mongoose.model('Message', messageSchema);
@@ -19,7 +19,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['assignment', 'assignment_due', 'grade', 'enrollment', 'payment', 'system', 'reminder', 'announcement', 'doc_verified', 'doc_rejected', 'course_approved', 'course_rejected', 'user_approved'],
+    enum: ['assignment', 'assignment_due', 'grade', 'enrollment', 'payment', 'system', 'reminder', 'announcement', 'forum', 'doc_verified', 'doc_rejected', 'course_approved', 'course_rejected', 'user_approved'],
     required: [true, 'Type is required']
   },
   // Target information for navigation
@@ -43,6 +43,11 @@ const notificationSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  // Email channel state, set according to the recipient's email preference
+  emailStatus: {
+    type: String,
+    enum: ['queued', 'digest_pending', 'digested', 'skipped']
   }
 }, {
   timestamps: true
@@ -50,6 +55,29 @@ const notificationSchema = new mongoose.Schema({
 
 notificationSchema.index({ recipient: 1 });
 notificationSchema.index({ isRead: 1 });
+notificationSchema.index({ emailStatus: 1, recipient: 1 });
+
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.readChanged = this.isModified('isRead') || this.isModified('isDeleted');
+  next();
+});
+
+// Push new notifications and unread totals to the recipient's open sessions
+notificationSchema.post('save', function(doc) {
+  const { emitToUser, pushUnreadCounts } = require('../utils/realtime');
+
+  if (doc.$locals.wasNew) {
+    emitToUser(doc.recipient, 'notification:new', doc.toObject());
+
+    const OutboundEmail = require('./OutboundEmail');
+    OutboundEmail.queueForNotification(doc)
+      .catch(error => console.error('Error queueing notification email:', error));
+  }
+  if (doc.$locals.wasNew || doc.$locals.readChanged) {
+    pushUnreadCounts(doc.recipient);
+  }
+});
 
 // Static method to create notification
 notificationSchema.statics.createNotification = async function(data) {
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+
+// Retry backoff: 1, 2, 4, 8... minutes, capped at 6 hours
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// A send that has not finished after this long is assumed lost and retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const outboundEmailSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  html: String,
+  text: String,
+  kind: {
+    type: String,
+    enum: ['notification', 'digest', 'account'],
+    default: 'notification'
+  },
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ recipient: 1, createdAt: -1 });
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Settings shared by every email built from a notification
+const getRenderContext = async () => {
+  const Configuration = require('./Configuration');
+  return {
+    siteName: await Configuration.getValue('site_name', 'EduManage'),
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000'
+  };
+};
+
+// Static method to add an email to the outbound queue
+outboundEmailSchema.statics.enqueue = async function(data) {
+  const Configuration = require('./Configuration');
+  const maxAttempts = await Configuration.getValue('email_max_attempts', 5);
+  return this.create({ maxAttempts, ...data });
+};
+
+// Static method to route a new notification to the recipient's email preference:
+// queued right away, held for the daily digest, or skipped
+outboundEmailSchema.statics.queueForNotification = async function(notification) {
+  const Configuration = require('./Configuration');
+  const Notification = require('./Notification');
+  const User = require('./User');
+  const { renderNotificationEmail } = require('../utils/emailTemplates');
+
+  const setEmailStatus = (emailStatus) => Notification.updateOne({ _id: notification._id }, { emailStatus });
+
+  if (!(await Configuration.getValue('email_notifications_enabled', true))) {
+    return null;
+  }
+
+  const user = await User.findById(notification.recipient)
+    .select('firstName lastName email isActive notificationPreferences');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const mode = user.notificationPreferences?.email || 'immediate';
+  if (mode === 'off') {
+    await setEmailStatus('skipped');
+    return null;
+  }
+  if (mode === 'daily_digest') {
+    await setEmailStatus('digest_pending');
+    return null;
+  }
+
+  const content = renderNotificationEmail(notification, user, await getRenderContext());
+  const email = await this.enqueue({
+    recipient: user._id,
+    to: user.email,
+    kind: 'notification',
+    notifications: [notification._id],
+    ...content
+  });
+  await setEmailStatus('queued');
+
+  return email;
+};
+
+// Static method to email a password reset or verification link and send it right away
+outboundEmailSchema.statics.queueAccountEmail = async function(user, purpose, { token, expiresIn }) {
+  const { isConfigured } = require('../utils/mailer');
+  const { renderAccountEmail } = require('../utils/emailTemplates');
+
+  const { link, ...content } = renderAccountEmail(purpose, user, { token, expiresIn }, await getRenderContext());
+  const email = await this.enqueue({
+    recipient: user._id,
+    to: user.email,
+    kind: 'account',
+    ...content
+  });
+
+  if (!isConfigured() && process.env.NODE_ENV !== 'production') {
+    console.log(`Email is not configured; ${purpose} link for ${user.email}: ${link}`);
+  }
+
+  // Don't make the user wait for the next queue run
+  this.processQueue({ limit: 5 }).catch(error => {
+    console.error('Email queue processing error:', error);
+  });
+
+  return email;
+};
+
+// Static method to queue one digest per user with held notifications. Digests go
+// out once a day, on the first run after `email_digest_hour` (server time).
+outboundEmailSchema.statics.queueDigests = async function(now = new Date()) {
+  const Configuration = require('./Configuration');
+  const Notification = require('./Notification');
+  const User = require('./User');
+  const { renderDigestEmail } = require('../utils/emailTemplates');
+
+  if (!(await Configuration.getValue('email_notifications_enabled', true))) {
+    return 0;
+  }
+
+  const digestHour = await Configuration.getValue('email_digest_hour', 7);
+  const cutoff = new Date(now);
+  cutoff.setHours(digestHour, 0, 0, 0);
+  if (now < cutoff) {
+    return 0;
+  }
+
+  const recipientIds = await Notification.distinct('recipient', { emailStatus: 'digest_pending' });
+  if (recipientIds.length === 0) {
+    return 0;
+  }
+
+  const users = await User.find({
+    _id: { $in: recipientIds },
+    isActive: true,
+    $or: [
+      { 'notificationPreferences.lastDigestAt': null },
+      { 'notificationPreferences.lastDigestAt': { $lt: cutoff } }
+    ]
+  }).select('firstName lastName email notificationPreferences');
+
+  const context = await getRenderContext();
+  let queued = 0;
+
+  for (const user of users) {
+    const pendingFilter = { recipient: user._id, emailStatus: 'digest_pending' };
+
+    // Users who switched email off since the notifications were held get nothing
+    if (user.notificationPreferences?.email === 'off') {
+      await Notification.updateMany(pendingFilter, { emailStatus: 'skipped' });
+      continue;
+    }
+
+    const notifications = await Notification.find({ ...pendingFilter, isDeleted: false })
+      .sort({ createdAt: 1 });
+
+    if (notifications.length > 0) {
+      await this.enqueue({
+        recipient: user._id,
+        to: user.email,
+        kind: 'digest',
+        notifications: notifications.map(notification => notification._id),
+        ...renderDigestEmail(notifications, user, context)
+      });
+      queued += 1;
+    }
+
+    await Notification.updateMany(pendingFilter, { emailStatus: 'digested' });
+    await User.updateOne({ _id: user._id }, { 'notificationPreferences.lastDigestAt': now });
+  }
+
+  return queued;
+};
+
+// Static method to deliver due emails. Each email is claimed atomically so
+// several workers can share the queue; failures are retried with backoff.
+outboundEmailSchema.statics.processQueue = async function({ limit = 20 } = {}) {
+  const { isConfigured, sendMail } = require('../utils/mailer');
+  const result = { sent: 0, retrying: 0, failed: 0 };
+
+  if (!isConfigured()) {
+    return result;
+  }
+
+  await this.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { status: 'pending' }
+  );
+
+  for (let i = 0; i < limit; i += 1) {
+    const email = await this.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!email) {
+      break;
+    }
+
+    try {
+      const info = await sendMail(email);
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.messageId = info.messageId;
+      email.lastError = undefined;
+      result.sent += 1;
+    } catch (error) {
+      email.lastError = error.message;
+      if (email.attempts >= email.maxAttempts) {
+        email.status = 'failed';
+        result.failed += 1;
+        console.error(`Email ${email._id} to ${email.to} failed permanently:`, error.message);
+      } else {
+        email.status = 'pending';
+        email.nextAttemptAt = new Date(Date.now() + getRetryDelay(email.attempts));
+        result.retrying += 1;
+      }
+    }
+
+    // Account emails carry a live reset or verification link; once the email is done with,
+    // drop the body so the token isn't left readable in the database
+    if (email.kind === 'account' && ['sent', 'failed'].includes(email.status)) {
+      email.html = undefined;
+      email.text = undefined;
+    }
+
+    await email.save();
+  }
+
+  return result;
+};
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
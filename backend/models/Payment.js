@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Methods that are charged and refunded through the payment provider; the
+// others are recorded after the money has been received by the office
+const PROVIDER_METHODS = ['card', 'online'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Ledger entry for money received or returned against an invoice.
+// Entries are never edited; corrections are made with new entries.
+const paymentSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  // Always positive; the type gives the direction
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be at least 0.01']
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'bank_transfer', 'cheque', 'online'],
+    required: [true, 'Payment method is required']
+  },
+  // Cheque number, bank reference, etc.
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  provider: String,
+  providerTransactionId: String,
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  failureReason: String,
+  // Payment a refund was issued against
+  originalPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ invoice: 1, createdAt: 1 });
+paymentSchema.index({ student: 1, createdAt: -1 });
+
+// Number successful entries so they can be quoted on receipts
+paymentSchema.pre('save', function(next) {
+  if (this.isNew && this.status === 'succeeded' && !this.receiptNumber) {
+    const prefix = this.type === 'refund' ? 'RF' : 'RC';
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.receiptNumber = `${prefix}-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+// Static method to record a payment against an invoice. Card and online
+// payments are charged through the configured provider first; a declined
+// charge is kept in the ledger as a failed entry.
+paymentSchema.statics.record = async function(invoice, { amount, method, reference, notes, recordedBy }) {
+  const { getProvider } = require('../utils/paymentProviders');
+
+  const payment = new this({
+    invoice: invoice._id,
+    student: invoice.student,
+    type: 'payment',
+    amount: roundAmount(amount),
+    method,
+    reference,
+    notes,
+    recordedBy
+  });
+
+  if (PROVIDER_METHODS.includes(method)) {
+    const provider = await getProvider();
+    payment.provider = provider.name;
+
+    try {
+      const result = await provider.charge({
+        amount: payment.amount,
+        currency: invoice.currency,
+        description: `Invoice ${invoice.invoiceNumber}`,
+        reference,
+        metadata: { invoiceId: invoice._id.toString(), studentId: invoice.student.toString() }
+      });
+      payment.status = result.success ? 'succeeded' : 'failed';
+      payment.providerTransactionId = result.transactionId || undefined;
+      payment.failureReason = result.success ? undefined : result.message;
+    } catch (error) {
+      payment.status = 'failed';
+      payment.failureReason = error.message;
+    }
+  }
+
+  await payment.save();
+  await invoice.applyLedger();
+
+  return payment;
+};
+
+// Static method to refund up to `amount` of an invoice's payments, newest first.
+// Provider payments are refunded through their provider; others are recorded as
+// returned by the original method. Returns the refund entries created.
+paymentSchema.statics.refundInvoice = async function(invoice, amount, { reason, recordedBy } = {}) {
+  const { getProvider } = require('../utils/paymentProviders');
+
+  const entries = await this.find({ invoice: invoice._id, status: 'succeeded' }).sort({ createdAt: -1 });
+  const payments = entries.filter(entry => entry.type === 'payment');
+  const refunds = [];
+  let remaining = roundAmount(amount);
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const alreadyRefunded = entries
+      .filter(entry => entry.type === 'refund' && entry.originalPayment?.toString() === payment._id.toString())
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const refundable = roundAmount(Math.min(payment.amount - alreadyRefunded, remaining));
+    if (refundable <= 0) continue;
+
+    const refund = new this({
+      invoice: invoice._id,
+      student: invoice.student,
+      type: 'refund',
+      amount: refundable,
+      method: payment.method,
+      originalPayment: payment._id,
+      provider: payment.provider,
+      notes: reason,
+      recordedBy
+    });
+
+    if (payment.provider) {
+      try {
+        const provider = await getProvider(payment.provider);
+        const result = await provider.refund({
+          transactionId: payment.providerTransactionId,
+          amount: refundable,
+          currency: invoice.currency,
+          reason
+        });
+        refund.status = result.success ? 'succeeded' : 'failed';
+        refund.providerTransactionId = result.transactionId || undefined;
+        refund.failureReason = result.success ? undefined : result.message;
+      } catch (error) {
+        refund.status = 'failed';
+        refund.failureReason = error.message;
+      }
+    }
+
+    await refund.save();
+    refunds.push(refund);
+
+    if (refund.status === 'succeeded') {
+      remaining = roundAmount(remaining - refundable);
+    }
+  }
+
+  await invoice.applyLedger();
+
+  return refunds;
+};
+
+paymentSchema.statics.PROVIDER_METHODS = PROVIDER_METHODS;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_answer'];
+
+// A question in a course's question bank. Quizzes take a snapshot of the question when an
+// attempt starts (see the QuizAttempt model), so editing the bank never changes an attempt.
+const questionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Prompt cannot exceed 2000 characters']
+  },
+  // Choices of a multiple choice or multi-select question
+  options: [{
+    text: {
+      type: String,
+      required: [true, 'Option text is required'],
+      trim: true,
+      maxlength: [500, 'Option text cannot exceed 500 characters']
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Answer of a true/false question
+  correctBoolean: Boolean,
+  // Answer of a numeric question; responses within tolerance of it are correct
+  numericAnswer: Number,
+  tolerance: {
+    type: Number,
+    min: [0, 'Tolerance cannot be negative'],
+    default: 0
+  },
+  // Regular expressions a short answer must match in full to be marked correct. Answers
+  // matching none of them are left for the instructor to review.
+  acceptedPatterns: [{
+    type: String,
+    maxlength: [200, 'Pattern cannot exceed 200 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Default points when the question is added to a quiz
+  points: {
+    type: Number,
+    min: [0, 'Points cannot be negative'],
+    default: 1
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }]
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ course: 1, type: 1 });
+questionSchema.index({ course: 1, tags: 1 });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (response) => response === undefined || response === null || response === '' ||
+  (Array.isArray(response) && response.length === 0);
+
+// Static method to check an answer against an accepted short answer pattern. The whole answer
+// must match; * stands for any text and ? for any one character, everything else is literal.
+// Matching is a plain wildcard walk rather than a regular expression, so no pattern an
+// instructor writes can take more than answer length times pattern length steps.
+questionSchema.statics.matchesPattern = function(answer, pattern, caseSensitive = false) {
+  const text = caseSensitive ? answer : answer.toLowerCase();
+  const glob = caseSensitive ? pattern.trim() : pattern.trim().toLowerCase();
+
+  let t = 0;
+  let g = 0;
+  // Position of the last * in the pattern, and where in the text it started matching
+  let star = -1;
+  let starText = 0;
+  while (t < text.length) {
+    if (g < glob.length && (glob[g] === '?' || glob[g] === text[t])) {
+      t += 1;
+      g += 1;
+    } else if (g < glob.length && glob[g] === '*') {
+      star = g;
+      starText = t;
+      g += 1;
+    } else if (star !== -1) {
+      // Let the last * take one more character and retry from there
+      g = star + 1;
+      starText += 1;
+      t = starText;
+    } else {
+      return false;
+    }
+  }
+  while (g < glob.length && glob[g] === '*') {
+    g += 1;
+  }
+  return g === glob.length;
+};
+
+// Method to check that the question has an answer key its type can be scored with
+questionSchema.methods.validateAnswerKey = function() {
+  const errors = [];
+  const correctCount = this.options.filter(option => option.isCorrect).length;
+
+  switch (this.type) {
+    case 'multiple_choice':
+      if (this.options.length < 2) errors.push('A multiple choice question needs at least two options');
+      if (correctCount !== 1) errors.push('A multiple choice question needs exactly one correct option');
+      break;
+    case 'multi_select':
+      if (this.options.length < 2) errors.push('A multi-select question needs at least two options');
+      if (correctCount < 1) errors.push('A multi-select question needs at least one correct option');
+      break;
+    case 'true_false':
+      if (typeof this.correctBoolean !== 'boolean') errors.push('Choose whether the statement is true or false');
+      break;
+    case 'numeric':
+      if (typeof this.numericAnswer !== 'number' || isNaN(this.numericAnswer)) {
+        errors.push('A numeric question needs an answer');
+      }
+      break;
+    default:
+      break;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Static method to score a response to a question, or to a snapshot of one, out of points.
+// Multi-select answers earn partial credit: each wrong choice cancels a right one.
+// Returns the status of the answer and the points it earned; short answers matching no
+// accepted pattern are 'needs_review' and earn nothing until reviewed.
+questionSchema.statics.scoreResponse = function(question, response, points = question.points) {
+  if (isBlank(response)) {
+    return { status: 'incorrect', score: 0 };
+  }
+
+  const full = { status: 'correct', score: points };
+  const none = { status: 'incorrect', score: 0 };
+  const correctIds = (question.options || [])
+    .filter(option => option.isCorrect)
+    .map(option => option._id.toString());
+
+  switch (question.type) {
+    case 'multiple_choice':
+      return correctIds.includes(String(response)) ? full : none;
+    case 'multi_select': {
+      const chosen = [...new Set([].concat(response).map(String))];
+      const right = chosen.filter(id => correctIds.includes(id)).length;
+      const fraction = Math.max(0, (right - (chosen.length - right)) / correctIds.length);
+      if (fraction === 1) return full;
+      return fraction > 0 ? { status: 'partial', score: round(points * fraction) } : none;
+    }
+    case 'true_false':
+      return String(response) === String(question.correctBoolean) ? full : none;
+    case 'numeric': {
+      const value = Number(response);
+      return !isNaN(value) && Math.abs(value - question.numericAnswer) <= (question.tolerance || 0) + 1e-9
+        ? full
+        : none;
+    }
+    case 'short_answer': {
+      const answer = String(response).trim();
+      const matches = (question.acceptedPatterns || [])
+        .some(pattern => this.matchesPattern(answer, pattern, question.caseSensitive));
+      return matches ? full : { status: 'needs_review', score: 0 };
+    }
+    default:
+      return none;
+  }
+};
+
+questionSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Question', questionSchema);
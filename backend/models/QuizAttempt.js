@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Question = require('./Question');
+
+// Answers reach the server a little after the clock runs out on a slow connection
+const GRACE_MS = 30 * 1000;
+
+// A question as the student saw it, with its answer key, and the student's answer. Questions
+// are copied when the attempt starts so later edits to the question bank don't change it.
+const attemptQuestionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Question.QUESTION_TYPES,
+    required: true
+  },
+  prompt: String,
+  // In the order shown to the student; option ids are those of the question bank
+  options: [{
+    text: String,
+    isCorrect: Boolean
+  }],
+  correctBoolean: Boolean,
+  numericAnswer: Number,
+  tolerance: Number,
+  acceptedPatterns: [String],
+  caseSensitive: Boolean,
+  points: {
+    type: Number,
+    required: true
+  },
+  // Option id, list of option ids, boolean, number or text, depending on the type
+  response: mongoose.Schema.Types.Mixed,
+  result: {
+    type: String,
+    enum: ['correct', 'incorrect', 'partial', 'needs_review']
+  },
+  score: Number,
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+});
+
+// One sitting of an online quiz. The time limit is enforced from expiresAt on the server:
+// answers are refused once it passes and the attempt is submitted with what was saved.
+const quizAttemptSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Assignment is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Unset for an untimed quiz that may also be handed in late
+  expiresAt: Date,
+  submittedAt: Date,
+  questions: [attemptQuestionSchema],
+  score: Number,
+  maxScore: Number,
+  // Some short answers matched no accepted pattern and wait for the instructor
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  gradedAt: Date,
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  }
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ assignment: 1, student: 1, attempt: 1 }, { unique: true });
+// A student has at most one attempt in progress per quiz
+quizAttemptSchema.index(
+  { assignment: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+quizAttemptSchema.index({ status: 1, gradedAt: 1 });
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Static method to copy the questions of a quiz into a new attempt, in random order when the
+// quiz asks for it. `questions` are the question bank documents of the quiz.
+quizAttemptSchema.statics.snapshotQuestions = function(quiz, questions) {
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+  const entries = quiz.questions.filter(entry => byId.has(entry.question.toString()));
+
+  return (quiz.shuffleQuestions ? shuffle(entries) : entries).map(entry => {
+    const question = byId.get(entry.question.toString());
+    const options = question.options.map(option => option.toObject());
+    return {
+      question: question._id,
+      type: question.type,
+      prompt: question.prompt,
+      options: quiz.shuffleOptions ? shuffle(options) : options,
+      correctBoolean: question.correctBoolean,
+      numericAnswer: question.numericAnswer,
+      tolerance: question.tolerance,
+      acceptedPatterns: question.acceptedPatterns,
+      caseSensitive: question.caseSensitive,
+      points: entry.points
+    };
+  });
+};
+
+// Method to check if the time limit has run out, allowing for the grace period
+quizAttemptSchema.methods.hasExpired = function(now = new Date()) {
+  return Boolean(this.expiresAt) && now.getTime() > this.expiresAt.getTime() + GRACE_MS;
+};
+
+// Method to save answers, given as [{ question, response }] keyed by attempt question id.
+// Responses are coerced to the shape their question type expects.
+quizAttemptSchema.methods.recordAnswers = function(answers = []) {
+  for (const answer of answers) {
+    const question = this.questions.id(answer.question);
+    if (!question) continue;
+
+    const { response } = answer;
+    let value = null;
+    if (response !== undefined && response !== null && response !== '') {
+      switch (question.type) {
+        case 'multi_select':
+          value = [...new Set([].concat(response).map(String))]
+            .filter(id => question.options.some(option => option._id.toString() === id));
+          break;
+        case 'true_false':
+          value = response === true || response === 'true';
+          break;
+        case 'numeric':
+          value = isNaN(Number(response)) ? null : Number(response);
+          break;
+        case 'short_answer':
+          value = String(response).slice(0, 2000);
+          break;
+        default:
+          value = String(response);
+      }
+    }
+    question.response = value;
+  }
+  return this;
+};
+
+// Method to score every answer against the answer key and total the attempt
+quizAttemptSchema.methods.scoreAnswers = function() {
+  for (const question of this.questions) {
+    const { status, score } = Question.scoreResponse(question, question.response, question.points);
+    question.result = status;
+    question.score = score;
+  }
+  return this.updateTotals();
+};
+
+// Method to total the scores, and flag the attempt while answers wait for review
+quizAttemptSchema.methods.updateTotals = function() {
+  this.score = round(this.questions.reduce((total, question) => total + (question.score || 0), 0));
+  this.maxScore = round(this.questions.reduce((total, question) => total + question.points, 0));
+  this.needsReview = this.questions.some(question => question.result === 'needs_review');
+  return this;
+};
+
+// Method to apply an instructor's review, given as [{ question, score, comment }] keyed by
+// attempt question id. Every answer waiting for review needs a score; others may be rescored.
+quizAttemptSchema.methods.applyReview = function(scores = [], reviewerId) {
+  const errors = [];
+  const reviewedAt = new Date();
+
+  for (const entry of scores) {
+    const question = this.questions.id(entry.question);
+    if (!question) {
+      errors.push('Unknown question in review');
+      continue;
+    }
+
+    // Without a score the answer keeps the one it has, e.g. from automatic scoring
+    const hasScore = entry.score !== undefined && entry.score !== null && entry.score !== '';
+    const score = Number(entry.score);
+    if (hasScore && (isNaN(score) || score < 0 || score > question.points)) {
+      errors.push(`${question.prompt.slice(0, 50)}: score must be between 0 and ${question.points}`);
+      continue;
+    }
+
+    if (hasScore) {
+      question.score = score;
+      question.result = score === question.points ? 'correct' : score === 0 ? 'incorrect' : 'partial';
+    }
+    question.comment = entry.comment ? String(entry.comment).trim().slice(0, 1000) : undefined;
+    question.reviewedBy = reviewerId;
+    question.reviewedAt = reviewedAt;
+  }
+
+  if (errors.length === 0 && this.questions.some(question => question.result === 'needs_review')) {
+    errors.push('Every answer waiting for review needs a score');
+  }
+
+  this.updateTotals();
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Method to get the attempt as its student may see it: never the answer key, and the
+// results only once the attempt is graded
+quizAttemptSchema.methods.toStudentView = function() {
+  const attempt = this.toObject();
+  const graded = Boolean(this.gradedAt);
+
+  attempt.questions = attempt.questions.map(question => ({
+    _id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    options: question.options.map(option => ({ _id: option._id, text: option.text })),
+    points: question.points,
+    response: question.response,
+    ...(graded ? { result: question.result, score: question.score, comment: question.comment } : {})
+  }));
+  if (!graded) {
+    delete attempt.score;
+    delete attempt.needsReview;
+  }
+  return attempt;
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
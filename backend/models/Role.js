@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isValidPermission } = require('../utils/permissions');
+
+// Roles are read on most requests, so keep them for a minute
+const ROLE_CACHE_MS = 60 * 1000;
+let cachedRoles = null;
+
+// A named set of permissions. Account roles (student, instructor, admin) are system roles;
+// custom roles such as teaching assistant are granted to users on top of their account role.
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role key may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: 'Unknown permission'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const clearCache = () => {
+  cachedRoles = null;
+};
+
+roleSchema.post('save', clearCache);
+roleSchema.post('findOneAndUpdate', clearCache);
+roleSchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// Static method returning every role by key: the built-in defaults, replaced by stored roles
+roleSchema.statics.getRoleMap = async function() {
+  if (cachedRoles && cachedRoles.expires > Date.now()) {
+    return cachedRoles.value;
+  }
+
+  const value = {};
+  Object.entries(DEFAULT_ROLES).forEach(([key, role]) => {
+    value[key] = { key, ...role };
+  });
+  const stored = await this.find().lean();
+  stored.forEach(role => {
+    value[role.key] = {
+      key: role.key,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      isSystem: role.isSystem
+    };
+  });
+
+  cachedRoles = { value, expires: Date.now() + ROLE_CACHE_MS };
+  return value;
+};
+
+// Static method to check that every key names an existing custom (non-account) role
+roleSchema.statics.areCustomRoles = async function(keys) {
+  const roles = await this.getRoleMap();
+  return keys.every(key => roles[key] && !roles[key].isSystem);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
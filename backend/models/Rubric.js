@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One row of a rubric: what is assessed and the levels of performance it is scored at
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Criterion title is required'],
+    trim: true,
+    maxlength: [100, 'Criterion title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Criterion description cannot exceed 500 characters']
+  },
+  levels: {
+    type: [{
+      title: {
+        type: String,
+        required: [true, 'Level title is required'],
+        trim: true,
+        maxlength: [100, 'Level title cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        maxlength: [300, 'Level description cannot exceed 300 characters']
+      },
+      points: {
+        type: Number,
+        required: [true, 'Level points are required'],
+        min: [0, 'Level points cannot be negative']
+      }
+    }],
+    validate: {
+      validator: levels => levels.length > 0,
+      message: 'Every criterion needs at least one level'
+    }
+  }
+});
+
+// A saved rubric an instructor can attach to any of their assignments. Assignments keep
+// their own copy, so editing a saved rubric never changes work already graded with it.
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubric title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0,
+      message: 'A rubric needs at least one criterion'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ owner: 1, title: 1 });
+
+// Static method to get the most a set of criteria can score: the best level of each
+rubricSchema.statics.getTotalPoints = function(criteria = []) {
+  return criteria.reduce((total, criterion) => (
+    total + Math.max(0, ...(criterion.levels || []).map(level => Number(level.points) || 0))
+  ), 0);
+};
+
+// Virtual for the most this rubric can score
+rubricSchema.virtual('totalPoints').get(function() {
+  return this.constructor.getTotalPoints(this.criteria);
+});
+
+rubricSchema.set('toJSON', { virtuals: true });
+rubricSchema.set('toObject', { virtuals: true });
+
+rubricSchema.statics.criterionSchema = criterionSchema;
+
+module.exports = mongoose.model('Rubric', rubricSchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens stop working this many days after sign-in, even when used regularly
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Activity is recorded at most this often, to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// session_timeout is read on every request, so keep it for a minute
+const TIMEOUT_CACHE_MS = 60 * 1000;
+let cachedTimeout = null;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Only hashes are stored; the raw refresh token lives on the client
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, so a replayed old token can be detected
+  previousTokenHash: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'deactivated', 'idle', 'token_reuse', 'two_factor_changed']
+  },
+  // Whether the sign-in passed the two-factor step (or enrolled in it)
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newToken = () => crypto.randomBytes(48).toString('hex');
+
+// Static method to read the idle timeout (seconds) from the security configuration
+sessionSchema.statics.getIdleTimeout = async function() {
+  if (cachedTimeout && cachedTimeout.expires > Date.now()) {
+    return cachedTimeout.value;
+  }
+
+  const Configuration = require('./Configuration');
+  const value = await Configuration.getValue('session_timeout', 3600);
+  cachedTimeout = { value: Number(value) || 3600, expires: Date.now() + TIMEOUT_CACHE_MS };
+  return cachedTimeout.value;
+};
+
+// Static method to open a session for a sign-in; returns the session and its raw refresh token
+sessionSchema.statics.start = async function(userId, req, { twoFactorVerified = false } = {}) {
+  const refreshToken = newToken();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    twoFactorVerified,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Method to check whether the session has been idle longer than the timeout
+sessionSchema.methods.isIdle = function(timeoutSeconds) {
+  return Date.now() - this.lastActiveAt.getTime() > timeoutSeconds * 1000;
+};
+
+// Method to record activity, throttled to one write per interval
+sessionSchema.methods.touch = async function() {
+  if (Date.now() - this.lastActiveAt.getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  this.lastActiveAt = new Date();
+  await this.constructor.updateOne({ _id: this._id }, { lastActiveAt: this.lastActiveAt });
+};
+
+// Method to end the session and drop its live socket connections
+sessionSchema.methods.revoke = async function(reason) {
+  await this.constructor.revokeMany({ _id: this._id }, reason);
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+};
+
+// Static method to revoke every active session matching the filter
+sessionSchema.statics.revokeMany = async function(filter, reason) {
+  const { disconnectSession } = require('../utils/realtime');
+
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  await this.updateMany(
+    { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  sessions.forEach(s => disconnectSession(s._id));
+
+  return sessions.length;
+};
+
+// Static method to sign a user out everywhere (optionally keeping one session)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.revokeMany(filter, reason);
+};
+
+// Static method to exchange a refresh token for a new one. Each token works once:
+// presenting an already-rotated token revokes the session, since it may have been stolen.
+// Returns { session, refreshToken } or throws with a client-safe message.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const nextToken = newToken();
+
+  const session = await this.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { tokenHash: hashToken(nextToken), previousTokenHash: hash },
+    { new: true }
+  );
+
+  if (!session) {
+    const replayed = await this.findOne({ previousTokenHash: hash, revokedAt: null });
+    if (replayed) {
+      await replayed.revoke('token_reuse');
+    }
+    throw new Error('Session expired');
+  }
+
+  if (session.isIdle(await this.getIdleTimeout())) {
+    await session.revoke('idle');
+    throw new Error('Session expired');
+  }
+
+  session.lastActiveAt = new Date();
+  await this.updateOne({ _id: session._id }, { lastActiveAt: session.lastActiveAt });
+
+  return { session, refreshToken: nextToken };
+};
+
+// Method to describe the session for the "active sessions" list
+sessionSchema.methods.toListItem = function(currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastActiveAt: this.lastActiveAt,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
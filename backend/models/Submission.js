@@ -1,5 +1,73 @@
 const mongoose = require('mongoose');
 
+const attachmentSchema = new mongoose.Schema({
+  originalName: String,
+  filename: String,
+  path: String,
+  mimetype: String,
+  size: Number,
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Score for one rubric criterion. Titles and the maximum are copied from the assignment's
+// rubric so the filled-in rubric still reads correctly if the rubric is edited later.
+const rubricScoreSchema = new mongoose.Schema({
+  criterion: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  criterionTitle: String,
+  level: mongoose.Schema.Types.ObjectId,
+  levelTitle: String,
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxPoints: Number,
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  }
+}, { _id: false });
+
+// One attempt as it was handed in, with the grade it received
+const versionSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  submissionText: String,
+  attachments: [attachmentSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  grade: {
+    points: Number,
+    rawPoints: Number,
+    percentage: Number,
+    gradedAt: Date,
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  rubricScores: [rubricScoreSchema],
+  feedback: String,
+  quizAttempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt'
+  }
+});
+
 const submissionSchema = new mongoose.Schema({
   assignment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,17 +83,12 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     maxlength: [5000, 'Submission text cannot exceed 5000 characters']
   },
-  attachments: [{
-    originalName: String,
-    filename: String,
-    path: String,
-    mimetype: String,
-    size: Number,
-    uploadDate: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  attachments: [attachmentSchema],
+  // Online quiz attempt the submission was made with; its answers take the place of text and files
+  quizAttempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt'
+  },
   submittedAt: {
     type: Date,
     default: Date.now
@@ -34,16 +97,32 @@ const submissionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Excused submissions are left out of the course grade calculation
+  isExcused: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ['submitted', 'graded', 'returned', 'resubmitted'],
     default: 'submitted'
   },
   grade: {
+    // Points after the late penalty; rawPoints is the score the grader gave
     points: {
       type: Number,
       min: 0
     },
+    rawPoints: {
+      type: Number,
+      min: 0
+    },
+    latePenalty: {
+      daysLate: Number,
+      percent: Number,
+      points: Number,
+      waived: Boolean
+    },
     percentage: {
       type: Number,
       min: 0,
@@ -51,7 +130,8 @@ const submissionSchema = new mongoose.Schema({
     },
     letterGrade: {
       type: String,
-      enum: ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F', 'I']
+      trim: true,
+      maxlength: 10
     },
     gradedAt: Date,
     gradedBy: {
@@ -59,10 +139,19 @@ const submissionSchema = new mongoose.Schema({
       ref: 'User'
     }
   },
+  // Criterion-by-criterion grade when the assignment has a rubric; grade.rawPoints is their total
+  rubricScores: [rubricScoreSchema],
   feedback: {
     type: String,
     maxlength: [2000, 'Feedback cannot exceed 2000 characters']
-  }
+  },
+  // The top-level fields describe the latest attempt; every attempt, including
+  // the latest, is kept here. Submissions from before versioning have none.
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  versions: [versionSchema]
 }, {
   timestamps: true
 });
@@ -72,24 +161,104 @@ submissionSchema.index({ student: 1 });
 submissionSchema.index({ assignment: 1 });
 submissionSchema.index({ status: 1 });
 
-// Calculate letter grade based on percentage
-submissionSchema.pre('save', function(next) {
-  if (this.grade && this.grade.percentage !== undefined) {
-    const percentage = this.grade.percentage;
-    if (percentage >= 97) this.grade.letterGrade = 'A+';
-    else if (percentage >= 93) this.grade.letterGrade = 'A';
-    else if (percentage >= 90) this.grade.letterGrade = 'A-';
-    else if (percentage >= 87) this.grade.letterGrade = 'B+';
-    else if (percentage >= 83) this.grade.letterGrade = 'B';
-    else if (percentage >= 80) this.grade.letterGrade = 'B-';
-    else if (percentage >= 77) this.grade.letterGrade = 'C+';
-    else if (percentage >= 73) this.grade.letterGrade = 'C';
-    else if (percentage >= 70) this.grade.letterGrade = 'C-';
-    else if (percentage >= 67) this.grade.letterGrade = 'D+';
-    else if (percentage >= 60) this.grade.letterGrade = 'D';
-    else this.grade.letterGrade = 'F';
+// Calculate letter grade from the course grading scale
+submissionSchema.pre('save', async function(next) {
+  try {
+    if (this.grade && this.grade.percentage !== undefined &&
+        (this.isNew || this.isModified('grade.percentage'))) {
+      const Assignment = require('./Assignment');
+      const GradingScale = require('./GradingScale');
+
+      const courseId = this.populated('assignment')
+        ? this.assignment.course
+        : (await Assignment.findById(this.assignment).select('course'))?.course;
+
+      const scale = courseId
+        ? await GradingScale.getForCourse(courseId)
+        : await GradingScale.getDefault();
+      this.grade.letterGrade = scale.getBand(this.grade.percentage).letterGrade;
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
+// Number of attempts used; a submission from before versioning counts as one
+submissionSchema.methods.getAttemptCount = function() {
+  return this.versions.length || 1;
+};
+
+// Version entry for the current top-level fields, used to start the history of
+// a submission made before versioning
+submissionSchema.methods.toVersion = function() {
+  return {
+    attempt: this.attempt || 1,
+    submissionText: this.submissionText,
+    attachments: this.attachments.map(attachment => attachment.toObject()),
+    submittedAt: this.submittedAt,
+    isLate: this.isLate,
+    grade: this.grade?.gradedAt ? {
+      points: this.grade.points,
+      rawPoints: this.grade.rawPoints,
+      percentage: this.grade.percentage,
+      gradedAt: this.grade.gradedAt,
+      gradedBy: this.grade.gradedBy
+    } : undefined,
+    rubricScores: this.rubricScores.map(score => score.toObject()),
+    feedback: this.feedback,
+    quizAttempt: this.quizAttempt
+  };
+};
+
+// Method to grade the latest attempt with the points the grader (or the quiz engine) gave.
+// Lateness is re-evaluated here so extensions and accommodations granted after submission count.
+// The assignment must be loaded with select('+extensions'); the caller saves the submission.
+submissionSchema.methods.applyGrade = async function(assignment, rawPoints, {
+  gradedBy, feedback, rubricScores = [], waiveLatePenalty = false
+} = {}) {
+  const Accommodation = require('./Accommodation');
+  const accommodation = await Accommodation.findActiveFor(this.student);
+  const lateness = assignment.getLateness(this.submittedAt, this.student, accommodation);
+  const penalty = lateness.isLate && !waiveLatePenalty
+    ? assignment.applyLatePenalty(rawPoints, lateness.penaltyPercent)
+    : { points: rawPoints, deducted: 0 };
+  const points = penalty.points;
+  const percentage = (points / assignment.totalPoints) * 100;
+
+  this.isLate = lateness.isLate;
+  this.grade = {
+    points,
+    rawPoints,
+    latePenalty: lateness.isLate ? {
+      daysLate: lateness.daysLate,
+      percent: waiveLatePenalty ? 0 : lateness.penaltyPercent,
+      points: penalty.deducted,
+      waived: waiveLatePenalty
+    } : undefined,
+    percentage,
+    gradedAt: new Date(),
+    gradedBy
+  };
+  this.rubricScores = rubricScores;
+  this.feedback = feedback;
+  this.status = 'graded';
+
+  // The grade belongs to the latest attempt in the version history
+  const latestVersion = this.versions[this.versions.length - 1];
+  if (latestVersion) {
+    latestVersion.grade = {
+      points,
+      rawPoints,
+      percentage,
+      gradedAt: this.grade.gradedAt,
+      gradedBy
+    };
+    latestVersion.rubricScores = rubricScores;
+    latestVersion.feedback = feedback;
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model('Submission', submissionSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Term code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Students can only enroll in the term's courses inside this window
+  enrollmentStart: {
+    type: Date,
+    required: [true, 'Enrollment start date is required']
+  },
+  enrollmentEnd: {
+    type: Date,
+    required: [true, 'Enrollment end date is required']
+  },
+  // Final grades are due by this date
+  gradeDeadline: {
+    type: Date,
+    required: [true, 'Grade submission deadline is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+termSchema.index({ startDate: -1 });
+
+// Validate date ordering
+termSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+
+  if (this.enrollmentStart && this.enrollmentEnd && this.enrollmentEnd <= this.enrollmentStart) {
+    this.invalidate('enrollmentEnd', 'Enrollment end must be after enrollment start');
+  }
+
+  if (this.enrollmentEnd && this.endDate && this.enrollmentEnd > this.endDate) {
+    this.invalidate('enrollmentEnd', 'Enrollment must close before the term ends');
+  }
+
+  if (this.gradeDeadline && this.startDate && this.gradeDeadline < this.startDate) {
+    this.invalidate('gradeDeadline', 'Grade deadline cannot be before the term starts');
+  }
+
+  next();
+});
+
+// Virtual for whether the enrollment window is currently open
+termSchema.virtual('isEnrollmentOpen').get(function() {
+  const now = new Date();
+  return this.isActive && now >= this.enrollmentStart && now <= this.enrollmentEnd;
+});
+
+// Virtual for whether the term is in session
+termSchema.virtual('isCurrent').get(function() {
+  const now = new Date();
+  return now >= this.startDate && now <= this.endDate;
+});
+
+// Static method to get the term in session (or the next upcoming one)
+termSchema.statics.getCurrent = async function() {
+  const now = new Date();
+  const current = await this.findOne({
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  }).sort({ startDate: -1 });
+
+  if (current) return current;
+
+  return this.findOne({ isActive: true, startDate: { $gt: now } }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('Term', termSchema);
@@ -31,6 +31,11 @@ const userSchema = new mongoose.Schema({
     enum: ['student', 'instructor', 'admin'],
     default: 'student'
   },
+  // Custom roles (e.g. teaching_assistant) granting permissions on top of the account role
+  customRoles: {
+    type: [String],
+    default: []
+  },
   profileImage: {
     type: String,
     default: ''
@@ -125,6 +130,42 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Set to false at registration until the emailed link is opened. Accounts created
+  // before email verification existed have no value and are treated as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: Date,
+  // TOTP two-factor authentication. The secret and backup codes are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Generated secret waiting for the first code from the authenticator app
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        _id: false,
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
   feeStatus: {
     totalFees: {
       type: Number,
@@ -139,6 +180,14 @@ const userSchema = new mongoose.Schema({
       default: 0
     },
     lastPaymentDate: Date
+  },
+  notificationPreferences: {
+    email: {
+      type: String,
+      enum: ['immediate', 'daily_digest', 'off'],
+      default: 'immediate'
+    },
+    lastDigestAt: Date
   }
 }, {
   timestamps: true
@@ -171,10 +220,66 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a sign-in code: an authenticator code or an unused backup code.
+// Each code is spent atomically. Returns 'totp', 'backup' or null.
+userSchema.methods.consumeSecondFactor = async function(code) {
+  const { verifyCode, hashBackupCode } = require('../utils/twoFactor');
+  const User = this.constructor;
+
+  const stored = await User.findById(this._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+  if (!stored || !stored.twoFactor.enabled || !stored.twoFactor.secret) {
+    return null;
+  }
+
+  const step = verifyCode(stored.twoFactor.secret, code, stored.twoFactor.lastUsedStep ?? null);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.backupCodes': { $elemMatch: { codeHash: hashBackupCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1 ? 'backup' : null;
+};
+
+// Static method to turn two-factor authentication off and forget the secret and backup codes
+userSchema.statics.resetTwoFactor = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.backupCodes': 1
+      }
+    }
+  );
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
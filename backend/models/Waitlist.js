@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Queue order; reset when a student rejoins after leaving
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// One waitlist entry per student and course
+waitlistSchema.index({ student: 1, course: 1 }, { unique: true });
+waitlistSchema.index({ course: 1, status: 1, joinedAt: 1 });
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Method to get the 1-based queue position of a waiting entry
+waitlistSchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await this.constructor.countDocuments({
+    course: this.course,
+    status: 'waiting',
+    joinedAt: { $lt: this.joinedAt }
+  });
+
+  return ahead + 1;
+};
+
+// Static method to count seats held by unexpired offers
+waitlistSchema.statics.countActiveOffers = function(courseId, excludeStudentId = null) {
+  const filter = {
+    course: courseId,
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() }
+  };
+
+  if (excludeStudentId) {
+    filter.student = { $ne: excludeStudentId };
+  }
+
+  return this.countDocuments(filter);
+};
+
+// Static method to offer open seats to the next students in line.
+// Seats held by unexpired offers count as taken.
+waitlistSchema.statics.promote = async function(courseId) {
+  const Course = require('./Course');
+  const Configuration = require('./Configuration');
+  const Notification = require('./Notification');
+
+  await this.expireOffers(courseId, { promoteNext: false });
+
+  const course = await Course.findById(courseId);
+  if (!course || !course.isActive) return [];
+
+  const activeOffers = await this.countActiveOffers(courseId);
+  const openSeats = course.maxStudents - course.currentEnrollment - activeOffers;
+  if (openSeats <= 0) return [];
+
+  const offerHours = await Configuration.getValue('waitlist_offer_hours', 48);
+  const offered = [];
+
+  for (let i = 0; i < openSeats; i++) {
+    const now = new Date();
+    const offerExpiresAt = new Date(now.getTime() + offerHours * 60 * 60 * 1000);
+
+    // Claim the head of the queue atomically so concurrent promotions cannot offer it twice
+    const entry = await this.findOneAndUpdate(
+      { course: courseId, status: 'waiting' },
+      { status: 'offered', offeredAt: now, offerExpiresAt },
+      { sort: { joinedAt: 1 }, new: true }
+    );
+    if (!entry) break;
+
+    // openSeats was counted before the claim, so a concurrent promotion may have offered the
+    // same seat. Count this offer with the ones made before it; when that overfills the
+    // course, the later claim hands the entry back to the queue and stops.
+    const [seats, offersSoFar] = await Promise.all([
+      Course.findById(courseId).select('maxStudents currentEnrollment'),
+      this.countDocuments({
+        course: courseId,
+        status: 'offered',
+        offerExpiresAt: { $gt: now },
+        $or: [
+          { offeredAt: { $lt: entry.offeredAt } },
+          { offeredAt: entry.offeredAt, _id: { $lte: entry._id } }
+        ]
+      })
+    ]);
+    if (!seats || seats.currentEnrollment + offersSoFar > seats.maxStudents) {
+      await this.updateOne(
+        { _id: entry._id, status: 'offered', offeredAt: entry.offeredAt },
+        { status: 'waiting', $unset: { offeredAt: 1, offerExpiresAt: 1 } }
+      );
+      break;
+    }
+
+    offered.push(entry);
+
+    try {
+      await Notification.createNotification({
+        recipient: entry.student,
+        title: 'Waitlist Seat Available',
+        message: `A seat opened up in ${course.title} (${course.courseCode}). Accept it by ${offerExpiresAt.toLocaleString()} or it goes to the next student.`,
+        type: 'enrollment',
+        targetId: course._id,
+        targetUrl: '/my-courses',
+        actionRequired: true
+      });
+    } catch (notifError) {
+      console.error('Error creating waitlist offer notification:', notifError);
+    }
+  }
+
+  return offered;
+};
+
+// Static method to expire offers past their acceptance deadline and, by default,
+// pass the freed seats on to the next students in line
+waitlistSchema.statics.expireOffers = async function(courseId = null, { promoteNext = true } = {}) {
+  const Notification = require('./Notification');
+
+  const filter = { status: 'offered', offerExpiresAt: { $lte: new Date() } };
+  if (courseId) {
+    filter.course = courseId;
+  }
+
+  const expired = await this.find(filter).populate('course', 'title courseCode');
+  const courseIds = new Set();
+
+  for (const entry of expired) {
+    entry.status = 'expired';
+    entry.respondedAt = new Date();
+    await entry.save();
+    courseIds.add(entry.course._id.toString());
+
+    try {
+      await Notification.createNotification({
+        recipient: entry.student,
+        title: 'Waitlist Offer Expired',
+        message: `Your waitlist offer for ${entry.course.title} (${entry.course.courseCode}) expired. You can join the waitlist again.`,
+        type: 'enrollment',
+        targetId: entry.course._id,
+        targetUrl: `/courses/${entry.course._id}`
+      });
+    } catch (notifError) {
+      console.error('Error creating waitlist expiry notification:', notifError);
+    }
+  }
+
+  if (promoteNext) {
+    for (const id of courseIds) {
+      await this.promote(id);
+    }
+  }
+
+  return expired.length;
+};
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Accommodation = require('../models/Accommodation');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Accommodation values kept in the audit log
+const ACCOMMODATION_AUDIT_FIELDS = ['timeMultiplier', 'assignmentTypes', 'notes', 'expiresAt'];
+
+const accommodationValidation = [
+  body('timeMultiplier').isFloat({ min: 1, max: 4 }).withMessage('Time multiplier must be between 1 and 4'),
+  body('assignmentTypes').optional().isArray({ min: 1 }).withMessage('Select at least one assignment type'),
+  body('assignmentTypes.*').isIn(['homework', 'quiz', 'exam', 'project', 'presentation']).withMessage('Invalid assignment type'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Expiry must be a valid date')
+];
+
+const accommodationFields = ({ timeMultiplier, assignmentTypes, notes, expiresAt }) => ({
+  timeMultiplier,
+  ...(assignmentTypes && { assignmentTypes }),
+  notes,
+  expiresAt: expiresAt ? new Date(expiresAt) : null
+});
+
+const studentLabel = (student) => student ? student.email : undefined;
+
+// @route   GET /api/accommodations
+// @desc    Get all recorded accommodations
+// @access  Private (accommodation:manage)
+router.get('/', [auth, requirePermission('accommodation:manage')], async (req, res) => {
+  try {
+    const accommodations = await Accommodation.find()
+      .populate('student', 'firstName lastName email')
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ updatedAt: -1 });
+
+    res.json(accommodations);
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({ message: 'Server error while fetching accommodations' });
+  }
+});
+
+// @route   POST /api/accommodations
+// @desc    Record a student's accommodation
+// @access  Private (accommodation:manage)
+router.post('/', [
+  auth,
+  requirePermission('accommodation:manage'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid student email is required'),
+  ...accommodationValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const student = await User.findOne({ email: req.body.email, role: 'student' });
+    if (!student) {
+      return res.status(404).json({ message: 'No student account with this email' });
+    }
+
+    const accommodation = await Accommodation.create({
+      student: student._id,
+      ...accommodationFields(req.body),
+      recordedBy: req.user._id
+    });
+
+    await AuditLog.record(req, {
+      action: 'accommodation.create',
+      targetType: 'User',
+      target: student,
+      targetLabel: student.email,
+      after: AuditLog.snapshot(accommodation, ACCOMMODATION_AUDIT_FIELDS)
+    });
+
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.createNotification({
+        recipient: student._id,
+        title: 'Accommodation Recorded',
+        message: `You have ${accommodation.timeMultiplier}x time on timed ${accommodation.assignmentTypes.join(' and ')} assignments.`,
+        type: 'system',
+        targetUrl: '/assignments'
+      });
+    } catch (notifError) {
+      console.error('Error creating accommodation notification:', notifError);
+    }
+
+    await accommodation.populate([
+      { path: 'student', select: 'firstName lastName email' },
+      { path: 'recordedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(201).json({
+      message: 'Accommodation recorded successfully',
+      accommodation
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This student already has an accommodation; edit it instead' });
+    }
+    console.error('Create accommodation error:', error);
+    res.status(500).json({ message: 'Server error while recording accommodation' });
+  }
+});
+
+// @route   PUT /api/accommodations/:id
+// @desc    Change a student's accommodation
+// @access  Private (accommodation:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('accommodation:manage'),
+  ...accommodationValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await Accommodation.findById(req.params.id).populate('student', 'email');
+    if (!previous) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    const accommodation = await Accommodation.findByIdAndUpdate(
+      req.params.id,
+      { ...accommodationFields(req.body), recordedBy: req.user._id },
+      { new: true, runValidators: true }
+    ).populate([
+      { path: 'student', select: 'firstName lastName email' },
+      { path: 'recordedBy', select: 'firstName lastName' }
+    ]);
+
+    await AuditLog.record(req, {
+      action: 'accommodation.update',
+      targetType: 'User',
+      target: previous.student,
+      targetLabel: studentLabel(previous.student),
+      before: AuditLog.snapshot(previous, ACCOMMODATION_AUDIT_FIELDS),
+      after: AuditLog.snapshot(accommodation, ACCOMMODATION_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'Accommodation updated successfully',
+      accommodation
+    });
+  } catch (error) {
+    console.error('Update accommodation error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating accommodation' });
+  }
+});
+
+// @route   DELETE /api/accommodations/:id
+// @desc    Remove a student's accommodation
+// @access  Private (accommodation:manage)
+router.delete('/:id', [auth, requirePermission('accommodation:manage')], async (req, res) => {
+  try {
+    const accommodation = await Accommodation.findByIdAndDelete(req.params.id).populate('student', 'email');
+    if (!accommodation) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    await AuditLog.record(req, {
+      action: 'accommodation.remove',
+      targetType: 'User',
+      target: accommodation.student,
+      targetLabel: studentLabel(accommodation.student),
+      before: AuditLog.snapshot(accommodation, ACCOMMODATION_AUDIT_FIELDS)
+    });
+
+    res.json({ message: 'Accommodation removed' });
+  } catch (error) {
+    console.error('Remove accommodation error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+    res.status(500).json({ message: 'Server error while removing accommodation' });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
 const Assignment = require('../models/Assignment');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/analytics/dashboard
 // @desc    Get dashboard analytics
-// @access  Private (Admin/Instructor)
-router.get('/dashboard', [auth, authorize('admin', 'instructor')], async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/dashboard', [auth, requirePermission('analytics:view')], async (req, res) => {
   try {
     const stats = {};
 
+    if (req.query.term && !mongoose.Types.ObjectId.isValid(req.query.term)) {
+      return res.status(400).json({ message: 'Invalid term' });
+    }
+
+    // Optional term filter (?term=<termId>) for course and enrollment figures
+    const courseFilter = req.query.term ? { term: req.query.term } : {};
+    const enrollmentFilter = req.query.term ? { term: req.query.term } : {};
+
     if (req.user.role === 'admin') {
       // Admin dashboard stats
       stats.totalUsers = await User.countDocuments();
       stats.totalStudents = await User.countDocuments({ role: 'student' });
       stats.totalInstructors = await User.countDocuments({ role: 'instructor' });
-      stats.totalCourses = await Course.countDocuments();
-      stats.activeCourses = await Course.countDocuments({ isActive: true, isApproved: true });
-      stats.totalEnrollments = await Enrollment.countDocuments();
+      stats.totalCourses = await Course.countDocuments(courseFilter);
+      stats.activeCourses = await Course.countDocuments({ ...courseFilter, isActive: true, isApproved: true });
+      stats.totalEnrollments = await Enrollment.countDocuments(enrollmentFilter);
       stats.pendingApprovals = await User.countDocuments({ isApproved: false, role: { $ne: 'student' } });
 
       // Recent enrollments
-      stats.recentEnrollments = await Enrollment.find({})
+      stats.recentEnrollments = await Enrollment.find(enrollmentFilter)
         .populate('student', 'firstName lastName')
         .populate('course', 'title')
         .sort({ createdAt: -1 })
@@ -34,7 +43,11 @@ router.get('/dashboard', [auth, authorize('admin', 'instructor')], async (req, r
       // Course enrollment stats
       stats.courseStats = await Course.aggregate([
         {
-          $match: { isActive: true, isApproved: true }
+          $match: {
+            ...(req.query.term && { term: new mongoose.Types.ObjectId(req.query.term) }),
+            isActive: true,
+            isApproved: true
+          }
         },
         {
           $project: {
@@ -54,8 +67,8 @@ router.get('/dashboard', [auth, authorize('admin', 'instructor')], async (req, r
       ]);
 
     } else if (req.user.role === 'instructor') {
-      // Instructor dashboard stats
-      const instructorCourses = await Course.find({ instructor: req.user._id, isActive: true });
+      // Instructor dashboard stats, over the courses they lead or are on the staff of
+      const instructorCourses = await Course.find({ ...courseFilter, ...Course.taughtBy(req.user._id), isActive: true });
       const courseIds = instructorCourses.map(course => course._id);
 
       stats.totalCourses = instructorCourses.length;
@@ -0,0 +1,257 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Announcement = require('../models/Announcement');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { auth } = require('../middleware/auth');
+const { canAccessCourse } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Enrollment statuses that can read a course's announcements
+const READER_STATUSES = ['enrolled', 'completed'];
+
+const announcementValidators = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('body').optional().trim().notEmpty().withMessage('Body cannot be empty')
+    .isLength({ max: 10000 }).withMessage('Body cannot exceed 10000 characters'),
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('Invalid publish date'),
+  body('pinned').optional().isBoolean().withMessage('Pinned must be true or false')
+];
+
+// @route   GET /api/announcements/feed
+// @desc    Published announcements from the student's enrolled courses
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const courseIds = await Enrollment.distinct('course', { student: req.user._id, status: 'enrolled' });
+
+    const filter = { course: { $in: courseIds }, publishAt: { $lte: new Date() } };
+    const [announcements, unreadCount] = await Promise.all([
+      Announcement.find(filter)
+        .populate('course', 'title courseCode')
+        .populate('author', 'firstName lastName')
+        .sort({ publishAt: -1 })
+        .limit(limit),
+      Announcement.countDocuments({ ...filter, 'readBy.user': { $ne: req.user._id } })
+    ]);
+
+    res.json({
+      announcements: announcements.map(a => a.toFeedItem(req.user._id)),
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get announcement feed error:', error);
+    res.status(500).json({ message: 'Server error while fetching announcements' });
+  }
+});
+
+// @route   GET /api/announcements/course/:courseId
+// @desc    Course announcement feed, pinned first then newest
+// @access  Private (Enrolled students, course instructor, admin)
+router.get('/course/:courseId', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const canManage = await canAccessCourse(req.user, course, 'announcement:manage');
+    if (!canManage) {
+      const enrollment = await Enrollment.findOne({
+        student: req.user._id,
+        course: course._id,
+        status: { $in: READER_STATUSES }
+      });
+      if (!enrollment) {
+        return res.status(403).json({ message: 'Only enrolled students can read course announcements' });
+      }
+    }
+
+    const filter = { course: course._id };
+    if (!canManage) {
+      filter.publishAt = { $lte: new Date() };
+    }
+
+    const announcements = await Announcement.find(filter)
+      .populate('author', 'firstName lastName')
+      .sort({ pinned: -1, publishAt: -1 });
+
+    res.json({
+      announcements: announcements.map(a => a.toFeedItem(req.user._id, { includeReadCount: canManage })),
+      canManage,
+      studentCount: canManage
+        ? await Enrollment.countDocuments({ course: course._id, status: 'enrolled' })
+        : undefined
+    });
+  } catch (error) {
+    console.error('Get course announcements error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching announcements' });
+  }
+});
+
+// @route   POST /api/announcements/course/:courseId
+// @desc    Post (or schedule) an announcement to a course
+// @access  Private (Course instructor/Admin)
+router.post('/course/:courseId', [
+  auth,
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('body').trim().notEmpty().withMessage('Body is required'),
+  ...announcementValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, course, 'announcement:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const announcement = await Announcement.create({
+      course: course._id,
+      author: req.user._id,
+      title: req.body.title,
+      body: req.body.body,
+      pinned: req.body.pinned === true || req.body.pinned === 'true',
+      publishAt: req.body.publishAt ? new Date(req.body.publishAt) : new Date()
+    });
+
+    const notified = await announcement.notifyStudents();
+    await announcement.populate('author', 'firstName lastName');
+
+    res.status(201).json({
+      message: announcement.publishAt > new Date()
+        ? 'Announcement scheduled'
+        : `Announcement posted and sent to ${notified} student(s)`,
+      announcement: announcement.toFeedItem(req.user._id, { includeReadCount: true })
+    });
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while creating announcement' });
+  }
+});
+
+// @route   PUT /api/announcements/:id
+// @desc    Edit, pin/unpin or reschedule an announcement
+// @access  Private (Course instructor/Admin)
+router.put('/:id', [auth, ...announcementValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const announcement = await Announcement.findById(req.params.id).populate('course', 'instructor');
+    if (!announcement) {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, announcement.course, 'announcement:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    ['title', 'body'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        announcement[field] = req.body[field];
+      }
+    });
+    if (req.body.pinned !== undefined) {
+      announcement.pinned = req.body.pinned === true || req.body.pinned === 'true';
+    }
+    if (req.body.publishAt !== undefined) {
+      if (announcement.notifiedAt) {
+        return res.status(400).json({ message: 'This announcement has already been published' });
+      }
+      announcement.publishAt = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+    }
+
+    await announcement.save();
+    await announcement.notifyStudents();
+    await announcement.populate('author', 'firstName lastName');
+
+    res.json({
+      message: 'Announcement updated',
+      announcement: announcement.toFeedItem(req.user._id, { includeReadCount: true })
+    });
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating announcement' });
+  }
+});
+
+// @route   DELETE /api/announcements/:id
+// @desc    Delete an announcement
+// @access  Private (Course instructor/Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id).populate('course', 'instructor');
+    if (!announcement) {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, announcement.course, 'announcement:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await announcement.deleteOne();
+
+    res.json({ message: 'Announcement deleted' });
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting announcement' });
+  }
+});
+
+// @route   PUT /api/announcements/:id/read
+// @desc    Mark an announcement as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id).select('course publishAt');
+    if (!announcement || announcement.publishAt > new Date()) {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+
+    await Announcement.updateOne(
+      { _id: announcement._id, 'readBy.user': { $ne: req.user._id } },
+      { $push: { readBy: { user: req.user._id, readAt: new Date() } } }
+    );
+
+    res.json({ message: 'Announcement marked as read' });
+  } catch (error) {
+    console.error('Mark announcement as read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+    res.status(500).json({ message: 'Server error while marking announcement as read' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,48 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Assignment = require('../models/Assignment');
 const Course = require('../models/Course');
-const { auth, authorize, checkApproval } = require('../middleware/auth');
+const Configuration = require('../models/Configuration');
+const Accommodation = require('../models/Accommodation');
+const Rubric = require('../models/Rubric');
+const { auth, requirePermission, checkApproval } = require('../middleware/auth');
+const { canAccessCourse } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Rubric as stored on an assignment; a rubric without criteria means grading by points
+const toAssignmentRubric = (rubric) => (rubric && Array.isArray(rubric.criteria) && rubric.criteria.length > 0
+  ? { source: rubric.source || undefined, title: rubric.title, criteria: rubric.criteria }
+  : { criteria: [] });
+
+// A rubric's best score has to match the points the assignment is out of
+const rubricTotalError = (rubric, totalPoints) => {
+  const rubricTotal = Rubric.getTotalPoints(rubric.criteria);
+  return rubric.criteria.length > 0 && rubricTotal !== Number(totalPoints)
+    ? `The rubric adds up to ${rubricTotal} points but the assignment is out of ${totalPoints}`
+    : null;
+};
+
+const rubricValidation = [
+  body('rubric.source').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid rubric'),
+  body('rubric.title').optional().trim().isLength({ max: 100 }).withMessage('Rubric title cannot exceed 100 characters'),
+  body('rubric.criteria').optional().isArray().withMessage('Rubric criteria must be a list'),
+  body('rubric.criteria.*.title').trim().notEmpty().withMessage('Every criterion needs a title'),
+  body('rubric.criteria.*.levels').isArray({ min: 1 }).withMessage('Every criterion needs at least one level'),
+  body('rubric.criteria.*.levels.*.title').trim().notEmpty().withMessage('Every level needs a title'),
+  body('rubric.criteria.*.levels.*.points').isFloat({ min: 0 }).withMessage('Level points must be a positive number')
+];
+
+// What a student sees of an assignment: their own deadline and time limit, but not
+// other students' extensions. Expects the assignment loaded with +extensions.
+const forStudent = (assignment, studentId, accommodation) => {
+  const { extensions, ...details } = assignment.toObject();
+  return {
+    ...details,
+    studentDueDate: assignment.getDueDateFor(studentId, accommodation),
+    studentTimeLimitMinutes: assignment.getTimeLimitFor(accommodation)
+  };
+};
+
 // @route   GET /api/assignments
 // @desc    Get assignments for current user
 // @access  Private
@@ -23,16 +61,22 @@ router.get('/', auth, async (req, res) => {
       
       const courseIds = enrollments.map(enrollment => enrollment.course._id);
       
-      assignments = await Assignment.find({
-        course: { $in: courseIds },
-        isPublished: true
-      })
-      .populate('course', 'title courseCode')
-      .populate('instructor', 'firstName lastName')
-      .sort({ dueDate: 1 });
+      const [published, accommodation] = await Promise.all([
+        Assignment.find({
+          course: { $in: courseIds },
+          isPublished: true
+        })
+        .select('+extensions')
+        .populate('course', 'title courseCode')
+        .populate('instructor', 'firstName lastName')
+        .sort({ dueDate: 1 }),
+        Accommodation.findActiveFor(req.user._id)
+      ]);
+      assignments = published.map(assignment => forStudent(assignment, req.user._id, accommodation));
     } else {
-      // Instructors get their own assignments
-      assignments = await Assignment.find({ instructor: req.user._id })
+      // Instructors get the assignments of the courses they teach
+      const courseIds = await Course.find(Course.taughtBy(req.user._id)).distinct('_id');
+      assignments = await Assignment.find({ course: { $in: courseIds } })
         .populate('course', 'title courseCode')
         .sort({ dueDate: 1 });
     }
@@ -46,16 +90,24 @@ router.get('/', auth, async (req, res) => {
 
 // @route   POST /api/assignments
 // @desc    Create a new assignment
-// @access  Private (Instructor only)
+// @access  Private (assignment:manage)
 router.post('/', [
   auth,
-  authorize('instructor', 'admin'),
+  requirePermission('assignment:manage'),
   checkApproval,
   body('title').trim().notEmpty().withMessage('Assignment title is required'),
   body('description').trim().notEmpty().withMessage('Assignment description is required'),
   body('courseId').notEmpty().withMessage('Course ID is required'),
   body('type').isIn(['homework', 'quiz', 'exam', 'project', 'presentation']).withMessage('Invalid assignment type'),
   body('totalPoints').isInt({ min: 1 }).withMessage('Total points must be at least 1'),
+  body('submissionType').optional().isIn(['file', 'text', 'both']).withMessage('Invalid submission type'),
+  body('maxAttempts').optional().isInt({ min: 0, max: 100 }).withMessage('Max attempts must be between 0 (unlimited) and 100'),
+  body('latePenalty').optional().isFloat({ min: 0, max: 100 }).withMessage('Late penalty must be between 0 and 100'),
+  body('latePenaltyType').optional().isIn(['flat', 'per_day']).withMessage('Invalid late penalty type'),
+  body('latePenaltyCap').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Late penalty cap must be between 0 and 100'),
+  body('gracePeriodMinutes').optional().isInt({ min: 0 }).withMessage('Grace period must be a positive number of minutes'),
+  body('timeLimitMinutes').optional({ nullable: true }).isInt({ min: 1, max: 1440 }).withMessage('Time limit must be between 1 and 1440 minutes'),
+  ...rubricValidation,
   body('dueDate').isISO8601().withMessage('Valid due date is required').custom((value) => {
     const dueDate = new Date(value);
     if (isNaN(dueDate.getTime())) {
@@ -77,15 +129,25 @@ router.post('/', [
       });
     }
 
-    const { title, description, courseId, type, totalPoints, dueDate, isPublished, allowLateSubmission, latePenalty } = req.body;
+    const {
+      title, description, courseId, type, totalPoints, dueDate, isPublished, allowLateSubmission, latePenalty,
+      latePenaltyType, latePenaltyCap, gracePeriodMinutes, timeLimitMinutes, submissionType, allowedFileTypes,
+      maxFileSize, maxAttempts
+    } = req.body;
+
+    const rubric = toAssignmentRubric(req.body.rubric);
+    const rubricError = rubricTotalError(rubric, totalPoints);
+    if (rubricError) {
+      return res.status(400).json({ message: rubricError });
+    }
 
-    // Verify course exists and instructor owns it
+    // Verify course exists and the user may manage its assignments
     const course = await Course.findById(courseId);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (req.user.role !== 'instructor' || course.instructor.toString() !== req.user._id.toString()) {
+    if (!(await canAccessCourse(req.user, course, 'assignment:manage'))) {
       return res.status(403).json({ message: 'Not authorized to create assignments for this course' });
     }
 
@@ -101,13 +163,27 @@ router.post('/', [
       title,
       description,
       course: courseId,
-      instructor: req.user._id,
+      instructor: course.instructor,
       type,
       totalPoints,
       dueDate: parsedDueDate,
       isPublished: isPublished || false,
       allowLateSubmission: allowLateSubmission !== undefined ? allowLateSubmission : true,
-      latePenalty: latePenalty || 0
+      // The configured penalty and grace period are the defaults for new assignments
+      latePenalty: latePenalty !== undefined
+        ? latePenalty
+        : await Configuration.getValue('assignment_late_penalty', 0),
+      latePenaltyType,
+      latePenaltyCap: latePenaltyCap ?? undefined,
+      gracePeriodMinutes: gracePeriodMinutes !== undefined
+        ? gracePeriodMinutes
+        : await Configuration.getValue('assignment_grace_period_minutes', 0),
+      timeLimitMinutes: timeLimitMinutes ?? undefined,
+      submissionType,
+      allowedFileTypes,
+      maxFileSize,
+      maxAttempts,
+      rubric
     });
 
     await assignment.save();
@@ -158,14 +234,22 @@ router.post('/', [
 // @access  Private
 router.get('/course/:courseId', auth, async (req, res) => {
   try {
-    const assignments = await Assignment.find({
+    const query = Assignment.find({
       course: req.params.courseId,
       isPublished: true
     })
     .populate('instructor', 'firstName lastName')
     .sort({ dueDate: 1 });
 
-    res.json(assignments);
+    if (req.user.role === 'student') {
+      const [assignments, accommodation] = await Promise.all([
+        query.select('+extensions'),
+        Accommodation.findActiveFor(req.user._id)
+      ]);
+      return res.json(assignments.map(assignment => forStudent(assignment, req.user._id, accommodation)));
+    }
+
+    res.json(await query);
   } catch (error) {
     console.error('Get assignments error:', error);
     res.status(500).json({ message: 'Server error while fetching assignments' });
@@ -178,6 +262,7 @@ router.get('/course/:courseId', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id)
+      .select('+extensions')
       .populate('course', 'title courseCode')
       .populate('instructor', 'firstName lastName');
 
@@ -185,6 +270,11 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    if (req.user.role === 'student') {
+      const accommodation = await Accommodation.findActiveFor(req.user._id);
+      return res.json(forStudent(assignment, req.user._id, accommodation));
+    }
+
     res.json(assignment);
   } catch (error) {
     console.error('Get assignment error:', error);
@@ -194,27 +284,55 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   PUT /api/assignments/:id
 // @desc    Update assignment
-// @access  Private (Instructor only)
+// @access  Private (assignment:manage)
 router.put('/:id', [
   auth,
-  authorize('instructor', 'admin'),
-  checkApproval
+  requirePermission('assignment:manage'),
+  checkApproval,
+  ...rubricValidation
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const assignment = await Assignment.findById(req.params.id);
     
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    // Check if instructor owns this assignment
-    if (req.user.role !== 'admin' && assignment.instructor.toString() !== req.user._id.toString()) {
+    // Check if user may manage this course's assignments
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Extensions are granted and quiz questions chosen through their own routes
+    const { extensions, quiz, ...updates } = req.body;
+
+    // Submissions graded earlier keep the criterion titles and scores they were given
+    if (updates.rubric !== undefined) {
+      updates.rubric = toAssignmentRubric(updates.rubric);
+    }
+    const rubricError = rubricTotalError(
+      updates.rubric || assignment.rubric || { criteria: [] },
+      updates.totalPoints ?? assignment.totalPoints
+    );
+    if (rubricError) {
+      return res.status(400).json({ message: rubricError });
+    }
+    if (assignment.hasQuiz() && updates.totalPoints !== undefined &&
+        Number(updates.totalPoints) !== assignment.totalPoints) {
+      return res.status(400).json({ message: 'The points of a quiz are the total of its questions' });
+    }
+
     const updatedAssignment = await Assignment.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate([
       { path: 'course', select: 'title courseCode' },
@@ -231,12 +349,200 @@ router.put('/:id', [
   }
 });
 
+// @route   GET /api/assignments/:id/extensions
+// @desc    Get the extensions and each enrolled student's deadline
+// @access  Private (assignment:manage)
+router.get('/:id/extensions', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id)
+      .select('+extensions')
+      .populate('extensions.grantedBy', 'firstName lastName');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const Enrollment = require('../models/Enrollment');
+    const enrollments = await Enrollment.find({ course: assignment.course, status: 'enrolled' })
+      .populate('student', 'firstName lastName email');
+    const accommodations = await Accommodation.getActiveByStudent(enrollments.map(e => e.student._id));
+
+    // Instructors see whether an accommodation applies, but not its notes
+    const students = enrollments
+      .map(({ student }) => {
+        const accommodation = accommodations.get(student._id.toString());
+        const extension = assignment.extensions.find(e => e.student.toString() === student._id.toString());
+        return {
+          _id: student._id,
+          firstName: student.firstName,
+          lastName: student.lastName,
+          email: student.email,
+          dueDate: assignment.getDueDateFor(student._id, accommodation),
+          timeLimitMinutes: assignment.getTimeLimitFor(accommodation),
+          hasAccommodation: Boolean(accommodation && accommodation.appliesTo(assignment)),
+          extension: extension || null
+        };
+      })
+      .sort((a, b) => a.lastName.localeCompare(b.lastName));
+
+    res.json({
+      dueDate: assignment.dueDate,
+      timeLimitMinutes: assignment.timeLimitMinutes,
+      students
+    });
+  } catch (error) {
+    console.error('Get extensions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching extensions' });
+  }
+});
+
+// @route   POST /api/assignments/:id/extensions
+// @desc    Grant or change the deadline extension of one student or a group of students
+// @access  Private (assignment:manage)
+router.post('/:id/extensions', [
+  auth,
+  requirePermission('assignment:manage'),
+  checkApproval,
+  body('studentIds').isArray({ min: 1 }).withMessage('Select at least one student'),
+  body('studentIds.*').isMongoId().withMessage('Invalid student ID'),
+  body('dueDate').isISO8601().withMessage('Valid extended due date is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('group').optional().trim().isLength({ max: 100 }).withMessage('Group name cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const studentIds = [...new Set(req.body.studentIds)];
+    const Enrollment = require('../models/Enrollment');
+    const enrollments = await Enrollment.find({
+      student: { $in: studentIds },
+      course: assignment.course,
+      status: 'enrolled'
+    }).populate('student', 'firstName lastName');
+    if (enrollments.length !== studentIds.length) {
+      return res.status(404).json({ message: 'Every student must be enrolled in this course' });
+    }
+
+    const dueDate = new Date(req.body.dueDate);
+    if (dueDate <= assignment.dueDate) {
+      return res.status(400).json({ message: 'The extended due date must be after the assignment due date' });
+    }
+
+    // Updated in place: saving the assignment would re-run the future due date check.
+    // Any earlier extension of these students is replaced.
+    const grantedAt = new Date();
+    await Assignment.updateOne(
+      { _id: assignment._id },
+      { $pull: { extensions: { student: { $in: studentIds } } } }
+    );
+    await Assignment.updateOne(
+      { _id: assignment._id },
+      {
+        $push: {
+          extensions: {
+            $each: studentIds.map(student => ({
+              student,
+              dueDate,
+              reason: req.body.reason,
+              group: req.body.group || undefined,
+              grantedBy: req.user._id,
+              grantedAt
+            }))
+          }
+        }
+      }
+    );
+    const updated = await Assignment.findById(assignment._id).select('+extensions');
+
+    try {
+      const Notification = require('../models/Notification');
+      await Promise.all(enrollments.map(enrollment => Notification.createNotification({
+        recipient: enrollment.student._id,
+        title: 'Deadline Extended',
+        message: `Your deadline for "${assignment.title}" is now ${dueDate.toLocaleString()}.`,
+        type: 'assignment',
+        targetId: assignment._id,
+        targetUrl: `/assignments/${assignment._id}`
+      })));
+    } catch (notifError) {
+      console.error('Error creating extension notification:', notifError);
+    }
+
+    const [first] = enrollments;
+    res.json({
+      message: enrollments.length === 1
+        ? `Extension granted to ${first.student.firstName} ${first.student.lastName}`
+        : `Extension granted to ${enrollments.length} students`,
+      extensions: updated.extensions
+    });
+  } catch (error) {
+    console.error('Grant extension error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while granting extension' });
+  }
+});
+
+// @route   DELETE /api/assignments/:id/extensions/:studentId
+// @desc    Remove a student's deadline extension
+// @access  Private (assignment:manage)
+router.delete('/:id/extensions/:studentId', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id).select('+extensions');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = await Assignment.updateOne(
+      { _id: assignment._id },
+      { $pull: { extensions: { student: req.params.studentId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Extension not found' });
+    }
+
+    res.json({ message: 'Extension removed' });
+  } catch (error) {
+    console.error('Remove extension error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while removing extension' });
+  }
+});
+
 // @route   DELETE /api/assignments/:id
 // @desc    Delete assignment
-// @access  Private (Instructor only)
+// @access  Private (assignment:manage)
 router.delete('/:id', [
   auth,
-  authorize('instructor', 'admin'),
+  requirePermission('assignment:manage'),
   checkApproval
 ], async (req, res) => {
   try {
@@ -246,8 +552,8 @@ router.delete('/:id', [
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    // Check if instructor owns this assignment
-    if (req.user.role !== 'admin' && assignment.instructor.toString() !== req.user._id.toString()) {
+    // Check if user may manage this course's assignments
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
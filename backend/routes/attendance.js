@@ -3,16 +3,17 @@ const { body, validationResult } = require('express-validator');
 const Attendance = require('../models/Attendance');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
-const { auth, authorize, checkApproval } = require('../middleware/auth');
+const { auth, requirePermission, checkApproval } = require('../middleware/auth');
+const { canAccessCourse, canAccessStudent } = require('../utils/permissions');
 
 const router = express.Router();
 
 // @route   POST /api/attendance
 // @desc    Mark attendance for a class
-// @access  Private (Instructor only)
+// @access  Private (attendance:mark)
 router.post('/', [
   auth,
-  authorize('instructor'), // Removed 'admin' - only instructors can mark attendance
+  requirePermission('attendance:mark'),
   checkApproval,
   body('courseId').notEmpty().withMessage('Course ID is required'),
   body('date').isISO8601().withMessage('Valid date is required'),
@@ -29,13 +30,13 @@ router.post('/', [
 
     const { courseId, date, students, classType, topic, duration } = req.body;
 
-    // Verify course exists and instructor owns it
+    // Verify course exists and the user may take its attendance
     const course = await Course.findById(courseId);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (req.user.role !== 'instructor' || course.instructor.toString() !== req.user._id.toString()) {
+    if (!(await canAccessCourse(req.user, course, 'attendance:mark'))) {
       return res.status(403).json({ message: 'Not authorized to mark attendance for this course' });
     }
 
@@ -59,15 +60,7 @@ router.post('/', [
 
     // Update enrollment attendance counts
     for (const studentAttendance of students) {
-      await Enrollment.findOneAndUpdate(
-        { student: studentAttendance.student, course: courseId },
-        { 
-          $inc: { 
-            'attendance.totalClasses': 1,
-            'attendance.attendedClasses': studentAttendance.status === 'present' ? 1 : 0
-          }
-        }
-      );
+      await Enrollment.recordAttendance(studentAttendance.student, courseId, studentAttendance.status);
     }
 
     await attendance.populate([
@@ -87,16 +80,16 @@ router.post('/', [
 
 // @route   GET /api/attendance/course/:courseId
 // @desc    Get attendance records for a course
-// @access  Private (Instructor/Admin)
-router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (attendance:view)
+router.get('/course/:courseId', [auth, requirePermission('attendance:view')], async (req, res) => {
   try {
     const course = await Course.findById(req.params.courseId);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if instructor owns this course
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user._id.toString()) {
+    // Check if user may view this course's attendance
+    if (!(await canAccessCourse(req.user, course, 'attendance:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -116,8 +109,8 @@ router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async
 // @access  Private
 router.get('/student/:studentId', auth, async (req, res) => {
   try {
-    // Students can only view their own attendance
-    if (req.user.role === 'student' && req.params.studentId !== req.user._id.toString()) {
+    // Students can only view their own attendance; staff need to teach the student
+    if (!(await canAccessStudent(req.user, req.params.studentId, 'attendance:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -0,0 +1,177 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Largest export in one file; narrow the filters for more
+const EXPORT_LIMIT = 10000;
+
+const filterValidation = [
+  query('action').optional().isString().isLength({ max: 100 }).withMessage('Invalid action'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetType').optional().isIn(AuditLog.TARGET_TYPES).withMessage('Invalid target type'),
+  query('targetId').optional().isString().isLength({ max: 100 }).withMessage('Invalid target ID'),
+  query('from').optional().isString().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isString().isISO8601().withMessage('To must be a valid date'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be text of at most 200 characters')
+];
+
+// Build the query shared by the list and the export
+const buildFilter = ({ action, actor, targetType, targetId, from, to, search }) => {
+  const filter = {};
+  if (action) filter.action = action;
+  if (actor) filter.actor = actor;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) {
+      // A bare date includes the whole day
+      const end = new Date(to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setUTCDate(end.getUTCDate() + 1);
+        filter.createdAt.$lt = end;
+      } else {
+        filter.createdAt.$lte = end;
+      }
+    }
+  }
+  if (search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = ['actorName', 'actorEmail', 'targetLabel', 'targetId', 'action'].map(field => ({
+      [field]: { $regex: pattern, $options: 'i' }
+    }));
+  }
+  return filter;
+};
+
+// Cells starting with =, +, -, @, a tab or a carriage return are prefixed with ' so spreadsheets
+// don't run them as formulas
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route   GET /api/audit-logs
+// @desc    Get audit log entries, newest first
+// @access  Private (audit:view)
+router.get('/', [
+  auth,
+  requirePermission('audit:view'),
+  ...filterValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 25 } = req.query;
+    const filter = buildFilter(req.query);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error while fetching the audit log' });
+  }
+});
+
+// @route   GET /api/audit-logs/actions
+// @desc    Get the actions recorded so far, for filtering
+// @access  Private (audit:view)
+router.get('/actions', [auth, requirePermission('audit:view')], async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action');
+
+    res.json({
+      actions: actions.sort(),
+      targetTypes: AuditLog.TARGET_TYPES
+    });
+  } catch (error) {
+    console.error('Get audit actions error:', error);
+    res.status(500).json({ message: 'Server error while fetching audit actions' });
+  }
+});
+
+// @route   GET /api/audit-logs/export
+// @desc    Export the filtered audit log as CSV or JSON
+// @access  Private (audit:view)
+router.get('/export', [
+  auth,
+  requirePermission('audit:view'),
+  ...filterValidation,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv' } = req.query;
+    const entries = await AuditLog.find(buildFilter(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({
+        exportedAt: new Date(),
+        count: entries.length,
+        entries
+      });
+    }
+
+    const columns = ['createdAt', 'actorName', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId',
+      'targetLabel', 'before', 'after', 'details', 'ip', 'userAgent'];
+    const rows = entries.map(entry => columns.map(column => csvCell(
+      column === 'createdAt' ? entry.createdAt.toISOString() : entry[column]
+    )).join(','));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send([columns.join(','), ...rows].join('\n'));
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ message: 'Server error while exporting the audit log' });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,89 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const AccountToken = require('../models/AccountToken');
+const OutboundEmail = require('../models/OutboundEmail');
+const Configuration = require('../models/Configuration');
+const { validatePassword } = require('../utils/passwordPolicy');
+const twoFactor = require('../utils/twoFactor');
+const { getPermissions } = require('../utils/permissions');
+const { auth, authAllowTwoFactorSetup, authorize, needsTwoFactorSetup } = require('../middleware/auth');
 const { uploadDocuments } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+// Generate a short-lived access token bound to a server-side session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Open a session for a sign-in and return its access and refresh tokens
+const issueTokens = async (userId, req, options) => {
+  const { session, refreshToken } = await Session.start(userId, req, options);
+  return { token: generateToken(userId, session._id), refreshToken, session };
+};
+
+// Short-lived token for a sign-in that passed the password step but still needs its second factor.
+// It has no session, so the auth middleware does not accept it as an access token.
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+// Number of unused backup codes left for the user
+const countBackupCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.backupCodes');
+  return (user?.twoFactor?.backupCodes || []).filter(code => !code.usedAt).length;
+};
+
+// Public profile plus the user's permissions and whether the session still has to
+// enroll in required two-factor authentication
+const presentUser = async (user, session) => ({
+  ...user.getPublicProfile(),
+  permissions: [...await getPermissions(user)],
+  twoFactorSetupRequired: await needsTwoFactorSetup(user, session)
+});
+
+// Respond to a locked-out sign-in with the time left before the next attempt
+const sendLockedOut = (res, retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter
+  });
+};
+
+// Respond with the password policy problems, if any; returns true when a response was sent
+const rejectWeakPassword = async (res, password, user) => {
+  const problems = await validatePassword(password, user);
+  if (problems.length === 0) {
+    return false;
+  }
+  res.status(400).json({
+    message: problems.join(' '),
+    errors: problems.map(msg => ({ path: 'password', msg }))
+  });
+  return true;
+};
+
+// Minimum gap between reset/verification emails to one account
+const RESEND_INTERVAL_SECONDS = 60;
+
+const describeDuration = (minutes) => (minutes % 60 === 0
+  ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  : `${minutes} minutes`);
+
+// Email the user a fresh verification link
+const sendVerificationEmail = async (user) => {
+  const minutes = Number(await Configuration.getValue('email_verification_token_hours', 48)) * 60;
+  const token = await AccountToken.issue(user._id, 'email_verification', minutes);
+  await OutboundEmail.queueAccountEmail(user, 'email_verification', { token, expiresIn: describeDuration(minutes) });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -21,7 +92,7 @@ router.post('/register', [
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('password').notEmpty().withMessage('Password is required'),
   body('role').isIn(['student', 'instructor']).withMessage('Invalid role')
 ], async (req, res) => {
   try {
@@ -35,6 +106,10 @@ router.post('/register', [
 
     const { firstName, lastName, email, password, role, phone, dateOfBirth, instructorProfile } = req.body;
 
+    if (await rejectWeakPassword(res, password, { email, firstName, lastName })) {
+      return;
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -74,9 +149,17 @@ router.post('/register', [
       };
     }
 
+    userData.emailVerified = false;
+
     const user = new User(userData);
     await user.save();
 
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Error sending verification email:', emailError);
+    }
+
     // If instructor, create notification for admins
     if (role === 'instructor') {
       const Notification = require('../models/Notification');
@@ -92,8 +175,18 @@ router.post('/register', [
       );
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // When verification is required the user signs in after opening the emailed link
+    if (await Configuration.getValue('require_email_verification', false)) {
+      return res.status(201).json({
+        message: 'Registration successful! Check your email for a link to verify your address, then log in.',
+        user: user.getPublicProfile(),
+        verificationRequired: true,
+        requiresApproval: role === 'instructor',
+        needsDocuments: role === 'instructor'
+      });
+    }
+
+    const { token, refreshToken, session } = await issueTokens(user._id, req);
 
     const message = role === 'instructor' 
       ? 'Registration successful! Please upload your documents for verification.'
@@ -102,7 +195,8 @@ router.post('/register', [
     res.status(201).json({
       message,
       token,
-      user: user.getPublicProfile(),
+      refreshToken,
+      user: await presentUser(user, session),
       requiresApproval: role === 'instructor',
       needsDocuments: role === 'instructor'
     });
@@ -130,10 +224,38 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse locked-out accounts and IPs before touching the password
+    const retryAfter = Math.max(
+      await LoginThrottle.getRetryAfter('ip', req.ip),
+      await LoginThrottle.getRetryAfter('account', email)
+    );
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    // Unknown emails count against the email too, so lockouts don't reveal which accounts exist
+    const rejectCredentials = async () => {
+      const settings = await LoginThrottle.getSettings();
+      const lockedFor = Math.max(
+        await LoginThrottle.registerFailure('ip', req.ip, settings),
+        await LoginThrottle.registerFailure('account', email, settings)
+      );
+      if (lockedFor > 0) {
+        return sendLockedOut(res, lockedFor);
+      }
+      return res.status(400).json({ message: 'Invalid credentials' });
+    };
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectCredentials();
+    }
+
+    // Verify password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return rejectCredentials();
     }
 
     // Check if account is active
@@ -141,23 +263,37 @@ router.post('/login', [
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
-    // Verify password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    if (user.emailVerified === false && await Configuration.getValue('require_email_verification', false)) {
+      await LoginThrottle.clear('account', email);
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
     }
 
+    // Failed attempts are only forgotten after the second factor, so a known
+    // password cannot be used to reset the lockout while guessing codes
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
+    await LoginThrottle.clear('account', email);
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken, session } = await issueTokens(user._id, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: user.getPublicProfile()
+      refreshToken,
+      user: await presentUser(user, session)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -165,12 +301,85 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a sign-in with an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Sign-in challenge is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (verifyError) {
+      challenge = null;
+    }
+    const user = challenge && challenge.purpose === 'two_factor' && await User.findById(challenge.userId);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+
+    const retryAfter = Math.max(
+      await LoginThrottle.getRetryAfter('ip', req.ip),
+      await LoginThrottle.getRetryAfter('account', user.email)
+    );
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const method = await user.consumeSecondFactor(req.body.code);
+    if (!method) {
+      const settings = await LoginThrottle.getSettings();
+      const lockedFor = Math.max(
+        await LoginThrottle.registerFailure('ip', req.ip, settings),
+        await LoginThrottle.registerFailure('account', user.email, settings)
+      );
+      if (lockedFor > 0) {
+        return sendLockedOut(res, lockedFor);
+      }
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await LoginThrottle.clear('account', user.email);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { token, refreshToken, session } = await issueTokens(user._id, req, { twoFactorVerified: true });
+
+    let message = 'Login successful';
+    if (method === 'backup') {
+      const remaining = await countBackupCodes(user._id);
+      message = `Login successful. You have ${remaining} backup code${remaining === 1 ? '' : 's'} left.`;
+    }
+
+    res.json({
+      message,
+      token,
+      refreshToken,
+      user: await presentUser(user, session)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', authAllowTwoFactorSetup, async (req, res) => {
   try {
-    res.json({ user: req.user.getPublicProfile() });
+    res.json({ user: await presentUser(req.user, req.authSession) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -225,7 +434,7 @@ router.put('/profile', auth, [
 // @access  Private
 router.put('/change-password', auth, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  body('newPassword').notEmpty().withMessage('New password is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -247,22 +456,456 @@ router.put('/change-password', auth, [
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    if (await rejectWeakPassword(res, newPassword, user)) {
+      return;
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every session, then give this device a fresh one
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken } = await issueTokens(user._id, req, {
+      twoFactorVerified: req.authSession.twoFactorVerified
+    });
+
+    res.json({
+      message: 'Password changed successfully. Other devices have been signed out.',
+      token,
+      refreshToken
+    });
   } catch (error) {
     console.error('Password change error:', error);
     res.status(500).json({ message: 'Server error during password change' });
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const message = 'If an account exists for that email, a password reset link has been sent.';
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive || await AccountToken.issuedRecently(user._id, 'password_reset', RESEND_INTERVAL_SECONDS)) {
+      return res.json({ message });
+    }
+
+    const minutes = Number(await Configuration.getValue('password_reset_token_minutes', 60));
+    const token = await AccountToken.issue(user._id, 'password_reset', minutes);
+    await OutboundEmail.queueAccountEmail(user, 'password_reset', { token, expiresIn: describeDuration(minutes) });
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every session
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invalid = { message: 'This reset link is invalid or has expired. Please request a new one.' };
+
+    // Check the password before spending the token, so a rejected password can be retried
+    const pending = await AccountToken.findValid(req.body.token, 'password_reset');
+    const user = pending && await User.findById(pending.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json(invalid);
+    }
+
+    if (await rejectWeakPassword(res, req.body.password, user)) {
+      return;
+    }
+
+    if (!(await AccountToken.consume(req.body.token, 'password_reset'))) {
+      return res.status(400).json(invalid);
+    }
+
+    user.password = req.body.password;
+    // Opening the emailed link proves the address belongs to the user
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await LoginThrottle.clear('account', user.email);
+
+    res.json({ message: 'Your password has been reset. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const token = await AccountToken.consume(req.body.token, 'email_verification');
+    if (!token) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired. Please request a new one.' });
+    }
+
+    await User.updateOne(
+      { _id: token.user },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    res.json({ message: 'Your email address has been verified.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link to an unverified account
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const message = 'If that account still needs verifying, a new link has been sent.';
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive || user.emailVerified !== false
+      || await AccountToken.issuedRecently(user._id, 'email_verification', RESEND_INTERVAL_SECONDS)) {
+      return res.json({ message });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let rotated;
+    try {
+      rotated = await Session.rotate(req.body.refreshToken);
+    } catch (rotateError) {
+      return res.status(401).json({ message: rotateError.message });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await session.revoke('deactivated');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and end the current session
+// @access  Private
+router.post('/logout', authAllowTwoFactorSetup, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions (devices)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastActiveAt: -1 });
+
+    const timeout = await Session.getIdleTimeout();
+
+    res.json({
+      sessions: sessions
+        .filter(session => !session.isIdle(timeout))
+        .map(session => session.toListItem(req.authSession._id)),
+      idleTimeout: timeout
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other session
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const count = await Session.revokeAllForUser(req.user._id, 'revoked', req.authSession._id);
+    res.json({ message: `Signed out of ${count} other session(s)` });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke(session._id.equals(req.authSession._id) ? 'logout' : 'revoked');
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the user's two-factor authentication status
+// @access  Private
+router.get('/2fa', authAllowTwoFactorSetup, async (req, res) => {
+  try {
+    res.json({
+      enabled: Boolean(req.user.twoFactor?.enabled),
+      enabledAt: req.user.twoFactor?.enabledAt,
+      required: await twoFactor.isRequiredForRole(req.user.role),
+      backupCodesRemaining: req.user.twoFactor?.enabled ? await countBackupCodes(req.user._id) : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error while fetching two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and its QR code for an authenticator app
+// @access  Private
+router.post('/2fa/setup', authAllowTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactor.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+    const { otpauthUrl, qrCode } = await twoFactor.buildEnrollment(secret, req.user.email);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with a code from the authenticator app; returns backup codes once
+// @access  Private
+router.post('/2fa/enable', authAllowTwoFactorSetup, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup before entering a code' });
+    }
+
+    const step = twoFactor.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code. Check the time on your device and try again.' });
+    }
+
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.backupCodes': hashes
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    // This device just proved the second factor; sessions elsewhere only had the password
+    await Session.updateOne({ _id: req.authSession._id }, { twoFactorVerified: true });
+    await Session.revokeAllForUser(user._id, 'two_factor_changed', req.authSession._id);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Other devices have been signed out.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes (password required); returns the new codes once
+// @access  Private
+router.post('/2fa/backup-codes', auth, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': hashes });
+
+    res.json({
+      message: 'New backup codes generated. Your old codes no longer work.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({ message: 'Server error while generating backup codes' });
+  }
+});
+
+// @route   DELETE /api/auth/2fa
+// @desc    Turn off two-factor authentication (password required; not allowed when the role requires it)
+// @access  Private
+router.delete('/2fa', auth, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await twoFactor.isRequiredForRole(user.role)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for your role and cannot be turned off' });
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await User.resetTwoFactor(user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
 });
 
 // @route   POST /api/auth/upload-documents
@@ -0,0 +1,300 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Configuration = require('../models/Configuration');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const {
+  renderReceiptHtml,
+  renderReceiptPdf,
+  renderStatementHtml,
+  renderStatementPdf
+} = require('../utils/billingDocuments');
+
+const router = express.Router();
+
+// @route   GET /api/billing/invoices
+// @desc    List invoices (students see their own)
+// @access  Private
+router.get('/invoices', [
+  auth,
+  query('status').optional().isIn(['open', 'partial', 'paid', 'void']).withMessage('Invalid status'),
+  query('student').optional().isMongoId().withMessage('Invalid student ID'),
+  query('search').optional().isString().isLength({ max: 50 }).withMessage('Search must be text of at most 50 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const canManage = await hasPermission(req.user, 'billing:manage');
+    if (!canManage && req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {};
+    if (!canManage) {
+      filter.student = req.user._id;
+    } else if (req.query.student) {
+      filter.student = req.query.student;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.search) {
+      filter.invoiceNumber = { $regex: req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .populate('student', 'firstName lastName email')
+        .populate('course', 'title courseCode')
+        .populate('term', 'name')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      invoices,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error while fetching invoices' });
+  }
+});
+
+// @route   GET /api/billing/invoices/:id
+// @desc    Get an invoice with its ledger entries
+// @access  Private
+router.get('/invoices/:id', auth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('student', 'firstName lastName email')
+      .populate('course', 'title courseCode')
+      .populate('term', 'name');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.student._id.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'billing:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id })
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.json({ invoice, payments });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching invoice' });
+  }
+});
+
+// @route   POST /api/billing/invoices/:id/payments
+// @desc    Record a full or partial payment against an invoice
+// @access  Private (billing:manage)
+router.post('/invoices/:id/payments', [
+  auth,
+  requirePermission('billing:manage'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('method').isIn(['cash', 'card', 'bank_transfer', 'cheque', 'online']).withMessage('Invalid payment method'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Cannot record payments on a void invoice' });
+    }
+
+    // Hold the amount before charging, so a concurrent payment can't take the same balance
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+    if (!(await Invoice.reserveBalance(invoice._id, amount))) {
+      return res.status(400).json({
+        message: `Payment exceeds the outstanding balance of ${invoice.currency} ${invoice.balance.toFixed(2)}`
+      });
+    }
+
+    let payment;
+    try {
+      payment = await Payment.record(invoice, {
+        amount,
+        method: req.body.method,
+        reference: req.body.reference,
+        notes: req.body.notes,
+        recordedBy: req.user._id
+      });
+    } finally {
+      await Invoice.releaseBalance(invoice._id, amount);
+    }
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        message: `Payment failed: ${payment.failureReason}`,
+        payment
+      });
+    }
+
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.createNotification({
+        recipient: invoice.student,
+        title: 'Payment Received',
+        message: `We received ${invoice.currency} ${payment.amount.toFixed(2)} for invoice ${invoice.invoiceNumber}. Receipt ${payment.receiptNumber}.`,
+        type: 'payment',
+        targetId: invoice._id,
+        targetUrl: '/billing'
+      });
+    } catch (notifError) {
+      console.error('Error creating payment notification:', notifError);
+    }
+
+    res.status(201).json({
+      message: invoice.status === 'paid' ? 'Payment recorded. Invoice is paid in full.' : 'Partial payment recorded',
+      payment,
+      invoice
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ message: 'Server error while recording payment' });
+  }
+});
+
+// @route   GET /api/billing/payments/:id/receipt
+// @desc    Get the receipt for a payment or refund (?format=json|html|pdf)
+// @access  Private
+router.get('/payments/:id/receipt', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, html or pdf' });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('student', 'firstName lastName email')
+      .populate({ path: 'invoice', populate: { path: 'course', select: 'title courseCode' } });
+
+    if (!payment || payment.status !== 'succeeded') {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    if (payment.student._id.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'billing:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (format === 'json') {
+      return res.json(payment);
+    }
+
+    const institutionName = await Configuration.getValue('site_name', 'EduManage');
+    const filename = `receipt-${payment.receiptNumber}`.toLowerCase();
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+      return res.send(renderReceiptHtml(payment, institutionName));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    renderReceiptPdf(payment, institutionName, res);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    res.status(500).json({ message: 'Server error while generating receipt' });
+  }
+});
+
+// @route   GET /api/billing/students/:studentId/statement
+// @desc    Get a student's account statement (?format=json|html|pdf)
+// @access  Private
+router.get('/students/:studentId/statement', auth, async (req, res) => {
+  try {
+    if (req.params.studentId !== req.user._id.toString() && !(await hasPermission(req.user, 'billing:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, html or pdf' });
+    }
+
+    const statement = await Invoice.getStatement(req.params.studentId);
+
+    if (format === 'json') {
+      return res.json(statement);
+    }
+
+    const institutionName = await Configuration.getValue('site_name', 'EduManage');
+    const filename = `statement-${statement.student.lastName}-${statement.student.firstName}`
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-');
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+      return res.send(renderStatementHtml(statement, institutionName));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    renderStatementPdf(statement, institutionName, res);
+  } catch (error) {
+    console.error('Get statement error:', error);
+    if (error.message === 'Student not found' || error.name === 'CastError') {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    res.status(500).json({ message: 'Server error while generating statement' });
+  }
+});
+
+// @route   GET /api/billing/refund-policy
+// @desc    Get the refund policy applied when a course is dropped
+// @access  Private
+router.get('/refund-policy', auth, async (req, res) => {
+  try {
+    const policy = await Configuration.getValue('fee_refund_policy', Invoice.DEFAULT_REFUND_POLICY);
+    res.json({ policy });
+  } catch (error) {
+    console.error('Get refund policy error:', error);
+    res.status(500).json({ message: 'Server error while fetching refund policy' });
+  }
+});
+
+module.exports = router;
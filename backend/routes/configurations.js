@@ -1,14 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Configuration = require('../models/Configuration');
-const { auth, authorize } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Configuration fields kept in the audit log
+const CONFIG_AUDIT_FIELDS = ['value', 'description', 'isPublic', 'tags'];
+
 // @route   GET /api/configurations
 // @desc    Get all configurations (Admin only)
-// @access  Private (Admin)
-router.get('/', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:read)
+router.get('/', [auth, requirePermission('config:read')], async (req, res) => {
   try {
     const { category, isPublic, search, page = 1, limit = 20 } = req.query;
     
@@ -50,8 +54,8 @@ router.get('/', [auth, authorize('admin')], async (req, res) => {
 
 // @route   GET /api/configurations/categories
 // @desc    Get configuration categories
-// @access  Private (Admin)
-router.get('/categories', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:read)
+router.get('/categories', [auth, requirePermission('config:read')], async (req, res) => {
   try {
     const categories = await Configuration.distinct('category');
     const categoryStats = await Promise.all(
@@ -102,8 +106,8 @@ router.get('/public', async (req, res) => {
 
 // @route   GET /api/configurations/:key
 // @desc    Get specific configuration by key
-// @access  Private (Admin)
-router.get('/:key', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:read)
+router.get('/:key', [auth, requirePermission('config:read')], async (req, res) => {
   try {
     const configuration = await Configuration.findOne({ key: req.params.key })
       .populate('lastModifiedBy', 'firstName lastName email');
@@ -121,16 +125,16 @@ router.get('/:key', [auth, authorize('admin')], async (req, res) => {
 
 // @route   POST /api/configurations
 // @desc    Create new configuration
-// @access  Private (Admin)
+// @access  Private (config:write)
 router.post('/', [
   auth,
-  authorize('admin'),
+  requirePermission('config:write'),
   body('key').notEmpty().withMessage('Key is required'),
   body('value').notEmpty().withMessage('Value is required'),
   body('type').isIn(['string', 'number', 'boolean', 'array', 'object', 'json']).withMessage('Invalid type'),
   body('category').isIn([
     'system', 'course', 'user', 'assignment', 'attendance', 
-    'notification', 'email', 'file_upload', 'security', 'ui', 'analytics'
+    'notification', 'email', 'file_upload', 'security', 'ui', 'analytics', 'billing'
   ]).withMessage('Invalid category'),
   body('description').notEmpty().withMessage('Description is required')
 ], async (req, res) => {
@@ -176,6 +180,14 @@ router.post('/', [
 
     await configuration.save();
 
+    await AuditLog.record(req, {
+      action: 'configuration.create',
+      targetType: 'Configuration',
+      target: configuration,
+      targetLabel: configuration.key,
+      after: AuditLog.snapshot(configuration, CONFIG_AUDIT_FIELDS)
+    });
+
     res.status(201).json({
       message: 'Configuration created successfully',
       configuration
@@ -191,10 +203,10 @@ router.post('/', [
 
 // @route   PUT /api/configurations/:key
 // @desc    Update configuration
-// @access  Private (Admin)
+// @access  Private (config:write)
 router.put('/:key', [
   auth,
-  authorize('admin'),
+  requirePermission('config:write'),
   body('value').optional().notEmpty().withMessage('Value cannot be empty'),
   body('description').optional().notEmpty().withMessage('Description cannot be empty')
 ], async (req, res) => {
@@ -214,6 +226,7 @@ router.put('/:key', [
     }
 
     const { value, description, isPublic, tags } = req.body;
+    const before = AuditLog.snapshot(configuration, CONFIG_AUDIT_FIELDS);
 
     // Update fields
     if (value !== undefined) {
@@ -237,6 +250,15 @@ router.put('/:key', [
 
     await configuration.save();
 
+    await AuditLog.record(req, {
+      action: 'configuration.update',
+      targetType: 'Configuration',
+      target: configuration,
+      targetLabel: configuration.key,
+      before,
+      after: AuditLog.snapshot(configuration, CONFIG_AUDIT_FIELDS)
+    });
+
     res.json({
       message: 'Configuration updated successfully',
       configuration
@@ -252,8 +274,8 @@ router.put('/:key', [
 
 // @route   DELETE /api/configurations/:key
 // @desc    Delete configuration
-// @access  Private (Admin)
-router.delete('/:key', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:write)
+router.delete('/:key', [auth, requirePermission('config:write')], async (req, res) => {
   try {
     const configuration = await Configuration.findOne({ key: req.params.key });
     if (!configuration) {
@@ -266,6 +288,14 @@ router.delete('/:key', [auth, authorize('admin')], async (req, res) => {
 
     await Configuration.findByIdAndDelete(configuration._id);
 
+    await AuditLog.record(req, {
+      action: 'configuration.delete',
+      targetType: 'Configuration',
+      target: configuration,
+      targetLabel: configuration.key,
+      before: AuditLog.snapshot(configuration, CONFIG_AUDIT_FIELDS)
+    });
+
     res.json({ message: 'Configuration deleted successfully' });
   } catch (error) {
     console.error('Delete configuration error:', error);
@@ -275,10 +305,10 @@ router.delete('/:key', [auth, authorize('admin')], async (req, res) => {
 
 // @route   POST /api/configurations/bulk-update
 // @desc    Bulk update configurations
-// @access  Private (Admin)
+// @access  Private (config:write)
 router.post('/bulk-update', [
   auth,
-  authorize('admin'),
+  requirePermission('config:write'),
   body('configurations').isArray().withMessage('Configurations must be an array'),
   body('configurations.*.key').notEmpty().withMessage('Key is required for each configuration'),
   body('configurations.*.value').notEmpty().withMessage('Value is required for each configuration')
@@ -316,11 +346,21 @@ router.post('/bulk-update', [
           continue;
         }
 
+        const before = AuditLog.snapshot(configuration, ['value']);
         configuration.value = configUpdate.value;
         configuration.lastModifiedBy = req.user._id;
         configuration.version += 1;
 
         await configuration.save();
+        await AuditLog.record(req, {
+          action: 'configuration.update',
+          targetType: 'Configuration',
+          target: configuration,
+          targetLabel: configuration.key,
+          before,
+          after: AuditLog.snapshot(configuration, ['value']),
+          details: { bulk: true }
+        });
         results.push({ key: configUpdate.key, success: true });
       } catch (error) {
         errors.push({ key: configUpdate.key, error: error.message });
@@ -340,8 +380,8 @@ router.post('/bulk-update', [
 
 // @route   POST /api/configurations/reset/:key
 // @desc    Reset configuration to default value
-// @access  Private (Admin)
-router.post('/reset/:key', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:write)
+router.post('/reset/:key', [auth, requirePermission('config:write')], async (req, res) => {
   try {
     const configuration = await Configuration.findOne({ key: req.params.key });
     if (!configuration) {
@@ -352,12 +392,22 @@ router.post('/reset/:key', [auth, authorize('admin')], async (req, res) => {
       return res.status(400).json({ message: 'No default value available for this configuration' });
     }
 
+    const before = AuditLog.snapshot(configuration, ['value']);
     configuration.value = configuration.defaultValue;
     configuration.lastModifiedBy = req.user._id;
     configuration.version += 1;
 
     await configuration.save();
 
+    await AuditLog.record(req, {
+      action: 'configuration.reset',
+      targetType: 'Configuration',
+      target: configuration,
+      targetLabel: configuration.key,
+      before,
+      after: AuditLog.snapshot(configuration, ['value'])
+    });
+
     res.json({
       message: 'Configuration reset to default value successfully',
       configuration
@@ -370,8 +420,8 @@ router.post('/reset/:key', [auth, authorize('admin')], async (req, res) => {
 
 // @route   GET /api/configurations/export
 // @desc    Export configurations
-// @access  Private (Admin)
-router.get('/export', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (config:read)
+router.get('/export', [auth, requirePermission('config:read')], async (req, res) => {
   try {
     const { category, format = 'json' } = req.query;
     
@@ -2,10 +2,54 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
-const { auth, authorize, checkApproval } = require('../middleware/auth');
+const Term = require('../models/Term');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission, checkApproval } = require('../middleware/auth');
+const { hasPermission, canAccessCourse } = require('../utils/permissions');
 
 const router = express.Router();
 
+// User fields shown for the course teaching staff
+const STAFF_USER_FIELDS = 'firstName lastName email profileImage';
+
+// Validate prerequisite entries against existing courses and their grading scales.
+// Returns { prerequisites } or { error }.
+const resolvePrerequisites = async (entries = [], courseCode = null) => {
+  const GradingScale = require('../models/GradingScale');
+  const prerequisites = [];
+  const seenCodes = new Set();
+
+  for (const entry of entries) {
+    const required = await Course.findById(entry.course).select('title courseCode');
+    if (!required) {
+      return { error: 'Prerequisite course not found' };
+    }
+    if (courseCode && required.courseCode === courseCode.toUpperCase()) {
+      return { error: 'A course cannot be its own prerequisite' };
+    }
+    if (seenCodes.has(required.courseCode)) {
+      return { error: `${required.courseCode} is listed more than once` };
+    }
+    seenCodes.add(required.courseCode);
+
+    const minimumGrade = entry.minimumGrade ? entry.minimumGrade.trim() : '';
+    if (minimumGrade) {
+      const scale = await GradingScale.getForCourse(required._id);
+      const band = scale.bands.find(b => b.letter === minimumGrade);
+      if (!band) {
+        return { error: `${minimumGrade} is not a grade on the ${scale.name} scale used by ${required.courseCode}` };
+      }
+      if (!band.isPassing) {
+        return { error: `Minimum grade for ${required.courseCode} must be a passing grade` };
+      }
+    }
+
+    prerequisites.push({ course: required._id, minimumGrade: minimumGrade || undefined });
+  }
+
+  return { prerequisites };
+};
+
 // @route   GET /api/courses
 // @desc    Get all courses with filtering and pagination
 // @access  Public
@@ -14,7 +58,8 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().trim(),
   query('level').optional().isIn(['Beginner', 'Intermediate', 'Advanced']),
-  query('search').optional().trim()
+  query('search').optional().trim(),
+  query('term').optional().custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid term')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -40,6 +85,11 @@ router.get('/', [
       filter.level = req.query.level;
     }
     
+    if (req.query.term) {
+      const term = req.query.term === 'current' ? await Term.getCurrent() : { _id: req.query.term };
+      filter.term = term ? term._id : null;
+    }
+    
     if (req.query.search) {
       filter.$or = [
         { title: { $regex: req.query.search, $options: 'i' } },
@@ -51,6 +101,7 @@ router.get('/', [
     // Get courses with pagination
     const courses = await Course.find(filter)
       .populate('instructor', 'firstName lastName email')
+      .populate('term', 'name code startDate endDate enrollmentStart enrollmentEnd')
       .select('-materials')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -82,7 +133,10 @@ router.get('/', [
 router.get('/:id', async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
-      .populate('instructor', 'firstName lastName email profileImage');
+      .populate('instructor', 'firstName lastName email profileImage')
+      .populate('staff.user', STAFF_USER_FIELDS)
+      .populate('term')
+      .populate('prerequisites.course', 'title courseCode');
 
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
@@ -100,10 +154,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/courses
 // @desc    Create a new course
-// @access  Private (Instructor only)
+// @access  Private (course:create)
 router.post('/', [
   auth,
-  authorize('instructor', 'admin'), // Allow both instructors and admins to create courses
+  requirePermission('course:create'),
   checkApproval,
   body('title').trim().notEmpty().withMessage('Course title is required'),
   body('description').trim().notEmpty().withMessage('Course description is required'),
@@ -113,7 +167,10 @@ router.post('/', [
   body('fees').isFloat({ min: 0 }).withMessage('Fees must be a positive number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('level').isIn(['Beginner', 'Intermediate', 'Advanced']).withMessage('Invalid level'),
-  body('instructor').optional().isMongoId().withMessage('Invalid instructor ID')
+  body('instructor').optional().isMongoId().withMessage('Invalid instructor ID'),
+  body('term').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid term ID'),
+  body('prerequisites').optional().isArray().withMessage('Prerequisites must be a list'),
+  body('prerequisites.*.course').isMongoId().withMessage('Invalid prerequisite course ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,17 +181,28 @@ router.post('/', [
       });
     }
 
-    // Check if course code already exists
+    if (req.body.term) {
+      const term = await Term.findById(req.body.term);
+      if (!term || !term.isActive) {
+        return res.status(400).json({ message: 'Invalid or inactive term specified' });
+      }
+    }
+
+    // Check if course code already exists in the term
     const existingCourse = await Course.findOne({
-      courseCode: req.body.courseCode.toUpperCase()
+      courseCode: req.body.courseCode.toUpperCase(),
+      term: req.body.term || null
     });
 
     if (existingCourse) {
-      return res.status(400).json({ message: 'Course code already exists' });
+      return res.status(400).json({ message: 'Course code already exists in this term' });
     }
 
+    // Users who approve courses may create them pre-approved and for another instructor
+    const canApprove = await hasPermission(req.user, 'course:approve');
+
     // If instructor is specified (admin creating course for another instructor), validate it
-    if (req.body.instructor && req.user.role === 'admin') {
+    if (req.body.instructor && canApprove) {
       const User = require('../models/User');
       const instructor = await User.findById(req.body.instructor);
       if (!instructor || instructor.role !== 'instructor' || !instructor.isApproved) {
@@ -142,17 +210,32 @@ router.post('/', [
       }
     }
 
+    const { prerequisites, error: prerequisiteError } = await resolvePrerequisites(req.body.prerequisites, req.body.courseCode);
+    if (prerequisiteError) {
+      return res.status(400).json({ message: prerequisiteError });
+    }
+
     // Create course
     const courseData = {
       ...req.body,
-      instructor: req.body.instructor || req.user._id, // Allow admin to specify instructor
+      prerequisites,
+      instructor: (canApprove && req.body.instructor) || req.user._id, // Allow admin to specify instructor
       courseCode: req.body.courseCode.toUpperCase(),
-      isApproved: req.user.role === 'admin' ? true : false // Auto-approve if created by admin
+      term: req.body.term || undefined,
+      isApproved: canApprove // Auto-approve if created by admin
     };
 
     const course = new Course(courseData);
     await course.save();
 
+    await AuditLog.record(req, {
+      action: 'course.create',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      after: AuditLog.snapshot(course, ['title', 'instructor', 'term', 'isApproved'])
+    });
+
     await course.populate('instructor', 'firstName lastName email');
 
     res.status(201).json({
@@ -166,23 +249,46 @@ router.post('/', [
 });
 
 // @route   GET /api/courses/instructor/:instructorId
-// @desc    Get courses by instructor
+// @desc    Get courses an instructor teaches, as lead or on the staff
 // @access  Private
-router.get('/instructor/:instructorId', auth, async (req, res) => {
+router.get('/instructor/:instructorId', [
+  auth,
+  query('term').optional().custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid term')
+], async (req, res) => {
   try {
-    // Check if user is accessing their own courses or is admin
-    if (req.user._id.toString() !== req.params.instructorId && req.user.role !== 'admin') {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Check if user is accessing their own courses or may view other accounts
+    if (req.user._id.toString() !== req.params.instructorId && !(await hasPermission(req.user, 'user:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const courses = await Course.find({ 
-      instructor: req.params.instructorId,
-      isActive: true 
-    })
+    // Courses they lead and courses where they are on the staff
+    const filter = {
+      ...Course.taughtBy(req.params.instructorId),
+      isActive: true
+    };
+
+    if (req.query.term) {
+      const term = req.query.term === 'current' ? await Term.getCurrent() : { _id: req.query.term };
+      filter.term = term ? term._id : null;
+    }
+
+    const courses = await Course.find(filter)
     .populate('instructor', 'firstName lastName email')
+    .populate('term', 'name code gradeDeadline')
     .sort({ createdAt: -1 });
 
-    res.json(courses);
+    res.json(courses.map(course => ({
+      ...course.toObject(),
+      staffRole: course.getStaffRole(req.params.instructorId)
+    })));
   } catch (error) {
     console.error('Get instructor courses error:', error);
     res.status(500).json({ message: 'Server error while fetching instructor courses' });
@@ -191,10 +297,10 @@ router.get('/instructor/:instructorId', auth, async (req, res) => {
 
 // @route   POST /api/courses/:id/material
 // @desc    Add material to a course
-// @access  Private
+// @access  Private (course:edit)
 router.post('/:id/material', [
   auth, 
-  authorize('instructor', 'admin'),
+  requirePermission('course:edit'),
   body('title').notEmpty().withMessage('Title is required'),
   body('type').isIn(['pdf', 'video', 'link', 'document', 'note']).withMessage('Invalid material type'),
   body('url').notEmpty().withMessage('URL is required'),
@@ -218,8 +324,8 @@ router.post('/:id/material', [
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is the instructor of this course or admin
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user.id) {
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
       return res.status(403).json({ message: 'Not authorized to add materials to this course' });
     }
 
@@ -251,10 +357,10 @@ router.post('/:id/material', [
 
 // @route   PUT /api/courses/:id/material/:materialId
 // @desc    Update a course material
-// @access  Private
+// @access  Private (course:edit)
 router.put('/:id/material/:materialId', [
   auth, 
-  authorize('instructor', 'admin'),
+  requirePermission('course:edit'),
   body('title').optional().notEmpty().withMessage('Title cannot be empty'),
   body('type').optional().isIn(['pdf', 'video', 'link', 'document', 'note']).withMessage('Invalid material type'),
   body('url').optional().notEmpty().withMessage('URL cannot be empty'),
@@ -277,8 +383,8 @@ router.put('/:id/material/:materialId', [
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is the instructor of this course or admin
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user.id) {
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
       return res.status(403).json({ message: 'Not authorized to update materials in this course' });
     }
 
@@ -308,8 +414,8 @@ router.put('/:id/material/:materialId', [
 
 // @route   DELETE /api/courses/:id/material/:materialId
 // @desc    Delete a course material
-// @access  Private
-router.delete('/:id/material/:materialId', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (course:edit)
+router.delete('/:id/material/:materialId', [auth, requirePermission('course:edit')], async (req, res) => {
   try {
     const { id, materialId } = req.params;
 
@@ -318,8 +424,8 @@ router.delete('/:id/material/:materialId', [auth, authorize('instructor', 'admin
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is the instructor of this course or admin
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user.id) {
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
       return res.status(403).json({ message: 'Not authorized to delete materials from this course' });
     }
 
@@ -338,11 +444,781 @@ router.delete('/:id/material/:materialId', [auth, authorize('instructor', 'admin
   }
 });
 
+// @route   PUT /api/courses/:id/grading-scheme
+// @desc    Set weighted grade categories for a course
+// @access  Private (course:edit)
+router.put('/:id/grading-scheme', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('categories').isArray().withMessage('Categories must be an array'),
+  body('categories.*.type').isIn(['homework', 'quiz', 'exam', 'project', 'presentation']).withMessage('Invalid category type'),
+  body('categories.*.weight').isFloat({ min: 0, max: 100 }).withMessage('Weight must be between 0 and 100'),
+  body('categories.*.dropLowest').optional().isInt({ min: 0 }).withMessage('Drop lowest must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the grading scheme of this course' });
+    }
+
+    const categories = req.body.categories.map(category => ({
+      type: category.type,
+      weight: Number(category.weight),
+      dropLowest: Number(category.dropLowest) || 0
+    }));
+
+    const types = categories.map(category => category.type);
+    if (new Set(types).size !== types.length) {
+      return res.status(400).json({ message: 'Each assignment type can only appear once in the grading scheme' });
+    }
+
+    const totalWeight = categories.reduce((sum, category) => sum + category.weight, 0);
+    if (categories.length > 0 && Math.abs(totalWeight - 100) > 0.01) {
+      return res.status(400).json({ message: `Category weights must add up to 100 (currently ${totalWeight})` });
+    }
+
+    const before = { categories: course.gradingScheme?.categories?.toObject() || [] };
+    course.gradingScheme = { categories };
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.grading_scheme_update',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before,
+      after: { categories }
+    });
+
+    // Recalculate non-finalized grades of enrolled students with the new scheme
+    const Grade = require('../models/Grade');
+    const enrollments = await Enrollment.find({ course: course._id, status: 'enrolled' });
+    await Promise.all(
+      enrollments.map(enrollment => Grade.recalculate(enrollment.student, course._id))
+    );
+
+    res.json({
+      message: 'Grading scheme updated successfully',
+      gradingScheme: course.gradingScheme
+    });
+  } catch (error) {
+    console.error('Update grading scheme error:', error);
+    res.status(500).json({ message: 'Server error while updating grading scheme' });
+  }
+});
+
+// @route   PUT /api/courses/:id/grading-scale
+// @desc    Select the grading scale for a course (null for the institution default)
+// @access  Private (course:edit)
+router.put('/:id/grading-scale', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('gradingScaleId').optional({ nullable: true }).isMongoId().withMessage('Invalid grading scale ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the grading scale of this course' });
+    }
+
+    const GradingScale = require('../models/GradingScale');
+    const { gradingScaleId } = req.body;
+
+    if (gradingScaleId) {
+      const scale = await GradingScale.findById(gradingScaleId);
+      if (!scale || !scale.isActive) {
+        return res.status(404).json({ message: 'Grading scale not found' });
+      }
+    }
+
+    const before = { gradingScale: course.gradingScale || null };
+    course.gradingScale = gradingScaleId || undefined;
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.grading_scale_update',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before,
+      after: { gradingScale: course.gradingScale || null }
+    });
+
+    // Re-derive stored letter grades with the new scale
+    const result = await GradingScale.rederiveCourse(course._id);
+
+    res.json({
+      message: result.finalized > 0
+        ? `Grading scale updated. ${result.finalized} finalized grade(s) were left unchanged.`
+        : 'Grading scale updated successfully',
+      gradingScale: course.gradingScale || null,
+      rederived: result
+    });
+  } catch (error) {
+    console.error('Update grading scale error:', error);
+    res.status(500).json({ message: 'Server error while updating grading scale' });
+  }
+});
+
+// @route   PUT /api/courses/:id/capacity
+// @desc    Change the maximum number of students; new seats go to the waitlist first
+// @access  Private (course:edit)
+router.put('/:id/capacity', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('maxStudents').isInt({ min: 1 }).withMessage('Maximum students must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the capacity of this course' });
+    }
+
+    // Conditional update so a concurrent enrollment can't leave the course over capacity
+    const maxStudents = Number(req.body.maxStudents);
+    const updated = await Course.findOneAndUpdate(
+      { _id: course._id, currentEnrollment: { $lte: maxStudents } },
+      { maxStudents },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      const current = await Course.findById(course._id).select('currentEnrollment');
+      return res.status(400).json({
+        message: `Capacity cannot be lower than the current enrollment of ${current.currentEnrollment}`
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'course.capacity_update',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before: { maxStudents: course.maxStudents },
+      after: { maxStudents: updated.maxStudents }
+    });
+
+    const Waitlist = require('../models/Waitlist');
+    const offered = await Waitlist.promote(course._id);
+
+    res.json({
+      message: offered.length > 0
+        ? `Capacity updated. ${offered.length} waitlisted student(s) offered a seat.`
+        : 'Capacity updated successfully',
+      maxStudents: updated.maxStudents,
+      offered: offered.length
+    });
+  } catch (error) {
+    console.error('Update capacity error:', error);
+    res.status(500).json({ message: 'Server error while updating capacity' });
+  }
+});
+
+// @route   PUT /api/courses/:id/prerequisites
+// @desc    Replace the prerequisites of a course
+// @access  Private (course:edit)
+router.put('/:id/prerequisites', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('prerequisites').isArray().withMessage('Prerequisites must be a list'),
+  body('prerequisites.*.course').isMongoId().withMessage('Invalid prerequisite course ID'),
+  body('prerequisites.*.minimumGrade').optional({ nullable: true }).isString().withMessage('Invalid minimum grade')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the prerequisites of this course' });
+    }
+
+    const { prerequisites, error: prerequisiteError } = await resolvePrerequisites(req.body.prerequisites, course.courseCode);
+    if (prerequisiteError) {
+      return res.status(400).json({ message: prerequisiteError });
+    }
+
+    const prerequisiteSnapshot = list => list.map(({ course: required, minimumGrade }) => ({
+      course: (required._id || required).toString(),
+      minimumGrade
+    }));
+    const before = { prerequisites: prerequisiteSnapshot(course.prerequisites) };
+
+    course.prerequisites = prerequisites;
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.prerequisites_update',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before,
+      after: { prerequisites: prerequisiteSnapshot(course.prerequisites) }
+    });
+
+    await course.populate('prerequisites.course', 'title courseCode');
+
+    res.json({
+      message: 'Prerequisites updated successfully',
+      prerequisites: course.prerequisites
+    });
+  } catch (error) {
+    console.error('Update prerequisites error:', error);
+    res.status(500).json({ message: 'Server error while updating prerequisites' });
+  }
+});
+
+// @route   GET /api/courses/:id/prerequisites/check
+// @desc    Check a student's standing against the course prerequisites
+// @access  Private (students check themselves; users who can view the roster may pass ?studentId)
+router.get('/:id/prerequisites/check', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    let studentId = req.user._id;
+    if (req.query.studentId && req.query.studentId !== req.user._id.toString()) {
+      if (!(await canAccessCourse(req.user, course, 'enrollment:view'))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      studentId = req.query.studentId;
+    }
+
+    const result = await course.checkPrerequisites(studentId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Check prerequisites error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while checking prerequisites' });
+  }
+});
+
+// @route   GET /api/courses/:id/prerequisite-overrides
+// @desc    List students allowed to enroll without meeting the prerequisites
+// @access  Private (course:edit)
+router.get('/:id/prerequisite-overrides', [auth, requirePermission('course:edit')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('+prerequisiteOverrides instructor')
+      .populate('prerequisiteOverrides.student', 'firstName lastName email')
+      .populate('prerequisiteOverrides.grantedBy', 'firstName lastName role');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(course.prerequisiteOverrides);
+  } catch (error) {
+    console.error('Get prerequisite overrides error:', error);
+    res.status(500).json({ message: 'Server error while fetching prerequisite overrides' });
+  }
+});
+
+// @route   POST /api/courses/:id/prerequisite-overrides
+// @desc    Allow a student to enroll without meeting the prerequisites
+// @access  Private (course:edit)
+router.post('/:id/prerequisite-overrides', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('email').isEmail().normalizeEmail().withMessage('Valid student email is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id).select('+prerequisiteOverrides');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to grant prerequisite overrides for this course' });
+    }
+
+    const User = require('../models/User');
+    const student = await User.findOne({ email: req.body.email, role: 'student' });
+    if (!student) {
+      return res.status(404).json({ message: 'No student found with that email' });
+    }
+
+    if (course.prerequisiteOverrides.some(o => o.student.toString() === student._id.toString())) {
+      return res.status(400).json({ message: 'This student already has a prerequisite override' });
+    }
+
+    course.prerequisiteOverrides.push({
+      student: student._id,
+      grantedBy: req.user._id,
+      reason: req.body.reason
+    });
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.prerequisite_override_grant',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      details: { student: student._id.toString(), studentEmail: student.email, reason: req.body.reason }
+    });
+
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.createNotification({
+        recipient: student._id,
+        title: 'Prerequisite Override Granted',
+        message: `You may now enroll in ${course.title} (${course.courseCode}) without meeting its prerequisites.`,
+        type: 'enrollment',
+        targetId: course._id,
+        targetUrl: `/courses/${course._id}`
+      });
+    } catch (notifError) {
+      console.error('Error creating override notification:', notifError);
+    }
+
+    const override = course.prerequisiteOverrides[course.prerequisiteOverrides.length - 1];
+
+    res.status(201).json({
+      message: `Override granted to ${student.firstName} ${student.lastName}`,
+      override
+    });
+  } catch (error) {
+    console.error('Grant prerequisite override error:', error);
+    res.status(500).json({ message: 'Server error while granting prerequisite override' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/prerequisite-overrides/:overrideId
+// @desc    Revoke a prerequisite override (existing enrollments are kept)
+// @access  Private (course:edit)
+router.delete('/:id/prerequisite-overrides/:overrideId', [auth, requirePermission('course:edit')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('+prerequisiteOverrides');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to revoke prerequisite overrides for this course' });
+    }
+
+    const override = course.prerequisiteOverrides.id(req.params.overrideId);
+    if (!override) {
+      return res.status(404).json({ message: 'Override not found' });
+    }
+
+    course.prerequisiteOverrides.pull(override._id);
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.prerequisite_override_revoke',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      details: { student: override.student.toString(), reason: override.reason }
+    });
+
+    res.json({ message: 'Override revoked' });
+  } catch (error) {
+    console.error('Revoke prerequisite override error:', error);
+    res.status(500).json({ message: 'Server error while revoking prerequisite override' });
+  }
+});
+
+// @route   POST /api/courses/:id/staff
+// @desc    Add a co-instructor or teaching assistant to the course staff
+// @access  Private (course:edit)
+router.post('/:id/staff', [
+  auth,
+  requirePermission('course:edit'),
+  checkApproval,
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(Course.STAFF_ROLES).withMessage('Invalid staff role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the staff of this course' });
+    }
+
+    const User = require('../models/User');
+    const member = await User.findOne({ email: req.body.email, role: 'instructor', isApproved: true, isActive: true });
+    if (!member) {
+      return res.status(404).json({ message: 'No approved instructor found with that email' });
+    }
+
+    if (course.getStaffRole(member._id)) {
+      return res.status(400).json({ message: `${member.firstName} ${member.lastName} is already teaching this course` });
+    }
+
+    course.staff.push({ user: member._id, role: req.body.role, addedBy: req.user._id });
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.staff_add',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      after: { user: member._id.toString(), email: member.email, role: req.body.role }
+    });
+
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.createNotification({
+        recipient: member._id,
+        title: 'Added to Course Staff',
+        message: `You were added to ${course.title} (${course.courseCode}) as ${req.body.role === 'co_instructor' ? 'a co-instructor' : 'a teaching assistant'}.`,
+        type: 'system',
+        targetId: course._id,
+        targetUrl: `/courses/${course._id}`
+      });
+    } catch (notifError) {
+      console.error('Error creating staff notification:', notifError);
+    }
+
+    await course.populate('staff.user', STAFF_USER_FIELDS);
+
+    res.status(201).json({
+      message: `${member.firstName} ${member.lastName} added to the course staff`,
+      staff: course.staff
+    });
+  } catch (error) {
+    console.error('Add course staff error:', error);
+    res.status(500).json({ message: 'Server error while adding course staff' });
+  }
+});
+
+// @route   PUT /api/courses/:id/staff/:userId
+// @desc    Change a staff member's role
+// @access  Private (course:edit)
+router.put('/:id/staff/:userId', [
+  auth,
+  requirePermission('course:edit'),
+  body('role').isIn(Course.STAFF_ROLES).withMessage('Invalid staff role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the staff of this course' });
+    }
+
+    const member = course.staff.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const before = { user: req.params.userId, role: member.role };
+    member.role = req.body.role;
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.staff_update',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before,
+      after: { user: req.params.userId, role: member.role }
+    });
+    await course.populate('staff.user', STAFF_USER_FIELDS);
+
+    res.json({
+      message: 'Staff role updated',
+      staff: course.staff
+    });
+  } catch (error) {
+    console.error('Update course staff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating course staff' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/staff/:userId
+// @desc    Remove a member of the course staff
+// @access  Private (course:edit)
+router.delete('/:id/staff/:userId', [auth, requirePermission('course:edit')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, course, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change the staff of this course' });
+    }
+
+    const member = course.staff.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    course.staff.pull(member._id);
+    await course.save();
+
+    await AuditLog.record(req, {
+      action: 'course.staff_remove',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before: { user: req.params.userId, role: member.role }
+    });
+
+    res.json({ message: 'Staff member removed' });
+  } catch (error) {
+    console.error('Remove course staff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while removing course staff' });
+  }
+});
+
+// @route   POST /api/courses/:id/clone
+// @desc    Clone a course offering into another term with its materials and assignments
+// @access  Private (course:create)
+router.post('/:id/clone', [
+  auth,
+  requirePermission('course:create'),
+  checkApproval,
+  body('termId').isMongoId().withMessage('Target term is required'),
+  body('courseCode').optional({ checkFalsy: true }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const source = await Course.findById(req.params.id).populate('term');
+    if (!source) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may change this course
+    if (!(await canAccessCourse(req.user, source, 'course:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to clone this course' });
+    }
+
+    const term = await Term.findById(req.body.termId);
+    if (!term || !term.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive term specified' });
+    }
+
+    if (term.endDate < new Date()) {
+      return res.status(400).json({ message: 'Cannot clone a course into a term that has ended' });
+    }
+
+    const courseCode = (req.body.courseCode || source.courseCode).toUpperCase();
+    const existingCourse = await Course.findOne({ courseCode, term: term._id });
+    if (existingCourse) {
+      return res.status(400).json({ message: `${courseCode} is already offered in ${term.name}` });
+    }
+
+    const course = new Course({
+      title: source.title,
+      description: source.description,
+      courseCode,
+      instructor: source.instructor,
+      term: term._id,
+      clonedFrom: source._id,
+      credits: source.credits,
+      maxStudents: source.maxStudents,
+      fees: source.fees,
+      category: source.category,
+      level: source.level,
+      prerequisites: source.prerequisites.map(({ course, minimumGrade }) => ({ course, minimumGrade })),
+      gradingScale: source.gradingScale,
+      gradingScheme: source.gradingScheme,
+      materials: source.materials.map(material => {
+        const { _id, ...copy } = material.toObject();
+        return copy;
+      }),
+      thumbnailImage: source.thumbnailImage,
+      isApproved: await hasPermission(req.user, 'course:approve')
+    });
+
+    await course.save();
+
+    // Shift due dates by the distance between the two terms. Cloned assignments
+    // start unpublished so the instructor can review dates before students see them.
+    const Assignment = require('../models/Assignment');
+    const sourceStart = source.term?.startDate || source.createdAt;
+    const offset = term.startDate - sourceStart;
+    const now = new Date();
+
+    const assignments = await Assignment.find({ course: source._id });
+    const clonedAssignments = assignments.map(assignment => {
+      let dueDate = new Date(assignment.dueDate.getTime() + offset);
+      if (dueDate <= now) {
+        dueDate = term.endDate;
+      }
+
+      return {
+        title: assignment.title,
+        description: assignment.description,
+        course: course._id,
+        instructor: source.instructor,
+        type: assignment.type,
+        totalPoints: assignment.totalPoints,
+        dueDate,
+        isPublished: false,
+        allowLateSubmission: assignment.allowLateSubmission,
+        latePenalty: assignment.latePenalty,
+        latePenaltyType: assignment.latePenaltyType,
+        latePenaltyCap: assignment.latePenaltyCap,
+        gracePeriodMinutes: assignment.gracePeriodMinutes,
+        timeLimitMinutes: assignment.timeLimitMinutes,
+        submissionType: assignment.submissionType,
+        allowedFileTypes: assignment.allowedFileTypes,
+        maxFileSize: assignment.maxFileSize,
+        maxAttempts: assignment.maxAttempts,
+        rubric: assignment.rubric?.toObject()
+      };
+    });
+
+    if (clonedAssignments.length > 0) {
+      await Assignment.insertMany(clonedAssignments);
+    }
+
+    await AuditLog.record(req, {
+      action: 'course.clone',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      details: {
+        source: source._id.toString(),
+        term: term._id.toString(),
+        assignments: clonedAssignments.length
+      }
+    });
+
+    await course.populate([
+      { path: 'instructor', select: 'firstName lastName email' },
+      { path: 'term', select: 'name code' }
+    ]);
+
+    res.status(201).json({
+      message: `Course cloned into ${term.name} with ${course.materials.length} material(s) and ${clonedAssignments.length} assignment(s)`,
+      course
+    });
+  } catch (error) {
+    console.error('Clone course error:', error);
+    res.status(500).json({ message: 'Server error while cloning course' });
+  }
+});
+
 // @route   PUT /api/courses/:id/approve
 // @desc    Approve a course
-// @access  Private (Admin only)
-router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (course:approve)
+router.put('/:id/approve', [auth, requirePermission('course:approve')], async (req, res) => {
   try {
+    const previous = await Course.findById(req.params.id).select('isApproved');
+    if (!previous) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
     const course = await Course.findByIdAndUpdate(
       req.params.id,
       { isApproved: true },
@@ -353,6 +1229,15 @@ router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    await AuditLog.record(req, {
+      action: 'course.approve',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      before: { isApproved: previous.isApproved },
+      after: { isApproved: course.isApproved }
+    });
+
     res.json({
       message: 'Course approved successfully',
       course
@@ -365,8 +1250,8 @@ router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
 
 // @route   GET /api/courses/pending
 // @desc    Get pending courses for approval
-// @access  Private (Admin only)
-router.get('/pending', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (course:approve)
+router.get('/pending', [auth, requirePermission('course:approve')], async (req, res) => {
   try {
     const pendingCourses = await Course.find({ 
       isApproved: false,
@@ -384,13 +1269,14 @@ router.get('/pending', [auth, authorize('admin')], async (req, res) => {
 
 // @route   GET /api/courses/:id/performance
 // @desc    Get course performance metrics
-// @access  Private (Instructor, Admin)
-router.get('/:id/performance', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (grade:view)
+router.get('/:id/performance', [auth, requirePermission('grade:view')], async (req, res) => {
   try {
     const courseId = req.params.id;
     const Assignment = require('../models/Assignment');
     const Submission = require('../models/Submission');
     const Grade = require('../models/Grade');
+    const GradingScale = require('../models/GradingScale');
     
     // Verify course exists and user has access
     const course = await Course.findById(courseId);
@@ -399,7 +1285,7 @@ router.get('/:id/performance', [auth, authorize('instructor', 'admin')], async (
     }
     
     // Check if user is instructor of this course or admin
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user._id.toString()) {
+    if (!(await canAccessCourse(req.user, course, 'grade:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -429,6 +1315,7 @@ router.get('/:id/performance', [auth, authorize('instructor', 'admin')], async (
 
     // Get all grades for this course
     const grades = await Grade.find({ course: courseId });
+    const scale = await GradingScale.getForCourse(courseId);
 
     // Calculate completion rate (students who completed at least 80% of assignments)
     let completionRate = 0;
@@ -521,14 +1408,19 @@ router.get('/:id/performance', [auth, authorize('instructor', 'admin')], async (
         ).length
       },
       
-      // Grade distribution
-      gradeDistribution: {
-        'A': grades.filter(g => g.letterGrade && g.letterGrade.startsWith('A')).length,
-        'B': grades.filter(g => g.letterGrade && g.letterGrade.startsWith('B')).length,
-        'C': grades.filter(g => g.letterGrade && g.letterGrade.startsWith('C')).length,
-        'D': grades.filter(g => g.letterGrade && g.letterGrade.startsWith('D')).length,
-        'F': grades.filter(g => g.letterGrade === 'F').length
-      }
+      // Grade distribution, ordered by the bands of the course grading scale
+      gradingScale: {
+        name: scale.name,
+        code: scale.code,
+        passingLetters: scale.bands.filter(b => b.isPassing).map(b => b.letter)
+      },
+      gradeDistribution: scale.bands
+        .slice()
+        .sort((a, b) => b.minPercentage - a.minPercentage)
+        .reduce((distribution, band) => {
+          distribution[band.letter] = grades.filter(g => g.letterGrade === band.letter).length;
+          return distribution;
+        }, {})
     };
 
     res.json(performanceData);
@@ -1,9 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
+const Term = require('../models/Term');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Waitlist = require('../models/Waitlist');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+const { canAccessCourse } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -52,42 +57,132 @@ router.post('/', [
       return res.status(400).json({ message: 'Course is pending approval and not available for enrollment' });
     }
 
+    // A seat offered from the waitlist is held for this student
+    const waitlistOffer = await Waitlist.findOne({
+      student: req.user._id,
+      course: courseId,
+      status: 'offered',
+      offerExpiresAt: { $gt: new Date() }
+    });
+
+    // Check the term's enrollment window (offers made from the waitlist can still be accepted)
+    if (course.term && !waitlistOffer) {
+      await course.populate('term');
+      if (course.term && !course.term.isEnrollmentOpen) {
+        return res.status(400).json({
+          message: `Enrollment for ${course.term.name} is open from ${course.term.enrollmentStart.toDateString()} to ${course.term.enrollmentEnd.toDateString()}`
+        });
+      }
+    }
+
     // Check if already enrolled
     const existingEnrollment = await Enrollment.findOne({
       student: req.user._id,
       course: courseId
     });
 
-    if (existingEnrollment) {
+    if (existingEnrollment && existingEnrollment.status !== 'dropped') {
       return res.status(400).json({ message: 'Already enrolled in this course' });
     }
 
-    // Check course capacity
-    if (course.currentEnrollment >= course.maxStudents) {
-      return res.status(400).json({ message: 'Course is full' });
+    const prerequisiteCheck = await course.checkPrerequisites(req.user._id);
+    if (!prerequisiteCheck.met) {
+      const unmet = prerequisiteCheck.prerequisites.filter(p => !p.met);
+      return res.status(400).json({
+        message: `Prerequisites not met: ${unmet.map(p => p.reason).join('; ')}`,
+        unmetPrerequisites: unmet
+      });
     }
 
-    // Create enrollment
-    const enrollment = new Enrollment({
-      student: req.user._id,
-      course: courseId
-    });
+    // Take a seat atomically; seats offered to other waitlisted students are taken,
+    // while a student with an offer is using the seat held for them
+    const heldSeats = waitlistOffer ? 0 : await Waitlist.countActiveOffers(courseId, req.user._id);
+    const seatClaimed = await Course.claimSeat(courseId, heldSeats);
+    if (!seatClaimed) {
+      return res.status(400).json({
+        message: 'Course is full. You can join the waitlist instead.',
+        waitlistAvailable: true
+      });
+    }
 
-    await enrollment.save();
+    const enrollmentData = {
+      status: 'enrolled',
+      enrollmentDate: new Date(),
+      term: course.term?._id
+    };
+    if (prerequisiteCheck.overridden) {
+      enrollmentData.prerequisiteOverride = {
+        grantedBy: prerequisiteCheck.override.grantedBy,
+        reason: prerequisiteCheck.override.reason,
+        grantedAt: prerequisiteCheck.override.grantedAt
+      };
+    }
 
-    // Update course enrollment count
-    await Course.findByIdAndUpdate(courseId, {
-      $inc: { currentEnrollment: 1 }
-    });
+    // Create enrollment, or re-activate a previously dropped one. Either step
+    // fails if a concurrent request got there first, and the seat is given back.
+    let enrollment;
+    try {
+      if (existingEnrollment) {
+        enrollment = await Enrollment.findOneAndUpdate(
+          { _id: existingEnrollment._id, status: 'dropped' },
+          { $set: enrollmentData },
+          { new: true }
+        );
+      } else {
+        enrollment = await new Enrollment({
+          student: req.user._id,
+          course: courseId,
+          ...enrollmentData
+        }).save();
+      }
+    } catch (error) {
+      if (error.code !== 11000) {
+        await Course.releaseSeat(courseId);
+        throw error;
+      }
+    }
+
+    if (!enrollment) {
+      await Course.releaseSeat(courseId);
+      return res.status(400).json({ message: 'Already enrolled in this course' });
+    }
+
+    if (waitlistOffer) {
+      waitlistOffer.status = 'accepted';
+      waitlistOffer.respondedAt = new Date();
+      await waitlistOffer.save();
+    }
+
+    // Invoice the course fees
+    let invoice = null;
+    try {
+      invoice = await Invoice.createForEnrollment(enrollment);
+    } catch (invoiceError) {
+      console.error('Error creating enrollment invoice:', invoiceError);
+    }
 
     await enrollment.populate([
       { path: 'student', select: 'firstName lastName email' },
       { path: 'course', select: 'title courseCode instructor' }
     ]);
 
+    await AuditLog.record(req, {
+      action: 'enrollment.create',
+      targetType: 'Enrollment',
+      target: enrollment,
+      targetLabel: `${enrollment.student.email} · ${enrollment.course.courseCode}`,
+      before: existingEnrollment ? { status: existingEnrollment.status } : null,
+      after: { status: enrollment.status },
+      details: {
+        prerequisiteOverride: Boolean(prerequisiteCheck.overridden),
+        fromWaitlist: Boolean(waitlistOffer)
+      }
+    });
+
     res.status(201).json({
       message: 'Enrolled successfully',
-      enrollment
+      enrollment,
+      invoice
     });
   } catch (error) {
     console.error('Enrollment error:', error);
@@ -98,17 +193,33 @@ router.post('/', [
 // @route   GET /api/enrollments/student/:studentId
 // @desc    Get student enrollments
 // @access  Private
-router.get('/student/:studentId', auth, async (req, res) => {
+router.get('/student/:studentId', [
+  auth,
+  query('term').optional().custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid term')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     // Students can only view their own enrollments
     if (req.user.role === 'student' && req.params.studentId !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const enrollments = await Enrollment.find({
-      student: req.params.studentId
-    })
+    const filter = { student: req.params.studentId };
+    if (req.query.term) {
+      const term = req.query.term === 'current' ? await Term.getCurrent() : { _id: req.query.term };
+      filter.term = term ? term._id : null;
+    }
+
+    const enrollments = await Enrollment.find(filter)
     .populate('course', 'title courseCode instructor credits fees')
+    .populate('term', 'name code')
     .populate({
       path: 'course',
       populate: {
@@ -127,8 +238,8 @@ router.get('/student/:studentId', auth, async (req, res) => {
 
 // @route   GET /api/enrollments/course/:courseId
 // @desc    Get course enrollments
-// @access  Private (Instructor/Admin)
-router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (enrollment:view)
+router.get('/course/:courseId', [auth, requirePermission('enrollment:view')], async (req, res) => {
   try {
     const course = await Course.findById(req.params.courseId);
     
@@ -136,8 +247,8 @@ router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if instructor owns this course
-    if (req.user.role === 'instructor' && course.instructor.toString() !== req.user._id.toString()) {
+    // Check if user may view this course's roster
+    if (!(await canAccessCourse(req.user, course, 'enrollment:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -154,6 +265,186 @@ router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async
   }
 });
 
+// @route   POST /api/enrollments/waitlist
+// @desc    Join the waitlist of a full course
+// @access  Private (Student only)
+router.post('/waitlist', [
+  auth,
+  authorize('student'),
+  body('courseId').isMongoId().withMessage('Course ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { courseId } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive || !course.isApproved) {
+      return res.status(404).json({ message: 'Course not found or not available' });
+    }
+
+    const existingEnrollment = await Enrollment.findOne({
+      student: req.user._id,
+      course: courseId,
+      status: { $ne: 'dropped' }
+    });
+    if (existingEnrollment) {
+      return res.status(400).json({ message: 'Already enrolled in this course' });
+    }
+
+    // Don't queue students for seats they could not accept
+    const prerequisiteCheck = await course.checkPrerequisites(req.user._id);
+    if (!prerequisiteCheck.met) {
+      const unmet = prerequisiteCheck.prerequisites.filter(p => !p.met);
+      return res.status(400).json({
+        message: `Prerequisites not met: ${unmet.map(p => p.reason).join('; ')}`,
+        unmetPrerequisites: unmet
+      });
+    }
+
+    const heldSeats = await Waitlist.countActiveOffers(courseId);
+    if (course.currentEnrollment + heldSeats < course.maxStudents) {
+      return res.status(400).json({ message: 'Course has open seats. Enroll directly instead.' });
+    }
+
+    let entry = await Waitlist.findOne({ student: req.user._id, course: courseId });
+    if (entry && ['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ message: 'Already on the waitlist for this course' });
+    }
+
+    if (entry) {
+      // Rejoining goes to the back of the queue
+      entry.status = 'waiting';
+      entry.joinedAt = new Date();
+      entry.offeredAt = undefined;
+      entry.offerExpiresAt = undefined;
+      entry.respondedAt = undefined;
+    } else {
+      entry = new Waitlist({ student: req.user._id, course: courseId });
+    }
+
+    await entry.save();
+
+    const position = await entry.getPosition();
+
+    res.status(201).json({
+      message: `Joined the waitlist at position ${position}`,
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ message: 'Server error while joining waitlist' });
+  }
+});
+
+// @route   GET /api/enrollments/waitlist/student/:studentId
+// @desc    Get a student's active waitlist entries with queue positions
+// @access  Private
+router.get('/waitlist/student/:studentId', auth, async (req, res) => {
+  try {
+    // Students can only view their own waitlists
+    if (req.user.role === 'student' && req.params.studentId !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Waitlist.expireOffers();
+
+    const entries = await Waitlist.find({
+      student: req.params.studentId,
+      status: { $in: ['waiting', 'offered'] }
+    })
+    .populate('course', 'title courseCode credits maxStudents currentEnrollment')
+    .sort({ joinedAt: 1 });
+
+    const waitlist = await Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: await entry.getPosition()
+    })));
+
+    res.json(waitlist);
+  } catch (error) {
+    console.error('Get student waitlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching waitlist' });
+  }
+});
+
+// @route   GET /api/enrollments/waitlist/course/:courseId
+// @desc    Get the waitlist queue of a course
+// @access  Private (enrollment:view)
+router.get('/waitlist/course/:courseId', [auth, requirePermission('enrollment:view')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may view this course's roster
+    if (!(await canAccessCourse(req.user, course, 'enrollment:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Waitlist.expireOffers(course._id);
+
+    const entries = await Waitlist.find({
+      course: course._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+    .populate('student', 'firstName lastName email')
+    .sort({ status: -1, joinedAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Get course waitlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching waitlist' });
+  }
+});
+
+// @route   DELETE /api/enrollments/waitlist/:id
+// @desc    Leave a waitlist or decline an offered seat
+// @access  Private
+router.delete('/waitlist/:id', auth, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+
+    if (!entry || !['waiting', 'offered'].includes(entry.status)) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    // Students can only leave their own waitlists
+    if (req.user.role === 'student' && entry.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const wasOffered = entry.status === 'offered';
+
+    entry.status = wasOffered ? 'declined' : 'cancelled';
+    entry.respondedAt = new Date();
+    await entry.save();
+
+    // A declined offer frees the held seat for the next student
+    if (wasOffered) {
+      try {
+        await Waitlist.promote(entry.course);
+      } catch (waitlistError) {
+        console.error('Error promoting from waitlist:', waitlistError);
+      }
+    }
+
+    res.json({ message: wasOffered ? 'Seat offer declined' : 'Left the waitlist' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Server error while leaving waitlist' });
+  }
+});
+
 // @route   DELETE /api/enrollments/:id
 // @desc    Drop from course
 // @access  Private
@@ -170,16 +461,54 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Update enrollment status
-    enrollment.status = 'dropped';
-    await enrollment.save();
+    // Only the request that moves the enrollment out of a seat-holding status
+    // releases the seat, so concurrent drops cannot decrement twice
+    const dropped = await Enrollment.findOneAndUpdate(
+      { _id: enrollment._id, status: { $in: Enrollment.SEAT_STATUSES } },
+      { status: 'dropped' }
+    );
+
+    if (!dropped) {
+      return res.status(400).json({ message: 'Already dropped from this course' });
+    }
 
-    // Update course enrollment count
-    await Course.findByIdAndUpdate(enrollment.course, {
-      $inc: { currentEnrollment: -1 }
+    await Course.releaseSeat(enrollment.course);
+
+    // Offer the freed seat to the next student on the waitlist
+    try {
+      await Waitlist.promote(enrollment.course);
+    } catch (waitlistError) {
+      console.error('Error promoting from waitlist:', waitlistError);
+    }
+
+    // Credit and refund fees under the refund policy
+    let refund = null;
+    try {
+      refund = await Invoice.applyDropPolicy(enrollment, req.user._id);
+    } catch (refundError) {
+      console.error('Error applying refund policy:', refundError);
+    }
+
+    await enrollment.populate([
+      { path: 'student', select: 'email' },
+      { path: 'course', select: 'courseCode' }
+    ]);
+    await AuditLog.record(req, {
+      action: 'enrollment.drop',
+      targetType: 'Enrollment',
+      target: enrollment,
+      targetLabel: `${enrollment.student?.email} · ${enrollment.course?.courseCode}`,
+      before: { status: dropped.status },
+      after: { status: 'dropped' },
+      details: { refunded: refund?.refunded || 0 }
     });
 
-    res.json({ message: 'Dropped from course successfully' });
+    res.json({
+      message: refund?.refunded > 0
+        ? `Dropped from course successfully. ${refund.refunded.toFixed(2)} will be refunded.`
+        : 'Dropped from course successfully',
+      refund
+    });
   } catch (error) {
     console.error('Drop course error:', error);
     res.status(500).json({ message: 'Server error while dropping course' });
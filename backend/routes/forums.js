@@ -0,0 +1,658 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ForumTopic = require('../models/ForumTopic');
+const ForumPost = require('../models/ForumPost');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { canAccessCourse } = require('../utils/permissions');
+
+const router = express.Router();
+
+const AUTHOR_FIELDS = 'firstName lastName role';
+
+// Forums are open to the course instructor, admins and currently enrolled students.
+// Returns { course, canModerate } or { error: { status, message } }.
+const getForumAccess = async (courseId, user) => {
+  const course = await Course.findById(courseId).select('title courseCode instructor');
+  if (!course) {
+    return { error: { status: 404, message: 'Course not found' } };
+  }
+
+  const canModerate = await canAccessCourse(user, course, 'forum:moderate');
+  if (!canModerate) {
+    const enrollment = await Enrollment.exists({ student: user._id, course: course._id, status: 'enrolled' });
+    if (!enrollment) {
+      return { error: { status: 403, message: 'Only enrolled students can use the course forum' } };
+    }
+  }
+
+  return { course, canModerate };
+};
+
+// Load a live topic and check the user's access to its course
+const loadTopic = async (topicId, user) => {
+  const topic = await ForumTopic.findById(topicId).populate('author', AUTHOR_FIELDS);
+  if (!topic || topic.isDeleted) {
+    return { error: { status: 404, message: 'Topic not found' } };
+  }
+
+  const access = await getForumAccess(topic.course, user);
+  if (access.error) {
+    return access;
+  }
+
+  return { topic, ...access };
+};
+
+// Load a reply together with its topic and the user's access
+const loadPost = async (postId, user) => {
+  const post = await ForumPost.findById(postId).populate('author', AUTHOR_FIELDS);
+  if (!post || post.isDeleted) {
+    return { error: { status: 404, message: 'Reply not found' } };
+  }
+
+  const loaded = await loadTopic(post.topic, user);
+  if (loaded.error) {
+    return loaded;
+  }
+
+  return { post, ...loaded };
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Toggle the user's upvote on a topic or reply, returning the new state
+const toggleUpvote = async (Model, id, userId) => {
+  const added = await Model.findOneAndUpdate(
+    { _id: id, upvotes: { $ne: userId } },
+    { $addToSet: { upvotes: userId } },
+    { new: true }
+  );
+  if (added) {
+    return { hasUpvoted: true, upvoteCount: added.upvotes.length };
+  }
+
+  const removed = await Model.findByIdAndUpdate(id, { $pull: { upvotes: userId } }, { new: true });
+  return { hasUpvoted: false, upvoteCount: removed.upvotes.length };
+};
+
+const topicValidators = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('body').optional().trim().notEmpty().withMessage('Body cannot be empty')
+    .isLength({ max: 10000 }).withMessage('Body cannot exceed 10000 characters'),
+  body('isAnonymous').optional().isBoolean().withMessage('Anonymous must be true or false')
+];
+
+const postValidators = [
+  body('body').trim().notEmpty().withMessage('Reply cannot be empty')
+    .isLength({ max: 10000 }).withMessage('Reply cannot exceed 10000 characters'),
+  body('isAnonymous').optional().isBoolean().withMessage('Anonymous must be true or false')
+];
+
+// @route   GET /api/forums/course/:courseId/topics
+// @desc    List a course's topics, pinned first (sort: recent, top, unanswered)
+// @access  Private (Enrolled students, course instructor, admin)
+router.get('/course/:courseId/topics', auth, async (req, res) => {
+  try {
+    const access = await getForumAccess(req.params.courseId, req.user);
+    if (access.error) {
+      return res.status(access.error.status).json({ message: access.error.message });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { course: access.course._id, isDeleted: false };
+    if (req.query.search) {
+      filter.$text = { $search: req.query.search };
+    }
+    if (req.query.sort === 'unanswered') {
+      filter.hasEndorsedAnswer = false;
+    }
+
+    const sort = req.query.sort === 'top'
+      ? { pinned: -1, upvoteCount: -1, lastActivityAt: -1 }
+      : { pinned: -1, lastActivityAt: -1 };
+
+    // upvoteCount only exists in the aggregation, so sort there and hydrate the page
+    const [rows, total] = await Promise.all([
+      ForumTopic.aggregate([
+        { $match: filter },
+        { $addFields: { upvoteCount: { $size: '$upvotes' } } },
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit }
+      ]),
+      ForumTopic.countDocuments(filter)
+    ]);
+
+    const topics = await ForumTopic.populate(rows.map(row => ForumTopic.hydrate(row)), {
+      path: 'author',
+      select: AUTHOR_FIELDS
+    });
+
+    res.json({
+      course: access.course,
+      canModerate: access.canModerate,
+      topics: topics.map(topic => topic.toThreadItem(req.user, access.canModerate, { includeBody: false })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get forum topics error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching topics' });
+  }
+});
+
+// @route   POST /api/forums/course/:courseId/topics
+// @desc    Start a topic; the author is subscribed to replies
+// @access  Private (Enrolled students, course instructor, admin)
+router.post('/course/:courseId/topics', [
+  auth,
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('body').trim().notEmpty().withMessage('Body is required'),
+  ...topicValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const access = await getForumAccess(req.params.courseId, req.user);
+    if (access.error) {
+      return res.status(access.error.status).json({ message: access.error.message });
+    }
+
+    const topic = await ForumTopic.create({
+      course: access.course._id,
+      author: req.user._id,
+      title: req.body.title,
+      body: req.body.body,
+      isAnonymous: isTrue(req.body.isAnonymous),
+      subscribers: [req.user._id]
+    });
+    await topic.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      message: 'Topic posted',
+      topic: topic.toThreadItem(req.user, access.canModerate)
+    });
+  } catch (error) {
+    console.error('Create forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.status(500).json({ message: 'Server error while creating topic' });
+  }
+});
+
+// @route   GET /api/forums/topics/:id
+// @desc    Get a topic with its replies (flat, oldest first; nest by parent)
+// @access  Private (Enrolled students, course instructor, admin)
+router.get('/topics/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const posts = await ForumPost.find({ topic: loaded.topic._id })
+      .populate('author', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+
+    res.json({
+      course: loaded.course,
+      canModerate: loaded.canModerate,
+      topic: loaded.topic.toThreadItem(req.user, loaded.canModerate),
+      posts: posts.map(post => post.toThreadItem(req.user, loaded.canModerate)),
+      maxDepth: ForumPost.MAX_DEPTH
+    });
+  } catch (error) {
+    console.error('Get forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching topic' });
+  }
+});
+
+// @route   PUT /api/forums/topics/:id
+// @desc    Edit a topic's title or body
+// @access  Private (Topic author while unlocked, course instructor, admin)
+router.put('/topics/:id', [auth, ...topicValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const { topic, canModerate } = loaded;
+    const isAuthor = topic.author._id.toString() === req.user._id.toString();
+    if (!canModerate && !(isAuthor && !topic.locked)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    ['title', 'body'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        topic[field] = req.body[field];
+      }
+    });
+    await topic.save();
+
+    res.json({
+      message: 'Topic updated',
+      topic: topic.toThreadItem(req.user, canModerate)
+    });
+  } catch (error) {
+    console.error('Update forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating topic' });
+  }
+});
+
+// @route   PUT /api/forums/topics/:id/moderate
+// @desc    Pin/unpin or lock/unlock a topic
+// @access  Private (Course instructor/Admin)
+router.put('/topics/:id/moderate', [
+  auth,
+  body('pinned').optional().isBoolean().withMessage('Pinned must be true or false'),
+  body('locked').optional().isBoolean().withMessage('Locked must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+    if (!loaded.canModerate) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { topic } = loaded;
+    ['pinned', 'locked'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        topic[field] = isTrue(req.body[field]);
+      }
+    });
+    await topic.save();
+
+    res.json({
+      message: 'Topic updated',
+      topic: topic.toThreadItem(req.user, true)
+    });
+  } catch (error) {
+    console.error('Moderate forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating topic' });
+  }
+});
+
+// @route   DELETE /api/forums/topics/:id
+// @desc    Delete a topic and hide its replies
+// @access  Private (Topic author without replies, course instructor, admin)
+router.delete('/topics/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const { topic, canModerate } = loaded;
+    const isAuthor = topic.author._id.toString() === req.user._id.toString();
+    if (!canModerate && !(isAuthor && topic.replyCount === 0)) {
+      return res.status(403).json({ message: 'Only the course instructor can delete a topic that has replies' });
+    }
+
+    topic.isDeleted = true;
+    topic.deletedBy = req.user._id;
+    await topic.save();
+
+    res.json({ message: 'Topic deleted' });
+  } catch (error) {
+    console.error('Delete forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting topic' });
+  }
+});
+
+// @route   POST /api/forums/topics/:id/upvote
+// @desc    Toggle the user's upvote on a topic
+// @access  Private (Enrolled students, course instructor, admin)
+router.post('/topics/:id/upvote', auth, async (req, res) => {
+  try {
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+    if (loaded.topic.author._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot upvote your own topic' });
+    }
+
+    res.json(await toggleUpvote(ForumTopic, loaded.topic._id, req.user._id));
+  } catch (error) {
+    console.error('Upvote forum topic error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while voting' });
+  }
+});
+
+// @route   PUT /api/forums/topics/:id/subscription
+// @desc    Subscribe to or unsubscribe from reply notifications
+// @access  Private (Enrolled students, course instructor, admin)
+router.put('/topics/:id/subscription', [
+  auth,
+  body('subscribed').isBoolean().withMessage('Subscribed must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const subscribed = isTrue(req.body.subscribed);
+    await ForumTopic.updateOne(
+      { _id: loaded.topic._id },
+      subscribed
+        ? { $addToSet: { subscribers: req.user._id } }
+        : { $pull: { subscribers: req.user._id } }
+    );
+
+    res.json({
+      message: subscribed ? 'You will be notified about new replies' : 'Unsubscribed from this topic',
+      isSubscribed: subscribed
+    });
+  } catch (error) {
+    console.error('Update forum subscription error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating subscription' });
+  }
+});
+
+// @route   POST /api/forums/topics/:id/posts
+// @desc    Reply to a topic or to another reply (parentId)
+// @access  Private (Enrolled students, course instructor, admin)
+router.post('/topics/:id/posts', [
+  auth,
+  ...postValidators,
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Invalid parent reply')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadTopic(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const { topic, canModerate } = loaded;
+    if (topic.locked && !canModerate) {
+      return res.status(400).json({ message: 'This topic is locked' });
+    }
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await ForumPost.findOne({ _id: req.body.parentId, topic: topic._id });
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+    }
+
+    const post = await ForumPost.create({
+      topic: topic._id,
+      course: topic.course,
+      ...ForumPost.placeReply(parent),
+      author: req.user._id,
+      body: req.body.body,
+      isAnonymous: isTrue(req.body.isAnonymous)
+    });
+
+    await ForumTopic.updateOne(
+      { _id: topic._id },
+      {
+        $inc: { replyCount: 1 },
+        $set: { lastActivityAt: post.createdAt }
+      }
+    );
+
+    // Notify the current subscribers, then follow the thread on the replier's behalf
+    await topic.notifySubscribers(post, req.user);
+    await ForumTopic.updateOne({ _id: topic._id }, { $addToSet: { subscribers: req.user._id } });
+
+    await post.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      message: 'Reply posted',
+      post: post.toThreadItem(req.user, canModerate)
+    });
+  } catch (error) {
+    console.error('Create forum reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+    res.status(500).json({ message: 'Server error while posting reply' });
+  }
+});
+
+// @route   PUT /api/forums/posts/:id
+// @desc    Edit a reply
+// @access  Private (Reply author while unlocked, course instructor, admin)
+router.put('/posts/:id', [auth, ...postValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadPost(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const { post, topic, canModerate } = loaded;
+    const isAuthor = post.author._id.toString() === req.user._id.toString();
+    if (!canModerate && !(isAuthor && !topic.locked)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    post.body = req.body.body;
+    post.editedAt = new Date();
+    await post.save();
+
+    res.json({
+      message: 'Reply updated',
+      post: post.toThreadItem(req.user, canModerate)
+    });
+  } catch (error) {
+    console.error('Update forum reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating reply' });
+  }
+});
+
+// @route   DELETE /api/forums/posts/:id
+// @desc    Delete a reply (nested replies stay visible under a placeholder)
+// @access  Private (Reply author, course instructor, admin)
+router.delete('/posts/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadPost(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    const { post, topic, canModerate } = loaded;
+    if (!canModerate && post.author._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    post.isDeleted = true;
+    post.deletedBy = req.user._id;
+    post.endorsed = false;
+    await post.save();
+
+    await ForumTopic.updateOne(
+      { _id: topic._id },
+      {
+        $inc: { replyCount: -1 },
+        $set: { hasEndorsedAnswer: await ForumPost.exists({ topic: topic._id, endorsed: true, isDeleted: false }) !== null }
+      }
+    );
+
+    res.json({ message: 'Reply deleted' });
+  } catch (error) {
+    console.error('Delete forum reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting reply' });
+  }
+});
+
+// @route   POST /api/forums/posts/:id/upvote
+// @desc    Toggle the user's upvote on a reply
+// @access  Private (Enrolled students, course instructor, admin)
+router.post('/posts/:id/upvote', auth, async (req, res) => {
+  try {
+    const loaded = await loadPost(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+    if (loaded.post.author._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot upvote your own reply' });
+    }
+
+    res.json(await toggleUpvote(ForumPost, loaded.post._id, req.user._id));
+  } catch (error) {
+    console.error('Upvote forum reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    res.status(500).json({ message: 'Server error while voting' });
+  }
+});
+
+// @route   PUT /api/forums/posts/:id/endorse
+// @desc    Endorse a reply as a good answer, or withdraw the endorsement
+// @access  Private (Course instructor/Admin)
+router.put('/posts/:id/endorse', [
+  auth,
+  body('endorsed').isBoolean().withMessage('Endorsed must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadPost(req.params.id, req.user);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+    if (!loaded.canModerate) {
+      return res.status(403).json({ message: 'Only the course instructor can endorse answers' });
+    }
+
+    const { post, topic, course } = loaded;
+    const endorsed = isTrue(req.body.endorsed);
+    const wasEndorsed = post.endorsed;
+
+    post.endorsed = endorsed;
+    post.endorsedBy = endorsed ? req.user._id : undefined;
+    await post.save();
+
+    await ForumTopic.updateOne(
+      { _id: topic._id },
+      { hasEndorsedAnswer: await ForumPost.exists({ topic: topic._id, endorsed: true, isDeleted: false }) !== null }
+    );
+
+    if (endorsed && !wasEndorsed && post.author._id.toString() !== req.user._id.toString()) {
+      try {
+        await Notification.createNotification({
+          recipient: post.author._id,
+          title: `${course.courseCode}: Your reply was endorsed`.slice(0, 100),
+          message: `Your reply in "${topic.title}" was endorsed by the instructor.`.slice(0, 500),
+          type: 'forum',
+          targetId: topic._id,
+          targetUrl: `/courses/${course._id}/forum/${topic._id}`
+        });
+      } catch (notifError) {
+        console.error('Error creating endorsement notification:', notifError);
+      }
+    }
+
+    res.json({
+      message: endorsed ? 'Reply endorsed' : 'Endorsement removed',
+      post: post.toThreadItem(req.user, true)
+    });
+  } catch (error) {
+    console.error('Endorse forum reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    res.status(500).json({ message: 'Server error while endorsing reply' });
+  }
+});
+
+module.exports = router;
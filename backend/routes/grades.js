@@ -1,27 +1,67 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Grade = require('../models/Grade');
+const GradingScale = require('../models/GradingScale');
 const Course = require('../models/Course');
+const Term = require('../models/Term');
+const Enrollment = require('../models/Enrollment');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
-const { auth, authorize, checkApproval } = require('../middleware/auth');
+const Configuration = require('../models/Configuration');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission, checkApproval } = require('../middleware/auth');
+const { canAccessCourse, getCourseScope, canAccessStudent } = require('../utils/permissions');
+const { renderTranscriptHtml, renderTranscriptPdf } = require('../utils/transcript');
 
 const router = express.Router();
 
+// Grade values kept in the audit log
+const GRADE_AUDIT_FIELDS = ['percentage', 'letterGrade', 'isFinalized'];
+
 // @route   GET /api/grades/student/:studentId
 // @desc    Get grades for a student
 // @access  Private
-router.get('/student/:studentId', auth, async (req, res) => {
+router.get('/student/:studentId', [
+  auth,
+  query('term').optional().custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid term')
+], async (req, res) => {
   try {
-    // Students can only view their own grades
-    if (req.user.role === 'student' && req.params.studentId !== req.user._id.toString()) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Students can only view their own grades; staff only see grades in courses they may view
+    if (!(await canAccessStudent(req.user, req.params.studentId, 'grade:view'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const grades = await Grade.find({
-      student: req.params.studentId
+    const courseFilter = {};
+    if (req.query.term) {
+      const term = req.query.term === 'current' ? await Term.getCurrent() : { _id: req.query.term };
+      courseFilter.term = term ? term._id : null;
+    }
+    if (req.params.studentId !== req.user._id.toString()) {
+      const scope = await getCourseScope(req.user, 'grade:view');
+      if (scope) {
+        courseFilter._id = { $in: scope };
+      }
+    }
+
+    const filter = { student: req.params.studentId };
+    if (Object.keys(courseFilter).length > 0) {
+      filter.course = { $in: await Course.find(courseFilter).distinct('_id') };
+    }
+
+    const grades = await Grade.find(filter)
+    .populate({
+      path: 'course',
+      select: 'title courseCode credits term',
+      populate: { path: 'term', select: 'name code' }
     })
-    .populate('course', 'title courseCode credits')
     .populate('instructor', 'firstName lastName')
     .sort({ updatedAt: -1 });
 
@@ -32,11 +72,59 @@ router.get('/student/:studentId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/grades/student/:studentId/transcript
+// @desc    Get a student's transcript with term and cumulative GPA (?format=json|html|pdf)
+// @access  Private
+router.get('/student/:studentId/transcript', auth, async (req, res) => {
+  try {
+    // Students can only view their own transcript; staff need to teach the student
+    if (!(await canAccessStudent(req.user, req.params.studentId, 'grade:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, html or pdf' });
+    }
+
+    const transcript = await Grade.getTranscript(req.params.studentId);
+
+    if (format === 'json') {
+      return res.json(transcript);
+    }
+
+    const institutionName = await Configuration.getValue('site_name', 'EduManage');
+    const filename = `transcript-${transcript.student.lastName}-${transcript.student.firstName}`
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-');
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+      return res.send(renderTranscriptHtml(transcript, institutionName));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    renderTranscriptPdf(transcript, institutionName, res);
+  } catch (error) {
+    console.error('Get transcript error:', error);
+    if (error.message === 'Student not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while generating transcript' });
+  }
+});
+
 // @route   GET /api/grades/course/:courseId
 // @desc    Get grades for a course
-// @access  Private (Instructor/Admin)
-router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (grade:view)
+router.get('/course/:courseId', [auth, requirePermission('grade:view')], async (req, res) => {
   try {
+    if (!(await canAccessCourse(req.user, req.params.courseId, 'grade:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     const grades = await Grade.find({
       course: req.params.courseId
     })
@@ -53,10 +141,10 @@ router.get('/course/:courseId', [auth, authorize('instructor', 'admin')], async
 
 // @route   POST /api/grades
 // @desc    Create or update a grade
-// @access  Private (Instructor only for creation, Admin can update for verification)
+// @access  Private (grade:edit)
 router.post('/', [
   auth,
-  authorize('instructor'), // Only instructors can create/update grades
+  requirePermission('grade:edit'),
   checkApproval,
   body('studentId').notEmpty().withMessage('Student ID is required'),
   body('courseId').notEmpty().withMessage('Course ID is required'),
@@ -71,7 +159,11 @@ router.post('/', [
       });
     }
 
-    const { studentId, courseId, percentage, isFinalized = false } = req.body;
+    const { studentId, courseId, percentage, isFinalized = false, note } = req.body;
+
+    if (!(await canAccessCourse(req.user, courseId, 'grade:edit'))) {
+      return res.status(403).json({ message: 'Not authorized to grade this course' });
+    }
 
     // Check if grade already exists
     let grade = await Grade.findOne({
@@ -79,24 +171,33 @@ router.post('/', [
       course: courseId
     });
 
+    if (grade?.isFinalized) {
+      return res.status(400).json({ message: 'Finalized grades cannot be changed' });
+    }
+    // Any change to the finalized flag needs grade:finalize
+    if (Boolean(isFinalized) !== Boolean(grade?.isFinalized) &&
+        !(await canAccessCourse(req.user, courseId, 'grade:finalize'))) {
+      return res.status(403).json({ message: 'Not authorized to finalize grades for this course' });
+    }
+
     const isNewGrade = !grade; // Fixed: Track if this is a new grade
+    const before = AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS);
 
-    if (grade) {
-      // Update existing grade
-      grade.percentage = percentage;
-      grade.isFinalized = isFinalized;
-      grade.instructor = req.user._id;
-    } else {
+    if (!grade) {
       // Create new grade
       grade = new Grade({
         student: studentId,
         course: courseId,
-        percentage,
-        isFinalized,
         instructor: req.user._id
       });
     }
 
+    // Manually entered percentages are recorded as overrides so that
+    // recalculation from graded submissions does not replace them
+    grade.applyOverride(Number(percentage), note || 'Manual grade entry', req.user._id);
+    grade.isFinalized = Boolean(isFinalized);
+    grade.instructor = req.user._id;
+
     await grade.save();
     await grade.populate([
       { path: 'student', select: 'firstName lastName email' },
@@ -104,6 +205,16 @@ router.post('/', [
       { path: 'instructor', select: 'firstName lastName' }
     ]);
 
+    await AuditLog.record(req, {
+      action: isNewGrade ? 'grade.create' : 'grade.update',
+      targetType: 'Grade',
+      target: grade,
+      targetLabel: `${grade.student.email} · ${grade.course.courseCode}`,
+      before,
+      after: AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS),
+      details: { note: note || 'Manual grade entry' }
+    });
+
     // Create notification for grade update/creation
     try {
       const notificationTitle = isNewGrade ? 'New Grade Posted' : 'Grade Updated';
@@ -134,10 +245,214 @@ router.post('/', [
   }
 });
 
+// @route   GET /api/grades/course/:courseId/student/:studentId/preview
+// @desc    Preview the computed course grade for a student
+// @access  Private (grade:view)
+router.get('/course/:courseId/student/:studentId/preview', [auth, requirePermission('grade:view')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may act on this course
+    if (!(await canAccessCourse(req.user, course, 'grade:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { percentage, breakdown } = await Grade.computeForStudent(req.params.studentId, req.params.courseId);
+    const scale = await GradingScale.getForCourse(req.params.courseId);
+    const band = percentage === null ? null : scale.getBand(percentage);
+    const grade = await Grade.findOne({
+      student: req.params.studentId,
+      course: req.params.courseId
+    }).populate('overrideHistory.changedBy', 'firstName lastName');
+
+    res.json({
+      computed: {
+        percentage,
+        letterGrade: band ? band.letterGrade : 'I',
+        gpa: band ? band.gpa : null,
+        breakdown
+      },
+      gradingScale: { name: scale.name, code: scale.code, maxGpa: scale.maxGpa },
+      grade
+    });
+  } catch (error) {
+    console.error('Preview grade error:', error);
+    res.status(500).json({ message: 'Server error while previewing grade' });
+  }
+});
+
+// @route   POST /api/grades/course/:courseId/recalculate
+// @desc    Recalculate course grades for all enrolled students
+// @access  Private (grade:edit)
+router.post('/course/:courseId/recalculate', [auth, requirePermission('grade:edit')], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check if user may act on this course
+    if (!(await canAccessCourse(req.user, course, 'grade:edit'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const enrollments = await Enrollment.find({
+      course: req.params.courseId,
+      status: 'enrolled'
+    });
+
+    const grades = await Promise.all(
+      enrollments.map(enrollment => Grade.recalculate(enrollment.student, req.params.courseId))
+    );
+
+    const updated = grades.filter(Boolean).length;
+
+    await AuditLog.record(req, {
+      action: 'grade.recalculate',
+      targetType: 'Course',
+      target: course,
+      targetLabel: course.courseCode,
+      details: { updated }
+    });
+
+    res.json({
+      message: 'Grades recalculated successfully',
+      updated
+    });
+  } catch (error) {
+    console.error('Recalculate grades error:', error);
+    res.status(500).json({ message: 'Server error while recalculating grades' });
+  }
+});
+
+// @route   PUT /api/grades/:id/override
+// @desc    Override the computed course grade with an audit note
+// @access  Private (grade:edit)
+router.put('/:id/override', [
+  auth,
+  requirePermission('grade:edit'),
+  checkApproval,
+  body('percentage').isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+  body('note').trim().notEmpty().withMessage('An audit note is required to override a grade')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const grade = await Grade.findById(req.params.id).populate('course', 'title courseCode instructor');
+    
+    if (!grade) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    // Check if user may act on this course
+    if (!(await canAccessCourse(req.user, grade.course, 'grade:edit'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (grade.isFinalized) {
+      return res.status(400).json({ message: 'Finalized grades cannot be overridden' });
+    }
+
+    const before = AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS);
+    const percentage = Number(req.body.percentage);
+    grade.applyOverride(percentage, req.body.note, req.user._id);
+    await grade.save();
+
+    await AuditLog.record(req, {
+      action: 'grade.override',
+      targetType: 'Grade',
+      target: grade,
+      targetLabel: grade.course.courseCode,
+      before,
+      after: AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS),
+      details: { note: req.body.note }
+    });
+
+    try {
+      await Notification.createNotification({
+        recipient: grade.student,
+        title: 'Grade Updated',
+        message: `Your grade for ${grade.course.title} has been updated to: ${percentage}%`,
+        type: 'grade',
+        targetId: grade._id,
+        targetUrl: `/grades`
+      });
+    } catch (notifError) {
+      console.error('Error creating grade override notification:', notifError);
+      // Don't fail the override if notification fails
+    }
+
+    res.json({
+      message: 'Grade overridden successfully',
+      grade
+    });
+  } catch (error) {
+    console.error('Override grade error:', error);
+    res.status(500).json({ message: 'Server error while overriding grade' });
+  }
+});
+
+// @route   DELETE /api/grades/:id/override
+// @desc    Remove a grade override and restore the computed grade
+// @access  Private (grade:edit)
+router.delete('/:id/override', [auth, requirePermission('grade:edit'), checkApproval], async (req, res) => {
+  try {
+    const grade = await Grade.findById(req.params.id).populate('course', 'title courseCode instructor');
+    
+    if (!grade) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    // Check if user may act on this course
+    if (!(await canAccessCourse(req.user, grade.course, 'grade:edit'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (grade.isFinalized) {
+      return res.status(400).json({ message: 'Finalized grades cannot be changed' });
+    }
+
+    if (!grade.override?.isActive) {
+      return res.status(400).json({ message: 'Grade is not overridden' });
+    }
+
+    const before = AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS);
+    grade.clearOverride(req.body?.note || 'Override removed', req.user._id);
+    await grade.save();
+
+    await AuditLog.record(req, {
+      action: 'grade.override_removed',
+      targetType: 'Grade',
+      target: grade,
+      targetLabel: grade.course.courseCode,
+      before,
+      after: AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS),
+      details: { note: req.body?.note || 'Override removed' }
+    });
+
+    res.json({
+      message: 'Grade override removed successfully',
+      grade
+    });
+  } catch (error) {
+    console.error('Remove grade override error:', error);
+    res.status(500).json({ message: 'Server error while removing grade override' });
+  }
+});
+
 // @route   PUT /api/grades/:id/finalize
 // @desc    Finalize a grade
-// @access  Private (Instructor/Admin)
-router.put('/:id/finalize', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (grade:finalize)
+router.put('/:id/finalize', [auth, requirePermission('grade:finalize')], async (req, res) => {
   try {
     const grade = await Grade.findById(req.params.id);
     
@@ -145,6 +460,11 @@ router.put('/:id/finalize', [auth, authorize('instructor', 'admin')], async (req
       return res.status(404).json({ message: 'Grade not found' });
     }
 
+    if (!(await canAccessCourse(req.user, grade.course, 'grade:finalize'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS);
     grade.isFinalized = true;
     await grade.save();
 
@@ -154,6 +474,15 @@ router.put('/:id/finalize', [auth, authorize('instructor', 'admin')], async (req
       { path: 'course', select: 'title courseCode credits' }
     ]);
 
+    await AuditLog.record(req, {
+      action: 'grade.finalize',
+      targetType: 'Grade',
+      target: grade,
+      targetLabel: `${grade.student.email} · ${grade.course.courseCode}`,
+      before,
+      after: AuditLog.snapshot(grade, GRADE_AUDIT_FIELDS)
+    });
+
     // Create notification for grade finalization
     try {
       await Notification.createNotification({
@@ -181,8 +510,8 @@ router.put('/:id/finalize', [auth, authorize('instructor', 'admin')], async (req
 
 // @route   PUT /api/grades/:id/verify
 // @desc    Verify/approve a grade (Admin only)
-// @access  Private (Admin only)
-router.put('/:id/verify', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (grade:verify)
+router.put('/:id/verify', [auth, requirePermission('grade:verify')], async (req, res) => {
   try {
     const grade = await Grade.findById(req.params.id);
     
@@ -195,6 +524,13 @@ router.put('/:id/verify', [auth, authorize('admin')], async (req, res) => {
     grade.verifiedAt = new Date();
     await grade.save();
 
+    await AuditLog.record(req, {
+      action: 'grade.verify',
+      targetType: 'Grade',
+      target: grade,
+      after: AuditLog.snapshot(grade, [...GRADE_AUDIT_FIELDS, 'isVerified'])
+    });
+
     res.json({
       message: 'Grade verified successfully',
       grade
@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const GradingScale = require('../models/GradingScale');
+const Course = require('../models/Course');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Helper function to re-derive letter grades for every course using a scale
+const rederiveCoursesUsing = async (scale) => {
+  const filter = scale.isDefault
+    ? { $or: [{ gradingScale: scale._id }, { gradingScale: { $exists: false } }, { gradingScale: null }] }
+    : { gradingScale: scale._id };
+
+  const courseIds = await Course.find(filter).distinct('_id');
+  for (const courseId of courseIds) {
+    await GradingScale.rederiveCourse(courseId);
+  }
+
+  return courseIds.length;
+};
+
+const scaleValidation = [
+  body('name').trim().notEmpty().withMessage('Scale name is required'),
+  body('maxGpa').isFloat({ min: 1 }).withMessage('Maximum GPA must be at least 1'),
+  body('bands').isArray({ min: 1 }).withMessage('At least one band is required'),
+  body('bands.*.letter').trim().notEmpty().withMessage('Each band needs a letter'),
+  body('bands.*.minPercentage').isFloat({ min: 0, max: 100 }).withMessage('Band minimum must be between 0 and 100'),
+  body('bands.*.gpa').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Band GPA must be a positive number'),
+  body('bands.*.isPassing').optional().isBoolean().withMessage('isPassing must be boolean')
+];
+
+// @route   GET /api/grading-scales
+// @desc    Get grading scales
+// @access  Private (course:edit or grading_scale:manage)
+router.get('/', [auth, requirePermission('course:edit', 'grading_scale:manage')], async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.includeInactive !== 'true' || !(await hasPermission(req.user, 'grading_scale:manage'))) {
+      filter.isActive = true;
+    }
+
+    const scales = await GradingScale.find(filter)
+      .sort({ isDefault: -1, name: 1 });
+
+    const defaultScale = await GradingScale.getDefault();
+
+    res.json({
+      scales,
+      defaultScale
+    });
+  } catch (error) {
+    console.error('Get grading scales error:', error);
+    res.status(500).json({ message: 'Server error while fetching grading scales' });
+  }
+});
+
+// @route   POST /api/grading-scales
+// @desc    Create a grading scale
+// @access  Private (grading_scale:manage)
+router.post('/', [
+  auth,
+  requirePermission('grading_scale:manage'),
+  body('code').trim().matches(/^[a-zA-Z0-9_-]+$/).withMessage('Code may only contain letters, numbers, dashes and underscores'),
+  ...scaleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, description, maxGpa, bands } = req.body;
+
+    const existingScale = await GradingScale.findOne({ code: code.toLowerCase() });
+    if (existingScale) {
+      return res.status(400).json({ message: 'Grading scale code already exists' });
+    }
+
+    const scale = new GradingScale({
+      name,
+      code,
+      description,
+      maxGpa,
+      bands,
+      createdBy: req.user._id
+    });
+
+    await scale.save();
+
+    res.status(201).json({
+      message: 'Grading scale created successfully',
+      scale
+    });
+  } catch (error) {
+    console.error('Create grading scale error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating grading scale' });
+  }
+});
+
+// @route   PUT /api/grading-scales/:id
+// @desc    Update a grading scale and re-derive grades of courses using it
+// @access  Private (grading_scale:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('grading_scale:manage'),
+  ...scaleValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({ message: 'Grading scale not found' });
+    }
+
+    const { name, description, maxGpa, bands, isActive } = req.body;
+
+    if (isActive === false && scale.isDefault) {
+      return res.status(400).json({ message: 'The default grading scale cannot be deactivated' });
+    }
+
+    scale.name = name;
+    scale.maxGpa = maxGpa;
+    scale.bands = bands;
+    if (description !== undefined) scale.description = description;
+    if (isActive !== undefined) scale.isActive = isActive;
+
+    await scale.save();
+
+    const coursesUpdated = await rederiveCoursesUsing(scale);
+
+    res.json({
+      message: 'Grading scale updated successfully',
+      scale,
+      coursesUpdated
+    });
+  } catch (error) {
+    console.error('Update grading scale error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating grading scale' });
+  }
+});
+
+// @route   PUT /api/grading-scales/:id/default
+// @desc    Make a grading scale the institution default
+// @access  Private (grading_scale:manage)
+router.put('/:id/default', [auth, requirePermission('grading_scale:manage')], async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({ message: 'Grading scale not found' });
+    }
+
+    if (!scale.isActive) {
+      return res.status(400).json({ message: 'Inactive grading scales cannot be the default' });
+    }
+
+    await GradingScale.updateMany({ _id: { $ne: scale._id } }, { isDefault: false });
+    scale.isDefault = true;
+    await scale.save();
+
+    const coursesUpdated = await rederiveCoursesUsing(scale);
+
+    res.json({
+      message: `${scale.name} is now the default grading scale`,
+      scale,
+      coursesUpdated
+    });
+  } catch (error) {
+    console.error('Set default grading scale error:', error);
+    res.status(500).json({ message: 'Server error while setting default grading scale' });
+  }
+});
+
+// @route   DELETE /api/grading-scales/:id
+// @desc    Delete an unused grading scale
+// @access  Private (grading_scale:manage)
+router.delete('/:id', [auth, requirePermission('grading_scale:manage')], async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({ message: 'Grading scale not found' });
+    }
+
+    if (scale.isDefault) {
+      return res.status(400).json({ message: 'The default grading scale cannot be deleted' });
+    }
+
+    const coursesUsing = await Course.countDocuments({ gradingScale: scale._id });
+    if (coursesUsing > 0) {
+      return res.status(400).json({
+        message: `Grading scale is used by ${coursesUsing} course(s). Deactivate it instead.`
+      });
+    }
+
+    await GradingScale.findByIdAndDelete(scale._id);
+
+    res.json({ message: 'Grading scale deleted successfully' });
+  } catch (error) {
+    console.error('Delete grading scale error:', error);
+    res.status(500).json({ message: 'Server error while deleting grading scale' });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,170 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
 const { auth } = require('../middleware/auth');
+const { uploadMessageAttachment, findMessageAttachment } = require('../middleware/upload');
+const { pushUnreadCounts, emitToUser } = require('../utils/realtime');
 
 const router = express.Router();
 
-// @route   GET /api/messages/inbox
-// @desc    Get user's inbox
+const MAX_GROUP_RECIPIENTS = 50;
+const MAX_ATTACHMENTS = 5;
+
+const participantFields = 'firstName lastName email role';
+
+// Resolve the attachments of a message to files the sender uploaded through
+// /api/messages/attachments. The URL, size and type come from the stored file, not the client.
+// Returns null when any of them is missing.
+const resolveAttachments = (attachments = [], req) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const resolved = [];
+  for (const file of attachments) {
+    const stored = findMessageAttachment(file.filename, req.user._id);
+    if (!stored) {
+      return null;
+    }
+    resolved.push({
+      filename: file.filename,
+      originalName: file.originalName || file.filename,
+      url: `${baseUrl}/${stored.path}`,
+      size: stored.size,
+      mimetype: express.static.mime.lookup(stored.path)
+    });
+  }
+  return resolved;
+};
+
+const attachmentValidators = [
+  body('attachments').optional().isArray({ max: MAX_ATTACHMENTS }).withMessage(`At most ${MAX_ATTACHMENTS} attachments are allowed`),
+  body('attachments.*.filename').isString().withMessage('Attachments must be uploaded through /api/messages/attachments'),
+  body('attachments.*.originalName').optional().isString().isLength({ max: 255 })
+];
+
+const ATTACHMENT_ERROR = 'Attachments must be files you uploaded through /api/messages/attachments';
+
+// Load a conversation the current user takes part in
+const loadConversation = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return { status: 404, message: 'Conversation not found' };
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    return { status: 404, message: 'Conversation not found' };
+  }
+  if (!conversation.getParticipant(userId)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { conversation };
+};
+
+// @route   POST /api/messages/attachments
+// @desc    Upload a file to attach to a message
 // @access  Private
-router.get('/inbox', auth, async (req, res) => {
+router.post('/attachments', auth, (req, res) => {
+  uploadMessageAttachment(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message || 'File upload failed' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      mimetype: express.static.mime.lookup(req.file.path)
+    });
+  });
+});
+
+// @route   GET /api/messages/conversations
+// @desc    List the user's conversations (?folder=inbox|archived)
+// @access  Private
+router.get('/conversations', [
+  auth,
+  query('folder').optional().isIn(['inbox', 'archived']).withMessage('Folder must be inbox or archived'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const filter = Conversation.folderFilter(userId, req.query.folder || 'inbox');
 
-    const messages = await Message.find({ 
-      receiver: req.user._id,
-      isDeleted: false 
-    })
-    .populate('sender', 'firstName lastName email role')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-    const total = await Message.countDocuments({ 
-      receiver: req.user._id,
-      isDeleted: false 
-    });
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate('participants.user', participantFields)
+        .populate('course', 'title courseCode')
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+
+    // Latest visible message and unread count per conversation
+    const summaries = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(c => c._id) },
+          ...Message.visibleFilter(userId)
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$conversation',
+          lastMessage: { $first: '$$ROOT' },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $in: [userId, '$recipients'] },
+                    { $not: [{ $in: [userId, { $ifNull: ['$readBy.user', []] }] }] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+    const summaryById = new Map(summaries.map(s => [s._id.toString(), s]));
 
     res.json({
-      messages,
+      conversations: conversations.map(conversation => {
+        const summary = summaryById.get(conversation._id.toString());
+        return {
+          ...conversation.toObject(),
+          lastMessage: summary ? {
+            _id: summary.lastMessage._id,
+            sender: summary.lastMessage.sender,
+            content: summary.lastMessage.content.slice(0, 200),
+            createdAt: summary.lastMessage.createdAt,
+            hasAttachments: summary.lastMessage.attachments?.length > 0
+          } : null,
+          unreadCount: summary ? summary.unreadCount : 0
+        };
+      }),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -38,66 +172,131 @@ router.get('/inbox', auth, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get inbox error:', error);
-    res.status(500).json({ message: 'Server error while fetching inbox' });
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error while fetching conversations' });
   }
 });
 
-// @route   GET /api/messages/sent
-// @desc    Get sent messages
+// @route   GET /api/messages/conversations/:id
+// @desc    Get a conversation thread with read receipts
 // @access  Private
-router.get('/sent', auth, async (req, res) => {
+router.get('/conversations/:id', auth, async (req, res) => {
   try {
-    const messages = await Message.find({ 
-      sender: req.user._id,
-      isDeleted: false 
+    const { conversation, status, message } = await loadConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    await conversation.populate([
+      { path: 'participants.user', select: participantFields },
+      { path: 'course', select: 'title courseCode' }
+    ]);
+
+    const messages = await Message.find({
+      conversation: conversation._id,
+      ...Message.visibleFilter(req.user._id)
     })
-    .populate('receiver', 'firstName lastName email role')
-    .sort({ createdAt: -1 });
+      .populate('sender', participantFields)
+      .populate('readBy.user', 'firstName lastName')
+      .sort({ createdAt: 1 });
 
-    res.json(messages);
+    res.json({ conversation, messages });
   } catch (error) {
-    console.error('Get sent messages error:', error);
-    res.status(500).json({ message: 'Server error while fetching sent messages' });
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error while fetching conversation' });
   }
 });
 
 // @route   POST /api/messages
-// @desc    Send a new message
+// @desc    Start a conversation with one user, a group of users or a whole course
 // @access  Private
 router.post('/', [
   auth,
-  body('receiverId').notEmpty().withMessage('Receiver is required'),
-  body('subject').trim().notEmpty().withMessage('Subject is required'),
-  body('content').trim().notEmpty().withMessage('Content is required')
+  body('receiverIds').optional().isArray({ min: 1, max: MAX_GROUP_RECIPIENTS })
+    .withMessage(`Select between 1 and ${MAX_GROUP_RECIPIENTS} recipients`),
+  body('receiverIds.*').optional().isMongoId().withMessage('Invalid recipient'),
+  body('receiverId').optional().isMongoId().withMessage('Invalid recipient'),
+  body('courseId').optional().isMongoId().withMessage('Invalid course'),
+  body('subject').trim().notEmpty().withMessage('Subject is required')
+    .isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('content').trim().notEmpty().withMessage('Content is required'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  ...attachmentValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation errors', 
-        errors: errors.array() 
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    const { receiverId, subject, content, priority = 'normal' } = req.body;
+    const { courseId, subject, content, priority = 'normal' } = req.body;
+    const attachments = resolveAttachments(req.body.attachments, req);
+    if (!attachments) {
+      return res.status(400).json({ message: ATTACHMENT_ERROR });
+    }
+    const senderId = req.user._id;
+    let kind;
+    let recipientIds;
+    let course = null;
 
-    const message = new Message({
-      sender: req.user._id,
-      receiver: receiverId,
+    if (courseId) {
+      course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (req.user.role !== 'admin' && !course.getStaffRole(senderId)) {
+        return res.status(403).json({ message: 'Only the course staff can message the whole course' });
+      }
+
+      const studentIds = await Enrollment.distinct('student', { course: course._id, status: 'enrolled' });
+      if (studentIds.length === 0) {
+        return res.status(400).json({ message: 'This course has no enrolled students' });
+      }
+
+      kind = 'course';
+      recipientIds = studentIds;
+    } else {
+      const requested = [...new Set([...(req.body.receiverIds || []), req.body.receiverId].filter(Boolean))]
+        .filter(id => id !== senderId.toString());
+
+      if (requested.length === 0) {
+        return res.status(400).json({ message: 'Select at least one recipient or a course' });
+      }
+
+      const receivers = await User.find({ _id: { $in: requested }, isActive: true }).select('_id');
+      if (receivers.length !== requested.length) {
+        return res.status(400).json({ message: 'One or more recipients do not exist or are inactive' });
+      }
+
+      kind = requested.length > 1 ? 'group' : 'direct';
+      recipientIds = receivers.map(receiver => receiver._id);
+    }
+
+    const conversation = await Conversation.create({
       subject,
-      content,
-      priority
+      kind,
+      course: course ? course._id : undefined,
+      createdBy: senderId,
+      participants: [senderId, ...recipientIds].map(user => ({ user }))
     });
 
-    await message.save();
-    await message.populate([
-      { path: 'sender', select: 'firstName lastName email' },
-      { path: 'receiver', select: 'firstName lastName email' }
-    ]);
+    const message = await Message.send(conversation, {
+      sender: senderId,
+      content,
+      priority,
+      attachments
+    });
+    await message.populate('sender', participantFields);
 
     res.status(201).json({
-      message: 'Message sent successfully',
+      message: kind === 'course'
+        ? `Message sent to ${recipientIds.length} student(s) in ${course.courseCode}`
+        : 'Message sent successfully',
+      conversation,
       data: message
     });
   } catch (error) {
@@ -106,28 +305,207 @@ router.post('/', [
   }
 });
 
-// @route   PUT /api/messages/:id/read
-// @desc    Mark message as read
+// @route   POST /api/messages/conversations/:id/reply
+// @desc    Reply in a conversation
+// @access  Private
+router.post('/conversations/:id/reply', [
+  auth,
+  body('content').trim().notEmpty().withMessage('Content is required'),
+  body('replyTo').optional().isMongoId().withMessage('Invalid message'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  ...attachmentValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, status, message } = await loadConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const attachments = resolveAttachments(req.body.attachments, req);
+    if (!attachments) {
+      return res.status(400).json({ message: ATTACHMENT_ERROR });
+    }
+
+    if (req.body.replyTo) {
+      const parent = await Message.findOne({
+        _id: req.body.replyTo,
+        conversation: conversation._id,
+        ...Message.visibleFilter(req.user._id)
+      });
+      if (!parent) {
+        return res.status(400).json({ message: 'The message being replied to is not in this conversation' });
+      }
+    }
+
+    const reply = await Message.send(conversation, {
+      sender: req.user._id,
+      content: req.body.content,
+      priority: req.body.priority || 'normal',
+      replyTo: req.body.replyTo,
+      attachments
+    });
+
+    // Replying also brings the thread back for the sender
+    const participant = conversation.getParticipant(req.user._id);
+    if (participant.archived || participant.deletedAt) {
+      participant.archived = false;
+      participant.deletedAt = null;
+      await conversation.save();
+    }
+
+    await reply.populate('sender', participantFields);
+
+    res.status(201).json({
+      message: 'Reply sent',
+      data: reply
+    });
+  } catch (error) {
+    console.error('Reply message error:', error);
+    res.status(500).json({ message: 'Server error while sending reply' });
+  }
+});
+
+// @route   PUT /api/messages/conversations/:id/read
+// @desc    Mark a conversation as read and notify senders of the read receipts
+// @access  Private
+router.put('/conversations/:id/read', auth, async (req, res) => {
+  try {
+    const { conversation, status, message } = await loadConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const senders = await Message.distinct('sender', {
+      conversation: conversation._id,
+      ...Message.unreadFilter(req.user._id)
+    });
+    const marked = await Message.markConversationRead(conversation._id, req.user._id);
+
+    if (marked > 0) {
+      const receipt = {
+        conversation: conversation._id,
+        user: { _id: req.user._id, firstName: req.user.firstName, lastName: req.user.lastName },
+        readAt: new Date()
+      };
+      senders.forEach(sender => emitToUser(sender, 'message:read', receipt));
+      pushUnreadCounts(req.user._id);
+    }
+
+    res.json({ message: 'Conversation marked as read', marked });
+  } catch (error) {
+    console.error('Mark conversation as read error:', error);
+    res.status(500).json({ message: 'Server error while marking conversation as read' });
+  }
+});
+
+// @route   PUT /api/messages/conversations/:id/archive
+// @desc    Archive or unarchive a conversation for the current user
+// @access  Private
+router.put('/conversations/:id/archive', [
+  auth,
+  body('archived').isBoolean().withMessage('Archived must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, status, message } = await loadConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const archived = req.body.archived === true || req.body.archived === 'true';
+    conversation.getParticipant(req.user._id).archived = archived;
+    await conversation.save();
+
+    res.json({ message: archived ? 'Conversation archived' : 'Conversation moved to inbox' });
+  } catch (error) {
+    console.error('Archive conversation error:', error);
+    res.status(500).json({ message: 'Server error while archiving conversation' });
+  }
+});
+
+// @route   DELETE /api/messages/conversations/:id
+// @desc    Delete a conversation for the current user only
 // @access  Private
-router.put('/:id/read', auth, async (req, res) => {
+router.delete('/conversations/:id', auth, async (req, res) => {
   try {
-    const message = await Message.findById(req.params.id);
-    
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
+    const { conversation, status, message } = await loadConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(status).json({ message });
     }
 
-    if (message.receiver.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    const participant = conversation.getParticipant(req.user._id);
+    participant.deletedAt = new Date();
+    participant.archived = false;
+    await conversation.save();
+
+    await Message.updateMany(
+      { conversation: conversation._id, ...Message.visibleFilter(req.user._id) },
+      { $addToSet: { hiddenFor: req.user._id } }
+    );
+    pushUnreadCounts(req.user._id);
+
+    res.json({ message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ message: 'Server error while deleting conversation' });
+  }
+});
+
+// @route   GET /api/messages/search
+// @desc    Full-text search across the user's conversations (?q=)
+// @access  Private
+router.get('/search', [
+  auth,
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
-    message.isRead = true;
-    await message.save();
+    const userId = req.user._id;
+    const search = { $search: req.query.q };
+
+    const [messages, conversations] = await Promise.all([
+      Message.find(
+        { $text: search, ...Message.visibleFilter(userId) },
+        { score: { $meta: 'textScore' } }
+      )
+        .populate('sender', 'firstName lastName')
+        .populate('conversation', 'subject kind')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(50),
+      Conversation.find(
+        { $text: search, participants: { $elemMatch: { user: userId, deletedAt: null } } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(20)
+    ]);
 
-    res.json({ message: 'Message marked as read' });
+    res.json({ messages, conversations });
   } catch (error) {
-    console.error('Mark message as read error:', error);
-    res.status(500).json({ message: 'Server error while marking message as read' });
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: 'Server error while searching messages' });
   }
 });
 
@@ -136,9 +514,9 @@ router.put('/:id/read', auth, async (req, res) => {
 // @access  Private
 router.get('/users', auth, async (req, res) => {
   try {
-    const users = await User.find({ 
+    const users = await User.find({
       _id: { $ne: req.user._id },
-      isActive: true 
+      isActive: true
     })
     .select('firstName lastName email role')
     .sort({ firstName: 1 });
@@ -150,4 +528,28 @@ router.get('/users', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/messages/courses
+// @desc    Get courses the user can send course-wide messages to
+// @access  Private (Instructor/Admin)
+router.get('/courses', auth, async (req, res) => {
+  try {
+    if (req.user.role === 'student') {
+      return res.json([]);
+    }
+
+    const filter = req.user.role === 'admin'
+      ? { isActive: true }
+      : { ...Course.taughtBy(req.user._id), isActive: true };
+
+    const courses = await Course.find(filter)
+      .select('title courseCode currentEnrollment')
+      .sort({ courseCode: 1 });
+
+    res.json(courses);
+  } catch (error) {
+    console.error('Get messaging courses error:', error);
+    res.status(500).json({ message: 'Server error while fetching courses' });
+  }
+});
+
 module.exports = router;
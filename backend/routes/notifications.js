@@ -1,6 +1,9 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { getUnreadCounts, pushUnreadCounts } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -32,6 +35,67 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/unread-counts
+// @desc    Get unread notification and message totals (polling fallback for realtime)
+// @access  Private
+router.get('/unread-counts', auth, async (req, res) => {
+  try {
+    res.json(await getUnreadCounts(req.user._id));
+  } catch (error) {
+    console.error('Get unread counts error:', error);
+    res.status(500).json({ message: 'Server error while fetching unread counts' });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's notification delivery preferences
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const Configuration = require('../models/Configuration');
+    const emailEnabled = await Configuration.getValue('email_notifications_enabled', true);
+
+    res.json({
+      email: req.user.notificationPreferences?.email || 'immediate',
+      emailEnabled
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while fetching notification preferences' });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update the current user's notification delivery preferences
+// @access  Private
+router.put('/preferences', [
+  auth,
+  body('email').isIn(['immediate', 'daily_digest', 'off']).withMessage('Email preference must be immediate, daily_digest or off')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { 'notificationPreferences.email': req.body.email }
+    );
+
+    res.json({
+      message: 'Notification preferences updated',
+      email: req.body.email
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while updating notification preferences' });
+  }
+});
+
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
@@ -67,6 +131,9 @@ router.put('/mark-all-read', auth, async (req, res) => {
       { isRead: true }
     );
 
+    // updateMany skips the save hooks, so sync other open tabs here
+    pushUnreadCounts(req.user._id);
+
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Mark notifications as read error:', error);
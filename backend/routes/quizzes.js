@@ -0,0 +1,879 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Grade = require('../models/Grade');
+const Enrollment = require('../models/Enrollment');
+const Configuration = require('../models/Configuration');
+const Accommodation = require('../models/Accommodation');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+const { canAccessCourse, getCourseScope } = require('../utils/permissions');
+
+const router = express.Router();
+
+const CHOICE_TYPES = ['multiple_choice', 'multi_select'];
+
+const questionValidation = [
+  body('type').isIn(Question.QUESTION_TYPES).withMessage('Invalid question type'),
+  body('prompt').trim().notEmpty().withMessage('Question prompt is required')
+    .isLength({ max: 2000 }).withMessage('Prompt cannot exceed 2000 characters'),
+  body('options').optional().isArray({ max: 20 }).withMessage('A question can have up to 20 options'),
+  body('options.*.text').trim().notEmpty().withMessage('Every option needs text'),
+  body('correctBoolean').optional({ nullable: true }).isBoolean().withMessage('correctBoolean must be boolean'),
+  body('numericAnswer').optional({ nullable: true }).isFloat().withMessage('Answer must be a number'),
+  body('tolerance').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Tolerance must be a positive number'),
+  body('acceptedPatterns').optional().isArray({ max: 20 }).withMessage('A question can have up to 20 accepted patterns'),
+  body('caseSensitive').optional().isBoolean().withMessage('caseSensitive must be boolean'),
+  body('points').optional().isFloat({ min: 0 }).withMessage('Points must be a positive number'),
+  body('tags').optional().isArray().withMessage('Tags must be a list')
+];
+
+// The fields of a question its type uses; the answer key of other types is dropped
+const questionFields = (data) => ({
+  type: data.type,
+  prompt: data.prompt,
+  options: CHOICE_TYPES.includes(data.type)
+    ? (data.options || []).map(option => ({ text: option.text, isCorrect: Boolean(option.isCorrect) }))
+    : [],
+  correctBoolean: data.type === 'true_false' ? data.correctBoolean === true || data.correctBoolean === 'true' : undefined,
+  numericAnswer: data.type === 'numeric' && data.numericAnswer !== null && data.numericAnswer !== ''
+    ? Number(data.numericAnswer)
+    : undefined,
+  tolerance: data.type === 'numeric' ? Number(data.tolerance) || 0 : 0,
+  acceptedPatterns: data.type === 'short_answer'
+    ? (data.acceptedPatterns || []).map(pattern => String(pattern).trim()).filter(Boolean)
+    : [],
+  caseSensitive: data.type === 'short_answer' && data.caseSensitive === true,
+  points: data.points !== undefined ? Number(data.points) : 1,
+  tags: (data.tags || []).map(tag => String(tag).trim()).filter(Boolean)
+});
+
+// Record a finished attempt as the student's submission: a new version when the student
+// has submitted before. The version counts from the attempt so both stay in step.
+const recordSubmission = async (attempt, assignment) => {
+  const accommodation = await Accommodation.findActiveFor(attempt.student);
+  const { isLate } = assignment.getLateness(attempt.submittedAt, attempt.student, accommodation);
+  const version = {
+    attempt: attempt.attempt,
+    submittedAt: attempt.submittedAt,
+    isLate,
+    quizAttempt: attempt._id
+  };
+
+  const existingSubmission = await Submission.findOne({ assignment: assignment._id, student: attempt.student });
+  if (!existingSubmission) {
+    return new Submission({
+      assignment: assignment._id,
+      student: attempt.student,
+      quizAttempt: attempt._id,
+      submittedAt: attempt.submittedAt,
+      isLate,
+      attempt: attempt.attempt,
+      versions: [version]
+    }).save();
+  }
+
+  const newVersions = existingSubmission.versions.length > 0
+    ? [version]
+    : [existingSubmission.toVersion(), version];
+  const submission = await Submission.findOneAndUpdate(
+    {
+      _id: existingSubmission._id,
+      [`versions.${existingSubmission.versions.length}`]: { $exists: false }
+    },
+    {
+      $set: {
+        submissionText: '',
+        attachments: [],
+        quizAttempt: attempt._id,
+        submittedAt: attempt.submittedAt,
+        isLate,
+        attempt: attempt.attempt,
+        status: existingSubmission.status === 'submitted' ? 'submitted' : 'resubmitted'
+      },
+      $push: { versions: { $each: newVersions } }
+    },
+    { new: true }
+  );
+  if (!submission) {
+    throw new Error('Submission changed while recording quiz attempt');
+  }
+  return submission;
+};
+
+// Save answers to an attempt. Only the responses are written, and only while the attempt is
+// still in progress, so a save can't land after the attempt was handed in.
+const saveAnswers = async (attempt, answers) => {
+  attempt.recordAnswers(answers);
+  const responses = {};
+  attempt.questions.forEach((question, index) => {
+    responses[`questions.${index}.response`] = question.response;
+  });
+
+  const result = await QuizAttempt.updateOne(
+    { _id: attempt._id, status: 'in_progress' },
+    { $set: responses }
+  );
+  return result.matchedCount > 0;
+};
+
+// Write the score of an attempt into its submission's grade and the course grade
+const gradeSubmission = async (attempt, assignment, { gradedBy, feedback } = {}) => {
+  const submission = await Submission.findById(attempt.submission);
+  await submission.applyGrade(assignment, attempt.score, { gradedBy, feedback });
+  await submission.save();
+
+  try {
+    await Grade.recalculate(submission.student, assignment.course);
+  } catch (gradeError) {
+    console.error('Error recalculating course grade:', gradeError);
+  }
+  return submission;
+};
+
+// Hand in an attempt with the answers saved so far: score it, record it as a submission, and
+// grade it straight away if the quiz is graded automatically and no answer waits for review.
+// The conditional update makes sure an attempt is only handed in once. Expects the
+// assignment loaded with +extensions.
+const finishAttempt = async (attempt, assignment, status) => {
+  const finished = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    { $set: { status, submittedAt: status === 'expired' ? attempt.expiresAt : new Date() } },
+    { new: true }
+  );
+  if (!finished) {
+    return QuizAttempt.findById(attempt._id);
+  }
+
+  finished.scoreAnswers();
+  await finished.save();
+
+  const submission = await recordSubmission(finished, assignment);
+  finished.submission = submission._id;
+  if (assignment.quiz.autoGrade && !finished.needsReview) {
+    finished.gradedAt = new Date();
+    await gradeSubmission(finished, assignment);
+  }
+  await finished.save();
+  return finished;
+};
+
+// Hand in the attempts of the given quizzes whose time ran out while nobody was looking
+const finishExpiredAttempts = async (assignments) => {
+  const byId = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+  const inProgress = await QuizAttempt.find({
+    assignment: { $in: [...byId.keys()] },
+    status: 'in_progress',
+    expiresAt: { $lt: new Date() }
+  });
+
+  for (const attempt of inProgress.filter(attempt => attempt.hasExpired())) {
+    await finishAttempt(attempt, byId.get(attempt.assignment.toString()), 'expired');
+  }
+};
+
+// Load an attempt with its assignment, for its student or for course staff with the permission
+const loadAttempt = async (req, permission) => {
+  const attempt = await QuizAttempt.findById(req.params.id);
+  if (!attempt) {
+    return { status: 404, message: 'Quiz attempt not found' };
+  }
+
+  const assignment = await Assignment.findById(attempt.assignment).select('+extensions');
+  const isOwner = attempt.student.toString() === req.user._id.toString();
+  if (!assignment) {
+    return { status: 404, message: 'Quiz attempt not found' };
+  }
+  if (permission ? !(await canAccessCourse(req.user, assignment.course, permission)) : !isOwner) {
+    return { status: 403, message: 'Access denied' };
+  }
+  return { attempt, assignment, isOwner };
+};
+
+// @route   GET /api/quizzes/questions
+// @desc    Get the question bank of a course
+// @access  Private (assignment:manage)
+router.get('/questions', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const { courseId, type, tag } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ message: 'Course ID is required' });
+    }
+    if (!(await canAccessCourse(req.user, courseId, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const filter = { course: courseId };
+    if (type) filter.type = type;
+    if (tag) filter.tags = String(tag).toLowerCase();
+
+    const questions = await Question.find(filter)
+      .populate('owner', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(questions);
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({ message: 'Server error while fetching questions' });
+  }
+});
+
+// @route   POST /api/quizzes/questions
+// @desc    Add a question to a course's question bank
+// @access  Private (assignment:manage)
+router.post('/questions', [
+  auth,
+  requirePermission('assignment:manage'),
+  body('courseId').isMongoId().withMessage('Course ID is required'),
+  ...questionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canAccessCourse(req.user, req.body.courseId, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = new Question({
+      ...questionFields(req.body),
+      course: req.body.courseId,
+      owner: req.user._id
+    });
+
+    const keyCheck = question.validateAnswerKey();
+    if (!keyCheck.isValid) {
+      return res.status(400).json({
+        message: keyCheck.errors[0],
+        errors: keyCheck.errors.map(msg => ({ msg }))
+      });
+    }
+
+    await question.save();
+
+    res.status(201).json({
+      message: 'Question added to the question bank',
+      question
+    });
+  } catch (error) {
+    console.error('Create question error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating question' });
+  }
+});
+
+// @route   PUT /api/quizzes/questions/:id
+// @desc    Update a question; attempts already started keep the version they were given
+// @access  Private (assignment:manage)
+router.put('/questions/:id', [
+  auth,
+  requirePermission('assignment:manage'),
+  ...questionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    if (!(await canAccessCourse(req.user, question.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    question.set(questionFields(req.body));
+
+    const keyCheck = question.validateAnswerKey();
+    if (!keyCheck.isValid) {
+      return res.status(400).json({
+        message: keyCheck.errors[0],
+        errors: keyCheck.errors.map(msg => ({ msg }))
+      });
+    }
+
+    await question.save();
+
+    res.json({
+      message: 'Question updated successfully',
+      question
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating question' });
+  }
+});
+
+// @route   DELETE /api/quizzes/questions/:id
+// @desc    Delete a question that no quiz uses
+// @access  Private (assignment:manage)
+router.delete('/questions/:id', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    if (!(await canAccessCourse(req.user, question.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (await Assignment.exists({ 'quiz.questions.question': question._id })) {
+      return res.status(400).json({ message: 'Remove the question from every quiz before deleting it' });
+    }
+
+    await question.deleteOne();
+
+    res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting question' });
+  }
+});
+
+// @route   GET /api/quizzes/assignment/:assignmentId
+// @desc    Get the questions and settings of a quiz
+// @access  Private (assignment:manage)
+router.get('/assignment/:assignmentId', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId)
+      .populate('course', 'title courseCode instructor')
+      .populate('quiz.questions.question');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const attemptCount = await QuizAttempt.countDocuments({ assignment: assignment._id });
+
+    res.json({
+      assignment,
+      autoGradeDefault: await Configuration.getValue('assignment_auto_grade', false),
+      attemptCount
+    });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching quiz' });
+  }
+});
+
+// @route   PUT /api/quizzes/assignment/:assignmentId
+// @desc    Choose the questions of a quiz or exam and how it is given; the assignment is
+//          out of the total of the question points
+// @access  Private (assignment:manage)
+router.put('/assignment/:assignmentId', [
+  auth,
+  requirePermission('assignment:manage'),
+  body('questions').isArray().withMessage('Questions must be a list'),
+  body('questions.*.question').isMongoId().withMessage('Invalid question'),
+  body('questions.*.points').isFloat({ min: 0 }).withMessage('Question points must be a positive number'),
+  body('shuffleQuestions').optional().isBoolean().withMessage('shuffleQuestions must be boolean'),
+  body('shuffleOptions').optional().isBoolean().withMessage('shuffleOptions must be boolean'),
+  body('autoGrade').optional().isBoolean().withMessage('autoGrade must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (!(await canAccessCourse(req.user, assignment.course, 'assignment:manage'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (!['quiz', 'exam'].includes(assignment.type)) {
+      return res.status(400).json({ message: 'Only quizzes and exams can have questions' });
+    }
+    if (assignment.hasRubric()) {
+      return res.status(400).json({ message: 'A quiz is scored by its questions; remove the rubric first' });
+    }
+
+    const questions = req.body.questions.map(entry => ({
+      question: entry.question,
+      points: Number(entry.points)
+    }));
+    const ids = questions.map(entry => entry.question);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: 'A question can only be used once in a quiz' });
+    }
+
+    const bankCount = await Question.countDocuments({ _id: { $in: ids }, course: assignment.course });
+    if (bankCount !== ids.length) {
+      return res.status(400).json({ message: 'Questions must come from this course\'s question bank' });
+    }
+
+    // Attempts keep the questions they started with, but their scores are out of the old total
+    const current = (assignment.quiz?.questions || []).map(entry => `${entry.question}:${entry.points}`);
+    const changed = current.join() !== questions.map(entry => `${entry.question}:${entry.points}`).join();
+    if (changed && await QuizAttempt.exists({ assignment: assignment._id })) {
+      return res.status(400).json({ message: 'Questions can\'t be changed once students have started the quiz' });
+    }
+
+    const totalPoints = Math.round(questions.reduce((total, entry) => total + entry.points, 0) * 100) / 100;
+    if (questions.length > 0 && totalPoints < 1) {
+      return res.status(400).json({ message: 'A quiz must be worth at least 1 point' });
+    }
+
+    const autoGrade = req.body.autoGrade !== undefined
+      ? req.body.autoGrade === true || req.body.autoGrade === 'true'
+      : assignment.quiz?.autoGrade ?? await Configuration.getValue('assignment_auto_grade', false);
+    const quiz = {
+      questions,
+      shuffleQuestions: req.body.shuffleQuestions ?? assignment.quiz?.shuffleQuestions ?? true,
+      shuffleOptions: req.body.shuffleOptions ?? assignment.quiz?.shuffleOptions ?? true,
+      autoGrade
+    };
+
+    // An atomic update, as saving the document would re-check that the due date is in the future
+    await Assignment.updateOne(
+      { _id: assignment._id },
+      { $set: { quiz, ...(questions.length > 0 && { totalPoints }) } }
+    );
+
+    const updatedAssignment = await Assignment.findById(assignment._id).populate('quiz.questions.question');
+
+    res.json({
+      message: 'Quiz saved successfully',
+      assignment: updatedAssignment
+    });
+  } catch (error) {
+    console.error('Save quiz error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while saving quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/assignment/:assignmentId/attempts
+// @desc    Get the attempts at a quiz: a student's own, or every student's for course staff
+// @access  Private
+router.get('/assignment/:assignmentId/attempts', auth, async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId).select('+extensions');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const isStudent = req.user.role === 'student';
+    if (!isStudent && !(await canAccessCourse(req.user, assignment.course, 'submission:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await finishExpiredAttempts([assignment]);
+
+    const attempts = await QuizAttempt.find({
+      assignment: assignment._id,
+      ...(isStudent && { student: req.user._id })
+    })
+      .populate('student', 'firstName lastName email')
+      .sort({ startedAt: -1 });
+
+    res.json({
+      attempts: isStudent ? attempts.map(attempt => attempt.toStudentView()) : attempts,
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Get quiz attempts error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching quiz attempts' });
+  }
+});
+
+// @route   POST /api/quizzes/assignment/:assignmentId/start
+// @desc    Start an attempt at a quiz, or resume the one in progress
+// @access  Private (Student only)
+router.post('/assignment/:assignmentId/start', [auth, authorize('student')], async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId).select('+extensions');
+    if (!assignment || !assignment.isPublished || !assignment.hasQuiz()) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      student: req.user._id,
+      course: assignment.course,
+      status: 'enrolled'
+    });
+    if (!enrollment) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    const inProgress = await QuizAttempt.findOne({
+      assignment: assignment._id,
+      student: req.user._id,
+      status: 'in_progress'
+    });
+    if (inProgress && !inProgress.hasExpired()) {
+      return res.json({
+        message: 'Attempt resumed',
+        attempt: inProgress.toStudentView(),
+        serverTime: new Date()
+      });
+    }
+    if (inProgress) {
+      await finishAttempt(inProgress, assignment, 'expired');
+    }
+
+    const attemptsUsed = await QuizAttempt.countDocuments({ assignment: assignment._id, student: req.user._id });
+    if (assignment.maxAttempts > 0 && attemptsUsed >= assignment.maxAttempts) {
+      return res.status(400).json({
+        message: assignment.maxAttempts === 1
+          ? 'You have already taken this quiz'
+          : `You have used all ${assignment.maxAttempts} attempts for this quiz`
+      });
+    }
+
+    const now = new Date();
+    const accommodation = await Accommodation.findActiveFor(req.user._id);
+    const lateness = assignment.getLateness(now, req.user._id, accommodation);
+    if (lateness.isLate && !assignment.allowLateSubmission) {
+      return res.status(400).json({ message: 'The due date has passed and this quiz does not accept late attempts' });
+    }
+
+    // The clock runs for the student's time limit, and stops at their deadline when
+    // the quiz can't be handed in late
+    const timeLimit = assignment.getTimeLimitFor(accommodation);
+    let expiresAt = timeLimit ? new Date(now.getTime() + timeLimit * 60 * 1000) : undefined;
+    if (!assignment.allowLateSubmission) {
+      const closesAt = new Date(lateness.dueDate.getTime() + (assignment.gracePeriodMinutes || 0) * 60 * 1000);
+      if (!expiresAt || expiresAt > closesAt) {
+        expiresAt = closesAt;
+      }
+    }
+
+    const questions = await Question.find({ _id: { $in: assignment.quiz.questions.map(entry => entry.question) } });
+
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        assignment: assignment._id,
+        student: req.user._id,
+        attempt: attemptsUsed + 1,
+        startedAt: now,
+        expiresAt,
+        questions: QuizAttempt.snapshotQuestions(assignment.quiz, questions)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'An attempt at this quiz was started at the same time' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Quiz started',
+      attempt: attempt.toStudentView(),
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Start quiz error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error while starting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/attempts/:id
+// @desc    Get a quiz attempt: without the answer key for its student, in full for course staff
+// @access  Private
+router.get('/attempts/:id', auth, async (req, res) => {
+  try {
+    const isStudent = req.user.role === 'student';
+    const loaded = await loadAttempt(req, isStudent ? null : 'submission:view');
+    if (loaded.message) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+
+    let { attempt } = loaded;
+    if (attempt.status === 'in_progress' && attempt.hasExpired()) {
+      attempt = await finishAttempt(attempt, loaded.assignment, 'expired');
+    }
+    if (!isStudent) {
+      await attempt.populate('student', 'firstName lastName email');
+    }
+
+    res.json({
+      attempt: isStudent ? attempt.toStudentView() : attempt,
+      assignment: {
+        _id: loaded.assignment._id,
+        title: loaded.assignment.title,
+        type: loaded.assignment.type,
+        course: loaded.assignment.course,
+        totalPoints: loaded.assignment.totalPoints
+      },
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching quiz attempt' });
+  }
+});
+
+// @route   PUT /api/quizzes/attempts/:id/answers
+// @desc    Save answers to an attempt in progress
+// @access  Private (Student only)
+router.put('/attempts/:id/answers', [
+  auth,
+  authorize('student'),
+  body('answers').isArray().withMessage('Answers must be a list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadAttempt(req);
+    if (loaded.message) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+
+    const { attempt, assignment } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+    if (attempt.hasExpired()) {
+      await finishAttempt(attempt, assignment, 'expired');
+      return res.status(400).json({ message: 'Time is up. Your saved answers have been submitted.' });
+    }
+
+    if (!(await saveAnswers(attempt, req.body.answers))) {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+
+    res.json({
+      message: 'Answers saved',
+      savedAt: new Date(),
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Save quiz answers error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+    res.status(500).json({ message: 'Server error while saving answers' });
+  }
+});
+
+// @route   POST /api/quizzes/attempts/:id/submit
+// @desc    Submit an attempt, with any answers not saved yet
+// @access  Private (Student only)
+router.post('/attempts/:id/submit', [
+  auth,
+  authorize('student'),
+  body('answers').optional().isArray().withMessage('Answers must be a list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadAttempt(req);
+    if (loaded.message) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+
+    const { attempt, assignment } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+
+    // Answers sent after the time limit are ignored; the saved ones are submitted
+    const expired = attempt.hasExpired();
+    if (!expired && req.body.answers) {
+      await saveAnswers(attempt, req.body.answers);
+    }
+
+    const finished = await finishAttempt(attempt, assignment, expired ? 'expired' : 'submitted');
+
+    res.json({
+      message: expired
+        ? 'Time was up. Your saved answers have been submitted.'
+        : finished.gradedAt ? 'Quiz submitted and graded' : 'Quiz submitted',
+      attempt: finished.toStudentView(),
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+    res.status(500).json({ message: 'Server error while submitting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/review
+// @desc    Get the submitted quiz attempts waiting to be graded, optionally for one course.
+//          Attempts with short answers to review come first.
+// @access  Private (submission:grade)
+router.get('/review', [auth, requirePermission('submission:grade')], async (req, res) => {
+  try {
+    const { courseId } = req.query;
+    let courseFilter;
+    if (courseId) {
+      if (!mongoose.Types.ObjectId.isValid(courseId) ||
+          !(await canAccessCourse(req.user, courseId, 'submission:grade'))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      courseFilter = courseId;
+    } else {
+      const scope = await getCourseScope(req.user, 'submission:grade');
+      courseFilter = scope === null ? undefined : { $in: scope };
+    }
+
+    const assignments = await Assignment.find({
+      ...(courseFilter && { course: courseFilter }),
+      'quiz.questions.0': { $exists: true }
+    })
+      .select('+extensions')
+      .populate('course', 'title courseCode');
+
+    await finishExpiredAttempts(assignments);
+
+    const attempts = await QuizAttempt.find({
+      assignment: { $in: assignments.map(assignment => assignment._id) },
+      status: { $in: ['submitted', 'expired'] },
+      gradedAt: null
+    })
+      .select('-questions')
+      .populate('student', 'firstName lastName email')
+      .populate('submission', 'attempt')
+      .sort({ needsReview: -1, submittedAt: 1 });
+
+    // An attempt that a later one has replaced as the student's submission needs no grade
+    const byId = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+    const pending = attempts
+      .filter(attempt => !attempt.submission || attempt.submission.attempt === attempt.attempt)
+      .map(attempt => {
+        const assignment = byId.get(attempt.assignment.toString());
+        return {
+          ...attempt.toObject(),
+          assignment: {
+            _id: assignment._id,
+            title: assignment.title,
+            type: assignment.type,
+            course: assignment.course
+          }
+        };
+      });
+
+    res.json(pending);
+  } catch (error) {
+    console.error('Get quiz review queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching quiz review queue' });
+  }
+});
+
+// @route   PUT /api/quizzes/attempts/:id/review
+// @desc    Score answers by hand, e.g. short answers matching no accepted pattern, and grade
+//          the attempt's submission with the total
+// @access  Private (submission:grade)
+router.put('/attempts/:id/review', [
+  auth,
+  requirePermission('submission:grade'),
+  body('scores').optional().isArray().withMessage('Scores must be a list'),
+  body('feedback').optional().trim().isLength({ max: 2000 }).withMessage('Feedback cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadAttempt(req, 'submission:grade');
+    if (loaded.message) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+
+    const { attempt, assignment } = loaded;
+    if (attempt.status === 'in_progress') {
+      return res.status(400).json({ message: 'This attempt is still in progress' });
+    }
+
+    const submission = attempt.submission && await Submission.findById(attempt.submission).select('attempt');
+    if (!submission || submission.attempt !== attempt.attempt) {
+      return res.status(400).json({ message: 'A later attempt has replaced this one' });
+    }
+
+    const review = attempt.applyReview(req.body.scores, req.user._id);
+    if (!review.isValid) {
+      return res.status(400).json({
+        message: review.errors[0],
+        errors: review.errors.map(msg => ({ msg }))
+      });
+    }
+
+    attempt.gradedAt = new Date();
+    attempt.gradedBy = req.user._id;
+    await attempt.save();
+
+    await gradeSubmission(attempt, assignment, { gradedBy: req.user._id, feedback: req.body.feedback });
+
+    res.json({
+      message: 'Quiz attempt graded successfully',
+      attempt
+    });
+  } catch (error) {
+    console.error('Review quiz attempt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while grading quiz attempt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, COURSE_PERMISSIONS, DEFAULT_ROLES, isValidPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Role values kept in the audit log
+const ROLE_AUDIT_FIELDS = ['name', 'description', 'permissions'];
+
+const roleValidation = [
+  body('name').trim().notEmpty().withMessage('Role name is required')
+    .isLength({ max: 50 }).withMessage('Role name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isValidPermission).withMessage('Unknown permission')
+];
+
+// @route   GET /api/roles
+// @desc    Get every role with its permissions
+// @access  Private (role:manage)
+router.get('/', [auth, requirePermission('role:manage')], async (req, res) => {
+  try {
+    const roles = await Role.getRoleMap();
+    const counts = await User.aggregate([
+      { $unwind: '$customRoles' },
+      { $group: { _id: '$customRoles', count: { $sum: 1 } } }
+    ]);
+    const userCounts = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      roles: Object.values(roles).map(role => ({
+        ...role,
+        isBuiltIn: Boolean(DEFAULT_ROLES[role.key]),
+        userCount: role.isSystem ? undefined : userCounts.get(role.key) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error while fetching roles' });
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Get the permission catalogue
+// @access  Private (role:manage)
+router.get('/permissions', [auth, requirePermission('role:manage')], (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+      courseScoped: COURSE_PERMISSIONS.includes(key)
+    }))
+  });
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (role:manage)
+router.post('/', [
+  auth,
+  requirePermission('role:manage'),
+  body('key').trim().toLowerCase().matches(/^[a-z][a-z0-9_]{1,39}$/)
+    .withMessage('Role key may only contain lowercase letters, numbers and underscores'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { key, name, description, permissions } = req.body;
+
+    const roles = await Role.getRoleMap();
+    if (roles[key]) {
+      return res.status(400).json({ message: 'Role key already exists' });
+    }
+
+    const role = new Role({ key, name, description, permissions: [...new Set(permissions)] });
+    await role.save();
+
+    await AuditLog.record(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      target: role.key,
+      targetLabel: role.name,
+      after: AuditLog.snapshot(role, ROLE_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating role' });
+  }
+});
+
+// @route   PUT /api/roles/:key
+// @desc    Update a role's name and permissions (built-in roles are stored on first edit)
+// @access  Private (role:manage)
+router.put('/:key', [auth, requirePermission('role:manage'), ...roleValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Editing the administrator role could lock everyone out of role management
+    if (req.params.key === 'admin') {
+      return res.status(400).json({ message: 'The administrator role cannot be changed' });
+    }
+
+    const roles = await Role.getRoleMap();
+    const existing = roles[req.params.key];
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const { name, description, permissions } = req.body;
+    const role = await Role.findOneAndUpdate(
+      { key: existing.key },
+      {
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        isSystem: existing.isSystem
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await AuditLog.record(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      target: role.key,
+      targetLabel: role.name,
+      before: AuditLog.snapshot(existing, ROLE_AUDIT_FIELDS),
+      after: AuditLog.snapshot(role, ROLE_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating role' });
+  }
+});
+
+// @route   DELETE /api/roles/:key
+// @desc    Delete a custom role (built-in roles are reset to their default permissions)
+// @access  Private (role:manage)
+router.delete('/:key', [auth, requirePermission('role:manage')], async (req, res) => {
+  try {
+    const role = await Role.findOne({ key: req.params.key });
+    const builtIn = DEFAULT_ROLES[req.params.key];
+
+    if (builtIn) {
+      if (role) {
+        await role.deleteOne();
+        await AuditLog.record(req, {
+          action: 'role.reset',
+          targetType: 'Role',
+          target: role.key,
+          targetLabel: builtIn.name,
+          before: AuditLog.snapshot(role, ROLE_AUDIT_FIELDS),
+          after: AuditLog.snapshot(builtIn, ROLE_AUDIT_FIELDS)
+        });
+      }
+      return res.json({ message: 'Role reset to its default permissions' });
+    }
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    await role.deleteOne();
+    const removed = await User.updateMany({ customRoles: role.key }, { $pull: { customRoles: role.key } });
+
+    await AuditLog.record(req, {
+      action: 'role.delete',
+      targetType: 'Role',
+      target: role.key,
+      targetLabel: role.name,
+      before: AuditLog.snapshot(role, ROLE_AUDIT_FIELDS),
+      details: { usersAffected: removed.modifiedCount }
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error while deleting role' });
+  }
+});
+
+module.exports = router;
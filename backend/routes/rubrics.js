@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Rubric = require('../models/Rubric');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const rubricValidation = [
+  body('title').trim().notEmpty().withMessage('Rubric title is required'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('criteria').isArray({ min: 1 }).withMessage('A rubric needs at least one criterion'),
+  body('criteria.*.title').trim().notEmpty().withMessage('Every criterion needs a title'),
+  body('criteria.*.levels').isArray({ min: 1 }).withMessage('Every criterion needs at least one level'),
+  body('criteria.*.levels.*.title').trim().notEmpty().withMessage('Every level needs a title'),
+  body('criteria.*.levels.*.points').isFloat({ min: 0 }).withMessage('Level points must be a positive number')
+];
+
+// @route   GET /api/rubrics
+// @desc    Get the current user's saved rubrics
+// @access  Private (assignment:manage)
+router.get('/', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const rubrics = await Rubric.find({ owner: req.user._id }).sort({ title: 1 });
+
+    res.json(rubrics);
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({ message: 'Server error while fetching rubrics' });
+  }
+});
+
+// @route   POST /api/rubrics
+// @desc    Save a rubric for reuse
+// @access  Private (assignment:manage)
+router.post('/', [auth, requirePermission('assignment:manage'), ...rubricValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, criteria } = req.body;
+    const rubric = await Rubric.create({
+      title,
+      description,
+      criteria,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Rubric saved successfully',
+      rubric
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while saving rubric' });
+  }
+});
+
+// @route   PUT /api/rubrics/:id
+// @desc    Update a saved rubric; assignments already using it keep their copy
+// @access  Private (assignment:manage)
+router.put('/:id', [auth, requirePermission('assignment:manage'), ...rubricValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rubric = await Rubric.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const { title, description, criteria } = req.body;
+    rubric.set({ title, description, criteria });
+    await rubric.save();
+
+    res.json({
+      message: 'Rubric updated successfully',
+      rubric
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating rubric' });
+  }
+});
+
+// @route   DELETE /api/rubrics/:id
+// @desc    Delete a saved rubric; assignments already using it keep their copy
+// @access  Private (assignment:manage)
+router.delete('/:id', [auth, requirePermission('assignment:manage')], async (req, res) => {
+  try {
+    const rubric = await Rubric.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    res.json({ message: 'Rubric deleted successfully' });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting rubric' });
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,224 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
-const { auth, authorize } = require('../middleware/auth');
+const Grade = require('../models/Grade');
+const Enrollment = require('../models/Enrollment');
+const Accommodation = require('../models/Accommodation');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+const { uploadSubmissionFiles, removeUploadedFiles } = require('../middleware/upload');
+const { canAccessCourse } = require('../utils/permissions');
 
 const router = express.Router();
 
 // @route   POST /api/submissions
-// @desc    Create a new submission
+// @desc    Submit an assignment, or resubmit while attempts remain. Accepts
+//          multipart form data with up to 5 files in 'files'.
 // @access  Private (Student only)
-router.post('/', [auth, authorize('student')], async (req, res) => {
-  try {
-    const { assignmentId, submissionText } = req.body;
-
-    const assignment = await Assignment.findById(assignmentId);
-    if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+router.post('/', [auth, authorize('student')], (req, res) => {
+  uploadSubmissionFiles(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
     }
 
-    // Check if submission already exists
-    const existingSubmission = await Submission.findOne({
-      assignment: assignmentId,
-      student: req.user._id
-    });
+    const files = req.files || [];
+    const reject = (status, message) => {
+      removeUploadedFiles(files);
+      return res.status(status).json({ message });
+    };
 
-    if (existingSubmission) {
-      return res.status(400).json({ message: 'Submission already exists' });
+    try {
+      const { assignmentId } = req.body;
+      const submissionText = (req.body.submissionText || '').trim();
+
+      if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+        return reject(400, 'Assignment ID is required');
+      }
+
+      const assignment = await Assignment.findById(assignmentId).select('+extensions');
+      if (!assignment || !assignment.isPublished) {
+        return reject(404, 'Assignment not found');
+      }
+
+      const enrollment = await Enrollment.findOne({
+        student: req.user._id,
+        course: assignment.course,
+        status: 'enrolled'
+      });
+      if (!enrollment) {
+        return reject(403, 'You are not enrolled in this course');
+      }
+
+      // Online quizzes are handed in by submitting a quiz attempt
+      if (assignment.hasQuiz()) {
+        return reject(400, 'This quiz is taken online');
+      }
+
+      // Check the hand-in against the assignment's submission settings
+      if (assignment.submissionType === 'text' && files.length > 0) {
+        return reject(400, 'This assignment only accepts a text submission');
+      }
+      if (assignment.submissionType === 'file' && submissionText) {
+        return reject(400, 'This assignment only accepts file uploads');
+      }
+      if (assignment.submissionType === 'text' && !submissionText) {
+        return reject(400, 'Submission text is required');
+      }
+      if (assignment.submissionType === 'file' && files.length === 0) {
+        return reject(400, 'Please attach at least one file');
+      }
+      if (!submissionText && files.length === 0) {
+        return reject(400, 'Please enter a text submission or attach a file');
+      }
+      if (submissionText.length > 5000) {
+        return reject(400, 'Submission text cannot exceed 5000 characters');
+      }
+
+      for (const file of files) {
+        const extension = path.extname(file.originalname).slice(1).toLowerCase();
+        if (assignment.allowedFileTypes.length > 0 && !assignment.allowedFileTypes.includes(extension)) {
+          return reject(400, `${file.originalname}: allowed types are ${assignment.allowedFileTypes.join(', ')}`);
+        }
+        if (assignment.maxFileSize && file.size > assignment.maxFileSize) {
+          return reject(400, `${file.originalname} is larger than ${Math.round(assignment.maxFileSize / 1024 / 1024)}MB`);
+        }
+      }
+
+      const existingSubmission = await Submission.findOne({
+        assignment: assignmentId,
+        student: req.user._id
+      });
+
+      const attemptsUsed = existingSubmission ? existingSubmission.getAttemptCount() : 0;
+      if (assignment.maxAttempts > 0 && attemptsUsed >= assignment.maxAttempts) {
+        return reject(400, assignment.maxAttempts === 1
+          ? 'Submission already exists'
+          : `You have used all ${assignment.maxAttempts} attempts for this assignment`);
+      }
+
+      // Lateness is measured against the student's own deadline and the grace period
+      const now = new Date();
+      const accommodation = await Accommodation.findActiveFor(req.user._id);
+      const { isLate } = assignment.getLateness(now, req.user._id, accommodation);
+      if (isLate && !assignment.allowLateSubmission) {
+        return reject(400, 'The due date has passed and this assignment does not accept late submissions');
+      }
+
+      // The same attachment ids are used in the version history and on the submission
+      const attachments = files.map(file => ({
+        _id: new mongoose.Types.ObjectId(),
+        originalName: file.originalname,
+        filename: file.filename,
+        path: file.path,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadDate: now
+      }));
+      const version = {
+        attempt: attemptsUsed + 1,
+        submissionText,
+        attachments,
+        submittedAt: now,
+        isLate
+      };
+
+      let submission;
+      if (!existingSubmission) {
+        try {
+          submission = await new Submission({
+            assignment: assignmentId,
+            student: req.user._id,
+            submissionText,
+            attachments,
+            submittedAt: now,
+            isLate,
+            attempt: 1,
+            versions: [version]
+          }).save();
+        } catch (error) {
+          if (error.code === 11000) {
+            return reject(400, 'Submission already exists');
+          }
+          throw error;
+        }
+      } else {
+        // Submissions from before versioning start their history with the original attempt
+        const newVersions = existingSubmission.versions.length > 0
+          ? [version]
+          : [existingSubmission.toVersion(), version];
+
+        // Conditional update so two resubmissions at once can't both use the last attempt
+        submission = await Submission.findOneAndUpdate(
+          {
+            _id: existingSubmission._id,
+            [`versions.${existingSubmission.versions.length}`]: { $exists: false }
+          },
+          {
+            $set: {
+              submissionText,
+              attachments,
+              submittedAt: now,
+              isLate,
+              attempt: version.attempt,
+              status: existingSubmission.status === 'submitted' ? 'submitted' : 'resubmitted'
+            },
+            $push: { versions: { $each: newVersions } }
+          },
+          { new: true }
+        );
+
+        if (!submission) {
+          return reject(409, 'Another submission for this assignment was received at the same time');
+        }
+      }
+
+      res.status(201).json({
+        message: version.attempt > 1 ? `Attempt ${version.attempt} submitted successfully` : 'Submission created successfully',
+        submission,
+        attemptsRemaining: assignment.maxAttempts > 0 ? assignment.maxAttempts - version.attempt : null
+      });
+    } catch (error) {
+      console.error('Create submission error:', error);
+      removeUploadedFiles(files);
+      res.status(500).json({ message: 'Server error while creating submission' });
     }
+  });
+});
 
-    // Check if assignment is overdue
-    const isLate = assignment.dueDate ? new Date() > new Date(assignment.dueDate) : false;
+// @route   GET /api/submissions/:id/files/:fileId
+// @desc    Download a file from any attempt of a submission
+// @access  Private
+router.get('/:id/files/:fileId', auth, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id).populate('assignment', 'course');
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
 
-    const submission = new Submission({
-      assignment: assignmentId,
-      student: req.user._id,
-      submissionText,
-      isLate
-    });
+    // Students can only download their own files; staff need access to the course
+    if (submission.student.toString() !== req.user._id.toString() &&
+        !(await canAccessCourse(req.user, submission.assignment.course, 'submission:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    await submission.save();
+    const file = [submission.attachments, ...submission.versions.map(version => version.attachments)]
+      .flat()
+      .find(attachment => attachment._id.toString() === req.params.fileId);
 
-    res.status(201).json({
-      message: 'Submission created successfully',
-      submission
-    });
+    if (!file || !fs.existsSync(file.path)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.download(path.resolve(file.path), file.originalName);
   } catch (error) {
-    console.error('Create submission error:', error);
-    res.status(500).json({ message: 'Server error while creating submission' });
+    console.error('Download submission file error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    res.status(500).json({ message: 'Server error while downloading file' });
   }
 });
 
@@ -57,9 +229,12 @@ router.get('/assignment/:assignmentId/student/:studentId', auth, async (req, res
   try {
     const { assignmentId, studentId } = req.params;
 
-    // Students can only view their own submissions
-    if (req.user.role === 'student' && req.user._id.toString() !== studentId) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Students can only view their own submissions; staff need access to the course
+    if (req.user._id.toString() !== studentId) {
+      const assignment = await Assignment.findById(assignmentId).select('course');
+      if (!assignment || !(await canAccessCourse(req.user, assignment.course, 'submission:view'))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
     }
 
     const submission = await Submission.findOne({
@@ -79,70 +254,40 @@ router.get('/assignment/:assignmentId/student/:studentId', auth, async (req, res
   }
 });
 
-// @route   POST /api/submissions/submit
-// @desc    Submit an assignment
-// @access  Private (Student only)
-router.post('/submit', [
-  auth,
-  authorize('student'),
-  body('assignmentId').not().isEmpty().withMessage('Assignment ID is required'),
-  body('points').isFloat({ min: 0 }).withMessage('Points must be a positive number'),
-  body('feedback').optional().trim()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation errors', 
-        errors: errors.array() 
-      });
-    }
-
-    const { assignmentId, points, feedback, rubricScores } = req.body;
-
-    const submission = new Submission({
-      assignment: assignmentId,
-      student: req.user._id,
-      points,
-      feedback,
-      rubricScores,
-      submittedAt: new Date(),
-      status: 'submitted'
-    });
-
-    await submission.save();
-
-    // Populate assignment and student details
-    await submission.populate([
-      { path: 'assignment', select: 'title dueDate totalPoints' },
-      { path: 'student', select: 'firstName lastName email' }
-    ]);
-
-    res.status(201).json({
-      message: 'Assignment submitted successfully',
-      submission
-    });
-  } catch (error) {
-    console.error('Submit assignment error:', error);
-    res.status(500).json({ message: 'Server error while submitting assignment' });
-  }
-});
-
 // @route   GET /api/submissions/assignment/:assignmentId
 // @desc    Get all submissions for an assignment
-// @access  Private (Instructor only)
-router.get('/assignment/:assignmentId', [auth, authorize('instructor', 'admin')], async (req, res) => {
+// @access  Private (submission:view)
+router.get('/assignment/:assignmentId', [auth, requirePermission('submission:view')], async (req, res) => {
   try {
-    const assignment = await Assignment.findById(req.params.assignmentId);
+    const assignment = await Assignment.findById(req.params.assignmentId).select('+extensions');
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    if (!(await canAccessCourse(req.user, assignment.course, 'submission:view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     const submissions = await Submission.find({ assignment: req.params.assignmentId })
       .populate('student', 'firstName lastName email')
+      .populate('grade.gradedBy', 'firstName lastName')
+      .populate('versions.grade.gradedBy', 'firstName lastName')
       .sort({ submittedAt: -1 });
+    const accommodations = await Accommodation.getActiveByStudent(submissions.map(submission => submission.student._id));
 
-    res.json(submissions);
+    res.json({
+      assignment,
+      // The penalty grading would apply now, for the grading form
+      submissions: submissions.map(submission => ({
+        ...submission.toObject(),
+        lateness: assignment.getLateness(
+          submission.submittedAt,
+          submission.student._id,
+          accommodations.get(submission.student._id.toString())
+        )
+      })),
+      totalSubmissions: submissions.length
+    });
   } catch (error) {
     console.error('Get submissions error:', error);
     res.status(500).json({ message: 'Server error while fetching submissions' });
@@ -151,12 +296,14 @@ router.get('/assignment/:assignmentId', [auth, authorize('instructor', 'admin')]
 
 // @route   PUT /api/submissions/:id/grade
 // @desc    Grade a submission
-// @access  Private (Instructor only)
+// @access  Private (submission:grade)
 router.put('/:id/grade', [
   auth,
-  authorize('instructor', 'admin'),
-  body('points').isFloat({ min: 0 }).withMessage('Points must be a positive number'),
-  body('feedback').optional().trim()
+  requirePermission('submission:grade'),
+  body('points').optional().isFloat({ min: 0 }).withMessage('Points must be a positive number'),
+  body('rubricScores').optional().isArray().withMessage('Rubric scores must be a list'),
+  body('feedback').optional().trim(),
+  body('waiveLatePenalty').optional().isBoolean().withMessage('waiveLatePenalty must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -168,33 +315,60 @@ router.put('/:id/grade', [
     }
 
     const submission = await Submission.findById(req.params.id)
-      .populate('assignment');
+      .populate({ path: 'assignment', select: '+extensions' });
 
     if (!submission) {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    // Check if instructor owns this assignment
-    if (req.user.role !== 'admin' && submission.assignment.instructor.toString() !== req.user._id.toString()) {
+    // Check if user may grade this course
+    if (!(await canAccessCourse(req.user, submission.assignment.course, 'submission:grade'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { points, feedback, rubricScores } = req.body;
-    const percentage = (points / submission.assignment.totalPoints) * 100;
+    const { feedback } = req.body;
+    const assignment = submission.assignment;
+
+    // With a rubric the points are the total of the criterion scores
+    let rawPoints;
+    let rubricScores = [];
+    if (assignment.hasRubric() && req.body.rubricScores) {
+      const rubricResult = assignment.scoreRubric(req.body.rubricScores);
+      if (!rubricResult.isValid) {
+        return res.status(400).json({
+          message: 'Every rubric criterion needs a valid score',
+          errors: rubricResult.errors.map(msg => ({ msg }))
+        });
+      }
+      rawPoints = rubricResult.points;
+      rubricScores = rubricResult.scores;
+    } else if (req.body.points !== undefined && req.body.points !== '') {
+      rawPoints = Number(req.body.points);
+    } else {
+      return res.status(400).json({ message: 'Points are required' });
+    }
+
+    if (rawPoints > assignment.totalPoints) {
+      return res.status(400).json({ message: `Points cannot exceed ${assignment.totalPoints}` });
+    }
 
-    submission.grade = {
-      points,
-      percentage,
-      letterGrade: getLetterGrade(percentage),
-      gradedAt: new Date(),
-      gradedBy: req.user._id
-    };
-    submission.feedback = feedback;
-    submission.status = 'graded';
-    if (rubricScores) submission.rubricScores = rubricScores;
+    await submission.applyGrade(assignment, rawPoints, {
+      gradedBy: req.user._id,
+      feedback,
+      rubricScores,
+      waiveLatePenalty: req.body.waiveLatePenalty === true || req.body.waiveLatePenalty === 'true'
+    });
 
     await submission.save();
 
+    // Keep the course grade in sync with graded submissions
+    try {
+      await Grade.recalculate(submission.student, submission.assignment.course);
+    } catch (gradeError) {
+      console.error('Error recalculating course grade:', gradeError);
+      // Don't fail the grading if recalculation fails
+    }
+
     res.json({
       message: 'Submission graded successfully',
       submission
@@ -205,20 +379,52 @@ router.put('/:id/grade', [
   }
 });
 
-// Helper function to convert percentage to letter grade
-function getLetterGrade(percentage) {
-  if (percentage >= 97) return 'A+';
-  if (percentage >= 93) return 'A';
-  if (percentage >= 90) return 'A-';
-  if (percentage >= 87) return 'B+';
-  if (percentage >= 83) return 'B';
-  if (percentage >= 80) return 'B-';
-  if (percentage >= 77) return 'C+';
-  if (percentage >= 73) return 'C';
-  if (percentage >= 70) return 'C-';
-  if (percentage >= 67) return 'D+';
-  if (percentage >= 60) return 'D';
-  return 'F';
-}
+// @route   PUT /api/submissions/:id/excuse
+// @desc    Excuse a submission from (or restore it to) the course grade
+// @access  Private (submission:grade)
+router.put('/:id/excuse', [
+  auth,
+  requirePermission('submission:grade'),
+  body('isExcused').isBoolean().withMessage('isExcused must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    // Check if user may grade this course
+    if (!(await canAccessCourse(req.user, submission.assignment.course, 'submission:grade'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    submission.isExcused = req.body.isExcused === true || req.body.isExcused === 'true';
+    await submission.save();
+
+    try {
+      await Grade.recalculate(submission.student, submission.assignment.course);
+    } catch (gradeError) {
+      console.error('Error recalculating course grade:', gradeError);
+    }
+
+    res.json({
+      message: submission.isExcused ? 'Submission excused successfully' : 'Submission restored successfully',
+      submission
+    });
+  } catch (error) {
+    console.error('Excuse submission error:', error);
+    res.status(500).json({ message: 'Server error while updating submission' });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Term = require('../models/Term');
+const Course = require('../models/Course');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const termValidation = [
+  body('name').trim().notEmpty().withMessage('Term name is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('enrollmentStart').isISO8601().withMessage('Valid enrollment start date is required'),
+  body('enrollmentEnd').isISO8601().withMessage('Valid enrollment end date is required'),
+  body('gradeDeadline').isISO8601().withMessage('Valid grade submission deadline is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+// @route   GET /api/terms
+// @desc    Get academic terms (newest first)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const terms = await Term.find(filter).sort({ startDate: -1 });
+    const current = await Term.getCurrent();
+
+    res.json({
+      terms,
+      currentTermId: current ? current._id : null
+    });
+  } catch (error) {
+    console.error('Get terms error:', error);
+    res.status(500).json({ message: 'Server error while fetching terms' });
+  }
+});
+
+// @route   POST /api/terms
+// @desc    Create an academic term
+// @access  Private (term:manage)
+router.post('/', [
+  auth,
+  requirePermission('term:manage'),
+  body('code').trim().notEmpty().withMessage('Term code is required'),
+  ...termValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, startDate, endDate, enrollmentStart, enrollmentEnd, gradeDeadline, isActive } = req.body;
+
+    const existingTerm = await Term.findOne({ code: code.toUpperCase() });
+    if (existingTerm) {
+      return res.status(400).json({ message: 'Term code already exists' });
+    }
+
+    const term = new Term({
+      name,
+      code,
+      startDate,
+      endDate,
+      enrollmentStart,
+      enrollmentEnd,
+      gradeDeadline,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    await term.save();
+
+    res.status(201).json({
+      message: 'Term created successfully',
+      term
+    });
+  } catch (error) {
+    console.error('Create term error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating term' });
+  }
+});
+
+// @route   PUT /api/terms/:id
+// @desc    Update an academic term
+// @access  Private (term:manage)
+router.put('/:id', [auth, requirePermission('term:manage'), ...termValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const term = await Term.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({ message: 'Term not found' });
+    }
+
+    ['name', 'startDate', 'endDate', 'enrollmentStart', 'enrollmentEnd', 'gradeDeadline', 'isActive']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          term[field] = req.body[field];
+        }
+      });
+
+    await term.save();
+
+    res.json({
+      message: 'Term updated successfully',
+      term
+    });
+  } catch (error) {
+    console.error('Update term error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating term' });
+  }
+});
+
+// @route   DELETE /api/terms/:id
+// @desc    Delete a term with no course offerings
+// @access  Private (term:manage)
+router.delete('/:id', [auth, requirePermission('term:manage')], async (req, res) => {
+  try {
+    const term = await Term.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({ message: 'Term not found' });
+    }
+
+    const courseCount = await Course.countDocuments({ term: term._id });
+    if (courseCount > 0) {
+      return res.status(400).json({
+        message: `Term has ${courseCount} course offering(s). Deactivate it instead.`
+      });
+    }
+
+    await Term.findByIdAndDelete(term._id);
+
+    res.json({ message: 'Term deleted successfully' });
+  } catch (error) {
+    console.error('Delete term error:', error);
+    res.status(500).json({ message: 'Server error while deleting term' });
+  }
+});
+
+module.exports = router;
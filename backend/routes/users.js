@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+const { disconnectUser } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -19,8 +24,8 @@ const getDocumentTypeLabel = (type) => {
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
-// @access  Private (Admin)
-router.get('/', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:view)
+router.get('/', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -40,8 +45,16 @@ router.get('/', [auth, authorize('admin')], async (req, res) => {
 
     const total = await User.countDocuments(filter);
 
+    // Flag accounts that are currently locked out after failed logins
+    const locks = await LoginThrottle.find({
+      kind: 'account',
+      key: { $in: users.map(u => u.email) },
+      lockedUntil: { $gt: new Date() }
+    });
+    const lockedUntil = new Map(locks.map(lock => [lock.key, lock.lockedUntil]));
+
     res.json({
-      users,
+      users: users.map(u => ({ ...u.toObject(), lockedUntil: lockedUntil.get(u.email) || null })),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -56,9 +69,10 @@ router.get('/', [auth, authorize('admin')], async (req, res) => {
 
 // @route   PUT /api/users/:id/approve
 // @desc    Approve user account
-// @access  Private (Admin)
-router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:manage)
+router.put('/:id/approve', [auth, requirePermission('user:manage')], async (req, res) => {
   try {
+    const previous = await User.findById(req.params.id).select('isApproved');
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isApproved: true },
@@ -69,6 +83,15 @@ router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await AuditLog.record(req, {
+      action: 'user.approve',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: AuditLog.snapshot(previous, ['isApproved']),
+      after: AuditLog.snapshot(user, ['isApproved'])
+    });
+
     // Create approval notification for the user
     const Notification = require('../models/Notification');
     await Notification.createNotification({
@@ -92,9 +115,10 @@ router.put('/:id/approve', [auth, authorize('admin')], async (req, res) => {
 
 // @route   PUT /api/users/:id/deactivate
 // @desc    Deactivate user account
-// @access  Private (Admin)
-router.put('/:id/deactivate', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:manage)
+router.put('/:id/deactivate', [auth, requirePermission('user:manage')], async (req, res) => {
   try {
+    const previous = await User.findById(req.params.id).select('isActive');
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isActive: false },
@@ -105,6 +129,18 @@ router.put('/:id/deactivate', [auth, authorize('admin')], async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await AuditLog.record(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: AuditLog.snapshot(previous, ['isActive']),
+      after: AuditLog.snapshot(user, ['isActive'])
+    });
+
+    await Session.revokeAllForUser(user._id, 'deactivated');
+    disconnectUser(user._id);
+
     res.json({
       message: 'User deactivated successfully',
       user
@@ -115,10 +151,148 @@ router.put('/:id/deactivate', [auth, authorize('admin')], async (req, res) => {
   }
 });
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a login lockout and the account's failed attempts
+// @access  Private (user:manage)
+router.put('/:id/unlock', [auth, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await LoginThrottle.clear('account', user.email);
+
+    await AuditLog.record(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email
+    });
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error while unlocking user' });
+  }
+});
+
+// @route   PUT /api/users/:id/reset-2fa
+// @desc    Turn off a user's two-factor authentication (lost device recovery) and sign them out
+// @access  Private (user:manage)
+router.put('/:id/reset-2fa', [auth, requirePermission('user:manage')], async (req, res) => {
+  try {
+    // A second administrator has to vouch for the recovery
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(403).json({ message: 'Another administrator must reset your two-factor authentication' });
+    }
+
+    const user = await User.findById(req.params.id).select('email twoFactor.enabled');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await User.resetTwoFactor(user._id);
+    await Session.revokeAllForUser(user._id, 'two_factor_changed');
+
+    await AuditLog.record(req, {
+      action: 'user.reset_2fa',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.createNotification({
+        recipient: user._id,
+        title: 'Two-factor authentication reset',
+        message: 'An administrator turned off two-factor authentication on your account. Set it up again from your profile.',
+        type: 'system',
+        targetUrl: '/profile'
+      });
+    } catch (notifError) {
+      console.error('Error creating two-factor reset notification:', notifError);
+    }
+
+    res.json({ message: 'Two-factor authentication reset. The user has been signed out everywhere.' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error while resetting two-factor authentication' });
+  }
+});
+
+// @route   PUT /api/users/:id/roles
+// @desc    Set the custom roles (e.g. teaching assistant) granted on top of a user's account role
+// @access  Private (role:manage)
+router.put('/:id/roles', [
+  auth,
+  requirePermission('role:manage'),
+  body('customRoles').isArray({ max: 20 }).withMessage('customRoles must be an array'),
+  body('customRoles.*').isString().trim().toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const customRoles = [...new Set(req.body.customRoles)];
+    if (!(await Role.areCustomRoles(customRoles))) {
+      return res.status(400).json({ message: 'Unknown or non-assignable role' });
+    }
+
+    const previous = await User.findById(req.params.id).select('customRoles');
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { customRoles },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await AuditLog.record(req, {
+      action: 'user.roles_update',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: AuditLog.snapshot(previous, ['customRoles']),
+      after: AuditLog.snapshot(user, ['customRoles'])
+    });
+
+    res.json({
+      message: 'Roles updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating roles' });
+  }
+});
+
 // @route   GET /api/users/pending-approval
 // @desc    Get users pending approval
-// @access  Private (Admin)
-router.get('/pending-approval', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:view)
+router.get('/pending-approval', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const pendingUsers = await User.find({
       isApproved: false,
@@ -137,8 +311,8 @@ router.get('/pending-approval', [auth, authorize('admin')], async (req, res) =>
 
 // @route   GET /api/users/:id/profile
 // @desc    Get detailed user profile for admin review
-// @access  Private (Admin only)
-router.get('/:id/profile', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:view)
+router.get('/:id/profile', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -155,8 +329,8 @@ router.get('/:id/profile', [auth, authorize('admin')], async (req, res) => {
 
 // @route   PUT /api/users/:id/verify-document
 // @desc    Verify or reject instructor document
-// @access  Private (Admin only)
-router.put('/:id/verify-document/:documentId', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:manage)
+router.put('/:id/verify-document/:documentId', [auth, requirePermission('user:manage')], async (req, res) => {
   try {
     const { verified, comments } = req.body;
     
@@ -170,6 +344,7 @@ router.put('/:id/verify-document/:documentId', [auth, authorize('admin')], async
       return res.status(404).json({ message: 'Document not found' });
     }
 
+    const before = { verified: document.verified, isApproved: user.isApproved };
     document.verified = verified;
     document.verifiedBy = req.user._id;
     document.verifiedAt = new Date();
@@ -220,6 +395,16 @@ router.put('/:id/verify-document/:documentId', [auth, authorize('admin')], async
       });
     }
 
+    await AuditLog.record(req, {
+      action: verified ? 'user.document_verify' : 'user.document_reject',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before,
+      after: { verified: document.verified, isApproved: user.isApproved },
+      details: { documentId: document._id, documentType: document.type, comments }
+    });
+
     res.json({
       message: `Document ${verified ? 'verified' : 'rejected'} successfully`,
       document,
@@ -233,8 +418,8 @@ router.put('/:id/verify-document/:documentId', [auth, authorize('admin')], async
 
 // @route   GET /api/users/pending-verification
 // @desc    Get instructors pending document verification
-// @access  Private (Admin only)
-router.get('/pending-verification', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (user:view)
+router.get('/pending-verification', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const pendingInstructors = await User.find({
       role: 'instructor',
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+require('dotenv').config();
+
+// Moves flat sender -> receiver messages into conversations. Each old message
+// becomes a direct conversation with one message; its read flag becomes a
+// read receipt and a deleted message is hidden for both sides, as before.
+//
+// Usage: npm run migrate-messages
+const migrateMessages = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+
+    // Read raw documents: old messages don't match the new schema
+    const legacyMessages = await Message.collection
+      .find({ conversation: { $exists: false } })
+      .toArray();
+
+    for (const legacy of legacyMessages) {
+      const deletedAt = legacy.isDeleted ? (legacy.updatedAt || new Date()) : null;
+
+      const conversation = await Conversation.create({
+        subject: legacy.subject || '(no subject)',
+        kind: 'direct',
+        createdBy: legacy.sender,
+        participants: [
+          { user: legacy.sender, deletedAt },
+          { user: legacy.receiver, deletedAt }
+        ],
+        lastMessageAt: legacy.createdAt
+      });
+
+      await Message.collection.updateOne(
+        { _id: legacy._id },
+        {
+          $set: {
+            conversation: conversation._id,
+            recipients: [legacy.receiver],
+            readBy: legacy.isRead ? [{ user: legacy.receiver, readAt: legacy.updatedAt || legacy.createdAt }] : [],
+            hiddenFor: legacy.isDeleted ? [legacy.sender, legacy.receiver] : [],
+            attachments: []
+          },
+          $unset: { receiver: '', subject: '', isRead: '', isDeleted: '' }
+        }
+      );
+    }
+
+    // Drop indexes on the removed fields
+    for (const index of ['receiver_1', 'isRead_1']) {
+      try {
+        await Message.collection.dropIndex(index);
+        console.log(`Dropped index ${index}`);
+      } catch (error) {
+        // Index not present
+      }
+    }
+    await Message.syncIndexes();
+    await Conversation.syncIndexes();
+
+    console.log(`Migrated ${legacyMessages.length} message(s) into conversations`);
+    console.log('Message migration completed successfully!');
+  } catch (error) {
+    console.error('Error migrating messages:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateMessages();
+}
+
+module.exports = { migrateMessages };
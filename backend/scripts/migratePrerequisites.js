@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+require('dotenv').config();
+
+// Converts free-text prerequisites into course references. Each entry is
+// matched against course codes, then titles (case-insensitive); entries that
+// match no course are dropped and listed so they can be re-added by hand.
+//
+// Usage: npm run migrate-prerequisites
+const migratePrerequisites = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+
+    // Read raw documents: old string entries don't cast to the new schema
+    const courses = await Course.collection
+      .find({ prerequisites: { $elemMatch: { $type: 'string' } } })
+      .project({ courseCode: 1, prerequisites: 1 })
+      .toArray();
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let converted = 0;
+    const unmatched = [];
+
+    for (const course of courses) {
+      const prerequisites = [];
+
+      for (const entry of course.prerequisites) {
+        if (typeof entry !== 'string') {
+          prerequisites.push(entry);
+          continue;
+        }
+
+        const text = entry.trim();
+        if (!text) continue;
+
+        const match = await Course.findOne({
+          courseCode: { $ne: course.courseCode },
+          $or: [
+            { courseCode: text.toUpperCase() },
+            { title: { $regex: `^${escape(text)}$`, $options: 'i' } }
+          ]
+        }).select('_id').sort({ createdAt: -1 });
+
+        if (match) {
+          prerequisites.push({ _id: new mongoose.Types.ObjectId(), course: match._id });
+          converted++;
+        } else {
+          unmatched.push(`${course.courseCode}: "${text}"`);
+        }
+      }
+
+      await Course.collection.updateOne({ _id: course._id }, { $set: { prerequisites } });
+    }
+
+    console.log(`Converted ${converted} prerequisite(s) across ${courses.length} course(s)`);
+    if (unmatched.length > 0) {
+      console.log('Could not match these prerequisites to a course; add them again from the course page:');
+      unmatched.forEach(line => console.log(`  ${line}`));
+    }
+    console.log('Prerequisite migration completed successfully!');
+  } catch (error) {
+    console.error('Error migrating prerequisites:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migratePrerequisites();
+}
+
+module.exports = { migratePrerequisites };
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Term = require('../models/Term');
+require('dotenv').config();
+
+// Migrates existing data to academic terms:
+//   - replaces the old unique course code index with the per-term index
+//   - optionally assigns courses without a term to the term given as argument
+//   - copies each course's term onto its enrollments
+//
+// Usage: npm run migrate-terms [-- <TERM_CODE>]
+const migrateTerms = async (termCode) => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+
+    const droppedIndexes = await Course.syncIndexes();
+    if (droppedIndexes.length > 0) {
+      console.log(`Dropped outdated course indexes: ${droppedIndexes.join(', ')}`);
+    }
+    await Enrollment.syncIndexes();
+
+    if (termCode) {
+      const term = await Term.findOne({ code: termCode.toUpperCase() });
+      if (!term) {
+        console.error(`Term '${termCode}' not found. Create it first from the admin terms page.`);
+        process.exit(1);
+      }
+
+      const result = await Course.updateMany(
+        { $or: [{ term: { $exists: false } }, { term: null }] },
+        { term: term._id }
+      );
+      console.log(`Assigned ${result.modifiedCount} course(s) to ${term.name}`);
+    }
+
+    const courses = await Course.find({ term: { $ne: null } }).select('term');
+    let enrollmentsUpdated = 0;
+
+    for (const course of courses) {
+      const result = await Enrollment.updateMany(
+        { course: course._id, term: { $ne: course.term } },
+        { term: course.term }
+      );
+      enrollmentsUpdated += result.modifiedCount;
+    }
+
+    console.log(`Updated term on ${enrollmentsUpdated} enrollment(s)`);
+    console.log('Term migration completed successfully!');
+  } catch (error) {
+    console.error('Error migrating terms:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateTerms(process.argv[2]);
+}
+
+module.exports = { migrateTerms };
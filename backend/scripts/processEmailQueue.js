@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const OutboundEmail = require('../models/OutboundEmail');
+require('dotenv').config();
+
+// Runs one pass of the email worker outside the API server (e.g. from cron)
+// and reports the queue state:
+//   - queues due daily digests (with --digests)
+//   - delivers pending emails, retrying failures with backoff
+//
+// Usage: npm run process-email-queue [-- --digests]
+const processEmailQueue = async ({ digests = false } = {}) => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+
+    if (!process.env.EMAIL_HOST) {
+      console.log('EMAIL_HOST is not set: emails stay queued until SMTP is configured');
+    }
+
+    if (digests) {
+      const queued = await OutboundEmail.queueDigests();
+      console.log(`Queued ${queued} daily digest(s)`);
+    }
+
+    let total = { sent: 0, retrying: 0, failed: 0 };
+    let batch;
+    do {
+      batch = await OutboundEmail.processQueue({ limit: 50 });
+      total = {
+        sent: total.sent + batch.sent,
+        retrying: total.retrying + batch.retrying,
+        failed: total.failed + batch.failed
+      };
+    } while (batch.sent + batch.retrying + batch.failed === 50);
+
+    console.log(`Sent ${total.sent}, retrying ${total.retrying}, failed ${total.failed}`);
+
+    const counts = await OutboundEmail.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    console.log('\nQueue status:');
+    counts.forEach(row => console.log(`  ${row._id}: ${row.count}`));
+
+    console.log('\nEmail queue processed successfully!');
+  } catch (error) {
+    console.error('Error processing email queue:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the worker pass
+if (require.main === module) {
+  processEmailQueue({ digests: process.argv.includes('--digests') });
+}
+
+module.exports = { processEmailQueue };
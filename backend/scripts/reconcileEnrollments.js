@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Attendance = require('../models/Attendance');
+require('dotenv').config();
+
+// Recomputes the denormalized enrollment counters from their source records
+// and reports any drift:
+//   - Course.currentEnrollment from the enrollments holding a seat
+//   - Enrollment.attendance totals from the course attendance records
+// Runs as a dry run by default; pass --apply to write the fixes.
+//
+// Usage: npm run reconcile-enrollments [-- --apply]
+const reconcileEnrollments = async ({ dryRun = true } = {}) => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('Dry run: drift is reported but not fixed (pass --apply to fix it)');
+    }
+
+    // Course seat counts
+    const seatCounts = await Enrollment.aggregate([
+      { $match: { status: { $in: Enrollment.SEAT_STATUSES } } },
+      { $group: { _id: '$course', count: { $sum: 1 } } }
+    ]);
+    const seatsByCourse = new Map(seatCounts.map(row => [row._id.toString(), row.count]));
+
+    const courses = await Course.find().select('title courseCode currentEnrollment maxStudents');
+    const courseDrift = [];
+
+    for (const course of courses) {
+      const actual = seatsByCourse.get(course._id.toString()) || 0;
+      if (course.currentEnrollment === actual) continue;
+
+      courseDrift.push({
+        course: `${course.courseCode} (${course._id})`,
+        stored: course.currentEnrollment,
+        actual,
+        overCapacity: actual > course.maxStudents
+      });
+
+      if (!dryRun) {
+        await Course.updateOne({ _id: course._id }, { currentEnrollment: actual });
+      }
+    }
+
+    // Attendance totals per student and course
+    const attendanceCounts = await Attendance.aggregate([
+      { $unwind: '$students' },
+      {
+        $group: {
+          _id: { course: '$course', student: '$students.student' },
+          totalClasses: { $sum: 1 },
+          attendedClasses: {
+            $sum: { $cond: [{ $in: ['$students.status', Enrollment.ATTENDED_STATUSES] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+    const attendanceByEnrollment = new Map(attendanceCounts.map(row => [
+      `${row._id.course}:${row._id.student}`,
+      row
+    ]));
+
+    const enrollments = await Enrollment.find().select('student course attendance');
+    const attendanceDrift = [];
+
+    for (const enrollment of enrollments) {
+      const counts = attendanceByEnrollment.get(`${enrollment.course}:${enrollment.student}`);
+      const totalClasses = counts ? counts.totalClasses : 0;
+      const attendedClasses = counts ? counts.attendedClasses : 0;
+      const attendancePercentage = totalClasses > 0 ? (attendedClasses / totalClasses) * 100 : 0;
+
+      const stored = enrollment.attendance || {};
+      const matches = stored.totalClasses === totalClasses &&
+        stored.attendedClasses === attendedClasses &&
+        Math.abs((stored.attendancePercentage || 0) - attendancePercentage) < 0.01;
+      if (matches) continue;
+
+      attendanceDrift.push({
+        enrollment: enrollment._id.toString(),
+        stored: `${stored.attendedClasses || 0}/${stored.totalClasses || 0} (${(stored.attendancePercentage || 0).toFixed(1)}%)`,
+        actual: `${attendedClasses}/${totalClasses} (${attendancePercentage.toFixed(1)}%)`
+      });
+
+      if (!dryRun) {
+        await Enrollment.updateOne(
+          { _id: enrollment._id },
+          { attendance: { totalClasses, attendedClasses, attendancePercentage } }
+        );
+      }
+    }
+
+    // Report
+    console.log(`\nCourse enrollment counts: ${courseDrift.length} of ${courses.length} course(s) drifted`);
+    courseDrift.forEach(drift => {
+      console.log(`  ${drift.course}: stored ${drift.stored}, actual ${drift.actual}${drift.overCapacity ? ' (over capacity)' : ''}`);
+    });
+
+    console.log(`\nAttendance totals: ${attendanceDrift.length} of ${enrollments.length} enrollment(s) drifted`);
+    attendanceDrift.forEach(drift => {
+      console.log(`  ${drift.enrollment}: stored ${drift.stored}, actual ${drift.actual}`);
+    });
+
+    console.log(dryRun
+      ? '\nReconciliation dry run completed. Run with --apply to fix the drift.'
+      : '\nReconciliation completed successfully!');
+  } catch (error) {
+    console.error('Error reconciling enrollments:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the reconciliation
+if (require.main === module) {
+  reconcileEnrollments({ dryRun: !process.argv.includes('--apply') });
+}
+
+module.exports = { reconcileEnrollments };
@@ -87,6 +87,18 @@ const defaultConfigurations = [
     defaultValue: true,
     tags: ['course', 'approval']
   },
+  {
+    key: 'waitlist_offer_hours',
+    value: 48,
+    type: 'number',
+    category: 'course',
+    description: 'Hours a waitlisted student has to accept an offered seat',
+    isPublic: true,
+    isEditable: true,
+    validation: { min: 1, max: 336 },
+    defaultValue: 48,
+    tags: ['course', 'enrollment', 'waitlist']
+  },
   {
     key: 'instructor_verification_required',
     value: true,
@@ -125,13 +137,25 @@ const defaultConfigurations = [
     value: 10,
     type: 'number',
     category: 'assignment',
-    description: 'Late submission penalty percentage',
+    description: 'Default late submission penalty percentage for new assignments',
     isPublic: true,
     isEditable: true,
     validation: { min: 0, max: 100 },
     defaultValue: 10,
     tags: ['assignment', 'grading']
   },
+  {
+    key: 'assignment_grace_period_minutes',
+    value: 0,
+    type: 'number',
+    category: 'assignment',
+    description: 'Default minutes after the due date that a submission still counts as on time',
+    isPublic: true,
+    isEditable: true,
+    validation: { min: 0, max: 1440 },
+    defaultValue: 0,
+    tags: ['assignment', 'grading']
+  },
   {
     key: 'assignment_auto_grade',
     value: false,
@@ -177,12 +201,36 @@ const defaultConfigurations = [
     defaultValue: true,
     tags: ['notification', 'push']
   },
+  {
+    key: 'email_digest_hour',
+    value: 7,
+    type: 'number',
+    category: 'email',
+    description: 'Hour of the day (server time, 0-23) when daily digest emails are sent',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 0, max: 23 },
+    defaultValue: 7,
+    tags: ['notification', 'email', 'digest']
+  },
+  {
+    key: 'email_max_attempts',
+    value: 5,
+    type: 'number',
+    category: 'email',
+    description: 'Delivery attempts before a queued email is marked as failed',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 1, max: 20 },
+    defaultValue: 5,
+    tags: ['notification', 'email']
+  },
   {
     key: 'session_timeout',
     value: 3600,
     type: 'number',
     category: 'security',
-    description: 'Session timeout in seconds (1 hour)',
+    description: 'Idle time in seconds before a session is signed out (1 hour)',
     isPublic: false,
     isEditable: true,
     validation: { min: 300, max: 86400 }, // 5 minutes to 24 hours
@@ -213,6 +261,143 @@ const defaultConfigurations = [
     defaultValue: 5,
     tags: ['security', 'login']
   },
+  {
+    key: 'max_login_attempts_per_ip',
+    value: 20,
+    type: 'number',
+    category: 'security',
+    description: 'Failed logins from one IP address (any account) before it is locked out',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 5, max: 200 },
+    defaultValue: 20,
+    tags: ['security', 'login']
+  },
+  {
+    key: 'lockout_duration_minutes',
+    value: 5,
+    type: 'number',
+    category: 'security',
+    description: 'First lockout in minutes; each further lockout in a row doubles it',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 1, max: 60 },
+    defaultValue: 5,
+    tags: ['security', 'login']
+  },
+  {
+    key: 'lockout_max_minutes',
+    value: 240,
+    type: 'number',
+    category: 'security',
+    description: 'Longest lockout in minutes',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 5, max: 10080 },
+    defaultValue: 240,
+    tags: ['security', 'login']
+  },
+  {
+    key: 'password_require_mixed_case',
+    value: true,
+    type: 'boolean',
+    category: 'security',
+    description: 'Passwords must contain upper and lower case letters',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: true,
+    tags: ['security', 'password']
+  },
+  {
+    key: 'password_require_number',
+    value: true,
+    type: 'boolean',
+    category: 'security',
+    description: 'Passwords must contain a number',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: true,
+    tags: ['security', 'password']
+  },
+  {
+    key: 'password_require_symbol',
+    value: false,
+    type: 'boolean',
+    category: 'security',
+    description: 'Passwords must contain a symbol',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: false,
+    tags: ['security', 'password']
+  },
+  {
+    key: 'password_block_breached',
+    value: true,
+    type: 'boolean',
+    category: 'security',
+    description: 'Reject passwords found in the breached-password list (data/breached-passwords.txt)',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: true,
+    tags: ['security', 'password']
+  },
+  {
+    key: 'require_email_verification',
+    value: false,
+    type: 'boolean',
+    category: 'security',
+    description: 'Block login until the user has verified their email address (requires outgoing email)',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: false,
+    tags: ['security', 'login', 'email']
+  },
+  {
+    key: 'require_2fa_for_admins',
+    value: false,
+    type: 'boolean',
+    category: 'security',
+    description: 'Require administrators to sign in with two-factor authentication (enrollment is forced on next login)',
+    isPublic: false,
+    isEditable: true,
+    defaultValue: false,
+    tags: ['security', 'login', '2fa']
+  },
+  {
+    key: 'require_2fa_for_instructors',
+    value: false,
+    type: 'boolean',
+    category: 'security',
+    description: 'Require instructors to sign in with two-factor authentication (enrollment is forced on next login)',
+    isPublic: false,
+    isEditable: true,
+    defaultValue: false,
+    tags: ['security', 'login', '2fa']
+  },
+  {
+    key: 'password_reset_token_minutes',
+    value: 60,
+    type: 'number',
+    category: 'security',
+    description: 'Minutes a password reset link stays valid',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 10, max: 1440 },
+    defaultValue: 60,
+    tags: ['security', 'password']
+  },
+  {
+    key: 'email_verification_token_hours',
+    value: 48,
+    type: 'number',
+    category: 'security',
+    description: 'Hours an email verification link stays valid',
+    isPublic: false,
+    isEditable: true,
+    validation: { min: 1, max: 336 },
+    defaultValue: 48,
+    tags: ['security', 'email']
+  },
   {
     key: 'theme_primary_color',
     value: '#3B82F6',
@@ -273,6 +458,54 @@ const defaultConfigurations = [
     validation: { min: 30, max: 2555 }, // 30 days to 7 years
     defaultValue: 365,
     tags: ['analytics', 'data', 'retention']
+  },
+
+  // Billing Settings
+  {
+    key: 'billing_currency',
+    value: 'USD',
+    type: 'string',
+    category: 'billing',
+    description: 'ISO currency code used on invoices and receipts',
+    isPublic: true,
+    isEditable: true,
+    validation: { pattern: '^[A-Z]{3}$' },
+    defaultValue: 'USD',
+    tags: ['billing', 'invoices']
+  },
+  {
+    key: 'invoice_due_days',
+    value: 30,
+    type: 'number',
+    category: 'billing',
+    description: 'Days after enrollment that a course invoice is due',
+    isPublic: true,
+    isEditable: true,
+    validation: { min: 0, max: 365 },
+    defaultValue: 30,
+    tags: ['billing', 'invoices']
+  },
+  {
+    key: 'fee_refund_policy',
+    value: [{ days: 7, percent: 100 }, { days: 14, percent: 50 }, { days: 28, percent: 25 }],
+    type: 'array',
+    category: 'billing',
+    description: 'Share of course fees credited on drop, by days since the term started (or since enrollment for courses without a term). Drops after the last step get no credit.',
+    isPublic: true,
+    isEditable: true,
+    defaultValue: [{ days: 7, percent: 100 }, { days: 14, percent: 50 }, { days: 28, percent: 25 }],
+    tags: ['billing', 'refunds', 'enrollment']
+  },
+  {
+    key: 'payment_provider',
+    value: 'mock',
+    type: 'string',
+    category: 'billing',
+    description: 'Payment provider used for card and online payments and their refunds',
+    isPublic: false,
+    isEditable: true,
+    defaultValue: 'mock',
+    tags: ['billing', 'payments']
   }
 ];
 
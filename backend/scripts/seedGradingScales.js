@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const GradingScale = require('../models/GradingScale');
+const User = require('../models/User');
+require('dotenv').config();
+
+const defaultGradingScales = [
+  {
+    name: 'Standard Letter Grade (4.0)',
+    code: 'standard',
+    description: 'US letter grades with plus/minus on a 4.0 GPA scale',
+    maxGpa: 4.0,
+    bands: GradingScale.STANDARD_BANDS,
+    isDefault: true
+  },
+  {
+    name: 'Pass/Fail',
+    code: 'pass_fail',
+    description: 'Pass at 60% or above; does not count towards GPA',
+    maxGpa: 4.0,
+    bands: [
+      { letter: 'P', minPercentage: 60, isPassing: true },
+      { letter: 'F', minPercentage: 0, gpa: 0, isPassing: false }
+    ]
+  },
+  {
+    name: '10-Point GPA',
+    code: 'gpa10',
+    description: '10-point grade point scale',
+    maxGpa: 10,
+    bands: [
+      { letter: 'O', minPercentage: 90, gpa: 10, isPassing: true },
+      { letter: 'A+', minPercentage: 80, gpa: 9, isPassing: true },
+      { letter: 'A', minPercentage: 70, gpa: 8, isPassing: true },
+      { letter: 'B+', minPercentage: 60, gpa: 7, isPassing: true },
+      { letter: 'B', minPercentage: 50, gpa: 6, isPassing: true },
+      { letter: 'C', minPercentage: 45, gpa: 5, isPassing: true },
+      { letter: 'P', minPercentage: 40, gpa: 4, isPassing: true },
+      { letter: 'F', minPercentage: 0, gpa: 0, isPassing: false }
+    ]
+  },
+  {
+    name: 'European ECTS',
+    code: 'ects',
+    description: 'ECTS grades A-F with FX for a narrow fail',
+    maxGpa: 4.0,
+    bands: [
+      { letter: 'A', minPercentage: 90, gpa: 4.0, isPassing: true },
+      { letter: 'B', minPercentage: 80, gpa: 3.5, isPassing: true },
+      { letter: 'C', minPercentage: 70, gpa: 3.0, isPassing: true },
+      { letter: 'D', minPercentage: 60, gpa: 2.5, isPassing: true },
+      { letter: 'E', minPercentage: 50, gpa: 2.0, isPassing: true },
+      { letter: 'FX', minPercentage: 40, gpa: 0, isPassing: false },
+      { letter: 'F', minPercentage: 0, gpa: 0, isPassing: false }
+    ]
+  }
+];
+
+const seedGradingScales = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/edumanage_db');
+    console.log('Connected to MongoDB');
+
+    const adminUser = await User.findOne({ role: 'admin' });
+
+    console.log('Seeding grading scales...');
+
+    const hasDefault = await GradingScale.exists({ isDefault: true });
+
+    for (const scaleData of defaultGradingScales) {
+      const existingScale = await GradingScale.findOne({ code: scaleData.code });
+
+      if (existingScale) {
+        console.log(`Grading scale '${scaleData.code}' already exists, skipping...`);
+        continue;
+      }
+
+      const scale = new GradingScale({
+        ...scaleData,
+        // Never replace a default chosen by an administrator
+        isDefault: Boolean(scaleData.isDefault && !hasDefault),
+        createdBy: adminUser?._id
+      });
+
+      await scale.save();
+      console.log(`Created grading scale: ${scaleData.code}`);
+    }
+
+    console.log('Grading scale seeding completed successfully!');
+  } catch (error) {
+    console.error('Error seeding grading scales:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the seeding function
+if (require.main === module) {
+  seedGradingScales();
+}
+
+module.exports = { seedGradingScales, defaultGradingScales };
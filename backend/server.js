@@ -1,4 +1,5 @@
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
@@ -21,9 +22,27 @@ const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const uploadRoutes = require('./routes/upload');
 const configurationRoutes = require('./routes/configurations');
+const gradingScaleRoutes = require('./routes/gradingScales');
+const termRoutes = require('./routes/terms');
+const billingRoutes = require('./routes/billing');
+const announcementRoutes = require('./routes/announcements');
+const forumRoutes = require('./routes/forums');
+const roleRoutes = require('./routes/roles');
+const auditLogRoutes = require('./routes/auditLogs');
+const accommodationRoutes = require('./routes/accommodations');
+const rubricRoutes = require('./routes/rubrics');
+const quizRoutes = require('./routes/quizzes');
+const { initRealtime } = require('./utils/realtime');
 
 const app = express();
 
+// Behind a load balancer (Render, Railway, nginx) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's address and per-IP login throttling locks them all out
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -49,6 +68,16 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/configurations', configurationRoutes);
+app.use('/api/grading-scales', gradingScaleRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/forums', forumRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/accommodations', accommodationRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/quizzes', quizRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -83,12 +112,35 @@ mongoose.connect(MONGODB_URI, {
     console.log('Connected to MongoDB');
     console.log('Database URI:', MONGODB_URI);
 
-    // Start server
+    // Start server (Socket.IO shares the HTTP server with the API)
     const PORT = process.env.PORT || 5000;
-    app.listen(PORT, () => {
+    const server = http.createServer(app);
+    initRealtime(server);
+    server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Expire unanswered waitlist offers and pass the seats on
+    const Waitlist = require('./models/Waitlist');
+    setInterval(() => {
+      Waitlist.expireOffers().catch(error => console.error('Waitlist expiry error:', error));
+    }, 15 * 60 * 1000);
+
+    // Send scheduled announcements once their publish time passes
+    const Announcement = require('./models/Announcement');
+    setInterval(() => {
+      Announcement.publishDue().catch(error => console.error('Announcement publish error:', error));
+    }, 60 * 1000);
+
+    // Deliver queued emails every minute and check for due daily digests hourly
+    const OutboundEmail = require('./models/OutboundEmail');
+    setInterval(() => {
+      OutboundEmail.processQueue().catch(error => console.error('Email queue error:', error));
+    }, 60 * 1000);
+    setInterval(() => {
+      OutboundEmail.queueDigests().catch(error => console.error('Email digest error:', error));
+    }, 60 * 60 * 1000);
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
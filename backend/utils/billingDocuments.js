@@ -0,0 +1,197 @@
+const PDFDocument = require('pdfkit');
+const { escapeHtml, formatDate, renderPrintableHtml } = require('./printableDocument');
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  cheque: 'Cheque',
+  online: 'Online'
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Render a receipt for a succeeded ledger entry (populated with invoice, student and course)
+const renderReceiptHtml = (payment, institutionName) => {
+  const { invoice, student } = payment;
+  const isRefund = payment.type === 'refund';
+
+  return renderPrintableHtml({
+    title: `${isRefund ? 'Refund' : 'Payment'} Receipt ${payment.receiptNumber}`,
+    institutionName,
+    heading: `${isRefund ? 'Refund' : 'Payment'} Receipt`,
+    content: `  <p>
+    <strong>Receipt no.:</strong> ${escapeHtml(payment.receiptNumber)}<br>
+    <strong>Date:</strong> ${formatDate(payment.createdAt)}<br>
+    <strong>Student:</strong> ${escapeHtml(student.firstName)} ${escapeHtml(student.lastName)} (${escapeHtml(student.email)})
+  </p>
+  <table>
+    <tbody>
+      <tr><th>Invoice</th><td>${escapeHtml(invoice.invoiceNumber)}</td></tr>
+      <tr><th>Course</th><td>${escapeHtml(invoice.course?.courseCode)} - ${escapeHtml(invoice.course?.title)}</td></tr>
+      <tr><th>Method</th><td>${METHOD_LABELS[payment.method]}${payment.reference ? ` (${escapeHtml(payment.reference)})` : ''}</td></tr>
+      <tr><th>${isRefund ? 'Amount refunded' : 'Amount received'}</th><td>${formatMoney(payment.amount, invoice.currency)}</td></tr>
+      <tr><th>Invoice balance</th><td>${formatMoney(invoice.balance, invoice.currency)}</td></tr>
+    </tbody>
+  </table>`
+  });
+};
+
+// Stream a receipt as a PDF document to a writable stream
+const renderReceiptPdf = (payment, institutionName, stream) => {
+  const { invoice, student } = payment;
+  const isRefund = payment.type === 'refund';
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  doc.font('Times-Bold').fontSize(18).text(institutionName);
+  doc.font('Times-Roman').fontSize(12).text(`${isRefund ? 'Refund' : 'Payment'} Receipt`);
+  doc.moveTo(50, doc.y + 4).lineTo(562, doc.y + 4).stroke();
+  doc.moveDown();
+
+  const rows = [
+    ['Receipt no.', payment.receiptNumber],
+    ['Date', formatDate(payment.createdAt)],
+    ['Student', `${student.firstName} ${student.lastName} (${student.email})`],
+    ['Invoice', invoice.invoiceNumber],
+    ['Course', `${invoice.course?.courseCode} - ${invoice.course?.title}`],
+    ['Method', `${METHOD_LABELS[payment.method]}${payment.reference ? ` (${payment.reference})` : ''}`],
+    [isRefund ? 'Amount refunded' : 'Amount received', formatMoney(payment.amount, invoice.currency)],
+    ['Invoice balance', formatMoney(invoice.balance, invoice.currency)]
+  ];
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Times-Bold').fontSize(10).text(label, 50, y, { width: 140 });
+    doc.font('Times-Roman').fontSize(10).text(String(value), 190, y, { width: 372 });
+    doc.moveDown(0.4);
+  });
+
+  doc.end();
+};
+
+// Render a statement (as built by Invoice.getStatement) to a printable HTML page
+const renderStatementHtml = (statement, institutionName) => {
+  const { student, invoices, totals, currency } = statement;
+
+  const invoiceSections = invoices.map(invoice => `
+    <section>
+      <h2>${escapeHtml(invoice.invoiceNumber)} &middot; ${escapeHtml(invoice.course?.courseCode)} - ${escapeHtml(invoice.course?.title)}</h2>
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Description</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>
+          ${invoice.lineItems.map(item => `
+          <tr>
+            <td>${formatDate(invoice.issuedAt)}</td>
+            <td>${escapeHtml(item.description)}</td>
+            <td class="num">${formatMoney(item.amount, invoice.currency)}</td>
+          </tr>`).join('')}
+          ${invoice.payments.filter(p => p.status === 'succeeded').map(p => `
+          <tr>
+            <td>${formatDate(p.createdAt)}</td>
+            <td>${p.type === 'refund' ? 'Refund' : 'Payment'} - ${METHOD_LABELS[p.method]} (${escapeHtml(p.receiptNumber)})</td>
+            <td class="num">${formatMoney(p.type === 'refund' ? p.amount : -p.amount, invoice.currency)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <p>Balance due: <strong>${formatMoney(invoice.balance, invoice.currency)}</strong>${invoice.dueDate ? ` by ${formatDate(invoice.dueDate)}` : ''}</p>
+    </section>`).join('');
+
+  return renderPrintableHtml({
+    title: `Statement - ${student.firstName} ${student.lastName}`,
+    institutionName,
+    heading: 'Account Statement',
+    content: `  <p>
+    <strong>${escapeHtml(student.firstName)} ${escapeHtml(student.lastName)}</strong><br>
+    ${escapeHtml(student.email)}<br>
+    Issued ${formatDate(statement.generatedAt)}
+  </p>
+  ${invoices.length > 0 ? invoiceSections : '<p>No invoices on record.</p>'}
+  <section class="totals">
+    <p>
+      <strong>Charged:</strong> ${formatMoney(totals.charged, currency)} &middot;
+      <strong>Paid:</strong> ${formatMoney(totals.paid, currency)} &middot;
+      <strong>Refunded:</strong> ${formatMoney(totals.refunded, currency)} &middot;
+      <strong>Balance due:</strong> ${formatMoney(totals.balance, currency)}
+    </p>
+  </section>`
+  });
+};
+
+// Stream a statement as a PDF document to a writable stream
+const renderStatementPdf = (statement, institutionName, stream) => {
+  const { student, invoices, totals, currency } = statement;
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  const drawRow = (date, description, amount, font) => {
+    if (doc.y > doc.page.height - 90) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    doc.text(date, 50, y, { width: 110, lineBreak: false });
+    doc.text(description, 160, y, { width: 300, lineBreak: false, ellipsis: true });
+    doc.text(amount, 460, y, { width: 102, align: 'right', lineBreak: false });
+    doc.x = 50;
+    doc.y = y + 14;
+  };
+
+  doc.font('Times-Bold').fontSize(18).text(institutionName);
+  doc.font('Times-Roman').fontSize(12).text('Account Statement');
+  doc.moveTo(50, doc.y + 4).lineTo(562, doc.y + 4).stroke();
+  doc.moveDown();
+
+  doc.font('Times-Bold').fontSize(11).text(`${student.firstName} ${student.lastName}`);
+  doc.font('Times-Roman').fontSize(10)
+    .text(student.email)
+    .text(`Issued ${formatDate(statement.generatedAt)}`);
+  doc.moveDown();
+
+  if (invoices.length === 0) {
+    doc.fontSize(10).text('No invoices on record.');
+  }
+
+  invoices.forEach(invoice => {
+    if (doc.y > doc.page.height - 140) {
+      doc.addPage();
+    }
+    doc.font('Times-Bold').fontSize(11)
+      .text(`${invoice.invoiceNumber} - ${invoice.course?.courseCode} ${invoice.course?.title}`, 50);
+    doc.moveDown(0.3);
+    drawRow('Date', 'Description', 'Amount', 'Times-Bold');
+    invoice.lineItems.forEach(item => {
+      drawRow(formatDate(invoice.issuedAt), item.description, formatMoney(item.amount, invoice.currency), 'Times-Roman');
+    });
+    invoice.payments.filter(p => p.status === 'succeeded').forEach(p => {
+      drawRow(
+        formatDate(p.createdAt),
+        `${p.type === 'refund' ? 'Refund' : 'Payment'} - ${METHOD_LABELS[p.method]} (${p.receiptNumber})`,
+        formatMoney(p.type === 'refund' ? p.amount : -p.amount, invoice.currency),
+        'Times-Roman'
+      );
+    });
+    doc.font('Times-Italic').fontSize(9)
+      .text(`Balance due: ${formatMoney(invoice.balance, invoice.currency)}`, 50);
+    doc.moveDown();
+  });
+
+  doc.moveTo(50, doc.y).lineTo(562, doc.y).stroke();
+  doc.moveDown(0.5);
+  doc.font('Times-Bold').fontSize(10).text(
+    `Charged: ${formatMoney(totals.charged, currency)}   Paid: ${formatMoney(totals.paid, currency)}   ` +
+    `Refunded: ${formatMoney(totals.refunded, currency)}   Balance due: ${formatMoney(totals.balance, currency)}`,
+    50
+  );
+
+  doc.end();
+};
+
+module.exports = {
+  renderReceiptHtml,
+  renderReceiptPdf,
+  renderStatementHtml,
+  renderStatementPdf
+};
@@ -0,0 +1,188 @@
+// Per-type wording and default link for notification emails. Links follow the
+// same routes the header bell navigates to.
+const TEMPLATES = {
+  assignment: { label: 'New assignment', action: 'View assignment', path: '/assignments' },
+  assignment_due: { label: 'Assignment due soon', action: 'View assignment', path: '/assignments' },
+  grade: { label: 'Grade posted', action: 'View grades', path: '/grades' },
+  enrollment: { label: 'Enrollment update', action: 'View my courses', path: '/my-courses' },
+  payment: { label: 'Billing update', action: 'View billing', path: '/billing' },
+  system: { label: 'System notice', action: 'Open dashboard', path: '/dashboard' },
+  reminder: { label: 'Reminder', action: 'Open dashboard', path: '/dashboard' },
+  announcement: { label: 'Announcement', action: 'Read announcement', path: '/dashboard' },
+  forum: { label: 'Discussion activity', action: 'View discussion', path: '/my-courses' },
+  doc_verified: { label: 'Document verified', action: 'View documents', path: '/upload-documents' },
+  doc_rejected: { label: 'Document needs attention', action: 'Review documents', path: '/upload-documents' },
+  course_approved: { label: 'Course approved', action: 'View my courses', path: '/my-courses' },
+  course_rejected: { label: 'Course not approved', action: 'View my courses', path: '/my-courses' },
+  user_approved: { label: 'Account approved', action: 'Sign in', path: '/dashboard' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const getTemplate = (type) => TEMPLATES[type] || TEMPLATES.system;
+
+const resolveLink = (notification, clientUrl) => {
+  let path = notification.targetUrl || getTemplate(notification.type).path;
+  if (!notification.targetUrl && notification.targetId && ['assignment', 'assignment_due'].includes(notification.type)) {
+    path = `/assignments/${notification.targetId}`;
+  }
+  return `${clientUrl.replace(/\/$/, '')}${path}`;
+};
+
+const PREFERENCES_FOOTER = 'You can change how you receive these emails under Profile &rarr; Notification preferences.';
+
+const layout = (siteName, body, footer = PREFERENCES_FOOTER) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+</head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <p style="margin:0 0 16px;font-weight:bold;color:#2563eb;">${escapeHtml(siteName)}</p>
+    ${body}
+    <p style="margin:24px 0 0;font-size:12px;color:#6b7280;">
+      ${footer}
+    </p>
+  </div>
+</body>
+</html>`;
+
+// Single notification email (immediate delivery)
+const renderNotificationEmail = (notification, user, { siteName, clientUrl }) => {
+  const template = getTemplate(notification.type);
+  const link = resolveLink(notification, clientUrl);
+
+  const html = layout(siteName, `
+    <p style="margin:0;font-size:12px;text-transform:uppercase;color:#6b7280;">${escapeHtml(template.label)}</p>
+    <h1 style="margin:4px 0 16px;font-size:20px;">${escapeHtml(notification.title)}</h1>
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(notification.message)}</p>
+    ${notification.actionRequired ? '<p><strong>Action required.</strong></p>' : ''}
+    <p style="margin:24px 0;">
+      <a href="${escapeHtml(link)}" style="background:#2563eb;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none;">${escapeHtml(template.action)}</a>
+    </p>`);
+
+  const text = [
+    `${template.label}: ${notification.title}`,
+    '',
+    `Hi ${user.firstName},`,
+    '',
+    notification.message,
+    ...(notification.actionRequired ? ['', 'Action required.'] : []),
+    '',
+    `${template.action}: ${link}`,
+    '',
+    `-- ${siteName}`
+  ].join('\n');
+
+  return {
+    subject: `[${siteName}] ${notification.title}`,
+    html,
+    text
+  };
+};
+
+// Daily digest of several notifications, grouped by type
+const renderDigestEmail = (notifications, user, { siteName, clientUrl }) => {
+  const groups = new Map();
+  notifications.forEach(notification => {
+    const { label } = getTemplate(notification.type);
+    if (!groups.has(label)) {
+      groups.set(label, []);
+    }
+    groups.get(label).push(notification);
+  });
+
+  const htmlSections = [...groups.entries()].map(([label, items]) => `
+    <h2 style="margin:20px 0 8px;font-size:15px;">${escapeHtml(label)} (${items.length})</h2>
+    <ul style="margin:0;padding-left:20px;">
+      ${items.map(notification => `
+      <li style="margin-bottom:8px;">
+        <a href="${escapeHtml(resolveLink(notification, clientUrl))}" style="color:#2563eb;">${escapeHtml(notification.title)}</a><br>
+        <span style="color:#4b5563;">${escapeHtml(notification.message)}</span>
+      </li>`).join('')}
+    </ul>`).join('');
+
+  const textSections = [...groups.entries()].map(([label, items]) => [
+    `${label} (${items.length})`,
+    ...items.map(notification => `- ${notification.title}: ${notification.message}\n  ${resolveLink(notification, clientUrl)}`)
+  ].join('\n'));
+
+  const count = notifications.length;
+  const summary = `You have ${count} new notification${count === 1 ? '' : 's'} since your last digest.`;
+
+  return {
+    subject: `[${siteName}] Your daily digest: ${count} notification${count === 1 ? '' : 's'}`,
+    html: layout(siteName, `
+    <h1 style="margin:0 0 16px;font-size:20px;">Daily digest</h1>
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${summary}</p>
+    ${htmlSections}`),
+    text: [`Hi ${user.firstName},`, '', summary, '', textSections.join('\n\n'), '', `-- ${siteName}`].join('\n')
+  };
+};
+
+// Account emails carry a single-use link and are always sent, whatever the notification preferences
+const ACCOUNT_TEMPLATES = {
+  password_reset: {
+    subject: 'Reset your password',
+    intro: 'We received a request to reset the password for your account.',
+    action: 'Reset password',
+    path: '/reset-password',
+    ignore: 'If you did not ask for this, you can ignore this email; your password will not change.'
+  },
+  email_verification: {
+    subject: 'Verify your email address',
+    intro: 'Please confirm that this is your email address.',
+    action: 'Verify email',
+    path: '/verify-email',
+    ignore: 'If you did not create an account, you can ignore this email.'
+  }
+};
+
+const renderAccountEmail = (purpose, user, { token, expiresIn }, { siteName, clientUrl }) => {
+  const template = ACCOUNT_TEMPLATES[purpose];
+  const link = `${clientUrl.replace(/\/$/, '')}${template.path}?token=${encodeURIComponent(token)}`;
+  const validity = `This link works once and expires in ${expiresIn}.`;
+
+  const html = layout(siteName, `
+    <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(template.subject)}</h1>
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(template.intro)}</p>
+    <p style="margin:24px 0;">
+      <a href="${escapeHtml(link)}" style="background:#2563eb;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none;">${escapeHtml(template.action)}</a>
+    </p>
+    <p style="font-size:13px;color:#4b5563;">${escapeHtml(validity)}</p>`,
+  escapeHtml(template.ignore));
+
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    template.intro,
+    '',
+    `${template.action}: ${link}`,
+    '',
+    validity,
+    template.ignore,
+    '',
+    `-- ${siteName}`
+  ].join('\n');
+
+  return {
+    subject: `[${siteName}] ${template.subject}`,
+    html,
+    text,
+    link
+  };
+};
+
+module.exports = {
+  renderNotificationEmail,
+  renderDigestEmail,
+  renderAccountEmail
+};
@@ -0,0 +1,37 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Email is only sent when an SMTP host is configured; otherwise messages stay queued
+const isConfigured = () => Boolean(process.env.EMAIL_HOST);
+
+// SMTP transport built from EMAIL_* variables. Local test servers such as
+// MailHog or smtp4dev work with EMAIL_PORT=1025 and no EMAIL_USER.
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined,
+      ignoreTLS: process.env.EMAIL_IGNORE_TLS === 'true'
+    });
+  }
+  return transporter;
+};
+
+const sendMail = ({ to, subject, html, text }) => {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@edumanage.com',
+    to,
+    subject,
+    html,
+    text
+  });
+};
+
+module.exports = { isConfigured, sendMail };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const Configuration = require('../models/Configuration');
+
+const BREACHED_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// Parsed breached list, reloaded when the file changes
+let breached = { mtimeMs: null, passwords: new Set() };
+
+const loadBreachedPasswords = () => {
+  try {
+    const { mtimeMs } = fs.statSync(BREACHED_FILE);
+    if (mtimeMs !== breached.mtimeMs) {
+      const passwords = fs.readFileSync(BREACHED_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'));
+      breached = { mtimeMs, passwords: new Set(passwords) };
+    }
+  } catch (error) {
+    if (breached.mtimeMs !== 'missing') {
+      console.error(`Breached password list unavailable (${BREACHED_FILE}):`, error.message);
+    }
+    breached = { mtimeMs: 'missing', passwords: new Set() };
+  }
+  return breached.passwords;
+};
+
+// Current policy from the security configuration
+const getPasswordPolicy = async () => {
+  const [minLength, mixedCase, number, symbol, blockBreached] = await Promise.all([
+    Configuration.getValue('password_min_length', 8),
+    Configuration.getValue('password_require_mixed_case', true),
+    Configuration.getValue('password_require_number', true),
+    Configuration.getValue('password_require_symbol', false),
+    Configuration.getValue('password_block_breached', true)
+  ]);
+
+  return {
+    minLength: Number(minLength),
+    requireMixedCase: mixedCase === true,
+    requireNumber: number === true,
+    requireSymbol: symbol === true,
+    blockBreached: blockBreached === true
+  };
+};
+
+// Check a password against the policy; returns a list of problems (empty when it passes).
+// `user` ({ email, firstName, lastName }) lets the check reject passwords built from the user's details.
+const validatePassword = async (password, user = {}) => {
+  const policy = await getPasswordPolicy();
+  const value = String(password || '');
+  const problems = [];
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters.`);
+  }
+  if (value.length > 128) {
+    problems.push('Password cannot exceed 128 characters.');
+  }
+  if (policy.requireMixedCase && !(/[a-z]/.test(value) && /[A-Z]/.test(value))) {
+    problems.push('Password must contain both upper and lower case letters.');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    problems.push('Password must contain a number.');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol.');
+  }
+
+  const lower = value.toLowerCase();
+  const personal = [user.email && user.email.split('@')[0], user.firstName, user.lastName]
+    .filter(part => part && part.length >= 3)
+    .map(part => part.toLowerCase());
+  if (personal.some(part => lower.includes(part))) {
+    problems.push('Password cannot contain your name or email.');
+  }
+
+  if (policy.blockBreached && loadBreachedPasswords().has(lower)) {
+    problems.push('This password appears in a list of breached passwords. Choose a different one.');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword
+};
@@ -0,0 +1,36 @@
+// Payment provider registry. A provider is an object with:
+//
+//   name                                   unique key, selected by the payment_provider setting
+//   charge({ amount, currency, description, reference, metadata })
+//   refund({ transactionId, amount, currency, reason })
+//
+// Both methods resolve to { success, transactionId, message }. They should not
+// throw for declined transactions; a rejected promise is treated as a failure.
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.charge !== 'function' || typeof provider.refund !== 'function') {
+    throw new Error('Payment providers need a name, charge() and refund()');
+  }
+  providers.set(provider.name, provider);
+};
+
+// Get a provider by name, or the one configured in the payment_provider setting
+const getProvider = async (name = null) => {
+  const Configuration = require('../../models/Configuration');
+  const key = name || await Configuration.getValue('payment_provider', 'mock');
+  const provider = providers.get(key);
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${key}`);
+  }
+
+  return provider;
+};
+
+registerProvider(require('./mockProvider'));
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Local provider for development and demos; no money moves. Charges whose
+// reference starts with "DECLINE" are declined so failure paths can be tried.
+const transactionId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+module.exports = {
+  name: 'mock',
+
+  async charge({ amount, reference }) {
+    if (reference && /^DECLINE/i.test(reference)) {
+      return { success: false, transactionId: null, message: 'Card declined (mock provider)' };
+    }
+
+    return {
+      success: true,
+      transactionId: transactionId('mock_ch'),
+      message: `Charged ${amount.toFixed(2)} (mock provider)`
+    };
+  },
+
+  async refund({ transactionId: chargeId, amount }) {
+    if (!chargeId) {
+      return { success: false, transactionId: null, message: 'Missing original transaction' };
+    }
+
+    return {
+      success: true,
+      transactionId: transactionId('mock_re'),
+      message: `Refunded ${amount.toFixed(2)} (mock provider)`
+    };
+  }
+};
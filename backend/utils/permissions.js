@@ -0,0 +1,220 @@
+const Course = require('../models/Course');
+
+// Every permission a role can grant
+const PERMISSIONS = {
+  'course:create': 'Create courses',
+  'course:edit': 'Edit course materials, grading scheme, capacity and prerequisites',
+  'course:approve': 'Approve courses',
+  'assignment:manage': 'Create, edit and delete assignments',
+  'submission:view': 'View submissions',
+  'submission:grade': 'Grade and excuse submissions',
+  'grade:view': 'View grades and transcripts',
+  'grade:edit': 'Enter, override and recalculate grades',
+  'grade:finalize': 'Finalize grades',
+  'grade:verify': 'Verify finalized grades',
+  'attendance:mark': 'Mark attendance',
+  'attendance:view': 'View attendance',
+  'enrollment:view': 'View course rosters and waitlists',
+  'announcement:manage': 'Post and edit course announcements',
+  'forum:moderate': 'Moderate course forums',
+  'user:view': 'View user accounts',
+  'user:manage': 'Approve, deactivate and unlock users and verify documents',
+  'role:manage': 'Define roles and assign them to users',
+  'config:read': 'Read the system configuration',
+  'config:write': 'Change the system configuration',
+  'term:manage': 'Manage academic terms',
+  'grading_scale:manage': 'Manage grading scales',
+  'billing:manage': 'Manage invoices and payments',
+  'analytics:view': 'View dashboard analytics',
+  'audit:view': 'View and export the audit log',
+  'accommodation:manage': 'Record student accommodations such as extra time'
+};
+
+// Permissions that apply to a course. On their own they cover the courses the user teaches;
+// the ':any' form (e.g. 'grade:view:any') covers every course.
+const COURSE_PERMISSIONS = [
+  'course:edit',
+  'assignment:manage',
+  'submission:view',
+  'submission:grade',
+  'grade:view',
+  'grade:edit',
+  'grade:finalize',
+  'attendance:mark',
+  'attendance:view',
+  'enrollment:view',
+  'announcement:manage',
+  'forum:moderate'
+];
+
+const anyScope = (permission) => `${permission}:any`;
+
+const isValidPermission = (permission) => Boolean(PERMISSIONS[permission])
+  || COURSE_PERMISSIONS.some(p => anyScope(p) === permission);
+
+// Built-in roles. Account roles match User.role; the others are custom roles granted on top of one.
+// Stored roles (see the Role model) replace these definitions.
+const DEFAULT_ROLES = {
+  admin: {
+    name: 'Administrator',
+    description: 'Full access to every course and all administration',
+    isSystem: true,
+    // Attendance is marked by the people teaching the course
+    permissions: [
+      ...Object.keys(PERMISSIONS).filter(p => !COURSE_PERMISSIONS.includes(p)),
+      ...COURSE_PERMISSIONS.filter(p => p !== 'attendance:mark').map(anyScope)
+    ]
+  },
+  instructor: {
+    name: 'Instructor',
+    description: 'Teaches courses and manages their assignments, grades and attendance',
+    isSystem: true,
+    permissions: ['course:create', ...COURSE_PERMISSIONS, 'analytics:view']
+  },
+  student: {
+    name: 'Student',
+    description: 'Enrolls in courses and submits work',
+    isSystem: true,
+    permissions: []
+  },
+  teaching_assistant: {
+    name: 'Teaching Assistant',
+    description: 'Grades submissions and marks attendance in the courses they assist',
+    isSystem: false,
+    permissions: ['submission:view', 'submission:grade', 'grade:view', 'attendance:mark', 'attendance:view', 'enrollment:view', 'forum:moderate']
+  },
+  registrar: {
+    name: 'Registrar',
+    description: 'Maintains academic records: terms, rosters, transcripts and grade verification',
+    isSystem: false,
+    permissions: ['user:view', 'course:approve', 'term:manage', 'grade:verify', anyScope('grade:view'), anyScope('enrollment:view')]
+  }
+};
+
+// Course staff roles and the role whose course permissions they grant on that course
+const STAFF_ROLE_PERMISSIONS = {
+  co_instructor: 'instructor',
+  teaching_assistant: 'teaching_assistant'
+};
+
+// Permissions from the user's account role and custom roles, plus what their place on
+// course teaching teams grants per course. Kept on the document for the request.
+const loadAccess = async (user) => {
+  if (user.$locals.access) {
+    return user.$locals.access;
+  }
+
+  const Role = require('../models/Role');
+  const roles = await Role.getRoleMap();
+  const rolePermissions = (key) => roles[key]?.permissions || [];
+
+  const accountPermissions = new Set();
+  [user.role, ...(user.customRoles || [])].forEach(key => {
+    rolePermissions(key).forEach(permission => accountPermissions.add(permission));
+  });
+
+  // Staff roles only grant course permissions, and only for their own course
+  const permissions = new Set(accountPermissions);
+  const staffCourses = new Map();
+  const courses = await Course.find(
+    { 'staff.user': user._id },
+    { staff: { $elemMatch: { user: user._id } } }
+  ).lean();
+  courses.forEach(course => {
+    const granted = rolePermissions(STAFF_ROLE_PERMISSIONS[course.staff[0].role])
+      .filter(permission => COURSE_PERMISSIONS.includes(permission));
+    staffCourses.set(course._id.toString(), new Set(granted));
+    granted.forEach(permission => permissions.add(permission));
+  });
+
+  user.$locals.access = { permissions, accountPermissions, staffCourses };
+  return user.$locals.access;
+};
+
+// Every permission the user holds, for some or all resources
+const getPermissions = async (user) => (await loadAccess(user)).permissions;
+
+// Whether the user holds the permission for at least some resources
+const hasPermission = async (user, permission) => {
+  const permissions = await getPermissions(user);
+  return permissions.has(permission) || permissions.has(anyScope(permission));
+};
+
+const isCourseInstructor = (user, course) => {
+  const instructorId = course.instructor?._id || course.instructor;
+  return Boolean(instructorId) && instructorId.toString() === user._id.toString();
+};
+
+// The resource-ownership check: may the user use a course permission on this course?
+// The lead instructor uses their own permissions, staff those of their staff role.
+// `course` is a course document (with `instructor`) or a course id.
+const canAccessCourse = async (user, course, permission) => {
+  const { permissions, accountPermissions, staffCourses } = await loadAccess(user);
+  if (permissions.has(anyScope(permission))) {
+    return true;
+  }
+  if (!permissions.has(permission) || !course) {
+    return false;
+  }
+
+  const courseId = (course._id || course).toString();
+  if (staffCourses.get(courseId)?.has(permission)) {
+    return true;
+  }
+  if (!accountPermissions.has(permission)) {
+    return false;
+  }
+
+  const doc = course.instructor !== undefined
+    ? course
+    : await Course.findById(course).select('instructor');
+  return Boolean(doc) && isCourseInstructor(user, doc);
+};
+
+// Courses the user may use a course permission on: null means every course
+const getCourseScope = async (user, permission) => {
+  const { permissions, accountPermissions, staffCourses } = await loadAccess(user);
+  if (permissions.has(anyScope(permission))) {
+    return null;
+  }
+
+  const scope = [...staffCourses]
+    .filter(([, granted]) => granted.has(permission))
+    .map(([courseId]) => courseId);
+  if (accountPermissions.has(permission)) {
+    scope.push(...await Course.find({ instructor: user._id }).distinct('_id'));
+  }
+  return scope;
+};
+
+// May the user see a student's records under a course permission? Students may always see
+// their own; others need the permission on a course the student is enrolled in.
+const canAccessStudent = async (user, studentId, permission) => {
+  if (user._id.toString() === studentId.toString()) {
+    return true;
+  }
+
+  const scope = await getCourseScope(user, permission);
+  if (scope === null) {
+    return true;
+  }
+  if (scope.length === 0) {
+    return false;
+  }
+
+  const Enrollment = require('../models/Enrollment');
+  return Boolean(await Enrollment.exists({ student: studentId, course: { $in: scope } }));
+};
+
+module.exports = {
+  PERMISSIONS,
+  COURSE_PERMISSIONS,
+  DEFAULT_ROLES,
+  STAFF_ROLE_PERMISSIONS,
+  isValidPermission,
+  getPermissions,
+  hasPermission,
+  canAccessCourse,
+  getCourseScope,
+  canAccessStudent
+};
@@ -0,0 +1,51 @@
+// Shared pieces of the standalone printable HTML pages: receipts, statements and transcripts
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const baseStyles = `
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111827; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    header { border-bottom: 2px solid #111827; margin-bottom: 1.5rem; }
+    h1 { margin: 0; font-size: 1.5rem; }
+    h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; }
+    .totals { border-top: 2px solid #111827; margin-top: 2rem; padding-top: 0.5rem; }
+    @media print { body { margin: 0; } }`;
+
+// Wrap a document's body in the page shell with the institution header. `title` and
+// `heading` are plain text; `content` is HTML and `styles` are added to the shared ones.
+const renderPrintableHtml = ({ title, institutionName, heading, content, styles = '' }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${baseStyles}${styles}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(institutionName)}</h1>
+    <p>${escapeHtml(heading)}</p>
+  </header>
+${content}
+</body>
+</html>`;
+
+module.exports = {
+  escapeHtml,
+  formatDate,
+  renderPrintableHtml
+};
@@ -0,0 +1,107 @@
+const { Server } = require('socket.io');
+const { authenticateToken, needsTwoFactorSetup, CLIENT_AUTH_ERRORS } = require('../middleware/auth');
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId.toString()}`;
+const sessionRoom = (sessionId) => `session:${sessionId.toString()}`;
+
+// Current unread totals shown in the header bell and the Messages page
+const getUnreadCounts = async (userId) => {
+  const Notification = require('../models/Notification');
+  const Message = require('../models/Message');
+
+  const [notifications, messages] = await Promise.all([
+    Notification.countDocuments({ recipient: userId, isRead: false, isDeleted: false }),
+    Message.countDocuments(Message.unreadFilter(userId))
+  ]);
+
+  return { notifications, messages };
+};
+
+// Attach Socket.IO to the HTTP server. Clients authenticate with the same JWT
+// the REST API uses and join a private room per user.
+const initRealtime = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: process.env.CLIENT_URL || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (!token) {
+        return next(new Error('No token, authorization denied'));
+      }
+      const user = await authenticateToken(token);
+      // Same rule as the REST API: no access until required two-factor authentication is set up
+      if (await needsTwoFactorSetup(user, user.$locals.session)) {
+        return next(new Error('Two-factor authentication setup required'));
+      }
+      socket.user = user;
+      next();
+    } catch (error) {
+      next(new Error(CLIENT_AUTH_ERRORS.includes(error.message) ? error.message : 'Token is not valid'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    socket.join(userRoom(socket.user._id));
+    socket.join(sessionRoom(socket.user.$locals.session._id));
+
+    try {
+      socket.emit('unread:counts', await getUnreadCounts(socket.user._id));
+    } catch (error) {
+      console.error('Realtime unread counts error:', error);
+    }
+  });
+
+  return io;
+};
+
+// Send an event to every open connection of a user; a no-op when realtime is not running
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) {
+    return;
+  }
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Recount and push a user's unread totals
+const pushUnreadCounts = async (userId) => {
+  if (!io || !userId) {
+    return;
+  }
+  try {
+    emitToUser(userId, 'unread:counts', await getUnreadCounts(userId));
+  } catch (error) {
+    console.error('Realtime unread counts error:', error);
+  }
+};
+
+// Disconnect a user's sockets, e.g. after their account is deactivated
+const disconnectUser = (userId) => {
+  if (!io || !userId) {
+    return;
+  }
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Disconnect the sockets opened with one session, e.g. after it is revoked
+const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) {
+    return;
+  }
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+module.exports = {
+  getUnreadCounts,
+  initRealtime,
+  emitToUser,
+  pushUnreadCounts,
+  disconnectUser,
+  disconnectSession
+};
@@ -0,0 +1,165 @@
+const PDFDocument = require('pdfkit');
+const { escapeHtml, formatDate, renderPrintableHtml } = require('./printableDocument');
+
+const STATUS_LABELS = {
+  completed: 'Completed',
+  withdrawn: 'Withdrawn',
+  incomplete: 'Incomplete',
+  in_progress: 'In Progress'
+};
+
+const formatGpa = (gpa) => (gpa === null || gpa === undefined ? '—' : gpa.toFixed(2));
+
+// Render a transcript (as built by Grade.getTranscript) to a standalone printable HTML page
+const renderTranscriptHtml = (transcript, institutionName) => {
+  const { student, terms, totals } = transcript;
+
+  const termSections = terms.map(term => `
+    <section class="term">
+      <h2>${escapeHtml(term.name)}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Course</th>
+            <th class="num">Credits</th>
+            <th class="num">Grade</th>
+            <th class="num">Points</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${term.courses.map(entry => `
+          <tr>
+            <td>${escapeHtml(entry.course.courseCode)}</td>
+            <td>${escapeHtml(entry.course.title)}</td>
+            <td class="num">${entry.credits}</td>
+            <td class="num">${escapeHtml(entry.letterGrade)}</td>
+            <td class="num">${entry.countsTowardsGpa ? formatGpa(entry.gpa) : '—'}</td>
+            <td>${STATUS_LABELS[entry.status]}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <p class="summary">
+        Credits attempted: ${term.creditsAttempted} &middot;
+        Credits earned: ${term.creditsEarned} &middot;
+        Term GPA: ${formatGpa(term.termGpa)} &middot;
+        Cumulative GPA: ${formatGpa(term.cumulativeGpa)}
+      </p>
+    </section>`).join('');
+
+  return renderPrintableHtml({
+    title: `Transcript - ${student.firstName} ${student.lastName}`,
+    institutionName,
+    heading: 'Academic Transcript',
+    styles: `
+    .summary { font-size: 0.85rem; color: #374151; }
+    .legend { font-size: 0.75rem; color: #6b7280; margin-top: 2rem; }
+    @media print { .term { page-break-inside: avoid; } }`,
+    content: `  <p>
+    <strong>${escapeHtml(student.firstName)} ${escapeHtml(student.lastName)}</strong><br>
+    ${escapeHtml(student.email)}<br>
+    Issued ${formatDate(transcript.generatedAt)}
+  </p>
+  ${terms.length > 0 ? termSections : '<p>No courses on record.</p>'}
+  <section class="totals">
+    <p>
+      <strong>Total credits attempted:</strong> ${totals.creditsAttempted} &middot;
+      <strong>Total credits earned:</strong> ${totals.creditsEarned} &middot;
+      <strong>Cumulative GPA:</strong> ${formatGpa(totals.cumulativeGpa)} / ${transcript.maxGpa.toFixed(1)}
+    </p>
+  </section>
+  <p class="legend">
+    W = Withdrawn, I = Incomplete, IP = In Progress. Only finalized grades with grade points count towards GPA.
+  </p>`
+  });
+};
+
+// Stream a transcript as a PDF document to a writable stream (e.g. an Express response)
+const renderTranscriptPdf = (transcript, institutionName, stream) => {
+  const { student, terms, totals } = transcript;
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  const columns = [
+    { label: 'Code', x: 50, width: 70 },
+    { label: 'Course', x: 120, width: 220 },
+    { label: 'Credits', x: 340, width: 50, align: 'right' },
+    { label: 'Grade', x: 390, width: 45, align: 'right' },
+    { label: 'Points', x: 435, width: 45, align: 'right' },
+    { label: 'Status', x: 490, width: 72 }
+  ];
+
+  const drawRow = (values, font) => {
+    if (doc.y > doc.page.height - 90) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    columns.forEach((column, i) => {
+      doc.text(String(values[i]), column.x, y, { width: column.width, align: column.align || 'left', lineBreak: false, ellipsis: true });
+    });
+    doc.x = 50;
+    doc.y = y + 14;
+  };
+
+  doc.font('Times-Bold').fontSize(18).text(institutionName);
+  doc.font('Times-Roman').fontSize(12).text('Academic Transcript');
+  doc.moveTo(50, doc.y + 4).lineTo(562, doc.y + 4).stroke();
+  doc.moveDown();
+
+  doc.font('Times-Bold').fontSize(11).text(`${student.firstName} ${student.lastName}`);
+  doc.font('Times-Roman').fontSize(10)
+    .text(student.email)
+    .text(`Issued ${formatDate(transcript.generatedAt)}`);
+  doc.moveDown();
+
+  if (terms.length === 0) {
+    doc.fontSize(10).text('No courses on record.');
+  }
+
+  terms.forEach(term => {
+    if (doc.y > doc.page.height - 140) {
+      doc.addPage();
+    }
+    doc.font('Times-Bold').fontSize(12).text(term.name, 50);
+    doc.moveDown(0.3);
+    drawRow(columns.map(column => column.label), 'Times-Bold');
+    term.courses.forEach(entry => {
+      drawRow([
+        entry.course.courseCode,
+        entry.course.title,
+        entry.credits,
+        entry.letterGrade,
+        entry.countsTowardsGpa ? formatGpa(entry.gpa) : '-',
+        STATUS_LABELS[entry.status]
+      ], 'Times-Roman');
+    });
+    doc.font('Times-Italic').fontSize(9).text(
+      `Credits attempted: ${term.creditsAttempted}   Credits earned: ${term.creditsEarned}   ` +
+      `Term GPA: ${formatGpa(term.termGpa)}   Cumulative GPA: ${formatGpa(term.cumulativeGpa)}`,
+      50
+    );
+    doc.moveDown();
+  });
+
+  doc.moveTo(50, doc.y).lineTo(562, doc.y).stroke();
+  doc.moveDown(0.5);
+  doc.font('Times-Bold').fontSize(10).text(
+    `Total credits attempted: ${totals.creditsAttempted}   Total credits earned: ${totals.creditsEarned}   ` +
+    `Cumulative GPA: ${formatGpa(totals.cumulativeGpa)} / ${transcript.maxGpa.toFixed(1)}`,
+    50
+  );
+  doc.moveDown();
+  doc.font('Times-Roman').fontSize(8).fillColor('#6b7280').text(
+    'W = Withdrawn, I = Incomplete, IP = In Progress. Only finalized grades with grade points count towards GPA.',
+    50
+  );
+
+  doc.end();
+};
+
+module.exports = {
+  renderTranscriptHtml,
+  renderTranscriptPdf
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Configuration = require('../models/Configuration');
+
+// Time-based one-time passwords (RFC 6238), compatible with common authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, to allow for clock drift
+const WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+// The required-roles settings are read on every request, so keep them for a minute
+const SETTINGS_CACHE_MS = 60 * 1000;
+let cachedRequiredRoles = null;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) for one counter step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+  return String(value).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// New random secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Check a code against the secret. Returns the matching time step, or null.
+// Steps at or before `lastUsedStep` are refused so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI and a QR code image (data URL) for enrolling an authenticator app
+const buildEnrollment = async (secret, accountName) => {
+  const issuer = await Configuration.getValue('site_name', 'EduManage');
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+  return {
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+// Fresh set of single-use backup codes; returns the codes to show once and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => ({ codeHash: hashBackupCode(code), usedAt: null }))
+  };
+};
+
+// Roles that must use two-factor authentication, from the security configuration
+const getRequiredRoles = async () => {
+  if (cachedRequiredRoles && cachedRequiredRoles.expires > Date.now()) {
+    return cachedRequiredRoles.value;
+  }
+
+  const [admin, instructor] = await Promise.all([
+    Configuration.getValue('require_2fa_for_admins', false),
+    Configuration.getValue('require_2fa_for_instructors', false)
+  ]);
+  const value = [admin && 'admin', instructor && 'instructor'].filter(Boolean);
+  cachedRequiredRoles = { value, expires: Date.now() + SETTINGS_CACHE_MS };
+  return value;
+};
+
+const isRequiredForRole = async (role) => (await getRequiredRoles()).includes(role);
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildEnrollment,
+  generateBackupCodes,
+  hashBackupCode,
+  isRequiredForRole
+};
@@ -10,6 +10,10 @@ import PublicLayout from './components/Layout/PublicLayout';
 // Auth Components
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import TwoFactorSetup from './components/Auth/TwoFactorSetup';
 
 // Dashboard Components
 import StudentDashboard from './components/Dashboard/StudentDashboard';
@@ -22,19 +26,31 @@ import CourseDetail from './components/Courses/CourseDetail';
 import CourseMaterials from './components/Courses/CourseMaterials';
 import CreateCourse from './components/Courses/CreateCourse';
 import CoursePerformance from './components/Courses/CoursePerformance';
+import CourseForum from './components/Forums/CourseForum';
+import ForumTopicView from './components/Forums/ForumTopicView';
 import MyEnrollments from './components/Enrollments/MyEnrollments';
 import AssignmentList from './components/Assignments/AssignmentList';
 import AssignmentDetail from './components/Assignments/AssignmentDetail';
 import CreateAssignment from './components/Assignments/CreateAssignment';
 import AssignmentSubmissions from './components/Assignments/AssignmentSubmissions';
+import QuizBuilder from './components/Quizzes/QuizBuilder';
+import QuizAttemptView from './components/Quizzes/QuizAttemptView';
+import QuizReviewQueue from './components/Quizzes/QuizReviewQueue';
 import AttendanceView from './components/Attendance/AttendanceView';
 import GradeView from './components/Grades/GradeView';
+import Transcript from './components/Grades/Transcript';
 import Messages from './components/Messages/Messages';
 import Profile from './components/Profile/Profile';
 import UserManagement from './components/Admin/UserManagement';
 import DocumentUpload from './components/Auth/DocumentUpload';
 import InstructorVerification from './components/Admin/InstructorVerification';
 import ConfigurationManagement from './components/Admin/ConfigurationManagement';
+import TermManagement from './components/Admin/TermManagement';
+import BillingManagement from './components/Admin/BillingManagement';
+import RoleManagement from './components/Admin/RoleManagement';
+import AuditLog from './components/Admin/AuditLog';
+import AccommodationManagement from './components/Admin/AccommodationManagement';
+import MyBilling from './components/Billing/MyBilling';
 import HomePage from './components/Home/HomePage';
 
 // Loading Component
@@ -62,6 +78,11 @@ function App() {
       return <Navigate to="/login" replace />;
     }
 
+    // The API refuses everything else until required two-factor authentication is set up
+    if (user.twoFactorSetupRequired) {
+      return <Navigate to="/two-factor-setup" replace />;
+    }
+
     if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
       return <Navigate to="/dashboard" replace />;
     }
@@ -112,6 +133,34 @@ function App() {
               </PublicLayout>
             </PublicRoute>
           } />
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <PublicLayout>
+                <ForgotPassword />
+              </PublicLayout>
+            </PublicRoute>
+          } />
+          <Route path="/reset-password" element={
+            <PublicRoute>
+              <PublicLayout>
+                <ResetPassword />
+              </PublicLayout>
+            </PublicRoute>
+          } />
+          {/* Also reachable while signed in, e.g. when the link is opened in the same browser */}
+          <Route path="/verify-email" element={
+            <PublicLayout>
+              <VerifyEmail />
+            </PublicLayout>
+          } />
+
+          <Route path="/two-factor-setup" element={
+            user ? (
+              <PublicLayout>
+                <TwoFactorSetup />
+              </PublicLayout>
+            ) : <Navigate to="/login" replace />
+          } />
 
           {/* Protected Routes */}
           <Route path="/dashboard" element={
@@ -138,6 +187,22 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/courses/:id/forum" element={
+            <ProtectedRoute>
+              <Layout>
+                <CourseForum />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/courses/:id/forum/:topicId" element={
+            <ProtectedRoute>
+              <Layout>
+                <ForumTopicView />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
           <Route path="/courses/:id/materials" element={
             <ProtectedRoute allowedRoles={['instructor', 'admin']}>
               <Layout>
@@ -170,6 +235,14 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/billing" element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <Layout>
+                <MyBilling />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
           <Route path="/assignments" element={
             <ProtectedRoute>
               <Layout>
@@ -194,6 +267,30 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/assignments/:id/quiz" element={
+            <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+              <Layout>
+                <QuizBuilder />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/quiz-attempts/:id" element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <Layout>
+                <QuizAttemptView />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/quiz-review" element={
+            <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+              <Layout>
+                <QuizReviewQueue />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
           <Route path="/create-assignment" element={
             <ProtectedRoute allowedRoles={['instructor']}> {/* Removed admin */}
               <Layout>
@@ -218,6 +315,14 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/grades/transcript/:studentId" element={
+            <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+              <Layout>
+                <Transcript />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
           <Route path="/messages" element={
             <ProtectedRoute>
               <Layout>
@@ -264,6 +369,46 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/admin/terms" element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <Layout>
+                <TermManagement />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/admin/billing" element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <Layout>
+                <BillingManagement />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/admin/roles" element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <Layout>
+                <RoleManagement />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/admin/audit-log" element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <Layout>
+                <AuditLog />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
+          <Route path="/admin/accommodations" element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <Layout>
+                <AccommodationManagement />
+              </Layout>
+            </ProtectedRoute>
+          } />
+
           {/* Default Route */}
           <Route path="/" element={
             user ? <Navigate to="/dashboard" replace /> : <Navigate to="/login" replace />
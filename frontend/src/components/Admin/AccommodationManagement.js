@@ -0,0 +1,282 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDate } from '../../utils/dateUtils';
+
+const ASSIGNMENT_TYPES = ['homework', 'quiz', 'exam', 'project', 'presentation'];
+
+const emptyAccommodation = {
+  email: '',
+  timeMultiplier: 1.5,
+  assignmentTypes: ['quiz', 'exam'],
+  notes: '',
+  expiresAt: ''
+};
+
+const AccommodationManagement = () => {
+  const [accommodations, setAccommodations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyAccommodation);
+
+  useEffect(() => {
+    fetchAccommodations();
+  }, []);
+
+  const fetchAccommodations = async () => {
+    try {
+      const response = await axios.get('/api/accommodations');
+      setAccommodations(response.data);
+    } catch (error) {
+      console.error('Error fetching accommodations:', error);
+      toast.error('Failed to fetch accommodations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (accommodation = null) => {
+    setEditing(accommodation || 'new');
+    setFormData(accommodation ? {
+      email: accommodation.student?.email || '',
+      timeMultiplier: accommodation.timeMultiplier,
+      assignmentTypes: accommodation.assignmentTypes,
+      notes: accommodation.notes || '',
+      expiresAt: accommodation.expiresAt ? accommodation.expiresAt.slice(0, 10) : ''
+    } : emptyAccommodation);
+  };
+
+  const toggleType = (type) => {
+    setFormData({
+      ...formData,
+      assignmentTypes: formData.assignmentTypes.includes(type)
+        ? formData.assignmentTypes.filter(t => t !== type)
+        : [...formData.assignmentTypes, type]
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = {
+      timeMultiplier: Number(formData.timeMultiplier),
+      assignmentTypes: formData.assignmentTypes,
+      notes: formData.notes,
+      expiresAt: formData.expiresAt || null
+    };
+
+    try {
+      if (editing === 'new') {
+        await axios.post('/api/accommodations', { ...payload, email: formData.email });
+        toast.success('Accommodation recorded successfully');
+      } else {
+        await axios.put(`/api/accommodations/${editing._id}`, payload);
+        toast.success('Accommodation updated successfully');
+      }
+      setEditing(null);
+      fetchAccommodations();
+    } catch (error) {
+      console.error('Error saving accommodation:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save accommodation');
+    }
+  };
+
+  const handleDelete = async (accommodation) => {
+    const name = `${accommodation.student?.firstName} ${accommodation.student?.lastName}`;
+    if (!window.confirm(`Remove the accommodation of ${name}? Their deadlines return to the class deadlines.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/accommodations/${accommodation._id}`);
+      toast.success('Accommodation removed');
+      fetchAccommodations();
+    } catch (error) {
+      console.error('Error removing accommodation:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove accommodation');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Accommodations</h1>
+          <p className="mt-2 text-gray-600">
+            Standing extra time for students on every timed assignment of the chosen types
+          </p>
+        </div>
+        <button onClick={() => openEditor()} className="btn btn-primary flex items-center">
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Add Accommodation
+        </button>
+      </div>
+
+      <div className="card overflow-hidden">
+        {accommodations.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No accommodations recorded</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Extra Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Notes</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {accommodations.map(accommodation => {
+                const expired = accommodation.expiresAt && new Date(accommodation.expiresAt) <= new Date();
+                return (
+                  <tr key={accommodation._id} className={expired ? 'text-gray-400' : ''}>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">
+                        {accommodation.student?.firstName} {accommodation.student?.lastName}
+                      </div>
+                      <div className="text-xs text-gray-500">{accommodation.student?.email}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">{accommodation.timeMultiplier}x</td>
+                    <td className="px-4 py-3 text-sm capitalize">{accommodation.assignmentTypes.join(', ')}</td>
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      {accommodation.expiresAt ? formatDate(accommodation.expiresAt) : 'Standing'}
+                      {expired && <span className="ml-2 text-xs text-red-600">Expired</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600 max-w-xs">
+                      {accommodation.notes || '—'}
+                      {accommodation.recordedBy && (
+                        <div className="text-xs text-gray-400">
+                          Recorded by {accommodation.recordedBy.firstName} {accommodation.recordedBy.lastName}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => openEditor(accommodation)}
+                        className="text-blue-600 hover:text-blue-800 mr-3"
+                        title="Edit"
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(accommodation)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Edit Accommodation Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editing === 'new' ? 'Add Accommodation' : 'Edit Accommodation'}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Student Email *</label>
+                <input
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  className="form-input"
+                  disabled={editing !== 'new'}
+                  required
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Time Multiplier *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="4"
+                    step="0.05"
+                    value={formData.timeMultiplier}
+                    onChange={(e) => setFormData({ ...formData, timeMultiplier: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+                  <input
+                    type="date"
+                    value={formData.expiresAt}
+                    onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Timed Assignment Types</label>
+                <div className="flex flex-wrap gap-4">
+                  {ASSIGNMENT_TYPES.map(type => (
+                    <label key={type} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={formData.assignmentTypes.includes(type)}
+                        onChange={() => toggleType(type)}
+                        className="form-checkbox"
+                      />
+                      <span className="ml-2 text-sm capitalize">{type}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  The time limit is multiplied and the due date moves back by the extra time.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="form-input"
+                  rows={3}
+                  maxLength={500}
+                  placeholder="Visible to administrators only"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={formData.assignmentTypes.length === 0}
+                  className="btn btn-primary disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccommodationManagement;
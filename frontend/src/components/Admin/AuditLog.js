@@ -0,0 +1,289 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { MagnifyingGlassIcon, ArrowDownTrayIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = {
+  search: '',
+  action: '',
+  targetType: '',
+  from: '',
+  to: ''
+};
+
+const formatValue = (value) => (
+  value === undefined || value === null ? '—' : JSON.stringify(value, null, 2)
+);
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [targetTypes, setTargetTypes] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActions();
+  }, []);
+
+  const buildParams = useCallback(() => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return params;
+  }, [filters]);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = buildParams();
+      params.append('page', currentPage.toString());
+      params.append('limit', PAGE_SIZE.toString());
+
+      const response = await axios.get(`/api/audit-logs?${params}`);
+      setEntries(response.data.entries);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      toast.error(error.response?.data?.message || 'Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams, currentPage]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const fetchActions = async () => {
+    try {
+      const response = await axios.get('/api/audit-logs/actions');
+      setActions(response.data.actions);
+      setTargetTypes(response.data.targetTypes);
+    } catch (error) {
+      console.error('Error fetching audit actions:', error);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setCurrentPage(1);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const params = buildParams();
+      params.append('format', format);
+
+      const response = await axios.get(`/api/audit-logs/export?${params}`, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit-log.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Audit log exported successfully');
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      toast.error('Failed to export audit log');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="mt-2 text-gray-600">Who changed grades, accounts, courses, enrollments and settings, and when</p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={() => handleExport('csv')} className="btn btn-secondary flex items-center">
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            Export CSV
+          </button>
+          <button onClick={() => handleExport('json')} className="btn btn-secondary flex items-center">
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+            <div className="relative">
+              <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+                className="form-input pl-10"
+                placeholder="Actor, target or action..."
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+            <select
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All Actions</option>
+              {actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+            <select
+              value={filters.targetType}
+              onChange={(e) => updateFilter('targetType', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All Targets</option>
+              {targetTypes.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className="form-input"
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="card overflow-hidden">
+        {loading ? (
+          <LoadingSpinner />
+        ) : entries.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No audit entries match these filters</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3" />
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.map(entry => (
+                <Fragment key={entry._id}>
+                  <tr
+                    onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                    className="cursor-pointer hover:bg-gray-50"
+                  >
+                    <td className="px-4 py-3 text-gray-400">
+                      {expanded === entry._id
+                        ? <ChevronDownIcon className="h-4 w-4" />
+                        : <ChevronRightIcon className="h-4 w-4" />}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">{entry.actorName || 'System'}</div>
+                      <div className="text-xs text-gray-500">{entry.actorEmail}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{entry.action}</td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">{entry.targetLabel || entry.targetId}</div>
+                      <div className="text-xs text-gray-500">{entry.targetType}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{entry.ip || '—'}</td>
+                  </tr>
+                  {expanded === entry._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-4 py-3">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
+                          {['before', 'after', 'details'].map(key => (
+                            <div key={key}>
+                              <div className="font-medium text-gray-700 uppercase mb-1">{key}</div>
+                              <pre className="bg-white border rounded p-2 overflow-x-auto text-gray-800">
+                                {formatValue(entry[key])}
+                              </pre>
+                            </div>
+                          ))}
+                        </div>
+                        {entry.userAgent && (
+                          <p className="mt-2 text-xs text-gray-500">User agent: {entry.userAgent}</p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+            <p className="text-sm text-gray-700">
+              Page <span className="font-medium">{currentPage}</span> of{' '}
+              <span className="font-medium">{pagination.pages}</span> ({pagination.total} entries)
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className="btn btn-secondary btn-sm disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, pagination.pages))}
+                disabled={currentPage === pagination.pages}
+                className="btn btn-secondary btn-sm disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
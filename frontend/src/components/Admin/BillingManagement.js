@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import InvoiceLedger from '../Billing/InvoiceLedger';
+import { formatDate } from '../../utils/dateUtils';
+import { PAYMENT_METHODS, formatMoney, getInvoiceStatusColor, exportBillingDocument } from '../../utils/billingUtils';
+
+const emptyPayment = { amount: '', method: 'cash', reference: '', notes: '' };
+
+const BillingManagement = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState({ status: '', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [paymentData, setPaymentData] = useState(emptyPayment);
+  const [saving, setSaving] = useState(false);
+
+  const fetchInvoices = useCallback(async () => {
+    try {
+      const params = { page };
+      if (filters.status) params.status = filters.status;
+      if (filters.search) params.search = filters.search;
+
+      const response = await axios.get('/api/billing/invoices', { params });
+      setInvoices(response.data.invoices);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      toast.error('Failed to fetch invoices');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const openInvoice = async (invoiceId) => {
+    try {
+      const response = await axios.get(`/api/billing/invoices/${invoiceId}`);
+      setSelected(response.data);
+      setPaymentData({ ...emptyPayment, amount: response.data.invoice.balance.toFixed(2) });
+    } catch (error) {
+      console.error('Error fetching invoice:', error);
+      toast.error('Failed to load invoice');
+    }
+  };
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.post(`/api/billing/invoices/${selected.invoice._id}/payments`, {
+        ...paymentData,
+        amount: parseFloat(paymentData.amount)
+      });
+      toast.success(response.data.message);
+      await openInvoice(selected.invoice._id);
+      fetchInvoices();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      toast.error(error.response?.data?.message || 'Failed to record payment');
+      if (error.response?.status === 402) {
+        openInvoice(selected.invoice._id);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const exportStatement = async (student) => {
+    try {
+      await exportBillingDocument(`/api/billing/students/${student._id}/statement`, 'html');
+    } catch (error) {
+      console.error('Error exporting statement:', error);
+      toast.error('Failed to open statement');
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters({ ...filters, search: searchInput.trim() });
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+        <p className="mt-2 text-gray-600">Course invoices, payments and refunds</p>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-4">
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="input flex-1"
+            placeholder="Search by invoice number"
+          />
+          <select
+            value={filters.status}
+            onChange={(e) => { setPage(1); setFilters({ ...filters, status: e.target.value }); }}
+            className="input max-w-xs"
+          >
+            <option value="">All Statuses</option>
+            <option value="open">Open</option>
+            <option value="partial">Partially paid</option>
+            <option value="paid">Paid</option>
+            <option value="void">Void</option>
+          </select>
+          <button type="submit" className="btn btn-primary">Search</button>
+        </form>
+      </div>
+
+      <div className="card overflow-hidden">
+        {invoices.length === 0 ? (
+          <p className="text-sm text-gray-500">No invoices found.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {invoices.map(invoice => (
+                <tr key={invoice._id}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{invoice.invoiceNumber}</div>
+                    <div className="text-gray-500">Due {formatDate(invoice.dueDate)}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="text-gray-900">{invoice.student?.firstName} {invoice.student?.lastName}</div>
+                    <div className="text-gray-500">{invoice.student?.email}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {invoice.course?.courseCode}
+                    {invoice.term && <div className="text-gray-500">{invoice.term.name}</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-right text-gray-900">{formatMoney(invoice.total, invoice.currency)}</td>
+                  <td className="px-6 py-4 text-sm text-right text-gray-900">{formatMoney(invoice.balance, invoice.currency)}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getInvoiceStatusColor(invoice.status)}`}>
+                      {invoice.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm space-x-3">
+                    <button onClick={() => openInvoice(invoice._id)} className="text-blue-600 hover:text-blue-800">
+                      Open
+                    </button>
+                    {invoice.student && (
+                      <button onClick={() => exportStatement(invoice.student)} className="text-gray-600 hover:text-gray-800">
+                        Statement
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-between items-center mt-4">
+            <span className="text-sm text-gray-600">
+              Page {pagination.current} of {pagination.pages} ({pagination.total} invoices)
+            </span>
+            <div className="space-x-2">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-secondary btn-sm disabled:opacity-50">
+                Previous
+              </button>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.pages} className="btn btn-secondary btn-sm disabled:opacity-50">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Invoice Modal */}
+      {selected && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{selected.invoice.invoiceNumber}</h3>
+                <p className="text-sm text-gray-600">
+                  {selected.invoice.student?.firstName} {selected.invoice.student?.lastName} •{' '}
+                  {selected.invoice.course?.courseCode} - {selected.invoice.course?.title}
+                </p>
+              </div>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${getInvoiceStatusColor(selected.invoice.status)}`}>
+                {selected.invoice.status}
+              </span>
+            </div>
+
+            <InvoiceLedger invoice={selected.invoice} payments={selected.payments} />
+
+            {selected.invoice.balance > 0 && selected.invoice.status !== 'void' && (
+              <form onSubmit={handleRecordPayment} className="mt-6 border-t pt-4 space-y-4">
+                <h4 className="font-medium text-gray-900">Record Payment</h4>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Amount *</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      max={selected.invoice.balance}
+                      value={paymentData.amount}
+                      onChange={(e) => setPaymentData({ ...paymentData, amount: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Method *</label>
+                    <select
+                      value={paymentData.method}
+                      onChange={(e) => setPaymentData({ ...paymentData, method: e.target.value })}
+                      className="input"
+                    >
+                      {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                  <input
+                    type="text"
+                    value={paymentData.reference}
+                    onChange={(e) => setPaymentData({ ...paymentData, reference: e.target.value })}
+                    className="input"
+                    placeholder="Cheque number, bank reference..."
+                    maxLength={100}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <textarea
+                    value={paymentData.notes}
+                    onChange={(e) => setPaymentData({ ...paymentData, notes: e.target.value })}
+                    className="input"
+                    rows={2}
+                    maxLength={500}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  Card and online payments are charged through the configured payment provider.
+                </p>
+                <div className="flex justify-end">
+                  <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+                    {saving ? 'Recording...' : 'Record Payment'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div className="flex justify-end mt-4">
+              <button onClick={() => setSelected(null)} className="btn btn-secondary">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BillingManagement;
@@ -15,6 +15,7 @@ import {
   DocumentArrowUpIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import GradingScaleManagement from './GradingScaleManagement';
 
 const ConfigurationManagement = () => {
   const [configurations, setConfigurations] = useState([]);
@@ -296,7 +297,8 @@ const ConfigurationManagement = () => {
       file_upload: 'bg-gray-100 text-gray-800',
       security: 'bg-red-100 text-red-800',
       ui: 'bg-teal-100 text-teal-800',
-      analytics: 'bg-cyan-100 text-cyan-800'
+      analytics: 'bg-cyan-100 text-cyan-800',
+      billing: 'bg-emerald-100 text-emerald-800'
     };
     return colors[category] || 'bg-gray-100 text-gray-800';
   };
@@ -552,6 +554,9 @@ const ConfigurationManagement = () => {
         )}
       </div>
 
+      {/* Grading Scales */}
+      <GradingScaleManagement />
+
       {/* Create Configuration Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
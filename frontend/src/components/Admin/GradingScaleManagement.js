@@ -0,0 +1,350 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  StarIcon
+} from '@heroicons/react/24/outline';
+
+const emptyScale = {
+  name: '',
+  code: '',
+  description: '',
+  maxGpa: 4,
+  bands: [
+    { letter: 'P', minPercentage: 60, gpa: '', isPassing: true },
+    { letter: 'F', minPercentage: 0, gpa: 0, isPassing: false }
+  ]
+};
+
+const GradingScaleManagement = () => {
+  const [scales, setScales] = useState([]);
+  const [editingScale, setEditingScale] = useState(null);
+  const [formData, setFormData] = useState(emptyScale);
+
+  useEffect(() => {
+    fetchScales();
+  }, []);
+
+  const fetchScales = async () => {
+    try {
+      const response = await axios.get('/api/grading-scales?includeInactive=true');
+      setScales(response.data.scales);
+    } catch (error) {
+      console.error('Error fetching grading scales:', error);
+      toast.error('Failed to fetch grading scales');
+    }
+  };
+
+  const openEditor = (scale = null) => {
+    setEditingScale(scale || 'new');
+    setFormData(scale
+      ? {
+          ...scale,
+          bands: scale.bands.map(band => ({ ...band, gpa: band.gpa ?? '' }))
+        }
+      : emptyScale);
+  };
+
+  const updateBand = (index, field, value) => {
+    setFormData({
+      ...formData,
+      bands: formData.bands.map((band, i) => (i === index ? { ...band, [field]: value } : band))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      code: formData.code,
+      description: formData.description,
+      maxGpa: Number(formData.maxGpa),
+      bands: formData.bands.map(band => ({
+        letter: band.letter,
+        minPercentage: Number(band.minPercentage),
+        gpa: band.gpa === '' || band.gpa === null ? null : Number(band.gpa),
+        isPassing: band.isPassing
+      }))
+    };
+
+    try {
+      if (editingScale === 'new') {
+        await axios.post('/api/grading-scales', payload);
+        toast.success('Grading scale created successfully');
+      } else {
+        const response = await axios.put(`/api/grading-scales/${editingScale._id}`, payload);
+        toast.success(`Grading scale updated (${response.data.coursesUpdated} course(s) re-graded)`);
+      }
+      setEditingScale(null);
+      fetchScales();
+    } catch (error) {
+      console.error('Error saving grading scale:', error);
+      toast.error(error.response?.data?.message || 'Failed to save grading scale');
+    }
+  };
+
+  const handleSetDefault = async (scale) => {
+    if (!window.confirm(`Make "${scale.name}" the institution default? Courses without their own scale will be re-graded.`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.put(`/api/grading-scales/${scale._id}/default`);
+      toast.success(response.data.message);
+      fetchScales();
+    } catch (error) {
+      console.error('Error setting default grading scale:', error);
+      toast.error(error.response?.data?.message || 'Failed to set default grading scale');
+    }
+  };
+
+  const handleToggleActive = async (scale) => {
+    try {
+      await axios.put(`/api/grading-scales/${scale._id}`, {
+        name: scale.name,
+        maxGpa: scale.maxGpa,
+        bands: scale.bands,
+        isActive: !scale.isActive
+      });
+      toast.success(scale.isActive ? 'Grading scale deactivated' : 'Grading scale activated');
+      fetchScales();
+    } catch (error) {
+      console.error('Error updating grading scale:', error);
+      toast.error(error.response?.data?.message || 'Failed to update grading scale');
+    }
+  };
+
+  const handleDelete = async (scale) => {
+    if (!window.confirm('Are you sure you want to delete this grading scale?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/grading-scales/${scale._id}`);
+      toast.success('Grading scale deleted successfully');
+      fetchScales();
+    } catch (error) {
+      console.error('Error deleting grading scale:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete grading scale');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Grading Scales</h2>
+          <p className="text-sm text-gray-600">
+            Letter grade and GPA cutoffs. Courses use the default scale unless the instructor selects another.
+          </p>
+        </div>
+        <button onClick={() => openEditor()} className="btn btn-primary btn-sm flex items-center">
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Scale
+        </button>
+      </div>
+
+      {scales.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No grading scales configured. The standard 4.0 letter scale is used. Run <code>npm run seed-grading-scales</code> to add the built-in scales.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {scales.map(scale => (
+            <div key={scale._id} className={`border rounded-lg p-4 ${scale.isActive ? '' : 'opacity-60'}`}>
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <h3 className="font-medium text-gray-900">
+                    {scale.name}
+                    {scale.isDefault && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Default</span>
+                    )}
+                    {!scale.isActive && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-800">Inactive</span>
+                    )}
+                  </h3>
+                  <p className="text-xs text-gray-500">{scale.code} · max GPA {scale.maxGpa}</p>
+                </div>
+                <div className="flex space-x-2">
+                  {!scale.isDefault && scale.isActive && (
+                    <button onClick={() => handleSetDefault(scale)} className="text-yellow-600 hover:text-yellow-900" title="Make default">
+                      <StarIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button onClick={() => openEditor(scale)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  {!scale.isDefault && (
+                    <button onClick={() => handleDelete(scale)} className="text-red-600 hover:text-red-900" title="Delete">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-1 mb-2">
+                {scale.bands.map(band => (
+                  <span
+                    key={band.letter}
+                    className={`px-2 py-0.5 rounded text-xs ${band.isPassing ? 'bg-blue-50 text-blue-800' : 'bg-red-50 text-red-800'}`}
+                  >
+                    {band.letter} ≥ {band.minPercentage}%{band.gpa !== undefined && band.gpa !== null ? ` (${band.gpa})` : ''}
+                  </span>
+                ))}
+              </div>
+              {!scale.isDefault && (
+                <button onClick={() => handleToggleActive(scale)} className="text-xs text-gray-600 hover:text-gray-900">
+                  {scale.isActive ? 'Deactivate' : 'Activate'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Edit Grading Scale Modal */}
+      {editingScale && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingScale === 'new' ? 'Create Grading Scale' : `Edit ${editingScale.name}`}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                    className="form-input"
+                    required
+                    disabled={editingScale !== 'new'}
+                    placeholder="e.g., pass_fail"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    type="text"
+                    value={formData.description || ''}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Max GPA *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="0.1"
+                    value={formData.maxGpa}
+                    onChange={(e) => setFormData({ ...formData, maxGpa: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">Bands</label>
+                  <button
+                    type="button"
+                    onClick={() => setFormData({
+                      ...formData,
+                      bands: [...formData.bands, { letter: '', minPercentage: 0, gpa: '', isPassing: true }]
+                    })}
+                    className="text-sm text-primary-600 hover:text-primary-800"
+                  >
+                    + Add band
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {formData.bands.map((band, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                      <input
+                        type="text"
+                        value={band.letter}
+                        onChange={(e) => updateBand(index, 'letter', e.target.value)}
+                        className="form-input col-span-3"
+                        placeholder="Letter"
+                        required
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={band.minPercentage}
+                        onChange={(e) => updateBand(index, 'minPercentage', e.target.value)}
+                        className="form-input col-span-3"
+                        placeholder="Min %"
+                        required
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={band.gpa}
+                        onChange={(e) => updateBand(index, 'gpa', e.target.value)}
+                        className="form-input col-span-3"
+                        placeholder="GPA (blank = none)"
+                      />
+                      <label className="flex items-center col-span-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={band.isPassing}
+                          onChange={(e) => updateBand(index, 'isPassing', e.target.checked)}
+                          className="form-checkbox mr-1"
+                        />
+                        Pass
+                      </label>
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, bands: formData.bands.filter((_, i) => i !== index) })}
+                        className="text-red-600 hover:text-red-900 col-span-1"
+                        title="Remove band"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  The lowest band must start at 0%. Leave GPA blank for letters that do not count towards GPA.
+                </p>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={() => setEditingScale(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingScaleManagement;
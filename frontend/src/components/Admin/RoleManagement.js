@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const emptyRole = {
+  key: '',
+  name: '',
+  description: '',
+  permissions: []
+};
+
+// Course permissions are granted for the user's own courses or, with ':any', for every course
+const COURSE_SCOPES = [
+  { value: '', label: 'No' },
+  { value: 'own', label: 'Own courses' },
+  { value: 'any', label: 'All courses' }
+];
+
+const RoleManagement = () => {
+  const [roles, setRoles] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyRole);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        axios.get('/api/roles'),
+        axios.get('/api/roles/permissions')
+      ]);
+      setRoles(rolesResponse.data.roles);
+      setCatalogue(permissionsResponse.data.permissions);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (role = null) => {
+    setEditingRole(role || 'new');
+    setFormData(role ? { ...emptyRole, ...role } : emptyRole);
+  };
+
+  const getScope = (key) => {
+    if (formData.permissions.includes(`${key}:any`)) return 'any';
+    if (formData.permissions.includes(key)) return 'own';
+    return '';
+  };
+
+  const setScope = (key, scope) => {
+    const permissions = formData.permissions.filter(p => p !== key && p !== `${key}:any`);
+    if (scope === 'own') permissions.push(key);
+    if (scope === 'any') permissions.push(`${key}:any`);
+    setFormData({ ...formData, permissions });
+  };
+
+  const togglePermission = (key) => {
+    setScope(key, formData.permissions.includes(key) ? '' : 'own');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      permissions: formData.permissions
+    };
+
+    try {
+      if (editingRole === 'new') {
+        await axios.post('/api/roles', { ...payload, key: formData.key });
+        toast.success('Role created successfully');
+      } else {
+        await axios.put(`/api/roles/${editingRole.key}`, payload);
+        toast.success('Role updated successfully');
+      }
+      setEditingRole(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      toast.error(error.response?.data?.message || 'Failed to save role');
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const prompt = role.isBuiltIn
+      ? `Reset ${role.name} to its default permissions?`
+      : `Are you sure you want to delete ${role.name}? It will be removed from ${role.userCount} user(s).`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/api/roles/${role.key}`);
+      toast.success(response.data.message);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Roles & Permissions</h1>
+          <p className="mt-2 text-gray-600">Account roles and custom roles such as teaching assistant or registrar</p>
+        </div>
+        <button onClick={() => openEditor()} className="btn btn-primary flex items-center">
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Add Role
+        </button>
+      </div>
+
+      <div className="card overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permissions</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Users</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {roles.map(role => (
+              <tr key={role.key}>
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{role.name}</div>
+                  <div className="text-sm text-gray-500">{role.description || role.key}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 py-1 rounded-full text-xs ${
+                    role.isSystem ? 'bg-blue-100 text-blue-800' : 'bg-purple-100 text-purple-800'
+                  }`}>
+                    {role.isSystem ? 'Account role' : 'Custom role'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {role.permissions.length}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {role.isSystem ? '—' : role.userCount}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  {role.key !== 'admin' && (
+                    <div className="flex space-x-2">
+                      <button onClick={() => openEditor(role)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      {role.isBuiltIn ? (
+                        <button onClick={() => handleDelete(role)} className="text-gray-600 hover:text-gray-900" title="Reset to default">
+                          <ArrowUturnLeftIcon className="h-4 w-4" />
+                        </button>
+                      ) : (
+                        <button onClick={() => handleDelete(role)} className="text-red-600 hover:text-red-900" title="Delete">
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Edit Role Modal */}
+      {editingRole && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingRole === 'new' ? 'Create Role' : `Edit ${editingRole.name}`}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input"
+                    placeholder="e.g., Teaching Assistant"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Key *</label>
+                  <input
+                    type="text"
+                    value={formData.key}
+                    onChange={(e) => setFormData({ ...formData, key: e.target.value })}
+                    className="form-input"
+                    placeholder="e.g., lab_assistant"
+                    disabled={editingRole !== 'new'}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  value={formData.description || ''}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Permissions</h4>
+                <div className="border rounded-md divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                  {catalogue.map(permission => (
+                    <div key={permission.key} className="flex items-center justify-between px-3 py-2">
+                      <div>
+                        <div className="text-sm font-mono text-gray-900">{permission.key}</div>
+                        <div className="text-xs text-gray-500">{permission.description}</div>
+                      </div>
+                      {permission.courseScoped ? (
+                        <select
+                          value={getScope(permission.key)}
+                          onChange={(e) => setScope(permission.key, e.target.value)}
+                          className="input text-sm w-36"
+                        >
+                          {COURSE_SCOPES.map(scope => (
+                            <option key={scope.value} value={scope.value}>{scope.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          checked={formData.permissions.includes(permission.key)}
+                          onChange={() => togglePermission(permission.key)}
+                          className="form-checkbox"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={() => setEditingRole(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManagement;
@@ -0,0 +1,261 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDate } from '../../utils/dateUtils';
+
+const emptyTerm = {
+  name: '',
+  code: '',
+  startDate: '',
+  endDate: '',
+  enrollmentStart: '',
+  enrollmentEnd: '',
+  gradeDeadline: '',
+  isActive: true
+};
+
+const DATE_FIELDS = [
+  { key: 'startDate', label: 'Start Date' },
+  { key: 'endDate', label: 'End Date' },
+  { key: 'enrollmentStart', label: 'Enrollment Opens' },
+  { key: 'enrollmentEnd', label: 'Enrollment Closes' },
+  { key: 'gradeDeadline', label: 'Grade Submission Deadline' }
+];
+
+const toInputDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const TermManagement = () => {
+  const [terms, setTerms] = useState([]);
+  const [currentTermId, setCurrentTermId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [formData, setFormData] = useState(emptyTerm);
+
+  useEffect(() => {
+    fetchTerms();
+  }, []);
+
+  const fetchTerms = async () => {
+    try {
+      const response = await axios.get('/api/terms?includeInactive=true');
+      setTerms(response.data.terms);
+      setCurrentTermId(response.data.currentTermId);
+    } catch (error) {
+      console.error('Error fetching terms:', error);
+      toast.error('Failed to fetch terms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (term = null) => {
+    setEditingTerm(term || 'new');
+    setFormData(term
+      ? {
+          ...term,
+          ...DATE_FIELDS.reduce((dates, { key }) => ({ ...dates, [key]: toInputDate(term[key]) }), {})
+        }
+      : emptyTerm);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      code: formData.code,
+      startDate: formData.startDate,
+      endDate: formData.endDate,
+      enrollmentStart: formData.enrollmentStart,
+      enrollmentEnd: formData.enrollmentEnd,
+      gradeDeadline: formData.gradeDeadline,
+      isActive: formData.isActive
+    };
+
+    try {
+      if (editingTerm === 'new') {
+        await axios.post('/api/terms', payload);
+        toast.success('Term created successfully');
+      } else {
+        await axios.put(`/api/terms/${editingTerm._id}`, payload);
+        toast.success('Term updated successfully');
+      }
+      setEditingTerm(null);
+      fetchTerms();
+    } catch (error) {
+      console.error('Error saving term:', error);
+      toast.error(error.response?.data?.message || 'Failed to save term');
+    }
+  };
+
+  const handleDelete = async (term) => {
+    if (!window.confirm(`Are you sure you want to delete ${term.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/terms/${term._id}`);
+      toast.success('Term deleted successfully');
+      fetchTerms();
+    } catch (error) {
+      console.error('Error deleting term:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete term');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Academic Terms</h1>
+          <p className="mt-2 text-gray-600">Manage semesters, enrollment windows and grade deadlines</p>
+        </div>
+        <button onClick={() => openEditor()} className="btn btn-primary flex items-center">
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Add Term
+        </button>
+      </div>
+
+      <div className="card overflow-hidden">
+        {terms.length === 0 ? (
+          <p className="text-sm text-gray-500">No terms yet. Courses without a term are listed under all terms.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Term</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Enrollment</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Grades Due</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {terms.map(term => (
+                <tr key={term._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{term.name}</div>
+                    <div className="text-sm text-gray-500">{term.code}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDate(term.startDate)} – {formatDate(term.endDate)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDate(term.enrollmentStart)} – {formatDate(term.enrollmentEnd)}
+                    {term.isEnrollmentOpen && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Open</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDate(term.gradeDeadline)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {term._id === currentTermId && (
+                      <span className="mr-2 px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">Current</span>
+                    )}
+                    <span className={`px-2 py-1 rounded-full text-xs ${
+                      term.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {term.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button onClick={() => openEditor(term)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => handleDelete(term)} className="text-red-600 hover:text-red-900" title="Delete">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Edit Term Modal */}
+      {editingTerm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingTerm === 'new' ? 'Create Term' : `Edit ${editingTerm.name}`}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input"
+                    placeholder="e.g., Fall 2026"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                    className="form-input"
+                    placeholder="e.g., FA26"
+                    disabled={editingTerm !== 'new'}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {DATE_FIELDS.map(({ key, label }) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{label} *</label>
+                    <input
+                      type="date"
+                      value={formData[key]}
+                      onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  className="form-checkbox mr-2"
+                />
+                Active (available for new course offerings)
+              </label>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={() => setEditingTerm(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TermManagement;
@@ -1,5 +1,6 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
 import { 
   UserGroupIcon,
   CheckCircleIcon,
@@ -8,10 +9,13 @@ import {
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import toast from 'react-hot-toast';
-import { formatDate } from '../../utils/dateUtils';
+import { formatDate, formatDateTime } from '../../utils/dateUtils';
 
 const UserManagement = () => {
+  const { user: currentUser, hasPermission } = useAuth();
   const [users, setUsers] = useState([]);
+  const [customRoles, setCustomRoles] = useState([]);
+  const [roleEditor, setRoleEditor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedRole, setSelectedRole] = useState('');
   const [pagination, setPagination] = useState({});
@@ -20,6 +24,23 @@ const UserManagement = () => {
     fetchUsers();
   }, [selectedRole]);
 
+  const canManageRoles = hasPermission('role:manage');
+
+  const fetchCustomRoles = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/roles');
+      setCustomRoles(response.data.roles.filter(role => !role.isSystem));
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canManageRoles) {
+      fetchCustomRoles();
+    }
+  }, [canManageRoles, fetchCustomRoles]);
+
   const fetchUsers = async (page = 1) => {
     try {
       setLoading(true);
@@ -61,6 +82,49 @@ const UserManagement = () => {
     }
   };
 
+  const unlockUser = async (userId) => {
+    try {
+      await axios.put(`/api/users/${userId}/unlock`);
+      toast.success('Account unlocked');
+      fetchUsers();
+    } catch (error) {
+      toast.error('Failed to unlock account');
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.firstName} ${user.lastName}? Only do this after confirming their identity. They will be signed out everywhere.`)) {
+      return;
+    }
+    try {
+      const response = await axios.put(`/api/users/${user._id}/reset-2fa`);
+      toast.success(response.data.message);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const saveCustomRoles = async () => {
+    try {
+      await axios.put(`/api/users/${roleEditor.user._id}/roles`, { customRoles: roleEditor.customRoles });
+      toast.success('Roles updated successfully');
+      setRoleEditor(null);
+      fetchUsers(pagination.current);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update roles');
+    }
+  };
+
+  const toggleCustomRole = (key) => {
+    const selected = roleEditor.customRoles.includes(key)
+      ? roleEditor.customRoles.filter(role => role !== key)
+      : [...roleEditor.customRoles, key];
+    setRoleEditor({ ...roleEditor, customRoles: selected });
+  };
+
+  const getRoleName = (key) => customRoles.find(role => role.key === key)?.name || key;
+
   const getRoleColor = (role) => {
     switch (role) {
       case 'admin': return 'bg-purple-100 text-purple-800';
@@ -201,6 +265,11 @@ const UserManagement = () => {
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRoleColor(user.role)}`}>
                       {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
                     </span>
+                    {user.customRoles?.map(key => (
+                      <span key={key} className="ml-1 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                        {getRoleName(key)}
+                      </span>
+                    ))}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex flex-col space-y-1">
@@ -209,6 +278,19 @@ const UserManagement = () => {
                       }`}>
                         {user.isActive ? 'Active' : 'Inactive'}
                       </span>
+                      {user.lockedUntil && (
+                        <span
+                          className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                          title={`Locked after failed logins until ${formatDateTime(user.lockedUntil)}`}
+                        >
+                          Locked
+                        </span>
+                      )}
+                      {user.twoFactor?.enabled && (
+                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                          2FA
+                        </span>
+                      )}
                       {user.role !== 'student' && (
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                           user.isApproved ? 'bg-blue-100 text-blue-800' : 'bg-yellow-100 text-yellow-800'
@@ -230,6 +312,22 @@ const UserManagement = () => {
                         Approve
                       </button>
                     )}
+                    {user.lockedUntil && (
+                      <button
+                        onClick={() => unlockUser(user._id)}
+                        className="text-orange-600 hover:text-orange-900"
+                      >
+                        Unlock
+                      </button>
+                    )}
+                    {user.twoFactor?.enabled && user._id !== currentUser?._id && (
+                      <button
+                        onClick={() => resetTwoFactor(user)}
+                        className="text-orange-600 hover:text-orange-900"
+                      >
+                        Reset 2FA
+                      </button>
+                    )}
                     {user.isActive ? (
                       <button
                         onClick={() => deactivateUser(user._id)}
@@ -245,6 +343,14 @@ const UserManagement = () => {
                         Activate
                       </button>
                     )}
+                    {customRoles.length > 0 && (
+                      <button
+                        onClick={() => setRoleEditor({ user, customRoles: user.customRoles || [] })}
+                        className="text-indigo-600 hover:text-indigo-900"
+                      >
+                        Roles
+                      </button>
+                    )}
                     <button className="text-indigo-600 hover:text-indigo-900">
                       Edit
                     </button>
@@ -282,6 +388,44 @@ const UserManagement = () => {
           </div>
         )}
       </div>
+
+      {/* Custom Roles Modal */}
+      {roleEditor && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border max-w-md shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">
+              Roles for {roleEditor.user.firstName} {roleEditor.user.lastName}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Custom roles add permissions on top of the {roleEditor.user.role} account role.
+            </p>
+            <div className="space-y-3">
+              {customRoles.map(role => (
+                <label key={role.key} className="flex items-start text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={roleEditor.customRoles.includes(role.key)}
+                    onChange={() => toggleCustomRole(role.key)}
+                    className="form-checkbox mr-2 mt-0.5"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900">{role.name}</span>
+                    {role.description && <span className="block text-gray-500">{role.description}</span>}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3 pt-6">
+              <button type="button" onClick={() => setRoleEditor(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+              <button type="button" onClick={saveCustomRoles} className="btn btn-primary">
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
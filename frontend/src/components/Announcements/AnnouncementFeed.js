@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  MegaphoneIcon,
+  PencilIcon,
+  TrashIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import RichText from '../Common/RichText';
+import RichTextEditor from '../Common/RichTextEditor';
+import { formatDateTime } from '../../utils/dateUtils';
+
+const emptyForm = { title: '', body: '', pinned: false, publishAt: '' };
+
+// datetime-local inputs work in local time without a zone suffix
+const toLocalInput = (date) => {
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Announcement feed for one course (with posting tools for its managers),
+// or across the student's enrolled courses when no courseId is given
+const AnnouncementFeed = ({ courseId, limit }) => {
+  const [announcements, setAnnouncements] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [studentCount, setStudentCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAnnouncements = useCallback(async () => {
+    try {
+      if (courseId) {
+        const response = await axios.get(`/api/announcements/course/${courseId}`);
+        setAnnouncements(response.data.announcements);
+        setCanManage(response.data.canManage);
+        setStudentCount(response.data.studentCount || 0);
+      } else {
+        const response = await axios.get('/api/announcements/feed', { params: { limit } });
+        setAnnouncements(response.data.announcements);
+      }
+    } catch (error) {
+      // Students who are not enrolled simply don't see the course feed
+      if (error.response?.status !== 403) {
+        console.error('Error fetching announcements:', error);
+      }
+      setAnnouncements(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, limit]);
+
+  useEffect(() => {
+    fetchAnnouncements();
+  }, [fetchAnnouncements]);
+
+  const markAsRead = async (announcement) => {
+    if (announcement.isRead || !announcement.isPublished) return;
+    try {
+      await axios.put(`/api/announcements/${announcement._id}/read`);
+      setAnnouncements(current => current.map(a => (
+        a._id === announcement._id ? { ...a, isRead: true, readCount: a.readCount !== undefined ? a.readCount + 1 : undefined } : a
+      )));
+    } catch (error) {
+      console.error('Error marking announcement as read:', error);
+    }
+  };
+
+  const toggleExpanded = (announcement) => {
+    if (expanded === announcement._id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(announcement._id);
+    markAsRead(announcement);
+  };
+
+  const openForm = (announcement = null) => {
+    setEditing(announcement ? announcement._id : 'new');
+    setForm(announcement ? {
+      title: announcement.title,
+      body: announcement.body,
+      pinned: announcement.pinned,
+      publishAt: announcement.isPublished ? '' : toLocalInput(announcement.publishAt)
+    } : emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      title: form.title,
+      body: form.body,
+      pinned: form.pinned
+    };
+
+    const current = announcements.find(a => a._id === editing);
+    if (!current || !current.isPublished) {
+      payload.publishAt = form.publishAt ? new Date(form.publishAt).toISOString() : null;
+    }
+
+    try {
+      setSaving(true);
+      const response = editing === 'new'
+        ? await axios.post(`/api/announcements/course/${courseId}`, payload)
+        : await axios.put(`/api/announcements/${editing}`, payload);
+      toast.success(response.data.message);
+      setEditing(null);
+      fetchAnnouncements();
+    } catch (error) {
+      console.error('Error saving announcement:', error);
+      toast.error(error.response?.data?.message || 'Failed to save announcement');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePinned = async (announcement) => {
+    try {
+      await axios.put(`/api/announcements/${announcement._id}`, { pinned: !announcement.pinned });
+      fetchAnnouncements();
+    } catch (error) {
+      console.error('Error updating announcement:', error);
+      toast.error('Failed to update announcement');
+    }
+  };
+
+  const handleDelete = async (announcement) => {
+    if (!window.confirm(`Delete "${announcement.title}"?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/announcements/${announcement._id}`);
+      toast.success('Announcement deleted');
+      fetchAnnouncements();
+    } catch (error) {
+      console.error('Error deleting announcement:', error);
+      toast.error('Failed to delete announcement');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (announcements === null) {
+    return null;
+  }
+
+  const unreadCount = announcements.filter(a => !a.isRead && a.isPublished).length;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <MegaphoneIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Announcements
+          {unreadCount > 0 && (
+            <span className="ml-2 bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full">
+              {unreadCount} new
+            </span>
+          )}
+        </h2>
+        {canManage && (
+          <button onClick={() => openForm()} className="btn btn-primary btn-sm">
+            New Announcement
+          </button>
+        )}
+      </div>
+
+      {announcements.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No announcements yet</p>
+      ) : (
+        <div className="space-y-3">
+          {announcements.map(announcement => (
+            <div
+              key={announcement._id}
+              className={`p-4 border rounded-lg ${!announcement.isRead && announcement.isPublished ? 'bg-blue-50 border-blue-200' : ''}`}
+            >
+              <div className="flex items-start justify-between">
+                <button onClick={() => toggleExpanded(announcement)} className="text-left flex-1">
+                  <div className="flex items-center flex-wrap gap-2">
+                    {!announcement.isRead && announcement.isPublished && (
+                      <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
+                    )}
+                    <span className="font-medium text-gray-900">{announcement.title}</span>
+                    {announcement.pinned && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Pinned</span>
+                    )}
+                    {!announcement.isPublished && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 flex items-center">
+                        <ClockIcon className="h-3 w-3 mr-1" />
+                        Scheduled {formatDateTime(announcement.publishAt)}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {!courseId && announcement.course && (
+                      <Link to={`/courses/${announcement.course._id}`} className="text-primary-600 hover:text-primary-500 mr-2">
+                        {announcement.course.courseCode}
+                      </Link>
+                    )}
+                    {announcement.author?.firstName} {announcement.author?.lastName} · {formatDateTime(announcement.publishAt)}
+                    {canManage && announcement.isPublished && ` · Read by ${announcement.readCount} of ${studentCount}`}
+                  </p>
+                </button>
+                {canManage && (
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button onClick={() => togglePinned(announcement)} className="text-xs text-gray-600 hover:text-gray-800">
+                      {announcement.pinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button onClick={() => openForm(announcement)} className="text-gray-500 hover:text-gray-700" title="Edit">
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDelete(announcement)} className="text-gray-500 hover:text-red-600" title="Delete">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className={`mt-2 text-sm ${expanded === announcement._id ? '' : 'line-clamp-2'}`}>
+                <RichText text={announcement.body} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Announcement Form Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editing === 'new' ? 'New Announcement' : 'Edit Announcement'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  className="input"
+                  maxLength={200}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Message *</label>
+                <RichTextEditor
+                  value={form.body}
+                  onChange={(body) => setForm({ ...form, body })}
+                  rows={8}
+                  maxLength={10000}
+                  required
+                />
+              </div>
+              <div className="flex flex-col md:flex-row md:items-center gap-4">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.pinned}
+                    onChange={(e) => setForm({ ...form, pinned: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Pin to the top of the feed
+                </label>
+                {(editing === 'new' || !announcements.find(a => a._id === editing)?.isPublished) && (
+                  <div className="flex items-center text-sm text-gray-700">
+                    <label className="mr-2">Publish at</label>
+                    <input
+                      type="datetime-local"
+                      value={form.publishAt}
+                      onChange={(e) => setForm({ ...form, publishAt: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">
+                Leave the publish time empty to post now. Enrolled students are notified when the announcement is published.
+              </p>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+                  {saving ? 'Saving...' : form.publishAt ? 'Schedule' : editing === 'new' ? 'Post' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnouncementFeed;
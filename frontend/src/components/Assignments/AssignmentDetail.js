@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useConfig } from '../../hooks/useConfiguration';
 import axios from 'axios';
 import { 
   DocumentTextIcon,
@@ -13,10 +14,17 @@ import {
 import LoadingSpinner from '../Common/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { formatDateLong, getTimeUntilDate, formatDateTime, isValidDate } from '../../utils/dateUtils';
+import { downloadSubmissionFile } from '../../utils/submissionVersions';
+import { describeLatePolicy, describeAppliedPenalty } from '../../utils/latePenalty';
+import { hasRubric } from '../../utils/rubric';
+import RubricView from './RubricView';
+import QuizPanel from '../Quizzes/QuizPanel';
+import { hasQuiz } from '../../utils/quiz';
 
 const AssignmentDetail = () => {
   const { id } = useParams();
   const { user } = useAuth();
+  const { allowedFileTypes, maxFileSize } = useConfig();
   const navigate = useNavigate();
   const [assignment, setAssignment] = useState(null);
   const [submission, setSubmission] = useState(null);
@@ -27,13 +35,6 @@ const AssignmentDetail = () => {
     attachments: []
   });
 
-  useEffect(() => {
-    fetchAssignmentDetails();
-    if (user?.role === 'student') {
-      fetchSubmission();
-    }
-  }, [id, user?.role, fetchAssignmentDetails, fetchSubmission]);
-
   const fetchAssignmentDetails = useCallback(async () => {
     try {
       const response = await axios.get(`/api/assignments/${id}`);
@@ -56,6 +57,13 @@ const AssignmentDetail = () => {
     }
   }, [id, user?._id]);
 
+  useEffect(() => {
+    fetchAssignmentDetails();
+    if (user?.role === 'student') {
+      fetchSubmission();
+    }
+  }, [id, user?.role, fetchAssignmentDetails, fetchSubmission]);
+
   const handleFileChange = (e) => {
     const files = Array.from(e.target.files);
     setSubmissionForm(prev => ({
@@ -69,13 +77,17 @@ const AssignmentDetail = () => {
     setSubmissionLoading(true);
 
     try {
-      console.log('Submitting assignment with id:', id);
-      await axios.post('/api/submissions', {
-        assignmentId: id,
-        submissionText: submissionForm.submissionText
+      const formData = new FormData();
+      formData.append('assignmentId', id);
+      formData.append('submissionText', submissionForm.submissionText);
+      submissionForm.attachments.forEach(file => formData.append('files', file));
+
+      const response = await axios.post('/api/submissions', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
       });
 
-      toast.success('Assignment submitted successfully!');
+      toast.success(response.data.message);
+      setSubmissionForm({ submissionText: '', attachments: [] });
       fetchSubmission(); // Refresh submission data
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to submit assignment');
@@ -84,9 +96,25 @@ const AssignmentDetail = () => {
     }
   };
 
-  const isOverdue = assignment?.dueDate && isValidDate(assignment.dueDate) ? new Date() > new Date(assignment.dueDate) : false;
-  const canSubmit = user?.role === 'student' && !submission && 
+  // Students get their own deadline when they have an extension or accommodation; the grace period still counts as on time
+  const dueDate = assignment?.studentDueDate || assignment?.dueDate;
+  const hasExtension = Boolean(assignment?.studentDueDate) &&
+    new Date(assignment.studentDueDate).getTime() !== new Date(assignment.dueDate).getTime();
+  const isOverdue = dueDate && isValidDate(dueDate)
+    ? Date.now() > new Date(dueDate).getTime() + (assignment.gracePeriodMinutes || 0) * 60 * 1000
+    : false;
+  const appliedPenalty = describeAppliedPenalty(submission?.grade);
+  // Submissions from before version history count as one attempt; 0 max attempts is unlimited
+  const attemptsUsed = submission ? (submission.versions?.length || 1) : 0;
+  const maxAttempts = assignment?.maxAttempts ?? 1;
+  const hasAttemptsLeft = maxAttempts === 0 || attemptsUsed < maxAttempts;
+  const canSubmit = user?.role === 'student' && hasAttemptsLeft &&
     (assignment?.allowLateSubmission || !isOverdue);
+  const fileTypes = assignment?.allowedFileTypes?.length > 0 ? assignment.allowedFileTypes : allowedFileTypes;
+  const fileSizeLimit = Math.min(assignment?.maxFileSize || maxFileSize, maxFileSize);
+  const previousVersions = (submission?.versions || []).slice(0, -1).reverse();
+  // Quizzes with questions are taken online instead of handed in
+  const isQuiz = hasQuiz(assignment);
 
   const formatDueDate = (dueDate) => {
     if (!dueDate) return 'No due date set';
@@ -146,11 +174,11 @@ const AssignmentDetail = () => {
         {/* Assignment Info */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
           <div>
-            <p className="text-sm font-medium text-gray-600">Due Date</p>
-            <p className="text-lg font-semibold">{formatDueDate(assignment.dueDate)}</p>
-            {assignment.dueDate && (
+            <p className="text-sm font-medium text-gray-600">{hasExtension ? 'Your Due Date' : 'Due Date'}</p>
+            <p className="text-lg font-semibold">{formatDueDate(dueDate)}</p>
+            {dueDate && (
               <p className={`text-sm mt-1 ${isOverdue ? 'text-red-600' : 'text-blue-600'}`}>
-                {getTimeUntilDue(assignment.dueDate)}
+                {getTimeUntilDue(dueDate)}
               </p>
             )}
           </div>
@@ -161,9 +189,20 @@ const AssignmentDetail = () => {
           <div>
             <p className="text-sm font-medium text-gray-600">Type</p>
             <p className="text-lg font-semibold capitalize">{assignment.type}</p>
+            <p className="text-sm text-gray-600 mt-1">
+              {maxAttempts === 0 ? 'Unlimited attempts' : `${maxAttempts} attempt${maxAttempts === 1 ? '' : 's'} allowed`}
+            </p>
+            {assignment.timeLimitMinutes && (
+              <p className="text-sm text-gray-600 mt-1">
+                {assignment.studentTimeLimitMinutes || assignment.timeLimitMinutes} minute time limit
+                {assignment.studentTimeLimitMinutes > assignment.timeLimitMinutes && ' (includes your accommodation)'}
+              </p>
+            )}
           </div>
         </div>
 
+        <p className="text-sm text-gray-600 mb-4">{describeLatePolicy(assignment)}</p>
+
         <div className="border-t pt-4">
           <h3 className="font-semibold text-gray-900 mb-2">Description</h3>
           <p className="text-gray-700 whitespace-pre-wrap">{assignment.description}</p>
@@ -176,6 +215,16 @@ const AssignmentDetail = () => {
           </div>
         )}
 
+        {/* Rubric, filled in on the submission once graded */}
+        {hasRubric(assignment) && !(submission?.rubricScores?.length > 0) && (
+          <div className="border-t pt-4 mt-4">
+            <h3 className="font-semibold text-gray-900 mb-2">
+              Grading Rubric{assignment.rubric.title && ` · ${assignment.rubric.title}`}
+            </h3>
+            <RubricView rubric={assignment.rubric} />
+          </div>
+        )}
+
         {/* Assignment Attachments */}
         {assignment.attachments?.length > 0 && (
           <div className="border-t pt-4 mt-4">
@@ -204,16 +253,22 @@ const AssignmentDetail = () => {
       {/* Submission Section */}
       {user?.role === 'student' && (
         <>
-          {submission ? (
+          {submission && (
             /* Existing Submission */
             <div className="card">
-              <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Submission</h2>
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                Your Submission
+                {attemptsUsed > 1 && (
+                  <span className="ml-2 text-sm font-normal text-gray-500">Attempt {submission.attempt || attemptsUsed}</span>
+                )}
+              </h2>
               
               <div className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
                   <div>
                     <span className="font-medium text-gray-600">Submitted:</span>
                     <p>{formatDateTime(submission.submittedAt)}</p>
+                    {submission.isLate && <p className="text-red-600">Late</p>}
                   </div>
                   <div>
                     <span className="font-medium text-gray-600">Status:</span>
@@ -224,16 +279,30 @@ const AssignmentDetail = () => {
                       {submission.status.charAt(0).toUpperCase() + submission.status.slice(1)}
                     </p>
                   </div>
-                  {submission.grade && (
+                  {submission.grade?.gradedAt && (
                     <div>
-                      <span className="font-medium text-gray-600">Grade:</span>
+                      <span className="font-medium text-gray-600">
+                        {submission.status === 'resubmitted' ? 'Previous Grade:' : 'Grade:'}
+                      </span>
                       <p className="font-semibold text-lg">
                         {submission.grade.points}/{assignment.totalPoints} ({submission.grade.letterGrade})
                       </p>
+                      {appliedPenalty && (
+                        <p className="text-xs text-red-600">Late: {appliedPenalty}</p>
+                      )}
                     </div>
                   )}
                 </div>
 
+                {submission.quizAttempt && (
+                  <Link
+                    to={`/quiz-attempts/${submission.quizAttempt}`}
+                    className="inline-block text-sm text-primary-600 hover:text-primary-800 font-medium"
+                  >
+                    View your answers
+                  </Link>
+                )}
+
                 {submission.submissionText && (
                   <div>
                     <h4 className="font-medium text-gray-900 mb-2">Text Submission</h4>
@@ -253,19 +322,33 @@ const AssignmentDetail = () => {
                             <PaperClipIcon className="h-5 w-5 text-gray-400 mr-3" />
                             <span>{attachment.originalName}</span>
                           </div>
-                          <a
-                            href={`/api${attachment.path}`}
-                            download
+                          <button
+                            type="button"
+                            onClick={() => downloadSubmissionFile(submission._id, attachment)}
                             className="btn btn-secondary btn-sm"
                           >
                             Download
-                          </a>
+                          </button>
                         </div>
                       ))}
                     </div>
                   </div>
                 )}
 
+                {submission.rubricScores?.length > 0 && (
+                  <div>
+                    <h4 className="font-medium text-gray-900 mb-2">
+                      {submission.status === 'resubmitted' ? 'Rubric for Previous Attempt' : 'Rubric'}
+                    </h4>
+                    <RubricView rubric={assignment.rubric} scores={submission.rubricScores} />
+                    {submission.grade?.rawPoints !== undefined && submission.grade.rawPoints !== submission.grade.points && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Grade after the late penalty: {submission.grade.points}/{assignment.totalPoints}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {submission.feedback && (
                   <div>
                     <h4 className="font-medium text-gray-900 mb-2">Instructor Feedback</h4>
@@ -274,12 +357,68 @@ const AssignmentDetail = () => {
                     </div>
                   </div>
                 )}
+
+                {previousVersions.length > 0 && (
+                  <div className="border-t pt-4">
+                    <h4 className="font-medium text-gray-900 mb-2">Previous Attempts</h4>
+                    <ul className="divide-y divide-gray-200 text-sm">
+                      {previousVersions.map(version => (
+                        <li key={version._id} className="py-2">
+                          <div className="flex items-center justify-between">
+                            <span className="text-gray-900">
+                              Attempt {version.attempt} · {formatDateTime(version.submittedAt)}
+                              {version.isLate && <span className="ml-2 text-red-600">Late</span>}
+                            </span>
+                            <span className="text-gray-600">
+                              {version.grade?.gradedAt
+                                ? `${version.grade.points}/${assignment.totalPoints}`
+                                : 'Not graded'}
+                            </span>
+                          </div>
+                          {version.quizAttempt && (
+                            <Link
+                              to={`/quiz-attempts/${version.quizAttempt}`}
+                              className="mr-3 text-blue-600 hover:text-blue-800 hover:underline"
+                            >
+                              View answers
+                            </Link>
+                          )}
+                          {version.attachments?.map(attachment => (
+                            <button
+                              key={attachment._id}
+                              type="button"
+                              onClick={() => downloadSubmissionFile(submission._id, attachment)}
+                              className="mr-3 text-blue-600 hover:text-blue-800 hover:underline"
+                            >
+                              {attachment.originalName}
+                            </button>
+                          ))}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
+          )}
+
+          {isQuiz ? (
+            <QuizPanel assignment={assignment} isOverdue={isOverdue} />
           ) : canSubmit ? (
             /* Submission Form */
             <div className="card">
-              <h2 className="text-xl font-semibold text-gray-900 mb-4">Submit Assignment</h2>
+              <h2 className="text-xl font-semibold text-gray-900 mb-1">
+                {submission ? 'Resubmit Assignment' : 'Submit Assignment'}
+              </h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Attempt {attemptsUsed + 1}{maxAttempts > 0 && ` of ${maxAttempts}`}
+                {submission && ' · your latest attempt is the one that gets graded'}
+              </p>
+              {isOverdue && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+                  The due date has passed, so this submission will be marked late. {describeLatePolicy(assignment)}.
+                </div>
+              )}
               
               <form onSubmit={handleSubmit} className="space-y-6">
                 {assignment.submissionType !== 'file' && (
@@ -312,16 +451,16 @@ const AssignmentDetail = () => {
                           onChange={handleFileChange}
                           className="hidden"
                           id="file-upload"
-                          accept={assignment.allowedFileTypes?.map(type => `.${type}`).join(',')}
+                          accept={fileTypes.map(type => `.${type}`).join(',')}
                         />
                         <label htmlFor="file-upload" className="btn btn-secondary cursor-pointer">
                           Choose Files
                         </label>
                         <p className="text-sm text-gray-600 mt-2">
-                          Allowed types: {assignment.allowedFileTypes?.join(', ')}
+                          Allowed types: {fileTypes.join(', ')}
                         </p>
                         <p className="text-xs text-gray-500">
-                          Max size: {Math.round(assignment.maxFileSize / 1024 / 1024)}MB per file
+                          Max size: {Math.round(fileSizeLimit / 1024 / 1024)}MB per file, up to 5 files
                         </p>
                       </div>
                     </div>
@@ -354,12 +493,12 @@ const AssignmentDetail = () => {
                     disabled={submissionLoading}
                     className="btn btn-primary disabled:opacity-50"
                   >
-                    {submissionLoading ? 'Submitting...' : 'Submit Assignment'}
+                    {submissionLoading ? 'Submitting...' : submission ? 'Resubmit' : 'Submit Assignment'}
                   </button>
                 </div>
               </form>
             </div>
-          ) : (
+          ) : !submission && (
             /* Cannot Submit */
             <div className="card">
               <div className="text-center py-8">
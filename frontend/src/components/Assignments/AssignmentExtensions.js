@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDateTime } from '../../utils/dateUtils';
+
+const emptyForm = { dueDate: '', group: '', reason: '' };
+
+// Deadline of every enrolled student, with extensions granted to one student or a group at once
+const AssignmentExtensions = ({ assignmentId, onClose }) => {
+  const [data, setData] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchExtensions = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/assignments/${assignmentId}/extensions`);
+      setData(response.data);
+      setLoadError(null);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to fetch extensions';
+      toast.error(message);
+      setLoadError(message);
+    }
+  }, [assignmentId]);
+
+  useEffect(() => {
+    fetchExtensions();
+  }, [fetchExtensions]);
+
+  const toggleStudent = (studentId) => {
+    setSelected(prev => prev.includes(studentId)
+      ? prev.filter(id => id !== studentId)
+      : [...prev, studentId]);
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.length === data.students.length ? [] : data.students.map(student => student._id));
+  };
+
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.post(`/api/assignments/${assignmentId}/extensions`, {
+        studentIds: selected,
+        dueDate: new Date(form.dueDate).toISOString(),
+        group: form.group || undefined,
+        reason: form.reason || undefined
+      });
+      toast.success(response.data.message);
+      setSelected([]);
+      setForm(emptyForm);
+      fetchExtensions();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to grant extension');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (student) => {
+    if (!window.confirm(`Remove the extension of ${student.firstName} ${student.lastName}?`)) return;
+    try {
+      await axios.delete(`/api/assignments/${assignmentId}/extensions/${student._id}`);
+      toast.success('Extension removed');
+      fetchExtensions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove extension');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Extensions</h3>
+          <button onClick={onClose} className="btn btn-secondary btn-sm">
+            Close
+          </button>
+        </div>
+
+        {loadError && !data ? (
+          <p className="text-center text-red-600 py-8">{loadError}</p>
+        ) : !data ? (
+          <LoadingSpinner />
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              Class due date: {formatDateTime(data.dueDate)}
+              {data.timeLimitMinutes && ` · ${data.timeLimitMinutes} minute time limit`}
+            </p>
+
+            {data.students.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">No students are enrolled in this course</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm mb-6">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left">
+                      <input
+                        type="checkbox"
+                        checked={selected.length === data.students.length}
+                        onChange={toggleAll}
+                        className="rounded border-gray-300 text-primary-600"
+                      />
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Extension</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {data.students.map(student => (
+                    <tr key={student._id}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(student._id)}
+                          onChange={() => toggleStudent(student._id)}
+                          className="rounded border-gray-300 text-primary-600"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="text-gray-900">{student.firstName} {student.lastName}</div>
+                        <div className="text-xs text-gray-500">{student.email}</div>
+                      </td>
+                      <td className="px-4 py-2 text-gray-900">
+                        {formatDateTime(student.dueDate)}
+                        {student.hasAccommodation && (
+                          <div className="text-xs text-purple-600">
+                            Accommodation · {student.timeLimitMinutes} minutes
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700">
+                        {student.extension ? (
+                          <>
+                            <div>
+                              {formatDateTime(student.extension.dueDate)}
+                              {student.extension.group && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">
+                                  {student.extension.group}
+                                </span>
+                              )}
+                            </div>
+                            {student.extension.reason && (
+                              <div className="text-xs text-gray-500">{student.extension.reason}</div>
+                            )}
+                            {student.extension.grantedBy && (
+                              <div className="text-xs text-gray-500">
+                                by {student.extension.grantedBy.firstName} {student.extension.grantedBy.lastName}
+                              </div>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        {student.extension && (
+                          <button
+                            onClick={() => handleRemove(student)}
+                            className="text-red-600 hover:text-red-800 text-xs"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <form onSubmit={handleGrant} className="border-t pt-4">
+              <h4 className="font-medium text-gray-900 mb-3">
+                Grant an extension to {selected.length} selected student{selected.length === 1 ? '' : 's'}
+              </h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">New Due Date *</label>
+                  <input
+                    type="datetime-local"
+                    value={form.dueDate}
+                    onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Group</label>
+                  <input
+                    type="text"
+                    value={form.group}
+                    onChange={(e) => setForm({ ...form, group: e.target.value })}
+                    className="input"
+                    maxLength={100}
+                    placeholder="e.g. Team 3"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <input
+                    type="text"
+                    value={form.reason}
+                    onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                    className="input"
+                    maxLength={500}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-3">
+                Granting replaces any earlier extension of the selected students. Accommodations still add their extra time.
+              </p>
+              <button
+                type="submit"
+                disabled={saving || selected.length === 0}
+                className="btn btn-primary disabled:opacity-50"
+              >
+                {saving ? 'Granting...' : 'Grant Extension'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentExtensions;
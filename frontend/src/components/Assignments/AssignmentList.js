@@ -12,6 +12,7 @@ import {
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import { formatDateTime, getTimeUntilDate, isValidDate } from '../../utils/dateUtils';
+import { hasQuiz } from '../../utils/quiz';
 
 const AssignmentList = () => {
   const { user } = useAuth();
@@ -83,10 +84,16 @@ const AssignmentList = () => {
     return getTimeUntilDate(dueDate);
   };
 
+  // Students see their own deadline, which extensions and accommodations can move
+  const getDueDate = (assignment) => assignment.studentDueDate || assignment.dueDate;
+
+  const hasLaterDueDate = (assignment) => Boolean(assignment.studentDueDate) &&
+    new Date(assignment.studentDueDate).getTime() !== new Date(assignment.dueDate).getTime();
+
   const getStatusIcon = (assignment) => {
     if (!assignment.dueDate) return <ClockIcon className="h-5 w-5 text-gray-500" />;
     
-    const dueDate = new Date(assignment.dueDate);
+    const dueDate = new Date(getDueDate(assignment));
     if (isNaN(dueDate.getTime())) return <ClockIcon className="h-5 w-5 text-gray-500" />;
     
     const now = new Date();
@@ -101,7 +108,7 @@ const AssignmentList = () => {
   };
 
   const getStatusText = (assignment) => {
-    const dueDate = new Date(assignment.dueDate);
+    const dueDate = new Date(getDueDate(assignment));
     const now = new Date();
     
     if (assignment.isSubmitted) {
@@ -114,7 +121,7 @@ const AssignmentList = () => {
   };
 
   const getStatusColor = (assignment) => {
-    const dueDate = new Date(assignment.dueDate);
+    const dueDate = new Date(getDueDate(assignment));
     const now = new Date();
     
     if (assignment.isSubmitted) {
@@ -247,19 +254,31 @@ const AssignmentList = () => {
                     </div>
                     <div>
                       <span className="font-medium">Type:</span> {assignment.type}
+                      {hasQuiz(assignment) && <span className="ml-1 text-xs text-blue-600">(online)</span>}
                     </div>
                     <div>
                       <span className="font-medium">Points:</span> {assignment.totalPoints}
                     </div>
                     <div>
-                      <span className="font-medium">Due:</span> {formatDueDate(assignment.dueDate)}
+                      <span className="font-medium">Due:</span> {formatDueDate(getDueDate(assignment))}
+                      {hasLaterDueDate(assignment) && (
+                        <span className="ml-2 text-xs text-blue-600" title={`Class due date: ${formatDueDate(assignment.dueDate)}`}>
+                          Extended
+                        </span>
+                      )}
                     </div>
                     <div>
                       <span className="font-medium">Status:</span>{' '}
                       <span className={getStatusColor(assignment)}>
-                        {getDaysUntilDue(assignment.dueDate)}
+                        {getDaysUntilDue(getDueDate(assignment))}
                       </span>
                     </div>
+                    {assignment.timeLimitMinutes && (
+                      <div>
+                        <span className="font-medium">Time Limit:</span>{' '}
+                        {assignment.studentTimeLimitMinutes || assignment.timeLimitMinutes} minutes
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -271,13 +290,23 @@ const AssignmentList = () => {
                     View Details
                   </Link>
                   
-                  {user?.role === 'instructor' && assignment.instructor === user._id && (
-                    <Link
-                      to={`/assignments/${assignment._id}/submissions`}
-                      className="btn btn-secondary"
-                    >
-                      View Submissions
-                    </Link>
+                  {user?.role === 'instructor' && courses.some(course => course._id === (assignment.course?._id || assignment.course)) && (
+                    <>
+                      <Link
+                        to={`/assignments/${assignment._id}/submissions`}
+                        className="btn btn-secondary"
+                      >
+                        View Submissions
+                      </Link>
+                      {['quiz', 'exam'].includes(assignment.type) && (
+                        <Link
+                          to={`/assignments/${assignment._id}/quiz`}
+                          className="btn btn-secondary text-center"
+                        >
+                          Quiz Questions
+                        </Link>
+                      )}
+                    </>
                   )}
                 </div>
               </div>
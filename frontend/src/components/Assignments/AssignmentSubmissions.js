@@ -1,16 +1,37 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import { formatDateTime } from '../../utils/dateUtils';
+import { downloadSubmissionFile } from '../../utils/submissionVersions';
+import SubmissionHistory from './SubmissionHistory';
+import AssignmentExtensions from './AssignmentExtensions';
+import { describeLatePolicy, describeAppliedPenalty } from '../../utils/latePenalty';
+import { criterionMaxPoints } from '../../utils/rubric';
+import RubricView from './RubricView';
+import QuizAttemptReview from '../Quizzes/QuizAttemptReview';
 
 // Grading form component
-function GradeForm({ submissionId, assignmentTotalPoints, onGraded }) {
+function GradeForm({ submissionId, assignmentTotalPoints, rubric, lateness, onGraded }) {
   const [points, setPoints] = useState('');
+  // Criterion id -> { level, points, comment } when grading with a rubric
+  const [criterionScores, setCriterionScores] = useState({});
   const [feedback, setFeedback] = useState('');
+  const [waiveLatePenalty, setWaiveLatePenalty] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const criteria = rubric?.criteria || [];
+  const usesRubric = criteria.length > 0;
+  const rubricComplete = criteria.every(criterion => criterionScores[criterion._id]?.points !== undefined &&
+    criterionScores[criterion._id].points !== '');
+  const rubricPoints = criteria.reduce((total, criterion) => total + (Number(criterionScores[criterion._id]?.points) || 0), 0);
+
+  const updateCriterionScore = (criterionId, changes) => {
+    setCriterionScores(prev => ({ ...prev, [criterionId]: { ...prev[criterionId], ...changes } }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -18,17 +39,30 @@ function GradeForm({ submissionId, assignmentTotalPoints, onGraded }) {
     
     try {
       await axios.put(`/api/submissions/${submissionId}/grade`, {
-        points: Number(points),
-        feedback
+        ...(usesRubric
+          ? {
+            rubricScores: criteria.map(criterion => ({
+              criterion: criterion._id,
+              level: criterionScores[criterion._id]?.level,
+              points: Number(criterionScores[criterion._id]?.points),
+              comment: criterionScores[criterion._id]?.comment
+            }))
+          }
+          : { points: Number(points) }),
+        feedback,
+        waiveLatePenalty
       });
       
       // Reset form
       setPoints('');
+      setCriterionScores({});
       setFeedback('');
+      setWaiveLatePenalty(false);
       
       if (onGraded) onGraded();
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to grade submission');
+      setError(err.response?.data?.errors?.map(item => item.msg).join('; ') ||
+        err.response?.data?.message || 'Failed to grade submission');
     } finally {
       setLoading(false);
     }
@@ -36,23 +70,88 @@ function GradeForm({ submissionId, assignmentTotalPoints, onGraded }) {
 
   return (
     <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-100 rounded">
+      {usesRubric && (
+        <div className="space-y-3 mb-4">
+          {criteria.map(criterion => {
+            const score = criterionScores[criterion._id] || {};
+            return (
+              <div key={criterion._id} className="bg-white rounded border p-3">
+                <div className="flex items-start justify-between mb-2">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{criterion.title}</div>
+                    {criterion.description && (
+                      <div className="text-xs text-gray-500">{criterion.description}</div>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-1 text-sm">
+                    <input
+                      type="number"
+                      min="0"
+                      max={criterionMaxPoints(criterion)}
+                      step="0.1"
+                      value={score.points ?? ''}
+                      onChange={e => updateCriterionScore(criterion._id, { points: e.target.value })}
+                      className="input w-20 py-1"
+                      placeholder="0"
+                    />
+                    <span className="text-gray-500">/ {criterionMaxPoints(criterion)}</span>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {criterion.levels.map(level => (
+                    <button
+                      type="button"
+                      key={level._id}
+                      onClick={() => updateCriterionScore(criterion._id, { level: level._id, points: level.points })}
+                      className={`px-2 py-1 text-xs rounded border ${
+                        score.level === level._id
+                          ? 'border-primary-500 bg-primary-50 text-primary-800'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      title={level.description}
+                    >
+                      {level.title} · {level.points}
+                    </button>
+                  ))}
+                </div>
+                <input
+                  type="text"
+                  value={score.comment || ''}
+                  onChange={e => updateCriterionScore(criterion._id, { comment: e.target.value })}
+                  className="input text-sm py-1"
+                  placeholder="Comment on this criterion (optional)"
+                  maxLength="1000"
+                />
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       <div className="flex flex-col md:flex-row md:items-end md:space-x-4 space-y-3 md:space-y-0">
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">Points</label>
-          <div className="flex items-center space-x-2">
-            <input
-              type="number"
-              min="0"
-              max={assignmentTotalPoints || 100}
-              step="0.1"
-              value={points}
-              onChange={e => setPoints(e.target.value)}
-              required
-              className="input w-24"
-              placeholder="0"
-            />
-            <span className="text-sm text-gray-500">/ {assignmentTotalPoints || 100}</span>
-          </div>
+          {usesRubric ? (
+            <div className="text-sm text-gray-900 py-2">
+              <span className="font-medium">{Math.round(rubricPoints * 100) / 100}</span>
+              <span className="text-gray-500"> / {assignmentTotalPoints} from the rubric</span>
+            </div>
+          ) : (
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="0"
+                max={assignmentTotalPoints || 100}
+                step="0.1"
+                value={points}
+                onChange={e => setPoints(e.target.value)}
+                required
+                className="input w-24"
+                placeholder="0"
+              />
+              <span className="text-sm text-gray-500">/ {assignmentTotalPoints || 100}</span>
+            </div>
+          )}
         </div>
         
         <div className="flex-1">
@@ -70,11 +169,31 @@ function GradeForm({ submissionId, assignmentTotalPoints, onGraded }) {
         <button 
           type="submit" 
           className="btn btn-primary whitespace-nowrap" 
-          disabled={loading || !points}
+          disabled={loading || (usesRubric ? !rubricComplete : !points)}
         >
           {loading ? 'Grading...' : 'Submit Grade'}
         </button>
       </div>
+
+      {lateness?.isLate && (
+        <div className="mt-3 flex items-center justify-between text-sm">
+          <span className="text-red-700">
+            Submitted {lateness.daysLate} day{lateness.daysLate === 1 ? '' : 's'} late:{' '}
+            {waiveLatePenalty
+              ? 'no penalty'
+              : `${lateness.penaltyPercent}% of the total points will be deducted`}
+          </span>
+          <label className="flex items-center text-gray-700">
+            <input
+              type="checkbox"
+              checked={waiveLatePenalty}
+              onChange={e => setWaiveLatePenalty(e.target.checked)}
+              className="form-checkbox mr-2"
+            />
+            Waive late penalty
+          </label>
+        </div>
+      )}
       
       {error && (
         <div className="mt-3 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm">
@@ -91,6 +210,9 @@ const AssignmentSubmissions = () => {
   const [submissionsData, setSubmissionsData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [historySubmission, setHistorySubmission] = useState(null);
+  const [showExtensions, setShowExtensions] = useState(false);
+  const [reviewAttempt, setReviewAttempt] = useState(null);
 
   useEffect(() => {
     fetchSubmissions();
@@ -109,6 +231,17 @@ const AssignmentSubmissions = () => {
     }
   };
 
+  const toggleExcused = async (submission) => {
+    try {
+      await axios.put(`/api/submissions/${submission._id}/excuse`, {
+        isExcused: !submission.isExcused
+      });
+      fetchSubmissions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update submission');
+    }
+  };
+
   const getStatusBadge = (status) => {
     const baseClasses = "px-2 py-1 text-xs font-medium rounded-full";
     switch (status) {
@@ -116,6 +249,8 @@ const AssignmentSubmissions = () => {
         return `${baseClasses} bg-blue-100 text-blue-800`;
       case 'graded':
         return `${baseClasses} bg-green-100 text-green-800`;
+      case 'resubmitted':
+        return `${baseClasses} bg-yellow-100 text-yellow-800`;
       case 'late':
         return `${baseClasses} bg-red-100 text-red-800`;
       default:
@@ -163,15 +298,32 @@ const AssignmentSubmissions = () => {
                 <span className="ml-4">Due: {formatDateTime(assignment.dueDate)}</span>
               )}
               <span className="ml-4">Total Points: {assignment.totalPoints}</span>
+              <div className="mt-1">{describeLatePolicy(assignment)}</div>
             </div>
           )}
         </div>
-        <button 
-          className="btn btn-secondary" 
-          onClick={() => navigate(-1)}
-        >
-          Back
-        </button>
+        <div className="flex space-x-2">
+          {['quiz', 'exam'].includes(assignment?.type) && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => navigate(`/assignments/${id}/quiz`)}
+            >
+              Quiz Questions
+            </button>
+          )}
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowExtensions(true)}
+          >
+            Extensions
+          </button>
+          <button 
+            className="btn btn-secondary" 
+            onClick={() => navigate(-1)}
+          >
+            Back
+          </button>
+        </div>
       </div>
 
       {/* Stats */}
@@ -183,7 +335,7 @@ const AssignmentSubmissions = () => {
               {submissions?.filter(s => s.status === 'graded').length || 0}
             </span></span>
             <span>Pending: <span className="font-medium text-gray-900">
-              {submissions?.filter(s => s.status === 'submitted').length || 0}
+              {submissions?.filter(s => ['submitted', 'resubmitted'].includes(s.status)).length || 0}
             </span></span>
           </div>
         </div>
@@ -212,18 +364,40 @@ const AssignmentSubmissions = () => {
                       {submission.student?.firstName} {submission.student?.lastName}
                     </h2>
                     <p className="text-sm text-gray-600">{submission.student?.email}</p>
+                    {submission.versions?.length > 1 && (
+                      <button
+                        onClick={() => setHistorySubmission(submission)}
+                        className="mt-1 text-xs text-primary-600 hover:text-primary-800 font-medium"
+                      >
+                        Attempt {submission.attempt} of {assignment?.maxAttempts || '∞'} · View history
+                      </button>
+                    )}
                   </div>
                   <div className="text-right">
                     <span className={getStatusBadge(submission.status)}>
                       {submission.status.charAt(0).toUpperCase() + submission.status.slice(1)}
                     </span>
-                    {submission.isLate && (
+                    {(submission.lateness ? submission.lateness.isLate : submission.isLate) && (
                       <div className="mt-1">
                         <span className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded-full">
                           Late Submission
                         </span>
                       </div>
                     )}
+                    {submission.isExcused && (
+                      <div className="mt-1">
+                        <span className="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded-full">
+                          Excused
+                        </span>
+                      </div>
+                    )}
+                    <button
+                      onClick={() => toggleExcused(submission)}
+                      className="mt-2 text-xs text-primary-600 hover:text-primary-800 font-medium"
+                      title="Excused submissions do not count towards the course grade"
+                    >
+                      {submission.isExcused ? 'Count in grade' : 'Excuse from grade'}
+                    </button>
                   </div>
                 </div>
 
@@ -236,20 +410,36 @@ const AssignmentSubmissions = () => {
                     </div>
                   </div>
                   
-                  {submission.grade && (
+                  {submission.grade?.gradedAt && (
                     <div>
-                      <span className="text-sm font-medium text-gray-700">Grade:</span>
+                      <span className="text-sm font-medium text-gray-700">
+                        {submission.status === 'resubmitted' ? 'Grade for previous attempt:' : 'Grade:'}
+                      </span>
                       <div className={`text-sm font-medium ${getGradeColor(submission.grade.percentage)}`}>
                         {submission.grade.points} / {assignment?.totalPoints} ({submission.grade.letterGrade})
                         <span className="text-gray-500 ml-1">
                           - {submission.grade.percentage.toFixed(1)}%
                         </span>
                       </div>
+                      {describeAppliedPenalty(submission.grade) && (
+                        <div className="text-xs text-red-600">Late: {describeAppliedPenalty(submission.grade)}</div>
+                      )}
                     </div>
                   )}
                 </div>
 
                 {/* Submission Content */}
+                {submission.quizAttempt && submission.status === 'graded' && (
+                  <div className="mb-4">
+                    <button
+                      onClick={() => setReviewAttempt(submission.quizAttempt)}
+                      className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+                    >
+                      View quiz answers
+                    </button>
+                  </div>
+                )}
+
                 {submission.submissionText && (
                   <div className="mb-4">
                     <span className="text-sm font-medium text-gray-700 block mb-2">Text Submission:</span>
@@ -269,14 +459,12 @@ const AssignmentSubmissions = () => {
                           <svg className="h-4 w-4 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
                           </svg>
-                          <a 
-                            href={`/api/submissions/download/${file.filename}`} 
-                            target="_blank" 
-                            rel="noopener noreferrer" 
+                          <button
+                            onClick={() => downloadSubmissionFile(submission._id, file)}
                             className="text-blue-600 hover:text-blue-800 hover:underline"
                           >
                             {file.originalName}
-                          </a>
+                          </button>
                           <span className="text-gray-400">
                             ({(file.size / 1024).toFixed(1)} KB)
                           </span>
@@ -286,6 +474,14 @@ const AssignmentSubmissions = () => {
                   </div>
                 )}
 
+                {/* Rubric */}
+                {submission.rubricScores?.length > 0 && (
+                  <div className="mb-4">
+                    <span className="text-sm font-medium text-gray-700 block mb-2">Rubric:</span>
+                    <RubricView rubric={assignment?.rubric} scores={submission.rubricScores} />
+                  </div>
+                )}
+
                 {/* Feedback */}
                 {submission.feedback && (
                   <div className="mb-4">
@@ -297,7 +493,7 @@ const AssignmentSubmissions = () => {
                 )}
 
                 {/* Grading Section */}
-                {submission.grade ? (
+                {submission.status === 'graded' ? (
                   <div className="pt-4 border-t border-gray-200">
                     <div className="flex items-center justify-between text-sm text-gray-600">
                       <span>
@@ -310,11 +506,23 @@ const AssignmentSubmissions = () => {
                       )}
                     </div>
                   </div>
+                ) : submission.quizAttempt ? (
+                  /* Quiz attempts are graded from their answers */
+                  <div className="pt-4 border-t border-gray-200">
+                    <button
+                      onClick={() => setReviewAttempt(submission.quizAttempt)}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Review and Grade Answers
+                    </button>
+                  </div>
                 ) : (
                   <div className="pt-4 border-t border-gray-200">
                     <GradeForm 
                       submissionId={submission._id} 
                       assignmentTotalPoints={assignment?.totalPoints} 
+                      rubric={assignment?.rubric}
+                      lateness={submission.lateness}
                       onGraded={fetchSubmissions} 
                     />
                   </div>
@@ -324,6 +532,36 @@ const AssignmentSubmissions = () => {
           ))}
         </div>
       )}
+
+      {historySubmission && (
+        <SubmissionHistory
+          submission={historySubmission}
+          totalPoints={assignment?.totalPoints}
+          onClose={() => setHistorySubmission(null)}
+        />
+      )}
+
+      {reviewAttempt && (
+        <QuizAttemptReview
+          attemptId={reviewAttempt}
+          onClose={() => setReviewAttempt(null)}
+          onGraded={() => {
+            setReviewAttempt(null);
+            fetchSubmissions();
+          }}
+        />
+      )}
+
+      {showExtensions && (
+        <AssignmentExtensions
+          assignmentId={id}
+          onClose={() => {
+            // Deadlines may have moved, which changes the lateness shown for grading
+            setShowExtensions(false);
+            fetchSubmissions();
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -1,12 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useConfig } from '../../hooks/useConfiguration';
 import axios from 'axios';
-import { PlusIcon, TrashIcon, CloudArrowUpIcon } from '@heroicons/react/24/outline';
+import { CloudArrowUpIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import { canRunCourse } from '../../utils/courseStaff';
+import { rubricTotal } from '../../utils/rubric';
+import RubricEditor from './RubricEditor';
 
 const CreateAssignment = () => {
   const { user } = useAuth();
+  const { assignmentLatePenalty, assignmentGracePeriodMinutes } = useConfig();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [courses, setCourses] = useState([]);
@@ -24,8 +29,13 @@ const CreateAssignment = () => {
     instructions: '',
     isPublished: false,
     allowLateSubmission: true,
-    latePenalty: 10,
-    rubric: []
+    latePenalty: assignmentLatePenalty,
+    latePenaltyType: 'per_day',
+    latePenaltyCap: '',
+    gracePeriodMinutes: assignmentGracePeriodMinutes,
+    maxAttempts: 1,
+    timeLimitMinutes: '',
+    rubric: { source: null, title: '', criteria: [] }
   });
 
   useEffect(() => {
@@ -35,7 +45,8 @@ const CreateAssignment = () => {
   const fetchInstructorCourses = async () => {
     try {
       const response = await axios.get(`/api/courses/instructor/${user._id}`);
-      setCourses(response.data);
+      // Teaching assistants cannot create assignments
+      setCourses(response.data.filter(course => canRunCourse(course.staffRole)));
     } catch (error) {
       console.error('Error fetching courses:', error);
     }
@@ -72,26 +83,12 @@ const CreateAssignment = () => {
     setAttachments(Array.from(e.target.files));
   };
 
-  const addRubricCriteria = () => {
+  // A rubric decides the total points
+  const handleRubricChange = (rubric) => {
     setFormData(prev => ({
       ...prev,
-      rubric: [...prev.rubric, { criteria: '', points: 0, description: '' }]
-    }));
-  };
-
-  const removeRubricCriteria = (index) => {
-    setFormData(prev => ({
-      ...prev,
-      rubric: prev.rubric.filter((_, i) => i !== index)
-    }));
-  };
-
-  const updateRubricCriteria = (index, field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      rubric: prev.rubric.map((item, i) => 
-        i === index ? { ...item, [field]: field === 'points' ? parseInt(value) || 0 : value } : item
-      )
+      rubric,
+      totalPoints: rubric.criteria.length > 0 ? rubricTotal(rubric.criteria) : prev.totalPoints
     }));
   };
 
@@ -118,6 +115,8 @@ const CreateAssignment = () => {
       const payload = {
         ...formData,
         dueDate: dueDate.toISOString(), // Convert to ISO string
+        latePenaltyCap: formData.latePenaltyCap === '' ? null : Number(formData.latePenaltyCap),
+        timeLimitMinutes: formData.timeLimitMinutes === '' ? null : Number(formData.timeLimitMinutes),
         allowedFileTypes: formData.allowedFileTypes,
         rubric: formData.rubric
       };
@@ -128,8 +127,14 @@ const CreateAssignment = () => {
         }
       });
 
-      toast.success('Assignment created successfully!');
-      navigate(`/assignments/${response.data.assignment._id}`);
+      // Quizzes and exams go on to choosing their questions
+      if (['quiz', 'exam'].includes(formData.type)) {
+        toast.success('Assignment created. Add questions to give it as an online quiz.');
+        navigate(`/assignments/${response.data.assignment._id}/quiz`);
+      } else {
+        toast.success('Assignment created successfully!');
+        navigate(`/assignments/${response.data.assignment._id}`);
+      }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to create assignment');
     } finally {
@@ -228,6 +233,11 @@ const CreateAssignment = () => {
                 <option value="project">Project</option>
                 <option value="presentation">Presentation</option>
               </select>
+              {['quiz', 'exam'].includes(formData.type) && (
+                <p className="text-xs text-gray-500 mt-1">
+                  You can add questions from the question bank next; the total points then come from the questions.
+                </p>
+              )}
             </div>
 
             <div>
@@ -242,7 +252,11 @@ const CreateAssignment = () => {
                 value={formData.totalPoints}
                 onChange={handleChange}
                 className="input"
+                readOnly={formData.rubric.criteria.length > 0}
               />
+              {formData.rubric.criteria.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">Set by the grading rubric</p>
+              )}
             </div>
 
             <div>
@@ -356,6 +370,44 @@ const CreateAssignment = () => {
               </>
             )}
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Max Attempts
+              </label>
+              <input
+                type="number"
+                name="maxAttempts"
+                min="0"
+                max="100"
+                value={formData.maxAttempts}
+                onChange={handleChange}
+                className="input w-24"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                How many times a student may submit; every attempt is kept. Use 0 for unlimited.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Time Limit (minutes)
+              </label>
+              <input
+                type="number"
+                name="timeLimitMinutes"
+                min="1"
+                max="1440"
+                value={formData.timeLimitMinutes}
+                onChange={handleChange}
+                className="input w-24"
+                placeholder="None"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                For timed work such as quizzes and exams. Students with an extra-time accommodation get longer,
+                and their due date moves back by the extra time.
+              </p>
+            </div>
+
             <div className="flex items-center space-x-4">
               <label className="flex items-center">
                 <input
@@ -370,7 +422,7 @@ const CreateAssignment = () => {
 
               {formData.allowLateSubmission && (
                 <div className="flex items-center space-x-2">
-                  <label className="text-sm">Penalty per day:</label>
+                  <label className="text-sm">Penalty:</label>
                   <input
                     type="number"
                     name="latePenalty"
@@ -381,10 +433,53 @@ const CreateAssignment = () => {
                     className="input w-20"
                   />
                   <span className="text-sm">%</span>
+                  <select
+                    name="latePenaltyType"
+                    value={formData.latePenaltyType}
+                    onChange={handleChange}
+                    className="input w-32"
+                  >
+                    <option value="per_day">per day</option>
+                    <option value="flat">once</option>
+                  </select>
                 </div>
               )}
             </div>
 
+            {formData.allowLateSubmission && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {formData.latePenaltyType === 'per_day' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Maximum Penalty (%)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={formData.latePenaltyCap}
+                      onChange={(e) => setFormData(prev => ({ ...prev, latePenaltyCap: e.target.value }))}
+                      className="input"
+                      placeholder="No limit"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Grace Period (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    name="gracePeriodMinutes"
+                    min="0"
+                    value={formData.gracePeriodMinutes}
+                    onChange={handleChange}
+                    className="input"
+                  />
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="flex items-center">
                 <input
@@ -439,66 +534,11 @@ const CreateAssignment = () => {
 
         {/* Rubric */}
         <div className="card">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-gray-900">Grading Rubric</h2>
-            <button
-              type="button"
-              onClick={addRubricCriteria}
-              className="btn btn-secondary btn-sm flex items-center"
-            >
-              <PlusIcon className="h-4 w-4 mr-1" />
-              Add Criteria
-            </button>
-          </div>
-          
-          {formData.rubric.length === 0 ? (
-            <p className="text-gray-500 text-center py-4">
-              No rubric criteria added. Click "Add Criteria" to get started.
-            </p>
-          ) : (
-            <div className="space-y-4">
-              {formData.rubric.map((criteria, index) => (
-                <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-4 p-4 border rounded-lg">
-                  <div className="md:col-span-4">
-                    <input
-                      type="text"
-                      placeholder="Criteria name"
-                      value={criteria.criteria}
-                      onChange={(e) => updateRubricCriteria(index, 'criteria', e.target.value)}
-                      className="input"
-                    />
-                  </div>
-                  <div className="md:col-span-2">
-                    <input
-                      type="number"
-                      placeholder="Points"
-                      value={criteria.points}
-                      onChange={(e) => updateRubricCriteria(index, 'points', e.target.value)}
-                      className="input"
-                    />
-                  </div>
-                  <div className="md:col-span-5">
-                    <input
-                      type="text"
-                      placeholder="Description"
-                      value={criteria.description}
-                      onChange={(e) => updateRubricCriteria(index, 'description', e.target.value)}
-                      className="input"
-                    />
-                  </div>
-                  <div className="md:col-span-1">
-                    <button
-                      type="button"
-                      onClick={() => removeRubricCriteria(index)}
-                      className="btn btn-danger btn-sm w-full"
-                    >
-                      <TrashIcon className="h-4 w-4" />
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Grading Rubric</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Grade submissions criterion by criterion. Students see the rubric and how they scored on it.
+          </p>
+          <RubricEditor rubric={formData.rubric} onChange={handleRubricChange} />
         </div>
 
         {/* Submit Button */}
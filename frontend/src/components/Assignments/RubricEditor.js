@@ -0,0 +1,250 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { rubricTotal, newCriterion, copyCriteria } from '../../utils/rubric';
+
+// Builds the rubric of an assignment, starting from scratch or from a saved rubric.
+// rubric is { source, title, criteria }; onChange receives the whole rubric.
+const RubricEditor = ({ rubric, onChange }) => {
+  const [savedRubrics, setSavedRubrics] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSavedRubrics();
+  }, []);
+
+  const fetchSavedRubrics = async () => {
+    try {
+      const response = await axios.get('/api/rubrics');
+      setSavedRubrics(response.data);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+    }
+  };
+
+  const loadRubric = (rubricId) => {
+    const saved = savedRubrics.find(r => r._id === rubricId);
+    if (!saved) return;
+    onChange({ source: saved._id, title: saved.title, criteria: copyCriteria(saved.criteria) });
+  };
+
+  const updateCriterion = (index, changes) => {
+    onChange({
+      ...rubric,
+      criteria: rubric.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    });
+  };
+
+  const updateLevel = (criterionIndex, levelIndex, changes) => {
+    const levels = rubric.criteria[criterionIndex].levels.map((level, i) => (
+      i === levelIndex ? { ...level, ...changes } : level
+    ));
+    updateCriterion(criterionIndex, { levels });
+  };
+
+  const addLevel = (criterionIndex) => {
+    const levels = [...rubric.criteria[criterionIndex].levels, { title: '', description: '', points: 0 }];
+    updateCriterion(criterionIndex, { levels });
+  };
+
+  const removeLevel = (criterionIndex, levelIndex) => {
+    const levels = rubric.criteria[criterionIndex].levels.filter((_, i) => i !== levelIndex);
+    updateCriterion(criterionIndex, { levels });
+  };
+
+  const addCriterion = () => {
+    onChange({ ...rubric, criteria: [...rubric.criteria, newCriterion()] });
+  };
+
+  const removeCriterion = (index) => {
+    onChange({ ...rubric, criteria: rubric.criteria.filter((_, i) => i !== index) });
+  };
+
+  const handleSaveToLibrary = async () => {
+    if (!rubric.title) {
+      toast.error('Give the rubric a title to save it');
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await axios.post('/api/rubrics', {
+        title: rubric.title,
+        criteria: rubric.criteria
+      });
+      toast.success(response.data.message);
+      onChange({ ...rubric, source: response.data.rubric._id });
+      fetchSavedRubrics();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save rubric');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Start From a Saved Rubric</label>
+          <select
+            value=""
+            onChange={(e) => loadRubric(e.target.value)}
+            className="input"
+            disabled={savedRubrics.length === 0}
+          >
+            <option value="">{savedRubrics.length === 0 ? 'No saved rubrics yet' : 'Choose a rubric...'}</option>
+            {savedRubrics.map(saved => (
+              <option key={saved._id} value={saved._id}>
+                {saved.title} ({saved.totalPoints} points)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rubric Title</label>
+          <input
+            type="text"
+            value={rubric.title || ''}
+            onChange={(e) => onChange({ ...rubric, title: e.target.value })}
+            className="input"
+            maxLength={100}
+            placeholder="e.g. Essay rubric"
+          />
+        </div>
+      </div>
+
+      {rubric.criteria.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">
+          No rubric criteria added. Submissions will be graded with a single score.
+        </p>
+      ) : (
+        rubric.criteria.map((criterion, index) => (
+          <div key={index} className="p-4 border rounded-lg space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-12 gap-3">
+              <div className="md:col-span-4">
+                <input
+                  type="text"
+                  placeholder="Criterion"
+                  value={criterion.title}
+                  onChange={(e) => updateCriterion(index, { title: e.target.value })}
+                  className="input"
+                  maxLength={100}
+                  required
+                />
+              </div>
+              <div className="md:col-span-7">
+                <input
+                  type="text"
+                  placeholder="What is assessed"
+                  value={criterion.description}
+                  onChange={(e) => updateCriterion(index, { description: e.target.value })}
+                  className="input"
+                  maxLength={500}
+                />
+              </div>
+              <div className="md:col-span-1">
+                <button
+                  type="button"
+                  onClick={() => removeCriterion(index)}
+                  className="btn btn-danger btn-sm w-full"
+                  title="Remove criterion"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2 pl-4 border-l-2 border-gray-200">
+              {criterion.levels.map((level, levelIndex) => (
+                <div key={levelIndex} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                  <div className="md:col-span-3">
+                    <input
+                      type="text"
+                      placeholder="Level"
+                      value={level.title}
+                      onChange={(e) => updateLevel(index, levelIndex, { title: e.target.value })}
+                      className="input text-sm"
+                      maxLength={100}
+                      required
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder="Points"
+                      value={level.points}
+                      onChange={(e) => updateLevel(index, levelIndex, { points: parseFloat(e.target.value) || 0 })}
+                      className="input text-sm"
+                    />
+                  </div>
+                  <div className="md:col-span-6">
+                    <input
+                      type="text"
+                      placeholder="Description"
+                      value={level.description}
+                      onChange={(e) => updateLevel(index, levelIndex, { description: e.target.value })}
+                      className="input text-sm"
+                      maxLength={300}
+                    />
+                  </div>
+                  <div className="md:col-span-1 text-right">
+                    {criterion.levels.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removeLevel(index, levelIndex)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove level"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => addLevel(index)}
+                className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+              >
+                + Add level
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={addCriterion}
+            className="btn btn-secondary btn-sm flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Criterion
+          </button>
+          {rubric.criteria.length > 0 && (
+            <button
+              type="button"
+              onClick={handleSaveToLibrary}
+              disabled={saving}
+              className="btn btn-secondary btn-sm disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save as Reusable Rubric'}
+            </button>
+          )}
+        </div>
+        {rubric.criteria.length > 0 && (
+          <span className="text-sm text-gray-600">
+            Rubric total: <span className="font-medium">{rubricTotal(rubric.criteria)}</span> points
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RubricEditor;
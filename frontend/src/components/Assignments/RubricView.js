@@ -0,0 +1,88 @@
+import { criterionMaxPoints } from '../../utils/rubric';
+
+// A rubric, filled in with the scores and comments a submission received when scores are given.
+// Scores keep their own criterion titles, so criteria since removed from the rubric still show.
+const RubricView = ({ rubric, scores }) => {
+  const criteria = rubric?.criteria || [];
+  const scoreFor = (criterionId) => scores?.find(score => score.criterion === criterionId);
+  const removedScores = (scores || []).filter(score => !criteria.some(criterion => criterion._id === score.criterion));
+  const total = scores?.reduce((sum, score) => sum + score.points, 0);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full border text-sm">
+        <tbody className="divide-y divide-gray-200">
+          {criteria.map(criterion => {
+            const score = scoreFor(criterion._id);
+            return (
+              <tr key={criterion._id} className="align-top">
+                <td className="px-3 py-2 w-1/4 bg-gray-50">
+                  <div className="font-medium text-gray-900">{criterion.title}</div>
+                  {criterion.description && (
+                    <div className="text-xs text-gray-500">{criterion.description}</div>
+                  )}
+                  {score?.comment && (
+                    <div className="mt-2 text-xs text-blue-800 bg-blue-50 border border-blue-200 rounded p-2 whitespace-pre-wrap">
+                      {score.comment}
+                    </div>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  <div className="flex flex-wrap gap-2">
+                    {criterion.levels.map(level => (
+                      <div
+                        key={level._id}
+                        className={`flex-1 min-w-[8rem] p-2 rounded border ${
+                          score && score.level === level._id
+                            ? 'border-primary-500 bg-primary-50'
+                            : 'border-gray-200'
+                        }`}
+                      >
+                        <div className="flex justify-between font-medium text-gray-900">
+                          <span>{level.title}</span>
+                          <span>{level.points}</span>
+                        </div>
+                        {level.description && (
+                          <div className="text-xs text-gray-500">{level.description}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </td>
+                <td className="px-3 py-2 w-24 text-right whitespace-nowrap text-gray-900">
+                  {score ? `${score.points} / ` : ''}{criterionMaxPoints(criterion)}
+                </td>
+              </tr>
+            );
+          })}
+          {removedScores.map(score => (
+            <tr key={score.criterion} className="align-top">
+              <td className="px-3 py-2 bg-gray-50" colSpan={2}>
+                <div className="font-medium text-gray-900">
+                  {score.criterionTitle}
+                  {score.levelTitle && <span className="ml-2 text-gray-600">· {score.levelTitle}</span>}
+                </div>
+                {score.comment && (
+                  <div className="mt-1 text-xs text-blue-800 whitespace-pre-wrap">{score.comment}</div>
+                )}
+              </td>
+              <td className="px-3 py-2 text-right whitespace-nowrap text-gray-900">
+                {score.points} / {score.maxPoints}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        {scores?.length > 0 && (
+          <tfoot>
+            <tr className="border-t bg-gray-50 font-medium">
+              <td className="px-3 py-2" colSpan={2}>Rubric total</td>
+              <td className="px-3 py-2 text-right">{Math.round(total * 100) / 100}</td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    </div>
+  );
+};
+
+export default RubricView;
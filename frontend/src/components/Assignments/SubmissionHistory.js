@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { formatDateTime } from '../../utils/dateUtils';
+import { diffLines, diffAttachments, downloadSubmissionFile } from '../../utils/submissionVersions';
+
+const LINE_STYLES = {
+  same: 'text-gray-700',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through'
+};
+
+const LINE_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+// Every attempt of one student's submission, with a diff between any two of them
+const SubmissionHistory = ({ submission, totalPoints, onClose }) => {
+  const versions = submission.versions || [];
+  const [fromAttempt, setFromAttempt] = useState(versions.length > 1 ? versions[versions.length - 2].attempt : null);
+  const [toAttempt, setToAttempt] = useState(versions.length > 0 ? versions[versions.length - 1].attempt : null);
+
+  const fromVersion = versions.find(version => version.attempt === fromAttempt);
+  const toVersion = versions.find(version => version.attempt === toAttempt);
+  const textDiff = fromVersion && toVersion ? diffLines(fromVersion.submissionText, toVersion.submissionText) : [];
+  const fileDiff = fromVersion && toVersion ? diffAttachments(fromVersion.attachments, toVersion.attachments) : [];
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            Submission History · {submission.student?.firstName} {submission.student?.lastName}
+          </h3>
+          <button onClick={onClose} className="btn btn-secondary btn-sm">
+            Close
+          </button>
+        </div>
+
+        {/* Attempts */}
+        <table className="min-w-full divide-y divide-gray-200 text-sm mb-6">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Attempt</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Files</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Grade</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {[...versions].reverse().map(version => (
+              <tr key={version._id}>
+                <td className="px-4 py-2 text-gray-900">{version.attempt}</td>
+                <td className="px-4 py-2 text-gray-900">
+                  {formatDateTime(version.submittedAt)}
+                  {version.isLate && <span className="ml-2 text-xs text-red-600">Late</span>}
+                </td>
+                <td className="px-4 py-2">
+                  {version.attachments?.length > 0 ? version.attachments.map(file => (
+                    <button
+                      key={file._id}
+                      onClick={() => downloadSubmissionFile(submission._id, file)}
+                      className="block text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      {file.originalName}
+                    </button>
+                  )) : <span className="text-gray-400">—</span>}
+                </td>
+                <td className="px-4 py-2 text-gray-900">
+                  {version.grade?.gradedAt ? (
+                    <>
+                      {version.grade.points} / {totalPoints}
+                      {version.grade.gradedBy && (
+                        <div className="text-xs text-gray-500">
+                          by {version.grade.gradedBy.firstName} {version.grade.gradedBy.lastName}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <span className="text-gray-400">Not graded</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Compare */}
+        {versions.length > 1 && (
+          <div>
+            <div className="flex items-center space-x-3 mb-3 text-sm">
+              <span className="font-medium text-gray-700">Compare attempt</span>
+              <select
+                value={fromAttempt}
+                onChange={(e) => setFromAttempt(Number(e.target.value))}
+                className="input py-1 text-sm w-20"
+              >
+                {versions.map(version => (
+                  <option key={version.attempt} value={version.attempt}>{version.attempt}</option>
+                ))}
+              </select>
+              <span className="font-medium text-gray-700">with</span>
+              <select
+                value={toAttempt}
+                onChange={(e) => setToAttempt(Number(e.target.value))}
+                className="input py-1 text-sm w-20"
+              >
+                {versions.map(version => (
+                  <option key={version.attempt} value={version.attempt}>{version.attempt}</option>
+                ))}
+              </select>
+            </div>
+
+            {fileDiff.length > 0 && (
+              <div className="mb-3 text-sm">
+                <span className="font-medium text-gray-700 block mb-1">Files:</span>
+                {fileDiff.map(({ type, file }) => (
+                  <div key={`${type}-${file._id}`} className={`px-2 font-mono ${LINE_STYLES[type]}`}>
+                    {LINE_MARKERS[type]} {file.originalName} ({(file.size / 1024).toFixed(1)} KB)
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <span className="text-sm font-medium text-gray-700 block mb-1">Text:</span>
+            {textDiff.length > 0 ? (
+              <pre className="border rounded-md text-sm max-h-96 overflow-auto py-2">
+                {textDiff.map((line, index) => (
+                  <div key={index} className={`px-2 whitespace-pre-wrap ${LINE_STYLES[line.type]}`}>
+                    {LINE_MARKERS[line.type]} {line.text}
+                  </div>
+                ))}
+              </pre>
+            ) : (
+              <p className="text-sm text-gray-500">Neither attempt has a text submission.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubmissionHistory;
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email });
+      setSentMessage(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request password reset');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+      <div className="mb-8">
+        <h2 className="text-2xl font-bold text-gray-900 text-center">
+          Reset your password
+        </h2>
+        <p className="mt-2 text-sm text-gray-600 text-center">
+          Remembered it?{' '}
+          <Link to="/login" className="text-primary-600 hover:text-primary-500 font-medium">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+
+      {sentMessage ? (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-md text-sm text-green-800">
+          {sentMessage}
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <p className="text-sm text-gray-600">
+            Enter the email address you registered with and we will send you a link to choose a new password.
+          </p>
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              className="input mt-1"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full btn btn-primary py-3 text-sm font-medium disabled:opacity-50"
+          >
+            {isLoading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ForgotPassword;
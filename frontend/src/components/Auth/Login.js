@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 
@@ -10,8 +12,12 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  // Set once the password is accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -29,11 +35,95 @@ const Login = () => {
     
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     }
+    setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
     
     setIsLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode);
+
+    if (result.success) {
+      navigate('/dashboard');
+      return;
+    }
+    if (result.expired) {
+      cancelTwoFactor();
+    }
+
+    setIsLoading(false);
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification', { email: formData.email });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+        <div className="mb-8">
+          <h2 className="text-2xl font-bold text-gray-900 text-center">
+            Two-factor authentication
+          </h2>
+          <p className="mt-2 text-sm text-gray-600 text-center">
+            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+          </p>
+        </div>
+
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+              Authentication code
+            </label>
+            <input
+              id="twoFactorCode"
+              name="twoFactorCode"
+              type="text"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              className="input mt-1 tracking-widest text-center"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full btn btn-primary py-3 text-sm font-medium disabled:opacity-50"
+          >
+            {isLoading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <p className="text-sm text-center text-gray-600">
+            Lost your device and backup codes? Ask an administrator to reset two-factor authentication.{' '}
+            <button type="button" onClick={cancelTwoFactor} className="text-primary-600 hover:text-primary-500">
+              Back to sign in
+            </button>
+          </p>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
       <div className="mb-8">
@@ -48,6 +138,15 @@ const Login = () => {
         </p>
       </div>
 
+      {needsVerification && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+          Your email address has not been verified yet. Check your inbox for the verification link, or{' '}
+          <button type="button" onClick={resendVerification} className="font-medium underline">
+            send a new one
+          </button>.
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         <div>
           <label htmlFor="email" className="block text-sm font-medium text-gray-700">
@@ -108,9 +207,9 @@ const Login = () => {
           </div>
 
           <div className="text-sm">
-            <a href="#" className="text-primary-600 hover:text-primary-500">
+            <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500">
               Forgot your password?
-            </a>
+            </Link>
           </div>
         </div>
 
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useConfig } from '../../hooks/useConfiguration';
+import { getPasswordError, getPasswordRequirements } from '../../utils/passwordPolicy';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 
 const Register = () => {
@@ -27,6 +29,8 @@ const Register = () => {
   const [errors, setErrors] = useState({});
   
   const { register } = useAuth();
+  const { getSecurityConfig } = useConfig();
+  const security = getSecurityConfig();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -67,8 +71,9 @@ const Register = () => {
       newErrors.confirmPassword = 'Passwords do not match';
     }
     
-    if (formData.password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
+    const passwordError = getPasswordError(formData.password, security);
+    if (passwordError) {
+      newErrors.password = passwordError;
     }
     
     setErrors(newErrors);
@@ -86,7 +91,9 @@ const Register = () => {
     const result = await register(registerData);
     
     if (result.success) {
-      if (result.needsDocuments) {
+      if (result.verificationRequired) {
+        navigate('/login');
+      } else if (result.needsDocuments) {
         // Redirect to document upload for instructors
         navigate('/upload-documents');
       } else {
@@ -312,6 +319,7 @@ const Register = () => {
             </button>
           </div>
           {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password}</p>}
+          <p className="mt-1 text-xs text-gray-500">{getPasswordRequirements(security).join(' · ')}</p>
         </div>
 
         <div>
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { useConfig } from '../../hooks/useConfiguration';
+import { getPasswordError, getPasswordRequirements } from '../../utils/passwordPolicy';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { getSecurityConfig } = useConfig();
+  const security = getSecurityConfig();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordError = getPasswordError(formData.password, security);
+    if (passwordError) {
+      toast.error(passwordError);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await axios.post('/api/auth/reset-password', {
+        token,
+        password: formData.password
+      });
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="bg-white py-8 px-6 shadow-xl rounded-lg text-center">
+        <h2 className="text-2xl font-bold text-gray-900">Invalid reset link</h2>
+        <p className="mt-4 text-sm text-gray-600">
+          This link is missing its reset token. Open the link from your email again, or{' '}
+          <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 font-medium">
+            request a new one
+          </Link>.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+      <div className="mb-8">
+        <h2 className="text-2xl font-bold text-gray-900 text-center">
+          Choose a new password
+        </h2>
+        <p className="mt-2 text-sm text-gray-600 text-center">
+          You will be signed out of every device once the password is changed.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+            New password
+          </label>
+          <div className="mt-1 relative">
+            <input
+              id="password"
+              name="password"
+              type={showPassword ? 'text' : 'password'}
+              autoComplete="new-password"
+              required
+              className="input pr-10"
+              value={formData.password}
+              onChange={handleChange}
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              onClick={() => setShowPassword(!showPassword)}
+            >
+              {showPassword ? (
+                <EyeIcon className="h-5 w-5 text-gray-400" />
+              ) : (
+                <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+              )}
+            </button>
+          </div>
+          <p className="mt-1 text-xs text-gray-500">{getPasswordRequirements(security).join(' · ')}</p>
+        </div>
+
+        <div>
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+            Confirm new password
+          </label>
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type={showPassword ? 'text' : 'password'}
+            autoComplete="new-password"
+            required
+            className="input mt-1"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="w-full btn btn-primary py-3 text-sm font-medium disabled:opacity-50"
+        >
+          {isLoading ? 'Saving...' : 'Reset password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+// Backup codes are only shown once, right after they are generated
+export const BackupCodes = ({ codes }) => {
+  const downloadCodes = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Save these backup codes somewhere safe. Each one signs you in once if you lose access to your
+        authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-md font-mono text-sm text-gray-900">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <button type="button" onClick={downloadCodes} className="btn btn-secondary btn-sm mt-3">
+        Download codes
+      </button>
+    </div>
+  );
+};
+
+// Scan the QR code, confirm with a code from the app, then hand the backup codes to onEnabled
+const TwoFactorEnrollment = ({ onEnabled }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await axios.post('/api/auth/2fa/setup');
+        setEnrollment(response.data);
+      } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+      }
+    };
+    startSetup();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+      toast.success(response.data.message);
+      onEnabled(response.data.backupCodes);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!enrollment) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        1. Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.
+      </p>
+      <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto h-48 w-48" />
+      <p className="text-xs text-gray-500 text-center">
+        Can't scan it? Enter this key instead: <span className="font-mono break-all">{enrollment.secret}</span>
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="twoFactorCode" className="block text-sm text-gray-600">
+            2. Enter the 6-digit code the app shows
+          </label>
+          <input
+            id="twoFactorCode"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            required
+            className="input mt-1 tracking-widest text-center"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={submitting || code.length !== 6}
+          className="w-full btn btn-primary disabled:opacity-50"
+        >
+          {submitting ? 'Verifying...' : 'Turn on two-factor authentication'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import TwoFactorEnrollment, { BackupCodes } from './TwoFactorEnrollment';
+
+// Shown instead of the app when the user's role requires two-factor authentication
+// and they have not enrolled yet
+const TwoFactorSetup = () => {
+  const { user, logout, refreshUser } = useAuth();
+  const [backupCodes, setBackupCodes] = useState(null);
+  const navigate = useNavigate();
+
+  if (!user.twoFactorSetupRequired && !backupCodes) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const finish = async () => {
+    await refreshUser();
+    navigate('/dashboard');
+  };
+
+  return (
+    <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 text-center">
+          Set up two-factor authentication
+        </h2>
+        {!backupCodes && (
+          <p className="mt-2 text-sm text-gray-600 text-center">
+            Your account requires a code from an authenticator app in addition to your password.
+          </p>
+        )}
+      </div>
+
+      {backupCodes ? (
+        <div className="space-y-6">
+          <BackupCodes codes={backupCodes} />
+          <button type="button" onClick={finish} className="w-full btn btn-primary">
+            Continue to dashboard
+          </button>
+        </div>
+      ) : (
+        <>
+          <TwoFactorEnrollment onEnabled={setBackupCodes} />
+          <p className="mt-6 text-sm text-center">
+            <button type="button" onClick={logout} className="text-gray-500 hover:text-gray-700">
+              Sign out
+            </button>
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its verification token.');
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post('/api/auth/verify-email', { token });
+        setStatus('verified');
+        setMessage(response.data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email address');
+      }
+    };
+    verify();
+  }, [token]);
+
+  if (status === 'verifying') {
+    return <LoadingSpinner />;
+  }
+
+  const Icon = status === 'verified' ? CheckCircleIcon : XCircleIcon;
+
+  return (
+    <div className="bg-white py-8 px-6 shadow-xl rounded-lg text-center">
+      <Icon className={`mx-auto h-12 w-12 ${status === 'verified' ? 'text-green-500' : 'text-red-500'}`} />
+      <h2 className="mt-4 text-2xl font-bold text-gray-900">
+        {status === 'verified' ? 'Email verified' : 'Verification failed'}
+      </h2>
+      <p className="mt-2 text-sm text-gray-600">{message}</p>
+      <div className="mt-6">
+        <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary">
+          {user ? 'Go to dashboard' : 'Sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,69 @@
+import toast from 'react-hot-toast';
+import { formatDate } from '../../utils/dateUtils';
+import { PAYMENT_METHODS, formatMoney, exportBillingDocument } from '../../utils/billingUtils';
+
+// Line items and ledger entries of one invoice, with receipt downloads
+const InvoiceLedger = ({ invoice, payments }) => {
+  const downloadReceipt = async (payment) => {
+    try {
+      await exportBillingDocument(
+        `/api/billing/payments/${payment._id}/receipt`,
+        'pdf',
+        `receipt-${payment.receiptNumber}.pdf`.toLowerCase()
+      );
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      toast.error('Failed to download receipt');
+    }
+  };
+
+  return (
+    <table className="min-w-full text-sm">
+      <tbody className="divide-y divide-gray-100">
+        {invoice.lineItems.map(item => (
+          <tr key={item._id}>
+            <td className="py-2 text-gray-500 w-32">{formatDate(invoice.issuedAt)}</td>
+            <td className="py-2 text-gray-900">{item.description}</td>
+            <td className={`py-2 text-right ${item.amount < 0 ? 'text-green-600' : 'text-gray-900'}`}>
+              {formatMoney(item.amount, invoice.currency)}
+            </td>
+            <td className="w-24" />
+          </tr>
+        ))}
+        {payments.map(payment => (
+          <tr key={payment._id} className={payment.status === 'failed' ? 'text-gray-400' : ''}>
+            <td className="py-2 text-gray-500">{formatDate(payment.createdAt)}</td>
+            <td className="py-2">
+              {payment.type === 'refund' ? 'Refund' : 'Payment'} · {PAYMENT_METHODS[payment.method]}
+              {payment.reference && ` (${payment.reference})`}
+              {payment.status === 'failed' && (
+                <span className="ml-2 text-red-600">Failed: {payment.failureReason}</span>
+              )}
+            </td>
+            <td className={`py-2 text-right ${payment.type === 'refund' ? 'text-gray-900' : 'text-green-600'}`}>
+              {formatMoney(payment.type === 'refund' ? payment.amount : -payment.amount, invoice.currency)}
+            </td>
+            <td className="py-2 text-right">
+              {payment.status === 'succeeded' && (
+                <button
+                  onClick={() => downloadReceipt(payment)}
+                  className="text-blue-600 hover:text-blue-800 text-xs"
+                >
+                  Receipt
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+        <tr className="font-medium">
+          <td />
+          <td className="py-2 text-gray-900">Balance due</td>
+          <td className="py-2 text-right text-gray-900">{formatMoney(invoice.balance, invoice.currency)}</td>
+          <td />
+        </tr>
+      </tbody>
+    </table>
+  );
+};
+
+export default InvoiceLedger;
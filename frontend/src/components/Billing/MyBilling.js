@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  BanknotesIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import InvoiceLedger from './InvoiceLedger';
+import { formatDate } from '../../utils/dateUtils';
+import { formatMoney, getInvoiceStatusColor, exportBillingDocument } from '../../utils/billingUtils';
+
+const MyBilling = () => {
+  const { user } = useAuth();
+  const [statement, setStatement] = useState(null);
+  const [refundPolicy, setRefundPolicy] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchStatement = useCallback(async () => {
+    try {
+      const [statementResponse, policyResponse] = await Promise.all([
+        axios.get(`/api/billing/students/${user._id}/statement`),
+        axios.get('/api/billing/refund-policy')
+      ]);
+      setStatement(statementResponse.data);
+      setRefundPolicy(policyResponse.data.policy || []);
+    } catch (error) {
+      console.error('Error fetching statement:', error);
+      toast.error('Failed to load billing information');
+    } finally {
+      setLoading(false);
+    }
+  }, [user._id]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  const exportStatement = async (format) => {
+    try {
+      await exportBillingDocument(
+        `/api/billing/students/${user._id}/statement`,
+        format,
+        `statement-${user.lastName}-${user.firstName}.pdf`.toLowerCase()
+      );
+    } catch (error) {
+      console.error('Error exporting statement:', error);
+      toast.error('Failed to export statement');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!statement) {
+    return null;
+  }
+
+  const { invoices, totals, currency } = statement;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+          <p className="mt-2 text-gray-600">Your course invoices, payments and receipts</p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={() => exportStatement('html')} className="btn btn-secondary">
+            View Statement
+          </button>
+          <button onClick={() => exportStatement('pdf')} className="btn btn-primary flex items-center">
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="card">
+          <div className="flex items-center">
+            <BanknotesIcon className="h-8 w-8 text-blue-500" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Total Charged</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatMoney(totals.charged, currency)}</p>
+            </div>
+          </div>
+        </div>
+        <div className="card">
+          <div className="flex items-center">
+            <CheckCircleIcon className="h-8 w-8 text-green-500" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Paid</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatMoney(totals.paid - totals.refunded, currency)}</p>
+            </div>
+          </div>
+        </div>
+        <div className="card">
+          <div className="flex items-center">
+            <ExclamationTriangleIcon className="h-8 w-8 text-yellow-500" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Balance Due</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatMoney(totals.balance, currency)}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Invoices */}
+      {invoices.length === 0 ? (
+        <div className="text-center py-12">
+          <BanknotesIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No invoices yet</h3>
+          <p className="text-gray-600">Invoices are created when you enroll in a course with fees.</p>
+        </div>
+      ) : (
+        [...invoices].reverse().map(invoice => (
+          <div key={invoice._id} className="card">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {invoice.course?.courseCode} - {invoice.course?.title}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {invoice.invoiceNumber}
+                  {invoice.term && ` • ${invoice.term.name}`}
+                  {invoice.dueDate && invoice.balance > 0 && ` • Due ${formatDate(invoice.dueDate)}`}
+                </p>
+              </div>
+              <span className={`px-3 py-1 rounded-full text-xs font-medium ${getInvoiceStatusColor(invoice.status)}`}>
+                {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
+              </span>
+            </div>
+            <InvoiceLedger invoice={invoice} payments={invoice.payments} />
+          </div>
+        ))
+      )}
+
+      {/* Refund Policy */}
+      {refundPolicy.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Refund Policy</h2>
+          <p className="text-sm text-gray-600 mb-2">
+            When you drop a course, part of its fees is credited back depending on how long the term has been running:
+          </p>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {refundPolicy.map((step, index) => (
+              <li key={index}>Within {step.days} days: {step.percent}% credited</li>
+            ))}
+            <li>After that: no credit</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyBilling;
@@ -0,0 +1,121 @@
+import { Fragment } from 'react';
+
+// Renders the lightweight markup used for announcements and posts:
+//   # Heading / ## Subheading, "- " bullet and "1. " numbered lists,
+//   **bold**, _italic_, `code` and [link](https://...).
+// Everything becomes React elements, so user text is never injected as HTML.
+
+const INLINE_PATTERN = /\*\*([^*]+)\*\*|_([^_]+)_|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+const isSafeUrl = (url) => /^(https?:\/\/|mailto:|\/)/i.test(url);
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let match;
+
+  INLINE_PATTERN.lastIndex = 0;
+  while ((match = INLINE_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+
+    const key = `${keyPrefix}-${match.index}`;
+    if (match[1] !== undefined) {
+      nodes.push(<strong key={key}>{match[1]}</strong>);
+    } else if (match[2] !== undefined) {
+      nodes.push(<em key={key}>{match[2]}</em>);
+    } else if (match[3] !== undefined) {
+      nodes.push(<code key={key} className="px-1 bg-gray-100 rounded text-sm">{match[3]}</code>);
+    } else if (isSafeUrl(match[5])) {
+      nodes.push(
+        <a key={key} href={match[5]} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">
+          {match[4]}
+        </a>
+      );
+    } else {
+      nodes.push(match[4]);
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+
+  return nodes;
+};
+
+// Group lines into headings, lists and paragraphs
+const parseBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^(#{1,2})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+\.\s+(.*)$/);
+
+    if (heading) {
+      blocks.push({ type: heading[1].length === 1 ? 'h3' : 'h4', lines: [heading[2]] });
+      current = null;
+    } else if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (!current || current.type !== type) {
+        current = { type, lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push((bullet || numbered)[1]);
+    } else if (line.trim() === '') {
+      current = null;
+    } else {
+      if (!current || current.type !== 'p') {
+        current = { type: 'p', lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line);
+    }
+  });
+
+  return blocks;
+};
+
+const RichText = ({ text, className = '' }) => {
+  const blocks = parseBlocks(text);
+
+  return (
+    <div className={`space-y-2 text-gray-700 ${className}`}>
+      {blocks.map((block, index) => {
+        const key = `b${index}`;
+
+        if (block.type === 'h3') {
+          return <h3 key={key} className="text-base font-semibold text-gray-900">{renderInline(block.lines[0], key)}</h3>;
+        }
+        if (block.type === 'h4') {
+          return <h4 key={key} className="text-sm font-semibold text-gray-900">{renderInline(block.lines[0], key)}</h4>;
+        }
+        if (block.type === 'ul' || block.type === 'ol') {
+          const List = block.type;
+          return (
+            <List key={key} className={`${block.type === 'ul' ? 'list-disc' : 'list-decimal'} list-inside space-y-1`}>
+              {block.lines.map((line, i) => <li key={i}>{renderInline(line, `${key}-${i}`)}</li>)}
+            </List>
+          );
+        }
+        return (
+          <p key={key}>
+            {block.lines.map((line, i) => (
+              <Fragment key={i}>
+                {i > 0 && <br />}
+                {renderInline(line, `${key}-${i}`)}
+              </Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RichText;
@@ -0,0 +1,84 @@
+import { useRef, useState } from 'react';
+import RichText from './RichText';
+
+const TOOLBAR = [
+  { label: 'B', title: 'Bold', before: '**', after: '**', className: 'font-bold' },
+  { label: 'I', title: 'Italic', before: '_', after: '_', className: 'italic' },
+  { label: 'H', title: 'Heading', before: '# ', after: '', line: true },
+  { label: '•', title: 'Bulleted list', before: '- ', after: '', line: true },
+  { label: '1.', title: 'Numbered list', before: '1. ', after: '', line: true },
+  { label: 'Link', title: 'Link', before: '[', after: '](https://)' }
+];
+
+// Textarea with formatting buttons and a preview of the RichText markup
+const RichTextEditor = ({ value, onChange, rows = 6, maxLength, placeholder, required = false }) => {
+  const textareaRef = useRef(null);
+  const [preview, setPreview] = useState(false);
+
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const { selectionStart, selectionEnd } = textarea;
+    let start = selectionStart;
+    if (format.line) {
+      start = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    }
+
+    const selected = value.slice(start, selectionEnd);
+    const next = `${value.slice(0, start)}${format.before}${selected}${format.after}${value.slice(selectionEnd)}`;
+    onChange(next);
+
+    requestAnimationFrame(() => {
+      textarea.focus();
+      const cursor = start + format.before.length + selected.length;
+      textarea.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  return (
+    <div className="border border-gray-300 rounded-md">
+      <div className="flex items-center justify-between border-b border-gray-200 bg-gray-50 px-2 py-1">
+        <div className="flex space-x-1">
+          {TOOLBAR.map(format => (
+            <button
+              key={format.title}
+              type="button"
+              title={format.title}
+              onClick={() => applyFormat(format)}
+              disabled={preview}
+              className={`px-2 py-0.5 text-sm text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50 ${format.className || ''}`}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setPreview(!preview)}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          {preview ? 'Edit' : 'Preview'}
+        </button>
+      </div>
+      {preview ? (
+        <div className="p-3 min-h-[6rem]">
+          {value.trim() ? <RichText text={value} /> : <p className="text-sm text-gray-400">Nothing to preview</p>}
+        </div>
+      ) : (
+        <textarea
+          ref={textareaRef}
+          rows={rows}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={maxLength}
+          placeholder={placeholder}
+          required={required}
+          className="w-full border-0 focus:ring-0 rounded-b-md text-sm"
+        />
+      )}
+    </div>
+  );
+};
+
+export default RichTextEditor;
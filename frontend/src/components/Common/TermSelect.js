@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Dropdown of academic terms. An empty value means "all terms" (or "no term"
+// when used in a form via allLabel).
+const TermSelect = ({ value, onChange, allLabel = 'All Terms', className = 'input max-w-xs', required = false }) => {
+  const [terms, setTerms] = useState([]);
+
+  useEffect(() => {
+    const fetchTerms = async () => {
+      try {
+        const response = await axios.get('/api/terms');
+        setTerms(response.data.terms);
+      } catch (error) {
+        console.error('Error fetching terms:', error);
+      }
+    };
+
+    fetchTerms();
+  }, []);
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+      required={required}
+    >
+      <option value="">{allLabel}</option>
+      {terms.map(term => (
+        <option key={term._id} value={term._id}>{term.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default TermSelect;
@@ -11,10 +11,20 @@ import {
   DocumentIcon,
   PencilIcon,
   TrashIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  DocumentDuplicateIcon,
+  AcademicCapIcon,
+  ChatBubbleLeftRightIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TermSelect from '../Common/TermSelect';
+import { formatDate, formatDateTime } from '../../utils/dateUtils';
+import { getStaffRole, canRunCourse } from '../../utils/courseStaff';
 import CourseContentViewer from './CourseContentViewer';
+import CourseWaitlist from './CourseWaitlist';
+import CoursePrerequisites from './CoursePrerequisites';
+import CourseStaff from './CourseStaff';
+import AnnouncementFeed from '../Announcements/AnnouncementFeed';
 import toast from 'react-hot-toast';
 
 const CourseDetail = () => {
@@ -25,6 +35,9 @@ const CourseDetail = () => {
   const [loading, setLoading] = useState(true);
   const [isEnrolled, setIsEnrolled] = useState(false);
   const [enrollmentLoading, setEnrollmentLoading] = useState(false);
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
+  const [showCloneModal, setShowCloneModal] = useState(false);
+  const [cloneData, setCloneData] = useState({ termId: '', courseCode: '' });
 
   useEffect(() => {
     fetchCourseDetails();
@@ -53,11 +66,38 @@ const CourseDetail = () => {
         enrollment.course._id === id && enrollment.status === 'enrolled'
       );
       setIsEnrolled(enrolled);
+
+      const waitlistResponse = await axios.get(`/api/enrollments/waitlist/student/${user._id}`);
+      setWaitlistEntry(waitlistResponse.data.find(entry => entry.course?._id === id) || null);
     } catch (error) {
       console.error('Error checking enrollment:', error);
     }
   };
 
+  const handleJoinWaitlist = async () => {
+    try {
+      setEnrollmentLoading(true);
+      const response = await axios.post('/api/enrollments/waitlist', { courseId: id });
+      toast.success(response.data.message);
+      checkEnrollmentStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to join waitlist');
+    } finally {
+      setEnrollmentLoading(false);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    try {
+      const response = await axios.delete(`/api/enrollments/waitlist/${waitlistEntry._id}`);
+      toast.success(response.data.message);
+      setWaitlistEntry(null);
+      fetchCourseDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to leave waitlist');
+    }
+  };
+
   const handleEnroll = async () => {
     try {
       setEnrollmentLoading(true);
@@ -65,6 +105,7 @@ const CourseDetail = () => {
       const response = await axios.post('/api/enrollments', { courseId: id });
       console.log('Enrollment response:', response.data); // Debug log
       setIsEnrolled(true);
+      setWaitlistEntry(null);
       toast.success('Successfully enrolled in course!');
       fetchCourseDetails(); // Refresh to update enrollment count
     } catch (error) {
@@ -103,6 +144,18 @@ const CourseDetail = () => {
     }
   };
 
+  const handleCloneCourse = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/courses/${id}/clone`, cloneData);
+      toast.success(response.data.message);
+      setShowCloneModal(false);
+      navigate(`/courses/${response.data.course._id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to clone course');
+    }
+  };
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -115,8 +168,11 @@ const CourseDetail = () => {
     );
   }
 
-  const canEdit = user?.role === 'instructor' && course.instructor._id === user._id; // Removed admin from edit permissions
+  const staffRole = getStaffRole(course, user);
+  const canEdit = user?.role === 'instructor' && canRunCourse(staffRole); // Removed admin from edit permissions
   const canApprove = user?.role === 'admin'; // Separate permission for approval
+  const canManage = canEdit || user?.role === 'admin';
+  const enrollmentClosed = course.term && !course.term.isEnrollmentOpen;
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -157,6 +213,15 @@ const CourseDetail = () => {
                 <ClockIcon className="h-5 w-5 mr-3" />
                 <span>{course.currentEnrollment}/{course.maxStudents} enrolled</span>
               </div>
+
+              {course.term && (
+                <div className="flex items-center text-gray-600">
+                  <AcademicCapIcon className="h-5 w-5 mr-3" />
+                  <span>
+                    {course.term.name} • Enrollment {formatDate(course.term.enrollmentStart)} – {formatDate(course.term.enrollmentEnd)}
+                  </span>
+                </div>
+              )}
             </div>
           </div>
 
@@ -181,6 +246,29 @@ const CourseDetail = () => {
               </>
             )}
 
+            {(isEnrolled || canManage || staffRole) && (
+              <button
+                onClick={() => navigate(`/courses/${id}/forum`)}
+                className="btn btn-secondary flex items-center justify-center"
+              >
+                <ChatBubbleLeftRightIcon className="h-5 w-5 mr-2" />
+                Discussion Forum
+              </button>
+            )}
+
+            {canManage && (
+              <button
+                onClick={() => {
+                  setCloneData({ termId: '', courseCode: course.courseCode });
+                  setShowCloneModal(true);
+                }}
+                className="btn btn-secondary flex items-center justify-center"
+              >
+                <DocumentDuplicateIcon className="h-5 w-5 mr-2" />
+                Clone to Term
+              </button>
+            )}
+
             {canApprove && !course.isApproved && (
               <button
                 onClick={handleApproveCourse}
@@ -202,14 +290,48 @@ const CourseDetail = () => {
 
             {user?.role === 'student' && (
               <>
-                {!isEnrolled ? (
+                {!isEnrolled && waitlistEntry?.status === 'offered' ? (
+                  <>
+                    <button
+                      onClick={handleEnroll}
+                      disabled={enrollmentLoading}
+                      className="btn btn-primary disabled:opacity-50"
+                    >
+                      {enrollmentLoading ? 'Enrolling...' : 'Accept Seat'}
+                    </button>
+                    <p className="text-xs text-gray-600 text-center">
+                      Offer expires {formatDateTime(waitlistEntry.offerExpiresAt)}
+                    </p>
+                    <button onClick={handleLeaveWaitlist} className="btn btn-secondary">
+                      Decline Seat
+                    </button>
+                  </>
+                ) : !isEnrolled && waitlistEntry ? (
+                  <>
+                    <div className="text-center text-sm font-medium text-gray-700">
+                      Waitlist position #{waitlistEntry.position}
+                    </div>
+                    <button onClick={handleLeaveWaitlist} className="btn btn-secondary">
+                      Leave Waitlist
+                    </button>
+                  </>
+                ) : !isEnrolled && course.isApproved && !enrollmentClosed && course.currentEnrollment >= course.maxStudents ? (
+                  <button
+                    onClick={handleJoinWaitlist}
+                    disabled={enrollmentLoading}
+                    className="btn btn-primary disabled:opacity-50"
+                  >
+                    {enrollmentLoading ? 'Joining...' : 'Course Full – Join Waitlist'}
+                  </button>
+                ) : !isEnrolled ? (
                   <button
                     onClick={handleEnroll}
-                    disabled={enrollmentLoading || course.currentEnrollment >= course.maxStudents || !course.isApproved}
+                    disabled={enrollmentLoading || course.currentEnrollment >= course.maxStudents || !course.isApproved || enrollmentClosed}
                     className="btn btn-primary disabled:opacity-50"
                   >
                     {enrollmentLoading ? 'Enrolling...' :
                       !course.isApproved ? 'Pending Approval' :
+                        enrollmentClosed ? 'Enrollment Closed' :
                         course.currentEnrollment >= course.maxStudents ? 'Course Full' : 'Enroll Now'}
                   </button>
                 ) : (
@@ -226,6 +348,13 @@ const CourseDetail = () => {
         </div>
       </div>
 
+      {/* Announcements */}
+      {(isEnrolled || canManage || staffRole) && <AnnouncementFeed courseId={course._id} />}
+
+      {canManage && (
+        <CourseWaitlist course={course} onCapacityChanged={fetchCourseDetails} />
+      )}
+
       {/* Course Materials - Now visible to all users */}
       <CourseContentViewer
         materials={course.materials || []}
@@ -236,14 +365,54 @@ const CourseDetail = () => {
       />
 
       {/* Prerequisites */}
-      {course.prerequisites?.length > 0 && (
-        <div className="card">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Prerequisites</h2>
-          <ul className="list-disc list-inside space-y-1">
-            {course.prerequisites.map((prereq, index) => (
-              <li key={index} className="text-gray-700">{prereq}</li>
-            ))}
-          </ul>
+      <CoursePrerequisites
+        course={course}
+        canManage={canManage}
+        showStanding={user?.role === 'student' && !isEnrolled}
+        onUpdated={fetchCourseDetails}
+      />
+
+      {/* Teaching Team */}
+      <CourseStaff course={course} canManage={canManage} onUpdated={fetchCourseDetails} />
+
+      {/* Clone Course Modal */}
+      {showCloneModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Clone Course Offering</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Materials and assignments are copied. Assignment due dates move with the term and stay unpublished until you review them.
+            </p>
+            <form onSubmit={handleCloneCourse} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Target Term *</label>
+                <TermSelect
+                  value={cloneData.termId}
+                  onChange={(termId) => setCloneData({ ...cloneData, termId })}
+                  allLabel="Select term"
+                  className="input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Course Code</label>
+                <input
+                  type="text"
+                  value={cloneData.courseCode}
+                  onChange={(e) => setCloneData({ ...cloneData, courseCode: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button type="button" onClick={() => setShowCloneModal(false)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Clone
+                </button>
+              </div>
+            </form>
+          </div>
         </div>
       )}
     </div>
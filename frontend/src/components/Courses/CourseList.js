@@ -12,6 +12,7 @@ import {
   CurrencyDollarIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TermSelect from '../Common/TermSelect';
 import toast from 'react-hot-toast';
 
 const CourseList = () => {
@@ -21,6 +22,7 @@ const CourseList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
   const [selectedLevel, setSelectedLevel] = useState('');
+  const [selectedTerm, setSelectedTerm] = useState('');
   const [pagination, setPagination] = useState({});
 
   const categories = [
@@ -32,7 +34,7 @@ const CourseList = () => {
 
   useEffect(() => {
     fetchCourses();
-  }, [searchTerm, selectedCategory, selectedLevel]);
+  }, [searchTerm, selectedCategory, selectedLevel, selectedTerm]);
 
   const fetchCourses = async (page = 1) => {
     try {
@@ -45,6 +47,7 @@ const CourseList = () => {
       if (searchTerm) params.append('search', searchTerm);
       if (selectedCategory) params.append('category', selectedCategory);
       if (selectedLevel) params.append('level', selectedLevel);
+      if (selectedTerm) params.append('term', selectedTerm);
 
       console.log('Fetching courses with params:', params.toString()); // Debug log
       
@@ -89,6 +92,7 @@ const CourseList = () => {
     setSearchTerm('');
     setSelectedCategory('');
     setSelectedLevel('');
+    setSelectedTerm('');
   };
 
   if (loading && courses.length === 0) {
@@ -119,7 +123,7 @@ const CourseList = () => {
 
       {/* Search and Filters */}
       <div className="card">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           {/* Search */}
           <div className="relative">
             <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
@@ -160,6 +164,9 @@ const CourseList = () => {
             ))}
           </select>
 
+          {/* Term Filter */}
+          <TermSelect value={selectedTerm} onChange={setSelectedTerm} className="input" />
+
           {/* Clear Filters */}
           <button
             onClick={clearFilters}
@@ -193,7 +200,9 @@ const CourseList = () => {
                   <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">
                     {course.title}
                   </h3>
-                  <p className="text-sm text-gray-600 mt-1">{course.courseCode}</p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {course.courseCode}{course.term && ` • ${course.term.name}`}
+                  </p>
                   {!course.isApproved && (
                     <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 mt-1">
                       Pending Approval
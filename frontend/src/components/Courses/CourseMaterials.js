@@ -15,6 +15,7 @@ import {
 import LoadingSpinner from '../Common/LoadingSpinner';
 import MaterialUpload from './MaterialUpload';
 import toast from 'react-hot-toast';
+import { getStaffRole, canRunCourse } from '../../utils/courseStaff';
 
 const CourseMaterials = () => {
   const { id } = useParams();
@@ -121,7 +122,7 @@ const CourseMaterials = () => {
     return <div className="text-center py-12">Course not found</div>;
   }
 
-  const canEdit = user?.role === 'instructor' && course.instructor._id === user._id || user?.role === 'admin';
+  const canEdit = (user?.role === 'instructor' && canRunCourse(getStaffRole(course, user))) || user?.role === 'admin';
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -202,6 +202,9 @@ const CoursePerformance = () => {
         {/* Grade Distribution */}
         <div className="card">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Grade Distribution</h2>
+          {performanceData.gradingScale && (
+            <p className="text-sm text-gray-600 -mt-2 mb-4">{performanceData.gradingScale.name}</p>
+          )}
           <div className="space-y-4">
             {Object.entries(performanceData.gradeDistribution).map(([grade, count]) => {
               const total = Object.values(performanceData.gradeDistribution).reduce((sum, c) => sum + c, 0);
@@ -209,15 +212,14 @@ const CoursePerformance = () => {
               
               return (
                 <div key={grade} className="flex items-center">
-                  <div className="w-8 text-sm font-medium text-gray-900">{grade}</div>
+                  <div className="w-10 text-sm font-medium text-gray-900">{grade}</div>
                   <div className="flex-1 mx-4">
                     <div className="w-full bg-gray-200 rounded-full h-4">
                       <div 
                         className={`h-4 rounded-full ${
-                          grade === 'A' ? 'bg-green-500' :
-                          grade === 'B' ? 'bg-blue-500' :
-                          grade === 'C' ? 'bg-yellow-500' :
-                          grade === 'D' ? 'bg-orange-500' : 'bg-red-500'
+                          performanceData.gradingScale?.passingLetters?.includes(grade)
+                            ? 'bg-green-500'
+                            : 'bg-red-500'
                         }`}
                         style={{ width: `${percentage}%` }}
                       ></div>
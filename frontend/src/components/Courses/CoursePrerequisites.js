@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import PrerequisiteFields from './PrerequisiteFields';
+import { formatDate } from '../../utils/dateUtils';
+
+// Prerequisites of a course: the student's standing against them, and for the
+// course owner or an admin, editing and per-student overrides
+const CoursePrerequisites = ({ course, canManage, showStanding, onUpdated }) => {
+  const [standing, setStanding] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [overrides, setOverrides] = useState([]);
+  const [overrideForm, setOverrideForm] = useState({ email: '', reason: '' });
+
+  const prerequisites = course.prerequisites || [];
+
+  const courseId = course._id;
+
+  const fetchStanding = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/prerequisites/check`);
+      setStanding(response.data);
+    } catch (error) {
+      console.error('Error checking prerequisites:', error);
+    }
+  }, [courseId]);
+
+  const fetchOverrides = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/prerequisite-overrides`);
+      setOverrides(response.data);
+    } catch (error) {
+      console.error('Error fetching prerequisite overrides:', error);
+    }
+  }, [courseId]);
+
+  // Recheck the standing whenever the prerequisites themselves change
+  useEffect(() => {
+    if (showStanding && course.prerequisites?.length > 0) {
+      fetchStanding();
+    }
+  }, [course.prerequisites, showStanding, fetchStanding]);
+
+  useEffect(() => {
+    if (canManage) {
+      fetchOverrides();
+    }
+  }, [canManage, fetchOverrides]);
+
+  const startEditing = () => {
+    setRows(prerequisites.map(p => ({
+      course: p.course?._id || '',
+      courseLabel: p.course ? `${p.course.courseCode} - ${p.course.title}` : '',
+      minimumGrade: p.minimumGrade || ''
+    })));
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await axios.put(`/api/courses/${course._id}/prerequisites`, {
+        prerequisites: rows
+          .filter(row => row.course)
+          .map(row => ({ course: row.course, minimumGrade: row.minimumGrade || undefined }))
+      });
+      toast.success('Prerequisites updated');
+      setEditing(false);
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update prerequisites');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGrantOverride = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/courses/${course._id}/prerequisite-overrides`, overrideForm);
+      toast.success(response.data.message);
+      setOverrideForm({ email: '', reason: '' });
+      fetchOverrides();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to grant override');
+    }
+  };
+
+  const handleRevokeOverride = async (overrideId) => {
+    if (!window.confirm('Revoke this override? Existing enrollments are not affected.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/courses/${course._id}/prerequisite-overrides/${overrideId}`);
+      toast.success('Override revoked');
+      fetchOverrides();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke override');
+    }
+  };
+
+  if (prerequisites.length === 0 && !canManage) {
+    return null;
+  }
+
+  const standingFor = (prereq) =>
+    standing?.prerequisites.find(result => result.course?._id === prereq.course?._id);
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Prerequisites</h2>
+        {canManage && !editing && (
+          <button onClick={startEditing} className="btn btn-secondary btn-sm">
+            Edit
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-4">
+          <PrerequisiteFields value={rows} onChange={setRows} excludeCode={course.courseCode} />
+          <div className="flex space-x-2">
+            <button onClick={handleSave} disabled={saving} className="btn btn-primary btn-sm disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button onClick={() => setEditing(false)} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : prerequisites.length === 0 ? (
+        <p className="text-sm text-gray-500">This course has no prerequisites.</p>
+      ) : (
+        <ul className="space-y-2">
+          {prerequisites.map((prereq, index) => {
+            const result = standingFor(prereq);
+            return (
+              <li key={index} className="flex items-start">
+                {result && (result.met
+                  ? <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2 flex-shrink-0" />
+                  : <XCircleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0" />
+                )}
+                <div>
+                  {prereq.course ? (
+                    <Link to={`/courses/${prereq.course._id}`} className="text-gray-900 hover:text-blue-600">
+                      {prereq.course.courseCode} - {prereq.course.title}
+                    </Link>
+                  ) : (
+                    <span className="text-gray-500">Course no longer available</span>
+                  )}
+                  <span className="text-sm text-gray-600">
+                    {prereq.minimumGrade ? ` (${prereq.minimumGrade} or better)` : ' (any passing grade)'}
+                  </span>
+                  {result && !result.met && (
+                    <p className="text-sm text-red-600">{result.reason}</p>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {standing?.overridden && (
+        <p className="mt-4 text-sm text-blue-700 bg-blue-50 p-3 rounded-md">
+          Your instructor has granted you an override, so you can enroll without meeting these prerequisites.
+        </p>
+      )}
+
+      {canManage && (
+        <div className="mt-6 border-t pt-4">
+          <h3 className="text-lg font-medium text-gray-900 mb-3">Prerequisite Overrides</h3>
+          <form onSubmit={handleGrantOverride} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+            <input
+              type="email"
+              value={overrideForm.email}
+              onChange={(e) => setOverrideForm({ ...overrideForm, email: e.target.value })}
+              className="input"
+              placeholder="Student email"
+              required
+            />
+            <input
+              type="text"
+              value={overrideForm.reason}
+              onChange={(e) => setOverrideForm({ ...overrideForm, reason: e.target.value })}
+              className="input"
+              placeholder="Reason"
+              maxLength={500}
+              required
+            />
+            <button type="submit" className="btn btn-primary">
+              Grant Override
+            </button>
+          </form>
+
+          {overrides.length === 0 ? (
+            <p className="text-sm text-gray-500">No overrides granted.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {overrides.map(override => (
+                <li key={override._id} className="py-2 flex items-center justify-between">
+                  <div className="text-sm">
+                    <p className="text-gray-900">
+                      {override.student?.firstName} {override.student?.lastName}
+                      <span className="text-gray-500"> ({override.student?.email})</span>
+                    </p>
+                    <p className="text-gray-600">
+                      {override.reason} — granted by {override.grantedBy?.firstName} {override.grantedBy?.lastName} on {formatDate(override.grantedAt)}
+                    </p>
+                  </div>
+                  <button onClick={() => handleRevokeOverride(override._id)} className="btn btn-danger btn-sm">
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoursePrerequisites;
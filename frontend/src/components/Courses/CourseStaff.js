@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { STAFF_ROLE_LABELS } from '../../utils/courseStaff';
+
+// Teaching team of a course; people who may edit the course add, change and remove staff
+const CourseStaff = ({ course, canManage, onUpdated }) => {
+  const [form, setForm] = useState({ email: '', role: 'teaching_assistant' });
+
+  const staff = course.staff || [];
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/courses/${course._id}/staff`, form);
+      toast.success(response.data.message);
+      setForm({ email: '', role: form.role });
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add staff member');
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await axios.put(`/api/courses/${course._id}/staff/${member.user._id}`, { role });
+      toast.success('Staff role updated');
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update staff role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.user.firstName} ${member.user.lastName} from the course staff?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/courses/${course._id}/staff/${member.user._id}`);
+      toast.success('Staff member removed');
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove staff member');
+    }
+  };
+
+  if (staff.length === 0 && !canManage) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Teaching Team</h2>
+
+      <ul className="divide-y divide-gray-200">
+        <li className="py-2 flex items-center justify-between text-sm">
+          <span className="text-gray-900">
+            {course.instructor.firstName} {course.instructor.lastName}
+          </span>
+          <span className="text-gray-600">{STAFF_ROLE_LABELS.lead}</span>
+        </li>
+        {staff.map(member => (
+          <li key={member._id} className="py-2 flex items-center justify-between text-sm">
+            <span className="text-gray-900">
+              {member.user?.firstName} {member.user?.lastName}
+              {canManage && <span className="text-gray-500"> ({member.user?.email})</span>}
+            </span>
+            {canManage ? (
+              <div className="flex items-center space-x-2">
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  className="input py-1 text-sm"
+                >
+                  <option value="co_instructor">{STAFF_ROLE_LABELS.co_instructor}</option>
+                  <option value="teaching_assistant">{STAFF_ROLE_LABELS.teaching_assistant}</option>
+                </select>
+                <button onClick={() => handleRemove(member)} className="btn btn-danger btn-sm">
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <span className="text-gray-600">{STAFF_ROLE_LABELS[member.role]}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <div className="mt-4 border-t pt-4">
+          <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              className="input"
+              placeholder="Instructor email"
+              required
+            />
+            <select
+              value={form.role}
+              onChange={(e) => setForm({ ...form, role: e.target.value })}
+              className="input"
+            >
+              <option value="teaching_assistant">{STAFF_ROLE_LABELS.teaching_assistant}</option>
+              <option value="co_instructor">{STAFF_ROLE_LABELS.co_instructor}</option>
+            </select>
+            <button type="submit" className="btn btn-primary">
+              Add to Staff
+            </button>
+          </form>
+          <p className="mt-2 text-xs text-gray-500">
+            Co-instructors can do everything the lead instructor can. Teaching assistants can grade submissions and mark attendance, but cannot change course settings or finalize grades.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseStaff;
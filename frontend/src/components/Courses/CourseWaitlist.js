@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDate, formatDateTime } from '../../utils/dateUtils';
+
+// Waitlist queue and capacity controls for the course owner or an admin
+const CourseWaitlist = ({ course, onCapacityChanged }) => {
+  const [entries, setEntries] = useState([]);
+  const [maxStudents, setMaxStudents] = useState(course.maxStudents);
+  const [saving, setSaving] = useState(false);
+
+  const courseId = course._id;
+
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/enrollments/waitlist/course/${courseId}`);
+      setEntries(response.data);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [fetchWaitlist]);
+
+  useEffect(() => {
+    setMaxStudents(course.maxStudents);
+  }, [course.maxStudents]);
+
+  const handleCapacitySubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/courses/${course._id}/capacity`, {
+        maxStudents: parseInt(maxStudents, 10)
+      });
+      toast.success(
+        response.data.offered > 0
+          ? `${response.data.message}. ${response.data.offered} seat(s) offered from the waitlist.`
+          : response.data.message
+      );
+      onCapacityChanged();
+      fetchWaitlist();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update capacity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const waiting = entries.filter(entry => entry.status === 'waiting');
+
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Waitlist</h2>
+          <p className="text-sm text-gray-600">
+            {course.currentEnrollment}/{course.maxStudents} enrolled • {waiting.length} waiting
+          </p>
+        </div>
+        <form onSubmit={handleCapacitySubmit} className="flex items-center space-x-2">
+          <label htmlFor="maxStudents" className="text-sm font-medium text-gray-700">
+            Capacity
+          </label>
+          <input
+            id="maxStudents"
+            type="number"
+            min={Math.max(course.currentEnrollment, 1)}
+            value={maxStudents}
+            onChange={(e) => setMaxStudents(e.target.value)}
+            className="input w-24"
+            required
+          />
+          <button
+            type="submit"
+            disabled={saving || parseInt(maxStudents, 10) === course.maxStudents}
+            className="btn btn-primary btn-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Update'}
+          </button>
+        </form>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No students are on the waitlist.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.map((entry) => (
+                <tr key={entry._id}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {entry.student?.firstName} {entry.student?.lastName}
+                    <div className="text-xs text-gray-500">{entry.student?.email}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-600">{formatDate(entry.joinedAt)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {entry.status === 'offered' ? (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Offered until {formatDateTime(entry.offerExpiresAt)}
+                      </span>
+                    ) : (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                        #{waiting.indexOf(entry) + 1} in line
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseWaitlist;
@@ -11,6 +11,8 @@ import {
   CloudArrowUpIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import TermSelect from '../Common/TermSelect';
+import PrerequisiteFields from './PrerequisiteFields';
 
 const CreateCourse = () => {
   const navigate = useNavigate();
@@ -26,8 +28,9 @@ const CreateCourse = () => {
     fees: 0,
     category: '',
     level: 'Beginner',
-    prerequisites: [''],
+    prerequisites: [],
     materials: [],
+    term: '',
     instructor: '' // For admin to select instructor
   });
 
@@ -64,24 +67,6 @@ const CreateCourse = () => {
     }));
   };
 
-  const handlePrerequisiteChange = (index, value) => {
-    const newPrerequisites = [...formData.prerequisites];
-    newPrerequisites[index] = value;
-    setFormData(prev => ({ ...prev, prerequisites: newPrerequisites }));
-  };
-
-  const addPrerequisite = () => {
-    setFormData(prev => ({
-      ...prev,
-      prerequisites: [...prev.prerequisites, '']
-    }));
-  };
-
-  const removePrerequisite = (index) => {
-    const newPrerequisites = formData.prerequisites.filter((_, i) => i !== index);
-    setFormData(prev => ({ ...prev, prerequisites: newPrerequisites }));
-  };
-
   // Material handling functions
   const addMaterial = () => {
     setFormData(prev => ({
@@ -217,7 +202,9 @@ const CreateCourse = () => {
       // Clean up prerequisites and prepare materials
       const cleanedData = {
         ...formData,
-        prerequisites: formData.prerequisites.filter(p => p.trim() !== ''),
+        prerequisites: formData.prerequisites
+          .filter(p => p.course)
+          .map(p => ({ course: p.course, minimumGrade: p.minimumGrade || undefined })),
         materials: formData.materials.map(material => ({
           title: material.title,
           type: material.type,
@@ -323,6 +310,18 @@ const CreateCourse = () => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Term
+              </label>
+              <TermSelect
+                value={formData.term}
+                onChange={(term) => setFormData(prev => ({ ...prev, term }))}
+                allLabel="No specific term"
+                className="input"
+              />
+            </div>
+
             {/* Instructor Selection - Only for Admin */}
             {user?.role === 'admin' && (
               <div>
@@ -414,38 +413,15 @@ const CreateCourse = () => {
 
         {/* Prerequisites */}
         <div className="card">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-gray-900">Prerequisites</h2>
-            <button
-              type="button"
-              onClick={addPrerequisite}
-              className="btn btn-secondary btn-sm flex items-center"
-            >
-              <PlusIcon className="h-4 w-4 mr-1" />
-              Add
-            </button>
-          </div>
-          
-          <div className="space-y-3">
-            {formData.prerequisites.map((prereq, index) => (
-              <div key={index} className="flex items-center space-x-3">
-                <input
-                  type="text"
-                  value={prereq}
-                  onChange={(e) => handlePrerequisiteChange(index, e.target.value)}
-                  className="input flex-1"
-                  placeholder="Enter prerequisite"
-                />
-                <button
-                  type="button"
-                  onClick={() => removePrerequisite(index)}
-                  className="btn btn-danger btn-sm"
-                >
-                  <TrashIcon className="h-4 w-4" />
-                </button>
-              </div>
-            ))}
-          </div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Prerequisites</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Students must have completed these courses before they can enroll.
+          </p>
+          <PrerequisiteFields
+            value={formData.prerequisites}
+            onChange={(prerequisites) => setFormData(prev => ({ ...prev, prerequisites }))}
+            excludeCode={formData.courseCode}
+          />
         </div>
 
         {/* Course Materials */}
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+// Editable list of prerequisite rows ({ course, minimumGrade }). Courses are
+// offered once per course code; grades come from the institution default scale.
+const PrerequisiteFields = ({ value, onChange, excludeCode = '' }) => {
+  const [courses, setCourses] = useState([]);
+  const [letters, setLetters] = useState([]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [coursesResponse, scalesResponse] = await Promise.all([
+          axios.get('/api/courses', { params: { limit: 100 } }),
+          axios.get('/api/grading-scales')
+        ]);
+
+        const byCode = new Map();
+        coursesResponse.data.courses.forEach(course => {
+          if (!byCode.has(course.courseCode)) {
+            byCode.set(course.courseCode, course);
+          }
+        });
+        setCourses([...byCode.values()].sort((a, b) => a.courseCode.localeCompare(b.courseCode)));
+
+        const bands = scalesResponse.data.defaultScale?.bands || [];
+        setLetters(bands.filter(band => band.isPassing).map(band => band.letter));
+      } catch (error) {
+        console.error('Error fetching prerequisite options:', error);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const updateRow = (index, field, fieldValue) => {
+    const rows = [...value];
+    rows[index] = { ...rows[index], [field]: fieldValue };
+    onChange(rows);
+  };
+
+  const options = courses.filter(course => course.courseCode !== excludeCode.toUpperCase());
+
+  return (
+    <div className="space-y-3">
+      {value.map((row, index) => (
+        <div key={index} className="flex items-center space-x-3">
+          <select
+            value={row.course}
+            onChange={(e) => updateRow(index, 'course', e.target.value)}
+            className="input flex-1"
+          >
+            <option value="">Select course</option>
+            {/* Keep the saved course selectable even if it is outside the fetched page */}
+            {row.courseLabel && !options.some(course => course._id === row.course) && (
+              <option value={row.course}>{row.courseLabel}</option>
+            )}
+            {options.map(course => (
+              <option key={course._id} value={course._id}>
+                {course.courseCode} - {course.title}
+              </option>
+            ))}
+          </select>
+          <select
+            value={row.minimumGrade || ''}
+            onChange={(e) => updateRow(index, 'minimumGrade', e.target.value)}
+            className="input w-40"
+          >
+            <option value="">Any passing grade</option>
+            {row.minimumGrade && !letters.includes(row.minimumGrade) && (
+              <option value={row.minimumGrade}>{row.minimumGrade} or better</option>
+            )}
+            {letters.map(letter => (
+              <option key={letter} value={letter}>{letter} or better</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            className="btn btn-danger btn-sm"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...value, { course: '', minimumGrade: '' }])}
+        className="btn btn-secondary btn-sm flex items-center"
+      >
+        <PlusIcon className="h-4 w-4 mr-1" />
+        Add Prerequisite
+      </button>
+    </div>
+  );
+};
+
+export default PrerequisiteFields;
@@ -11,22 +11,26 @@ import {
   PlusIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TermSelect from '../Common/TermSelect';
 import { formatDate } from '../../utils/dateUtils';
 
 const AdminDashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [selectedTerm, setSelectedTerm] = useState('');
 
   const fetchDashboardData = useCallback(async () => {
     try {
-      const response = await axios.get('/api/analytics/dashboard');
+      const response = await axios.get('/api/analytics/dashboard', {
+        params: selectedTerm ? { term: selectedTerm } : {}
+      });
       setDashboardData(response.data);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [selectedTerm]);
 
   useEffect(() => {
     fetchDashboardData();
@@ -77,6 +81,12 @@ const AdminDashboard = () => {
         </p>
       </div>
 
+      {/* Term Filter */}
+      <div className="flex items-center justify-end">
+        <label className="text-sm font-medium text-gray-700 mr-3">Term</label>
+        <TermSelect value={selectedTerm} onChange={setSelectedTerm} />
+      </div>
+
       {/* System Status */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="card">
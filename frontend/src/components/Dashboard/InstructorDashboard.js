@@ -11,6 +11,7 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TermSelect from '../Common/TermSelect';
 import { formatDate } from '../../utils/dateUtils';
 
 const InstructorDashboard = () => {
@@ -18,22 +19,27 @@ const InstructorDashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [coursePerformance, setCoursePerformance] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [selectedTerm, setSelectedTerm] = useState('');
 
   const fetchDashboardData = useCallback(async () => {
     try {
-      const response = await axios.get('/api/analytics/dashboard');
+      const response = await axios.get('/api/analytics/dashboard', {
+        params: selectedTerm ? { term: selectedTerm } : {}
+      });
       setDashboardData(response.data);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [selectedTerm]);
 
   const fetchCoursePerformance = useCallback(async () => {
     try {
       // First get instructor's courses
-      const coursesResponse = await axios.get(`/api/courses/instructor/${user._id}`);
+      const coursesResponse = await axios.get(`/api/courses/instructor/${user._id}`, {
+        params: selectedTerm ? { term: selectedTerm } : {}
+      });
       const courses = coursesResponse.data;
       
       // Then fetch performance data for each course
@@ -60,7 +66,7 @@ const InstructorDashboard = () => {
     } catch (error) {
       console.error('Error fetching course performance:', error);
     }
-  }, [user?._id]);
+  }, [user?._id, selectedTerm]);
 
   useEffect(() => {
     fetchDashboardData();
@@ -131,6 +137,12 @@ const InstructorDashboard = () => {
         </p>
       </div>
 
+      {/* Term Filter */}
+      <div className="flex items-center justify-end">
+        <label className="text-sm font-medium text-gray-700 mr-3">Term</label>
+        <TermSelect value={selectedTerm} onChange={setSelectedTerm} />
+      </div>
+
       {/* Quick Actions */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <Link
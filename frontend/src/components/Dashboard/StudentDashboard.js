@@ -10,6 +10,7 @@ import {
   ClockIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import AnnouncementFeed from '../Announcements/AnnouncementFeed';
 import { formatDateTime, isValidDate } from '../../utils/dateUtils';
 
 const StudentDashboard = () => {
@@ -187,6 +188,9 @@ const StudentDashboard = () => {
           ))}
         </div>
       </div>
+
+      {/* Announcements from enrolled courses */}
+      <AnnouncementFeed limit={10} />
     </div>
   );
 };
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import {
   BookOpenIcon,
   ChartBarIcon,
@@ -10,10 +11,12 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDateTime } from '../../utils/dateUtils';
 
 const MyEnrollments = () => {
   const { user } = useAuth();
   const [enrollments, setEnrollments] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -22,8 +25,12 @@ const MyEnrollments = () => {
 
   const fetchEnrollments = async () => {
     try {
-      const response = await axios.get(`/api/enrollments/student/${user._id}`);
-      setEnrollments(response.data);
+      const [enrollmentsResponse, waitlistResponse] = await Promise.all([
+        axios.get(`/api/enrollments/student/${user._id}`),
+        axios.get(`/api/enrollments/waitlist/student/${user._id}`)
+      ]);
+      setEnrollments(enrollmentsResponse.data);
+      setWaitlist(waitlistResponse.data);
     } catch (error) {
       console.error('Error fetching enrollments:', error);
     } finally {
@@ -31,6 +38,26 @@ const MyEnrollments = () => {
     }
   };
 
+  const handleAcceptSeat = async (entry) => {
+    try {
+      await axios.post('/api/enrollments', { courseId: entry.course._id });
+      toast.success(`Enrolled in ${entry.course.title}`);
+      fetchEnrollments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept seat');
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry) => {
+    try {
+      const response = await axios.delete(`/api/enrollments/waitlist/${entry._id}`);
+      toast.success(response.data.message);
+      fetchEnrollments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to leave waitlist');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'enrolled':
@@ -120,6 +147,39 @@ const MyEnrollments = () => {
         </div>
       </div>
 
+      {/* Waitlists */}
+      {waitlist.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Waitlists</h2>
+          <div className="divide-y divide-gray-200">
+            {waitlist.map((entry) => (
+              <div key={entry._id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div>
+                  <Link to={`/courses/${entry.course._id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                    {entry.course.title}
+                  </Link>
+                  <p className="text-sm text-gray-600">
+                    {entry.course.courseCode} • {entry.status === 'offered'
+                      ? `Seat offered — accept by ${formatDateTime(entry.offerExpiresAt)}`
+                      : `Position #${entry.position} in line`}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  {entry.status === 'offered' && (
+                    <button onClick={() => handleAcceptSeat(entry)} className="btn btn-primary btn-sm">
+                      Accept Seat
+                    </button>
+                  )}
+                  <button onClick={() => handleLeaveWaitlist(entry)} className="btn btn-secondary btn-sm">
+                    {entry.status === 'offered' ? 'Decline' : 'Leave Waitlist'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Course List */}
       {enrollments.length === 0 ? (
         <div className="text-center py-12">
@@ -141,6 +201,11 @@ const MyEnrollments = () => {
                 </span>
                 <span className="text-sm text-gray-500">
                   {enrollment.course.credits} credits
+                  {enrollment.course.fees > 0 && enrollment.status !== 'dropped' && (
+                    <Link to="/billing" className="ml-2 hover:text-blue-600">
+                      • Fees {enrollment.paymentStatus === 'completed' ? 'paid' : enrollment.paymentStatus}
+                    </Link>
+                  )}
                 </span>
               </div>
 
@@ -149,7 +214,9 @@ const MyEnrollments = () => {
                 <h3 className="text-lg font-semibold text-gray-900 mb-1">
                   {enrollment.course.title}
                 </h3>
-                <p className="text-sm text-gray-600 mb-2">{enrollment.course.courseCode}</p>
+                <p className="text-sm text-gray-600 mb-2">
+                  {enrollment.course.courseCode}{enrollment.term && ` • ${enrollment.term.name}`}
+                </p>
                 
                 <div className="flex items-center text-sm text-gray-600">
                   <UserIcon className="h-4 w-4 mr-1" />
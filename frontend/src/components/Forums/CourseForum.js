@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  ChatBubbleLeftRightIcon,
+  ArrowUpIcon,
+  LockClosedIcon,
+  CheckBadgeIcon,
+  MagnifyingGlassIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import RichTextEditor from '../Common/RichTextEditor';
+import { formatDateTime } from '../../utils/dateUtils';
+
+const SORTS = [
+  { value: 'recent', label: 'Recent' },
+  { value: 'top', label: 'Top' },
+  { value: 'unanswered', label: 'Unanswered' }
+];
+
+const emptyForm = { title: '', body: '', isAnonymous: false };
+
+export const authorName = (item) => {
+  if (!item.author) {
+    return 'Anonymous';
+  }
+  const name = `${item.author.firstName} ${item.author.lastName}`;
+  return item.isAnonymous ? `${name} (anonymous to students)` : name;
+};
+
+// Topic list for one course's discussion board
+const CourseForum = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [course, setCourse] = useState(null);
+  const [topics, setTopics] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState('recent');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTopics = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/forums/course/${id}/topics`, {
+        params: { page, sort, search: search || undefined }
+      });
+      setCourse(response.data.course);
+      setTopics(response.data.topics);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching topics:', err);
+      setError(err.response?.data?.message || 'Failed to load the forum');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, page, sort, search]);
+
+  useEffect(() => {
+    fetchTopics();
+  }, [fetchTopics]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.post(`/api/forums/course/${id}/topics`, form);
+      toast.success(response.data.message);
+      setShowForm(false);
+      setForm(emptyForm);
+      navigate(`/courses/${id}/forum/${response.data.topic._id}`);
+    } catch (err) {
+      console.error('Error creating topic:', err);
+      toast.error(err.response?.data?.message || 'Failed to post topic');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <h2 className="text-xl font-semibold text-gray-900">{error}</h2>
+        <Link to={`/courses/${id}`} className="text-primary-600 hover:text-primary-500 mt-2 inline-block">
+          Back to course
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <Link to={`/courses/${id}`} className="text-sm text-gray-600 hover:text-gray-900 flex items-center mb-2">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to course
+        </Link>
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Discussion Forum</h1>
+            <p className="text-gray-600">{course?.courseCode} – {course?.title}</p>
+          </div>
+          <button onClick={() => setShowForm(true)} className="btn btn-primary">
+            New Topic
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+          <div className="flex space-x-2">
+            {SORTS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => { setSort(option.value); setPage(1); }}
+                className={`px-3 py-1 rounded-full text-sm ${sort === option.value ? 'bg-primary-100 text-primary-800' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <form onSubmit={handleSearch} className="flex items-center">
+            <div className="relative">
+              <MagnifyingGlassIcon className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search topics"
+                className="input pl-9"
+              />
+            </div>
+          </form>
+        </div>
+
+        {topics.length === 0 ? (
+          <div className="text-center py-8">
+            <ChatBubbleLeftRightIcon className="h-10 w-10 text-gray-300 mx-auto mb-2" />
+            <p className="text-gray-500">{search ? 'No topics match your search' : 'No topics yet. Start the conversation!'}</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {topics.map(topic => (
+              <Link
+                key={topic._id}
+                to={`/courses/${id}/forum/${topic._id}`}
+                className="flex items-start py-4 hover:bg-gray-50 -mx-2 px-2 rounded"
+              >
+                <div className="flex flex-col items-center w-12 mr-4 text-gray-500">
+                  <ArrowUpIcon className={`h-4 w-4 ${topic.hasUpvoted ? 'text-primary-600' : ''}`} />
+                  <span className="text-sm font-medium">{topic.upvoteCount}</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <span className="font-medium text-gray-900">{topic.title}</span>
+                    {topic.pinned && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Pinned</span>
+                    )}
+                    {topic.locked && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 flex items-center">
+                        <LockClosedIcon className="h-3 w-3 mr-1" />
+                        Locked
+                      </span>
+                    )}
+                    {topic.hasEndorsedAnswer && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 flex items-center">
+                        <CheckBadgeIcon className="h-3 w-3 mr-1" />
+                        Answered
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1 truncate">{topic.excerpt}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {authorName(topic)} · {topic.replyCount} {topic.replyCount === 1 ? 'reply' : 'replies'} · Last activity {formatDateTime(topic.lastActivityAt)}
+                  </p>
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-between mt-4 pt-4 border-t">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrev}
+              className="btn btn-secondary btn-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNext}
+              className="btn btn-secondary btn-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* New Topic Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">New Topic</h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  className="input"
+                  maxLength={200}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Question or comment *</label>
+                <RichTextEditor
+                  value={form.body}
+                  onChange={(body) => setForm({ ...form, body })}
+                  rows={8}
+                  maxLength={10000}
+                  required
+                />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.isAnonymous}
+                  onChange={(e) => setForm({ ...form, isAnonymous: e.target.checked })}
+                  className="mr-2"
+                />
+                Post anonymously (your name is still visible to the instructor)
+              </label>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+                  {saving ? 'Posting...' : 'Post Topic'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseForum;
@@ -0,0 +1,506 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  ArrowUpIcon,
+  LockClosedIcon,
+  CheckBadgeIcon,
+  BellIcon,
+  BellSlashIcon,
+  PencilIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import RichText from '../Common/RichText';
+import RichTextEditor from '../Common/RichTextEditor';
+import { formatDateTime } from '../../utils/dateUtils';
+import { authorName } from './CourseForum';
+
+const ReplyForm = ({ onSubmit, onCancel, initialBody = '', submitLabel = 'Reply', allowAnonymous = true }) => {
+  const [body, setBody] = useState(initialBody);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSubmit({ body, isAnonymous });
+    setSaving(false);
+    if (saved && !onCancel) {
+      setBody('');
+      setIsAnonymous(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <RichTextEditor value={body} onChange={setBody} rows={4} maxLength={10000} required />
+      <div className="flex items-center justify-between">
+        {allowAnonymous ? (
+          <label className="flex items-center text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={isAnonymous}
+              onChange={(e) => setIsAnonymous(e.target.checked)}
+              className="mr-2"
+            />
+            Anonymous to other students
+          </label>
+        ) : <span />}
+        <div className="flex space-x-2">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          )}
+          <button type="submit" disabled={saving || !body.trim()} className="btn btn-primary btn-sm disabled:opacity-50">
+            {saving ? 'Saving...' : submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+// One reply with its nested children
+const PostNode = ({ post, childrenOf, canReply, canModerate, locked, actions }) => {
+  const [mode, setMode] = useState(null);
+  const children = childrenOf[post._id] || [];
+
+  return (
+    <div className={post.depth > 0 ? 'ml-6 pl-4 border-l-2 border-gray-100' : ''}>
+      <div className={`p-4 rounded-lg border ${post.endorsed ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}>
+        {post.isDeleted ? (
+          <p className="text-sm text-gray-400 italic">This reply was deleted.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs text-gray-500">
+                <span className="font-medium text-gray-700">{authorName(post)}</span>
+                {post.author?.role === 'instructor' && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">Instructor</span>
+                )}
+                {' · '}{formatDateTime(post.createdAt)}
+                {post.editedAt && ' · edited'}
+              </p>
+              {post.endorsed && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 flex items-center">
+                  <CheckBadgeIcon className="h-3 w-3 mr-1" />
+                  Endorsed by instructor
+                </span>
+              )}
+            </div>
+
+            {mode === 'edit' ? (
+              <ReplyForm
+                initialBody={post.body}
+                submitLabel="Save"
+                allowAnonymous={false}
+                onCancel={() => setMode(null)}
+                onSubmit={async ({ body }) => {
+                  const saved = await actions.edit(post, body);
+                  if (saved) setMode(null);
+                  return saved;
+                }}
+              />
+            ) : (
+              <RichText text={post.body} className="text-sm" />
+            )}
+
+            <div className="flex items-center space-x-4 mt-3 text-xs">
+              <button
+                onClick={() => actions.upvote(post)}
+                disabled={post.isOwn}
+                className={`flex items-center ${post.hasUpvoted ? 'text-primary-600' : 'text-gray-500 hover:text-gray-700'} disabled:opacity-50`}
+                title={post.isOwn ? 'You cannot upvote your own reply' : 'Upvote'}
+              >
+                <ArrowUpIcon className="h-4 w-4 mr-1" />
+                {post.upvoteCount}
+              </button>
+              {canReply && (
+                <button onClick={() => setMode(mode === 'reply' ? null : 'reply')} className="text-gray-500 hover:text-gray-700">
+                  Reply
+                </button>
+              )}
+              {canModerate && (
+                <button onClick={() => actions.endorse(post)} className="text-green-700 hover:text-green-900">
+                  {post.endorsed ? 'Remove endorsement' : 'Endorse'}
+                </button>
+              )}
+              {((post.isOwn && !locked) || canModerate) && mode !== 'edit' && (
+                <button onClick={() => setMode('edit')} className="text-gray-500 hover:text-gray-700" title="Edit">
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+              )}
+              {(post.isOwn || canModerate) && (
+                <button onClick={() => actions.remove(post)} className="text-gray-500 hover:text-red-600" title="Delete">
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {mode === 'reply' && (
+        <div className="mt-2 ml-6">
+          <ReplyForm
+            onCancel={() => setMode(null)}
+            onSubmit={async (values) => {
+              const saved = await actions.reply({ ...values, parentId: post._id });
+              if (saved) setMode(null);
+              return saved;
+            }}
+          />
+        </div>
+      )}
+
+      {children.length > 0 && (
+        <div className="mt-3 space-y-3">
+          {children.map(child => (
+            <PostNode
+              key={child._id}
+              post={child}
+              childrenOf={childrenOf}
+              canReply={canReply}
+              canModerate={canModerate}
+              locked={locked}
+              actions={actions}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A forum topic with its nested replies and moderation tools
+const ForumTopicView = () => {
+  const { id, topicId } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingTopic, setEditingTopic] = useState(false);
+  const [topicForm, setTopicForm] = useState({ title: '', body: '' });
+
+  const fetchTopic = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/forums/topics/${topicId}`);
+      setData(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching topic:', err);
+      setError(err.response?.data?.message || 'Failed to load topic');
+    } finally {
+      setLoading(false);
+    }
+  }, [topicId]);
+
+  useEffect(() => {
+    fetchTopic();
+  }, [fetchTopic]);
+
+  const childrenOf = useMemo(() => {
+    const map = { root: [] };
+    (data?.posts || []).forEach(post => {
+      const key = post.parent || 'root';
+      map[key] = map[key] || [];
+      map[key].push(post);
+    });
+    return map;
+  }, [data]);
+
+  const updatePost = (updated) => {
+    setData(current => ({
+      ...current,
+      posts: current.posts.map(p => (p._id === updated._id ? { ...p, ...updated } : p))
+    }));
+  };
+
+  const updateTopic = (updated) => {
+    setData(current => ({ ...current, topic: { ...current.topic, ...updated } }));
+  };
+
+  const actions = {
+    reply: async (values) => {
+      try {
+        await axios.post(`/api/forums/topics/${topicId}/posts`, values);
+        toast.success('Reply posted');
+        fetchTopic();
+        return true;
+      } catch (err) {
+        console.error('Error posting reply:', err);
+        toast.error(err.response?.data?.message || 'Failed to post reply');
+        return false;
+      }
+    },
+    edit: async (post, body) => {
+      try {
+        const response = await axios.put(`/api/forums/posts/${post._id}`, { body });
+        updatePost(response.data.post);
+        return true;
+      } catch (err) {
+        console.error('Error updating reply:', err);
+        toast.error(err.response?.data?.message || 'Failed to update reply');
+        return false;
+      }
+    },
+    remove: async (post) => {
+      if (!window.confirm('Delete this reply?')) {
+        return;
+      }
+      try {
+        await axios.delete(`/api/forums/posts/${post._id}`);
+        toast.success('Reply deleted');
+        fetchTopic();
+      } catch (err) {
+        console.error('Error deleting reply:', err);
+        toast.error(err.response?.data?.message || 'Failed to delete reply');
+      }
+    },
+    upvote: async (post) => {
+      try {
+        const response = await axios.post(`/api/forums/posts/${post._id}/upvote`);
+        updatePost({ _id: post._id, ...response.data });
+      } catch (err) {
+        console.error('Error voting:', err);
+        toast.error(err.response?.data?.message || 'Failed to vote');
+      }
+    },
+    endorse: async (post) => {
+      try {
+        const response = await axios.put(`/api/forums/posts/${post._id}/endorse`, { endorsed: !post.endorsed });
+        toast.success(response.data.message);
+        fetchTopic();
+      } catch (err) {
+        console.error('Error endorsing reply:', err);
+        toast.error(err.response?.data?.message || 'Failed to endorse reply');
+      }
+    }
+  };
+
+  const upvoteTopic = async () => {
+    try {
+      const response = await axios.post(`/api/forums/topics/${topicId}/upvote`);
+      updateTopic(response.data);
+    } catch (err) {
+      console.error('Error voting:', err);
+      toast.error(err.response?.data?.message || 'Failed to vote');
+    }
+  };
+
+  const toggleSubscription = async () => {
+    try {
+      const response = await axios.put(`/api/forums/topics/${topicId}/subscription`, {
+        subscribed: !data.topic.isSubscribed
+      });
+      toast.success(response.data.message);
+      updateTopic({ isSubscribed: response.data.isSubscribed });
+    } catch (err) {
+      console.error('Error updating subscription:', err);
+      toast.error('Failed to update subscription');
+    }
+  };
+
+  const moderate = async (changes) => {
+    try {
+      const response = await axios.put(`/api/forums/topics/${topicId}/moderate`, changes);
+      updateTopic(response.data.topic);
+    } catch (err) {
+      console.error('Error moderating topic:', err);
+      toast.error(err.response?.data?.message || 'Failed to update topic');
+    }
+  };
+
+  const saveTopic = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.put(`/api/forums/topics/${topicId}`, topicForm);
+      updateTopic(response.data.topic);
+      setEditingTopic(false);
+    } catch (err) {
+      console.error('Error updating topic:', err);
+      toast.error(err.response?.data?.message || 'Failed to update topic');
+    }
+  };
+
+  const deleteTopic = async () => {
+    if (!window.confirm(`Delete "${data.topic.title}"?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/forums/topics/${topicId}`);
+      toast.success('Topic deleted');
+      navigate(`/courses/${id}/forum`);
+    } catch (err) {
+      console.error('Error deleting topic:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete topic');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <h2 className="text-xl font-semibold text-gray-900">{error}</h2>
+        <Link to={`/courses/${id}/forum`} className="text-primary-600 hover:text-primary-500 mt-2 inline-block">
+          Back to forum
+        </Link>
+      </div>
+    );
+  }
+
+  const { topic, course, canModerate } = data;
+  const canReply = !topic.locked || canModerate;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <Link to={`/courses/${id}/forum`} className="text-sm text-gray-600 hover:text-gray-900 flex items-center">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        {course.courseCode} forum
+      </Link>
+
+      <div className="card">
+        {editingTopic ? (
+          <form onSubmit={saveTopic} className="space-y-4">
+            <input
+              type="text"
+              value={topicForm.title}
+              onChange={(e) => setTopicForm({ ...topicForm, title: e.target.value })}
+              className="input"
+              maxLength={200}
+              required
+            />
+            <RichTextEditor
+              value={topicForm.body}
+              onChange={(body) => setTopicForm({ ...topicForm, body })}
+              rows={8}
+              maxLength={10000}
+              required
+            />
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setEditingTopic(false)} className="btn btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">Save</button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="flex items-start justify-between">
+              <div>
+                <div className="flex items-center flex-wrap gap-2">
+                  <h1 className="text-xl font-bold text-gray-900">{topic.title}</h1>
+                  {topic.pinned && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Pinned</span>
+                  )}
+                  {topic.locked && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 flex items-center">
+                      <LockClosedIcon className="h-3 w-3 mr-1" />
+                      Locked
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {authorName(topic)} · {formatDateTime(topic.createdAt)}
+                </p>
+              </div>
+              <button
+                onClick={toggleSubscription}
+                className="text-sm text-gray-600 hover:text-gray-900 flex items-center"
+                title={topic.isSubscribed ? 'Stop notifications for new replies' : 'Get notified about new replies'}
+              >
+                {topic.isSubscribed ? <BellSlashIcon className="h-4 w-4 mr-1" /> : <BellIcon className="h-4 w-4 mr-1" />}
+                {topic.isSubscribed ? 'Unfollow' : 'Follow'}
+              </button>
+            </div>
+
+            <div className="mt-4">
+              <RichText text={topic.body} />
+            </div>
+
+            <div className="flex items-center flex-wrap gap-4 mt-4 pt-4 border-t text-sm">
+              <button
+                onClick={upvoteTopic}
+                disabled={topic.isOwn}
+                className={`flex items-center ${topic.hasUpvoted ? 'text-primary-600' : 'text-gray-500 hover:text-gray-700'} disabled:opacity-50`}
+              >
+                <ArrowUpIcon className="h-4 w-4 mr-1" />
+                {topic.upvoteCount}
+              </button>
+              {((topic.isOwn && !topic.locked) || canModerate) && (
+                <button
+                  onClick={() => {
+                    setTopicForm({ title: topic.title, body: topic.body });
+                    setEditingTopic(true);
+                  }}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  Edit
+                </button>
+              )}
+              {canModerate && (
+                <>
+                  <button onClick={() => moderate({ pinned: !topic.pinned })} className="text-gray-500 hover:text-gray-700">
+                    {topic.pinned ? 'Unpin' : 'Pin'}
+                  </button>
+                  <button onClick={() => moderate({ locked: !topic.locked })} className="text-gray-500 hover:text-gray-700">
+                    {topic.locked ? 'Unlock' : 'Lock'}
+                  </button>
+                </>
+              )}
+              {(canModerate || (topic.isOwn && topic.replyCount === 0)) && (
+                <button onClick={deleteTopic} className="text-red-600 hover:text-red-800">
+                  Delete
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">
+          {topic.replyCount} {topic.replyCount === 1 ? 'Reply' : 'Replies'}
+        </h2>
+
+        {childrenOf.root.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No replies yet</p>
+        ) : (
+          <div className="space-y-3">
+            {childrenOf.root.map(post => (
+              <PostNode
+                key={post._id}
+                post={post}
+                childrenOf={childrenOf}
+                canReply={canReply}
+                canModerate={canModerate}
+                locked={topic.locked}
+                actions={actions}
+              />
+            ))}
+          </div>
+        )}
+
+        <div className="mt-6 pt-4 border-t">
+          {canReply ? (
+            <ReplyForm onSubmit={actions.reply} />
+          ) : (
+            <p className="text-sm text-gray-500 flex items-center">
+              <LockClosedIcon className="h-4 w-4 mr-1" />
+              This topic is locked. New replies are closed.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForumTopicView;
@@ -1,45 +1,211 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import axios from 'axios';
 import { 
   ChartBarIcon,
   TrophyIcon,
   BookOpenIcon,
-  CalendarIcon
+  CalendarIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import GradingSchemeEditor from './GradingSchemeEditor';
+import Transcript from './Transcript';
+import TermSelect from '../Common/TermSelect';
+import { formatDate, formatDateTime } from '../../utils/dateUtils';
+import { canRunCourse } from '../../utils/courseStaff';
+
+// Computed grade breakdown and override form for a single student
+function GradeDetails({ grade, canEdit, onUpdated }) {
+  const [preview, setPreview] = useState(null);
+  const [percentage, setPercentage] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const response = await axios.get(
+          `/api/grades/course/${grade.course._id}/student/${grade.student._id}/preview`
+        );
+        setPreview(response.data);
+      } catch (error) {
+        console.error('Error fetching grade preview:', error);
+      }
+    };
+
+    fetchPreview();
+  }, [grade]);
+
+  const handleOverride = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await axios.put(`/api/grades/${grade._id}/override`, {
+        percentage: Number(percentage),
+        note
+      });
+      toast.success('Grade overridden');
+      setPercentage('');
+      setNote('');
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to override grade');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveOverride = async () => {
+    setSaving(true);
+    try {
+      await axios.delete(`/api/grades/${grade._id}/override`);
+      toast.success('Override removed');
+      onUpdated();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove override');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preview) {
+    return <p className="text-sm text-gray-500">Loading computed grade...</p>;
+  }
+
+  const { computed } = preview;
+  const history = preview.grade?.overrideHistory || [];
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">
+          Computed Grade: {computed.percentage === null
+            ? 'No graded work yet'
+            : `${computed.percentage.toFixed(1)}% (${computed.letterGrade})`}
+        </h4>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="pr-4 py-1">Category</th>
+              <th className="pr-4 py-1">Weight</th>
+              <th className="pr-4 py-1">Score</th>
+              <th className="pr-4 py-1">Counted</th>
+              <th className="pr-4 py-1">Dropped</th>
+              <th className="pr-4 py-1">Excused</th>
+            </tr>
+          </thead>
+          <tbody>
+            {computed.breakdown.map(category => (
+              <tr key={category.category} className="text-gray-700">
+                <td className="pr-4 py-1 capitalize">{category.category}</td>
+                <td className="pr-4 py-1">{category.weight}%</td>
+                <td className="pr-4 py-1">
+                  {category.percentage === null ? '—' : `${category.percentage.toFixed(1)}%`}
+                </td>
+                <td className="pr-4 py-1">{category.itemsCounted}</td>
+                <td className="pr-4 py-1">{category.itemsDropped}</td>
+                <td className="pr-4 py-1">{category.itemsExcused}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!canEdit ? null : grade.isFinalized ? (
+        <p className="text-sm text-gray-500">This grade is finalized and can no longer be overridden.</p>
+      ) : (
+        <form onSubmit={handleOverride} className="flex flex-col md:flex-row md:items-end md:space-x-3 space-y-3 md:space-y-0">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Override %</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={percentage}
+              onChange={(e) => setPercentage(e.target.value)}
+              required
+              className="input w-28"
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-xs font-medium text-gray-500 mb-1">Audit Note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              required
+              maxLength="500"
+              className="input"
+              placeholder="Reason for the override"
+            />
+          </div>
+          <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+            Override
+          </button>
+          {grade.override?.isActive && (
+            <button type="button" onClick={handleRemoveOverride} disabled={saving} className="btn btn-secondary btn-sm">
+              Use Computed
+            </button>
+          )}
+        </form>
+      )}
+
+      {history.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Override History</h4>
+          <ul className="space-y-1 text-sm text-gray-600">
+            {history.slice().reverse().map(entry => (
+              <li key={entry._id}>
+                {formatDateTime(entry.changedAt)} — {entry.changedBy?.firstName} {entry.changedBy?.lastName}:{' '}
+                {entry.previousPercentage?.toFixed(1)}% → {entry.percentage?.toFixed(1)}% ({entry.note})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
 
 const GradeView = () => {
   const { user } = useAuth();
   const [grades, setGrades] = useState([]);
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState('');
+  const [selectedTerm, setSelectedTerm] = useState('');
+  const [expandedGrade, setExpandedGrade] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const fetchStudentGrades = useCallback(async () => {
     try {
-      const response = await axios.get(`/api/grades/student/${user._id}`);
+      const response = await axios.get(`/api/grades/student/${user._id}`, {
+        params: selectedTerm ? { term: selectedTerm } : {}
+      });
       setGrades(response.data);
     } catch (error) {
       console.error('Error fetching grades:', error);
     } finally {
       setLoading(false);
     }
-  }, [user?._id]);
+  }, [user?._id, selectedTerm]);
 
   const fetchInstructorCourses = useCallback(async () => {
     try {
-      const response = await axios.get(`/api/courses/instructor/${user._id}`);
+      const response = await axios.get(`/api/courses/instructor/${user._id}`, {
+        params: selectedTerm ? { term: selectedTerm } : {}
+      });
       setCourses(response.data);
-      if (response.data.length > 0) {
-        setSelectedCourse(response.data[0]._id);
-      }
+      setSelectedCourse(response.data.length > 0 ? response.data[0]._id : '');
     } catch (error) {
       console.error('Error fetching courses:', error);
     } finally {
       setLoading(false);
     }
-  }, [user?._id]);
+  }, [user?._id, selectedTerm]);
 
   const fetchCourseGrades = useCallback(async () => {
     try {
@@ -50,6 +216,16 @@ const GradeView = () => {
     }
   }, [selectedCourse]);
 
+  const recalculateGrades = async () => {
+    try {
+      const response = await axios.post(`/api/grades/course/${selectedCourse}/recalculate`);
+      toast.success(`Recalculated ${response.data.updated} grade(s)`);
+      fetchCourseGrades();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recalculate grades');
+    }
+  };
+
   useEffect(() => {
     if (user?.role === 'student') {
       fetchStudentGrades();
@@ -65,9 +241,11 @@ const GradeView = () => {
   }, [selectedCourse, user?.role, fetchCourseGrades]);
 
   const calculateGPA = (grades) => {
-    if (grades.length === 0) return 0;
-    const totalPoints = grades.reduce((sum, grade) => sum + ((grade.gpa || 0) * (grade.course?.credits || 0)), 0);
-    const totalCredits = grades.reduce((sum, grade) => sum + (grade.course?.credits || 0), 0);
+    // Letters without grade points (e.g. Pass) are left out of the GPA
+    const gpaGrades = grades.filter(grade => grade.gpa !== null && grade.gpa !== undefined);
+    if (gpaGrades.length === 0) return 0;
+    const totalPoints = gpaGrades.reduce((sum, grade) => sum + (grade.gpa * (grade.course?.credits || 0)), 0);
+    const totalCredits = gpaGrades.reduce((sum, grade) => sum + (grade.course?.credits || 0), 0);
     return totalCredits > 0 ? (totalPoints / totalCredits).toFixed(2) : 0;
   };
 
@@ -78,6 +256,11 @@ const GradeView = () => {
     return 'text-red-600 bg-red-100';
   };
 
+  const selectedCourseInfo = courses.find(course => course._id === selectedCourse);
+  const selectedGradeDeadline = selectedCourseInfo?.term?.gradeDeadline;
+  // Teaching assistants see grades but cannot change them
+  const canEditGrades = canRunCourse(selectedCourseInfo?.staffRole);
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -98,13 +281,19 @@ const GradeView = () => {
       {user?.role === 'student' ? (
         /* Student Grade View */
         <div className="space-y-6">
+          {/* Term Filter */}
+          <div className="flex items-center justify-end">
+            <label className="text-sm font-medium text-gray-700 mr-3">Term</label>
+            <TermSelect value={selectedTerm} onChange={setSelectedTerm} />
+          </div>
+
           {/* Summary Stats */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <div className="card">
               <div className="flex items-center">
                 <TrophyIcon className="h-8 w-8 text-yellow-500" />
                 <div className="ml-4">
-                  <p className="text-sm font-medium text-gray-600">Overall GPA</p>
+                  <p className="text-sm font-medium text-gray-600">Current GPA</p>
                   <p className="text-2xl font-semibold text-gray-900">{calculateGPA(grades)}</p>
                 </div>
               </div>
@@ -163,7 +352,9 @@ const GradeView = () => {
                   <div key={grade._id} className="flex items-center justify-between p-4 border rounded-lg">
                     <div>
                       <h3 className="font-medium text-gray-900">{grade.course?.title || 'Unknown Course'}</h3>
-                      <p className="text-sm text-gray-600">{grade.course?.courseCode || 'N/A'}</p>
+                      <p className="text-sm text-gray-600">
+                        {grade.course?.courseCode || 'N/A'}{grade.course?.term && ` • ${grade.course.term.name}`}
+                      </p>
                     </div>
                     <div className="text-right">
                       <span className={`px-3 py-1 rounded-full text-sm font-medium ${getGradeColor(grade.percentage || 0)}`}>
@@ -176,6 +367,8 @@ const GradeView = () => {
               </div>
             </div>
           )}
+
+          <Transcript studentId={user._id} />
         </div>
       ) : (
         /* Instructor Grade Management */
@@ -184,21 +377,45 @@ const GradeView = () => {
           <div className="card">
             <div className="flex items-center justify-between">
               <h2 className="text-lg font-semibold text-gray-900">Course Grades</h2>
-              <select
-                value={selectedCourse}
-                onChange={(e) => setSelectedCourse(e.target.value)}
-                className="input max-w-xs"
-              >
-                <option value="">Select Course</option>
-                {courses.map(course => (
-                  <option key={course._id} value={course._id}>
-                    {course.title} ({course.courseCode})
-                  </option>
-                ))}
-              </select>
+              <div className="flex items-center space-x-3">
+                <TermSelect value={selectedTerm} onChange={setSelectedTerm} />
+                <select
+                  value={selectedCourse}
+                  onChange={(e) => setSelectedCourse(e.target.value)}
+                  className="input max-w-xs"
+                >
+                  <option value="">Select Course</option>
+                  {courses.map(course => (
+                    <option key={course._id} value={course._id}>
+                      {course.title} ({course.courseCode}){course.term ? ` - ${course.term.name}` : ''}
+                    </option>
+                  ))}
+                </select>
+                {selectedCourse && canEditGrades && (
+                  <button
+                    onClick={recalculateGrades}
+                    className="btn btn-secondary btn-sm flex items-center whitespace-nowrap"
+                  >
+                    <ArrowPathIcon className="h-4 w-4 mr-1" />
+                    Recalculate
+                  </button>
+                )}
+              </div>
             </div>
           </div>
 
+          {selectedGradeDeadline && (
+            <div className={`p-3 rounded-lg text-sm ${
+              new Date(selectedGradeDeadline) < new Date() ? 'bg-red-50 text-red-800' : 'bg-blue-50 text-blue-800'
+            }`}>
+              Final grades for this term are due by {formatDate(selectedGradeDeadline)}.
+            </div>
+          )}
+
+          {selectedCourse && canEditGrades && (
+            <GradingSchemeEditor courseId={selectedCourse} onSaved={fetchCourseGrades} />
+          )}
+
           {/* Grades Table for Instructors */}
           {selectedCourse && grades.length > 0 && (
             <div className="card">
@@ -211,33 +428,64 @@ const GradeView = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Grade</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Percentage</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
                     {grades.map((grade) => (
-                      <tr key={grade._id}>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-medium text-gray-900">
-                            {grade.student?.firstName} {grade.student?.lastName}
-                          </div>
-                          <div className="text-sm text-gray-500">{grade.student?.email}</div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2 py-1 rounded-full text-sm font-medium ${getGradeColor(grade.percentage)}`}>
-                            {grade.letterGrade}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {grade.percentage.toFixed(1)}%
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2 py-1 rounded-full text-xs ${
-                            grade.isFinalized ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                          }`}>
-                            {grade.isFinalized ? 'Finalized' : 'Draft'}
-                          </span>
-                        </td>
-                      </tr>
+                      <Fragment key={grade._id}>
+                        <tr>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">
+                              {grade.student?.firstName} {grade.student?.lastName}
+                            </div>
+                            <div className="text-sm text-gray-500">{grade.student?.email}</div>
+                            {grade.student?._id && (
+                              <Link
+                                to={`/grades/transcript/${grade.student._id}`}
+                                className="text-xs text-primary-600 hover:text-primary-800"
+                              >
+                                View transcript
+                              </Link>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`px-2 py-1 rounded-full text-sm font-medium ${getGradeColor(grade.percentage)}`}>
+                              {grade.letterGrade}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {grade.percentage.toFixed(1)}%
+                            {grade.override?.isActive && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800">
+                                Overridden
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`px-2 py-1 rounded-full text-xs ${
+                              grade.isFinalized ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                            }`}>
+                              {grade.isFinalized ? 'Finalized' : 'Draft'}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <button
+                              onClick={() => setExpandedGrade(expandedGrade === grade._id ? null : grade._id)}
+                              className="text-primary-600 hover:text-primary-800 font-medium"
+                            >
+                              {expandedGrade === grade._id ? 'Hide' : 'Details'}
+                            </button>
+                          </td>
+                        </tr>
+                        {expandedGrade === grade._id && (
+                          <tr>
+                            <td colSpan="5" className="px-6 py-4 bg-gray-50">
+                              <GradeDetails grade={grade} canEdit={canEditGrades} onUpdated={fetchCourseGrades} />
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const ASSIGNMENT_TYPES = ['homework', 'quiz', 'exam', 'project', 'presentation'];
+
+const GradingSchemeEditor = ({ courseId, onSaved }) => {
+  const [categories, setCategories] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [scales, setScales] = useState([]);
+  const [defaultScale, setDefaultScale] = useState(null);
+  const [gradingScaleId, setGradingScaleId] = useState('');
+
+  useEffect(() => {
+    const fetchScheme = async () => {
+      try {
+        const response = await axios.get(`/api/courses/${courseId}`);
+        setCategories(response.data.gradingScheme?.categories || []);
+        setGradingScaleId(response.data.gradingScale?._id || response.data.gradingScale || '');
+      } catch (error) {
+        console.error('Error fetching grading scheme:', error);
+      }
+    };
+
+    if (courseId) {
+      fetchScheme();
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    const fetchScales = async () => {
+      try {
+        const response = await axios.get('/api/grading-scales');
+        setScales(response.data.scales);
+        setDefaultScale(response.data.defaultScale);
+      } catch (error) {
+        console.error('Error fetching grading scales:', error);
+      }
+    };
+
+    fetchScales();
+  }, []);
+
+  const totalWeight = categories.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+  const unusedTypes = ASSIGNMENT_TYPES.filter(type => !categories.some(c => c.type === type));
+
+  const updateCategory = (index, field, value) => {
+    setCategories(categories.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const addCategory = () => {
+    if (unusedTypes.length === 0) return;
+    setCategories([...categories, { type: unusedTypes[0], weight: 0, dropLowest: 0 }]);
+  };
+
+  const removeCategory = (index) => {
+    setCategories(categories.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await axios.put(`/api/courses/${courseId}/grading-scheme`, {
+        categories: categories.map(c => ({
+          type: c.type,
+          weight: Number(c.weight) || 0,
+          dropLowest: Number(c.dropLowest) || 0
+        }))
+      });
+      toast.success('Grading scheme saved');
+      if (onSaved) onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save grading scheme');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleScaleChange = async (value) => {
+    const previous = gradingScaleId;
+    setGradingScaleId(value);
+    try {
+      const response = await axios.put(`/api/courses/${courseId}/grading-scale`, {
+        gradingScaleId: value || null
+      });
+      toast.success(response.data.message);
+      if (onSaved) onSaved();
+    } catch (error) {
+      setGradingScaleId(previous);
+      toast.error(error.response?.data?.message || 'Failed to change grading scale');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Grading Scheme</h2>
+          <p className="text-sm text-gray-600">
+            Weight each assignment type. Without categories, all assignments count by total points.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={addCategory}
+          disabled={unusedTypes.length === 0}
+          className="btn btn-secondary btn-sm flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Category
+        </button>
+      </div>
+
+      {categories.length > 0 && (
+        <div className="space-y-3">
+          {categories.map((category, index) => (
+            <div key={index} className="grid grid-cols-12 gap-3 items-end">
+              <div className="col-span-4">
+                <label className="block text-xs font-medium text-gray-500 mb-1">Type</label>
+                <select
+                  value={category.type}
+                  onChange={(e) => updateCategory(index, 'type', e.target.value)}
+                  className="input"
+                >
+                  {ASSIGNMENT_TYPES
+                    .filter(type => type === category.type || unusedTypes.includes(type))
+                    .map(type => (
+                      <option key={type} value={type} className="capitalize">{type}</option>
+                    ))}
+                </select>
+              </div>
+              <div className="col-span-3">
+                <label className="block text-xs font-medium text-gray-500 mb-1">Weight (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={category.weight}
+                  onChange={(e) => updateCategory(index, 'weight', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div className="col-span-3">
+                <label className="block text-xs font-medium text-gray-500 mb-1">Drop Lowest</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={category.dropLowest}
+                  onChange={(e) => updateCategory(index, 'dropLowest', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div className="col-span-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => removeCategory(index)}
+                  className="p-2 text-red-600 hover:text-red-800"
+                  title="Remove category"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-200">
+        <span className={`text-sm font-medium ${
+          categories.length === 0 || totalWeight === 100 ? 'text-gray-600' : 'text-red-600'
+        }`}>
+          Total weight: {totalWeight}%
+        </span>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || (categories.length > 0 && totalWeight !== 100)}
+          className="btn btn-primary btn-sm"
+        >
+          {saving ? 'Saving...' : 'Save Scheme'}
+        </button>
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <label className="block text-xs font-medium text-gray-500 mb-1">Grading Scale</label>
+        <select
+          value={gradingScaleId}
+          onChange={(e) => handleScaleChange(e.target.value)}
+          className="input max-w-xs"
+        >
+          <option value="">Institution default{defaultScale ? ` (${defaultScale.name})` : ''}</option>
+          {scales
+            .filter(scale => !scale.isDefault)
+            .map(scale => (
+              <option key={scale._id} value={scale._id}>{scale.name}</option>
+            ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          Changing the scale re-derives letter grades; finalized grades keep their recorded letter.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default GradingSchemeEditor;
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, PrinterIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  withdrawn: 'bg-gray-100 text-gray-800',
+  incomplete: 'bg-yellow-100 text-yellow-800',
+  in_progress: 'bg-blue-100 text-blue-800'
+};
+
+const STATUS_LABELS = {
+  completed: 'Completed',
+  withdrawn: 'Withdrawn',
+  incomplete: 'Incomplete',
+  in_progress: 'In Progress'
+};
+
+const formatGpa = (gpa) => (gpa === null || gpa === undefined ? '—' : gpa.toFixed(2));
+
+// Term-by-term transcript with credit-weighted GPA. Used inside GradeView for
+// students and as a standalone page for instructors/admins (/grades/transcript/:studentId).
+const Transcript = ({ studentId: studentIdProp }) => {
+  const params = useParams();
+  const studentId = studentIdProp || params.studentId;
+  const [transcript, setTranscript] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTranscript = async () => {
+      try {
+        const response = await axios.get(`/api/grades/student/${studentId}/transcript`);
+        setTranscript(response.data);
+      } catch (error) {
+        console.error('Error fetching transcript:', error);
+        toast.error(error.response?.data?.message || 'Failed to load transcript');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (studentId) {
+      fetchTranscript();
+    }
+  }, [studentId]);
+
+  const exportTranscript = async (format) => {
+    try {
+      const response = await axios.get(`/api/grades/student/${studentId}/transcript`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+
+      if (format === 'html') {
+        window.open(url, '_blank');
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `transcript-${transcript.student.lastName}-${transcript.student.firstName}.pdf`.toLowerCase();
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Error exporting transcript:', error);
+      toast.error('Failed to export transcript');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!transcript) {
+    return null;
+  }
+
+  const { student, terms, totals } = transcript;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Transcript</h2>
+          {!studentIdProp && (
+            <p className="text-sm text-gray-600">{student.firstName} {student.lastName} · {student.email}</p>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={() => exportTranscript('html')} className="btn btn-secondary btn-sm flex items-center">
+            <PrinterIcon className="h-4 w-4 mr-1" />
+            Printable
+          </button>
+          <button onClick={() => exportTranscript('pdf')} className="btn btn-primary btn-sm flex items-center">
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            PDF
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs font-medium text-gray-500 uppercase">Cumulative GPA</p>
+          <p className="text-xl font-semibold text-gray-900">
+            {formatGpa(totals.cumulativeGpa)}
+            <span className="text-sm font-normal text-gray-500"> / {transcript.maxGpa.toFixed(1)}</span>
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs font-medium text-gray-500 uppercase">Credits Attempted</p>
+          <p className="text-xl font-semibold text-gray-900">{totals.creditsAttempted}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs font-medium text-gray-500 uppercase">Credits Earned</p>
+          <p className="text-xl font-semibold text-gray-900">{totals.creditsEarned}</p>
+        </div>
+      </div>
+
+      {terms.length === 0 ? (
+        <p className="text-sm text-gray-500">No courses on record.</p>
+      ) : (
+        <div className="space-y-6">
+          {terms.map(term => (
+            <div key={term.name}>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-medium text-gray-900">{term.name}</h3>
+                <p className="text-sm text-gray-600">
+                  Term GPA {formatGpa(term.termGpa)} · Cumulative {formatGpa(term.cumulativeGpa)}
+                </p>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Credits</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Grade</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {term.courses.map(entry => (
+                    <tr key={entry.course._id}>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        <span className="font-medium">{entry.course.courseCode}</span> {entry.course.title}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{entry.credits}</td>
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900 text-right">{entry.letterGrade}</td>
+                      <td
+                        className="px-4 py-2 text-sm text-gray-900 text-right"
+                        title={entry.scaleMaxGpa ? `${formatGpa(entry.scaleGpa)} / ${entry.scaleMaxGpa} on the course's grading scale` : undefined}
+                      >
+                        {entry.countsTowardsGpa ? formatGpa(entry.gpa) : '—'}
+                      </td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[entry.status]}`}>
+                          {STATUS_LABELS[entry.status]}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-1">
+                {term.creditsEarned} of {term.creditsAttempted} credits earned
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-6">
+        W = Withdrawn, I = Incomplete, IP = In Progress. Only finalized grades with grade points count towards GPA.
+      </p>
+    </div>
+  );
+};
+
+export default Transcript;
@@ -1,5 +1,6 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
 import { 
   Bars3Icon, 
   BellIcon, 
@@ -15,27 +16,40 @@ import { formatDate } from '../../utils/dateUtils';
 const Header = ({ onMenuClick }) => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const { connected, unreadCounts, refreshUnreadCounts, subscribe } = useSocket();
   const [notifications, setNotifications] = useState([]);
-  const [unreadCount, setUnreadCount] = useState(0);
+  const unreadCount = unreadCounts.notifications;
 
-  useEffect(() => {
-    fetchNotifications();
-  }, []);
-
-  const fetchNotifications = async () => {
+  const fetchNotifications = useCallback(async () => {
     try {
       const response = await axios.get('/api/notifications');
       setNotifications(response.data.notifications);
-      setUnreadCount(response.data.unreadCount);
     } catch (error) {
       console.error('Error fetching notifications:', error);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  // New notifications arrive over the socket; while polling, reload when the count moves
+  useEffect(() => {
+    return subscribe('notification:new', (notification) => {
+      setNotifications(current => [notification, ...current.filter(n => n._id !== notification._id)]);
+    });
+  }, [subscribe]);
+
+  useEffect(() => {
+    if (!connected) {
+      fetchNotifications();
+    }
+  }, [connected, unreadCount, fetchNotifications]);
 
   const markAllAsRead = async () => {
     try {
       await axios.put('/api/notifications/mark-all-read');
-      setUnreadCount(0);
+      refreshUnreadCounts();
       setNotifications(notifications.map(n => ({ ...n, isRead: true })));
       toast.success('All notifications marked as read');
     } catch (error) {
@@ -50,7 +64,7 @@ const Header = ({ onMenuClick }) => {
       setNotifications(notifications.map(n => 
         n._id === notificationId ? { ...n, isRead: true } : n
       ));
-      setUnreadCount(Math.max(0, unreadCount - 1));
+      refreshUnreadCounts();
     } catch (error) {
       console.error('Error marking notification as read:', error);
     }
@@ -103,6 +117,7 @@ const Header = ({ onMenuClick }) => {
       
       case 'system':
       case 'announcement':
+      case 'forum':
         if (notification.targetUrl) {
           navigate(notification.targetUrl);
         } else {
@@ -1,6 +1,7 @@
 import { Fragment } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
 import { Dialog, Transition } from '@headlessui/react';
 import { 
   XMarkIcon,
@@ -14,18 +15,29 @@ import {
   AcademicCapIcon,
   PlusIcon,
   CloudArrowUpIcon,
-  DocumentCheckIcon
+  DocumentCheckIcon,
+  BanknotesIcon,
+  KeyIcon,
+  ClipboardDocumentListIcon,
+  ClockIcon,
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 
 const Sidebar = ({ sidebarOpen, setSidebarOpen }) => {
   const { user } = useAuth();
+  const { unreadCounts } = useSocket();
   const location = useLocation();
 
   const getNavigationItems = () => {
     const commonItems = [
       { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
       { name: 'Courses', href: '/courses', icon: BookOpenIcon },
-      { name: 'Messages', href: '/messages', icon: ChatBubbleLeftIcon },
+      {
+        name: 'Messages',
+        href: '/messages',
+        icon: ChatBubbleLeftIcon,
+        badge: unreadCounts.messages > 0 ? (unreadCounts.messages > 9 ? '9+' : unreadCounts.messages) : null
+      },
     ];
 
     if (user?.role === 'student') {
@@ -35,6 +47,7 @@ const Sidebar = ({ sidebarOpen, setSidebarOpen }) => {
         { name: 'Assignments', href: '/assignments', icon: DocumentTextIcon },
         { name: 'Grades', href: '/grades', icon: ChartBarIcon },
         { name: 'Attendance', href: '/attendance', icon: CalendarIcon },
+        { name: 'Billing', href: '/billing', icon: BanknotesIcon },
       ];
     }
 
@@ -43,6 +56,7 @@ const Sidebar = ({ sidebarOpen, setSidebarOpen }) => {
         ...commonItems,
         { name: 'Create Course', href: '/create-course', icon: PlusIcon },
         { name: 'Assignments', href: '/assignments', icon: DocumentTextIcon },
+        { name: 'Quiz Review', href: '/quiz-review', icon: ClipboardDocumentCheckIcon },
         { name: 'Attendance', href: '/attendance', icon: CalendarIcon },
         { name: 'Grades', href: '/grades', icon: ChartBarIcon },
       ];
@@ -66,6 +80,11 @@ const Sidebar = ({ sidebarOpen, setSidebarOpen }) => {
         { name: 'Create Course', href: '/create-course', icon: PlusIcon },
         { name: 'User Management', href: '/admin/users', icon: UserGroupIcon },
         { name: 'Instructor Verification', href: '/admin/instructor-verification', icon: DocumentCheckIcon },
+        { name: 'Academic Terms', href: '/admin/terms', icon: CalendarIcon },
+        { name: 'Billing', href: '/admin/billing', icon: BanknotesIcon },
+        { name: 'Roles', href: '/admin/roles', icon: KeyIcon },
+        { name: 'Accommodations', href: '/admin/accommodations', icon: ClockIcon },
+        { name: 'Audit Log', href: '/admin/audit-log', icon: ClipboardDocumentListIcon },
       ];
     }
 
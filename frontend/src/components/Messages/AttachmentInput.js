@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { PaperClipIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const MAX_ATTACHMENTS = 5;
+
+// Uploads files through /api/messages/attachments and keeps the returned metadata in `attachments`
+const AttachmentInput = ({ attachments, onChange }) => {
+  const [uploading, setUploading] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      toast.error(`You can attach up to ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const uploaded = [];
+      for (const file of files) {
+        const uploadFormData = new FormData();
+        uploadFormData.append('file', file);
+
+        const response = await axios.post('/api/messages/attachments', uploadFormData, {
+          headers: {
+            'Content-Type': 'multipart/form-data'
+          }
+        });
+        const { filename, originalName, size, mimetype } = response.data;
+        uploaded.push({ filename, originalName, size, mimetype });
+      }
+      onChange([...attachments, ...uploaded]);
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removeAttachment = (index) => {
+    onChange(attachments.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      {attachments.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {attachments.map((file, index) => (
+            <li key={file.filename} className="flex items-center text-sm text-gray-700">
+              <PaperClipIcon className="h-4 w-4 mr-1 text-gray-400" />
+              <span className="truncate">{file.originalName}</span>
+              <button
+                type="button"
+                onClick={() => removeAttachment(index)}
+                className="ml-2 text-gray-400 hover:text-red-600"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {attachments.length < MAX_ATTACHMENTS && (
+        <label className={`inline-flex items-center text-sm text-blue-600 hover:text-blue-800 cursor-pointer ${uploading ? 'opacity-50' : ''}`}>
+          <PaperClipIcon className="h-4 w-4 mr-1" />
+          {uploading ? 'Uploading...' : 'Attach files'}
+          <input
+            type="file"
+            multiple
+            onChange={handleFiles}
+            disabled={uploading}
+            className="hidden"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentInput;
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import AttachmentInput from './AttachmentInput';
+
+const emptyForm = {
+  receiverIds: [],
+  courseId: '',
+  subject: '',
+  content: '',
+  priority: 'normal',
+  attachments: []
+};
+
+// Modal for starting a direct, group or course-wide conversation
+const ComposeMessage = ({ onClose, onSent }) => {
+  const [users, setUsers] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [audience, setAudience] = useState('people');
+  const [userFilter, setUserFilter] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    fetchRecipients();
+  }, []);
+
+  const fetchRecipients = async () => {
+    try {
+      const [usersResponse, coursesResponse] = await Promise.all([
+        axios.get('/api/messages/users'),
+        axios.get('/api/messages/courses')
+      ]);
+      setUsers(usersResponse.data);
+      setCourses(coursesResponse.data);
+    } catch (error) {
+      console.error('Error fetching recipients:', error);
+    }
+  };
+
+  const toggleReceiver = (userId) => {
+    setForm(current => ({
+      ...current,
+      receiverIds: current.receiverIds.includes(userId)
+        ? current.receiverIds.filter(id => id !== userId)
+        : [...current.receiverIds, userId]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (audience === 'people' && form.receiverIds.length === 0) {
+      toast.error('Select at least one recipient');
+      return;
+    }
+
+    const payload = {
+      subject: form.subject,
+      content: form.content,
+      priority: form.priority,
+      attachments: form.attachments
+    };
+    if (audience === 'course') {
+      payload.courseId = form.courseId;
+    } else {
+      payload.receiverIds = form.receiverIds;
+    }
+
+    try {
+      setSending(true);
+      const response = await axios.post('/api/messages', payload);
+      toast.success(response.data.message);
+      onSent(response.data.conversation);
+    } catch (error) {
+      console.error('Error sending message:', error);
+      toast.error(error.response?.data?.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const filteredUsers = users.filter(u =>
+    `${u.firstName} ${u.lastName} ${u.email}`.toLowerCase().includes(userFilter.toLowerCase())
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-6 border w-full max-w-lg shadow-lg rounded-md bg-white">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Compose Message</h3>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {courses.length > 0 && (
+            <div className="flex space-x-4 text-sm">
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={audience === 'people'}
+                  onChange={() => setAudience('people')}
+                  className="mr-2"
+                />
+                People
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={audience === 'course'}
+                  onChange={() => setAudience('course')}
+                  className="mr-2"
+                />
+                Whole course
+              </label>
+            </div>
+          )}
+
+          {audience === 'course' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Course</label>
+              <select
+                value={form.courseId}
+                onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+                required
+                className="input"
+              >
+                <option value="">Select course</option>
+                {courses.map(course => (
+                  <option key={course._id} value={course._id}>
+                    {course.courseCode} - {course.title} ({course.currentEnrollment} students)
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Every enrolled student receives the message. Their replies come back to you only.
+              </p>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                To {form.receiverIds.length > 0 && `(${form.receiverIds.length} selected)`}
+              </label>
+              <input
+                type="text"
+                value={userFilter}
+                onChange={(e) => setUserFilter(e.target.value)}
+                className="input mb-2"
+                placeholder="Filter people..."
+              />
+              <div className="max-h-40 overflow-y-auto border rounded-md divide-y">
+                {filteredUsers.map(u => (
+                  <label key={u._id} className="flex items-center px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={form.receiverIds.includes(u._id)}
+                      onChange={() => toggleReceiver(u._id)}
+                      className="mr-3"
+                    />
+                    {u.firstName} {u.lastName}
+                    <span className="ml-2 text-xs text-gray-500 capitalize">{u.role}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
+            <input
+              type="text"
+              value={form.subject}
+              onChange={(e) => setForm({ ...form, subject: e.target.value })}
+              required
+              maxLength={200}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
+            <textarea
+              rows={6}
+              value={form.content}
+              onChange={(e) => setForm({ ...form, content: e.target.value })}
+              required
+              maxLength={5000}
+              className="input"
+            />
+          </div>
+
+          <div className="flex items-start justify-between">
+            <AttachmentInput
+              attachments={form.attachments}
+              onChange={(attachments) => setForm({ ...form, attachments })}
+            />
+            <select
+              value={form.priority}
+              onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              className="input max-w-[10rem]"
+            >
+              <option value="low">Low priority</option>
+              <option value="normal">Normal priority</option>
+              <option value="high">High priority</option>
+              <option value="urgent">Urgent</option>
+            </select>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={sending} className="btn btn-primary disabled:opacity-50">
+              {sending ? 'Sending...' : 'Send Message'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ComposeMessage;
@@ -0,0 +1,274 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
+  InboxIcon,
+  PaperClipIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import AttachmentInput from './AttachmentInput';
+import { useSocket } from '../../context/SocketContext';
+import { formatDateTime } from '../../utils/dateUtils';
+
+const fullName = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim();
+
+// Thread view with replies, attachments and read receipts
+const ConversationThread = ({ conversationId, currentUserId, onChanged, onRemoved }) => {
+  const { subscribe } = useSocket();
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reply, setReply] = useState({ content: '', attachments: [] });
+  const [replyTo, setReplyTo] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const markRead = useCallback(async () => {
+    try {
+      const response = await axios.put(`/api/messages/conversations/${conversationId}/read`);
+      if (response.data.marked > 0) {
+        onChanged();
+      }
+    } catch (error) {
+      console.error('Error marking conversation as read:', error);
+    }
+  }, [conversationId, onChanged]);
+
+  const fetchThread = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/messages/conversations/${conversationId}`);
+      setConversation(response.data.conversation);
+      setMessages(response.data.messages);
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      toast.error(error.response?.data?.message || 'Failed to load conversation');
+    } finally {
+      setLoading(false);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setReplyTo(null);
+    fetchThread().then(markRead);
+  }, [fetchThread, markRead]);
+
+  // Live updates: new messages in this thread and read receipts for our own messages
+  useEffect(() => {
+    const offNew = subscribe('message:new', (message) => {
+      if (message.conversation === conversationId) {
+        setMessages(current => [...current.filter(m => m._id !== message._id), message]);
+        markRead();
+      }
+    });
+    const offRead = subscribe('message:read', (receipt) => {
+      if (receipt.conversation === conversationId) {
+        fetchThread();
+      }
+    });
+    return () => {
+      offNew();
+      offRead();
+    };
+  }, [subscribe, conversationId, fetchThread, markRead]);
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    try {
+      setSending(true);
+      const response = await axios.post(`/api/messages/conversations/${conversationId}/reply`, {
+        content: reply.content,
+        attachments: reply.attachments,
+        replyTo: replyTo?._id
+      });
+      setMessages(current => [...current, response.data.data]);
+      setReply({ content: '', attachments: [] });
+      setReplyTo(null);
+      onChanged();
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      toast.error(error.response?.data?.message || 'Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleArchive = async (archived) => {
+    try {
+      const response = await axios.put(`/api/messages/conversations/${conversationId}/archive`, { archived });
+      toast.success(response.data.message);
+      onRemoved();
+    } catch (error) {
+      console.error('Error archiving conversation:', error);
+      toast.error('Failed to update conversation');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this conversation? It is removed for you only.')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/messages/conversations/${conversationId}`);
+      toast.success('Conversation deleted');
+      onRemoved();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      toast.error('Failed to delete conversation');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!conversation) {
+    return null;
+  }
+
+  const me = conversation.participants.find(p => p.user?._id === currentUserId);
+  const others = conversation.participants.filter(p => p.user?._id !== currentUserId);
+  const messagesById = new Map(messages.map(m => [m._id, m]));
+
+  const getReceipt = (message) => {
+    const readers = message.readBy.map(entry => fullName(entry.user));
+    if (readers.length === 0) {
+      return 'Delivered';
+    }
+    if (message.recipients.length > 1) {
+      return `Read by ${readers.length} of ${message.recipients.length}: ${readers.join(', ')}`;
+    }
+    return `Read ${formatDateTime(message.readBy[0].readAt)}`;
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      {/* Thread header */}
+      <div className="flex justify-between items-start border-b pb-3 mb-3">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{conversation.subject}</h3>
+          <p className="text-sm text-gray-600">
+            {conversation.kind === 'course'
+              ? `${conversation.course?.courseCode} - ${conversation.course?.title} (${others.length} participants)`
+              : others.map(p => fullName(p.user)).join(', ')}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          {me?.archived ? (
+            <button onClick={() => handleArchive(false)} className="text-gray-500 hover:text-gray-700" title="Move to inbox">
+              <InboxIcon className="h-5 w-5" />
+            </button>
+          ) : (
+            <button onClick={() => handleArchive(true)} className="text-gray-500 hover:text-gray-700" title="Archive">
+              <ArchiveBoxIcon className="h-5 w-5" />
+            </button>
+          )}
+          <button onClick={handleDelete} className="text-gray-500 hover:text-red-600" title="Delete">
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Messages */}
+      <div className="flex-1 overflow-y-auto space-y-4 pr-1">
+        {messages.map(message => {
+          const isMine = message.sender?._id === currentUserId;
+          const parent = message.replyTo ? messagesById.get(message.replyTo) : null;
+
+          return (
+            <div key={message._id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[80%] rounded-lg p-3 ${isMine ? 'bg-blue-50 border border-blue-100' : 'bg-gray-50 border'}`}>
+                <div className="flex items-center justify-between space-x-4 mb-1">
+                  <span className="text-sm font-medium text-gray-900">
+                    {isMine ? 'You' : fullName(message.sender)}
+                  </span>
+                  <span className="text-xs text-gray-500">{formatDateTime(message.createdAt)}</span>
+                </div>
+                {parent && (
+                  <div className="mb-2 pl-2 border-l-2 border-gray-300 text-xs text-gray-500 line-clamp-2">
+                    {fullName(parent.sender)}: {parent.content}
+                  </div>
+                )}
+                {['high', 'urgent'].includes(message.priority) && (
+                  <span className="inline-block mb-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 capitalize">
+                    {message.priority}
+                  </span>
+                )}
+                <p className="whitespace-pre-wrap text-sm text-gray-700">{message.content}</p>
+                {message.attachments?.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {message.attachments.map(file => (
+                      <li key={file.url}>
+                        <a
+                          href={file.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          <PaperClipIcon className="h-4 w-4 mr-1" />
+                          {file.originalName}
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="flex items-center justify-between mt-2 space-x-4">
+                  <button
+                    onClick={() => setReplyTo(message)}
+                    className="inline-flex items-center text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    <ArrowUturnLeftIcon className="h-3 w-3 mr-1" />
+                    Reply
+                  </button>
+                  {isMine && message.recipients && (
+                    <span className="text-xs text-gray-400">{getReceipt(message)}</span>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Reply box */}
+      <form onSubmit={handleReply} className="border-t pt-3 mt-3 space-y-2">
+        {replyTo && (
+          <div className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 px-2 py-1 rounded">
+            <span className="truncate">
+              Replying to {fullName(replyTo.sender)}: {replyTo.content}
+            </span>
+            <button type="button" onClick={() => setReplyTo(null)} className="ml-2 text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+        {conversation.kind === 'course' && conversation.createdBy !== currentUserId && (
+          <p className="text-xs text-gray-500">Your reply goes to the course instructor only.</p>
+        )}
+        <textarea
+          rows={3}
+          value={reply.content}
+          onChange={(e) => setReply({ ...reply, content: e.target.value })}
+          required
+          maxLength={5000}
+          className="input"
+          placeholder="Write a reply..."
+        />
+        <div className="flex items-start justify-between">
+          <AttachmentInput
+            attachments={reply.attachments}
+            onChange={(attachments) => setReply({ ...reply, attachments })}
+          />
+          <button type="submit" disabled={sending} className="btn btn-primary btn-sm disabled:opacity-50">
+            {sending ? 'Sending...' : 'Send Reply'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ConversationThread;
@@ -1,106 +1,136 @@
 import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
-import { 
-  PaperAirplaneIcon,
+import {
+  ArchiveBoxIcon,
   InboxIcon,
+  MagnifyingGlassIcon,
+  PaperClipIcon,
   PencilIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { formatDate } from '../../utils/dateUtils';
+import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
+import ComposeMessage from './ComposeMessage';
+import ConversationThread from './ConversationThread';
 
 const Messages = () => {
-  const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
+  const { user } = useAuth();
+  const { connected, unreadCounts, subscribe } = useSocket();
+  const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedMessage, setSelectedMessage] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
   const [showCompose, setShowCompose] = useState(false);
   const [activeTab, setActiveTab] = useState('inbox');
-  const [composeForm, setComposeForm] = useState({
-    receiverId: '',
-    subject: '',
-    content: '',
-    priority: 'normal'
-  });
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
 
-  const fetchMessages = useCallback(async () => {
+  const fetchConversations = useCallback(async () => {
     try {
-      setLoading(true);
-      const endpoint = activeTab === 'inbox' ? '/api/messages/inbox' : '/api/messages/sent';
-      const response = await axios.get(endpoint);
-      setMessages(response.data.messages || response.data);
+      const response = await axios.get('/api/messages/conversations', {
+        params: { folder: activeTab }
+      });
+      setConversations(response.data.conversations);
     } catch (error) {
-      console.error('Error fetching messages:', error);
+      console.error('Error fetching conversations:', error);
       toast.error('Failed to fetch messages');
     } finally {
       setLoading(false);
     }
   }, [activeTab]);
 
-  const fetchUsers = useCallback(async () => {
-    try {
-      const response = await axios.get('/api/messages/users');
-      setUsers(response.data);
-    } catch (error) {
-      console.error('Error fetching users:', error);
-    }
-  }, []);
+  useEffect(() => {
+    setLoading(true);
+    fetchConversations();
+  }, [fetchConversations]);
 
+  // New messages re-order the list live; while polling, reload when the unread count moves
   useEffect(() => {
-    fetchMessages();
-    fetchUsers();
-  }, [activeTab, fetchMessages, fetchUsers]);
+    return subscribe('message:new', () => {
+      fetchConversations();
+    });
+  }, [subscribe, fetchConversations]);
+
+  useEffect(() => {
+    if (!connected) {
+      fetchConversations();
+    }
+  }, [connected, unreadCounts.messages, fetchConversations]);
 
-  const handleSendMessage = async (e) => {
+  const handleSearch = async (e) => {
     e.preventDefault();
+    if (searchQuery.trim().length < 2) {
+      setSearchResults(null);
+      return;
+    }
     try {
-      await axios.post('/api/messages', composeForm);
-      toast.success('Message sent successfully!');
-      setShowCompose(false);
-      setComposeForm({ receiverId: '', subject: '', content: '', priority: 'normal' });
-      if (activeTab === 'sent') {
-        fetchMessages();
-      }
+      const response = await axios.get('/api/messages/search', { params: { q: searchQuery.trim() } });
+      setSearchResults(response.data);
     } catch (error) {
-      toast.error('Failed to send message');
+      console.error('Error searching messages:', error);
+      toast.error(error.response?.data?.message || 'Search failed');
     }
   };
 
-  const markAsRead = async (messageId) => {
-    try {
-      await axios.put(`/api/messages/${messageId}/read`);
-      fetchMessages();
-    } catch (error) {
-      console.error('Error marking message as read:', error);
+  const clearSearch = () => {
+    setSearchQuery('');
+    setSearchResults(null);
+  };
+
+  const openConversation = (conversationId) => {
+    setSelectedId(conversationId);
+  };
+
+  const getTitle = (conversation) => {
+    if (conversation.kind === 'course') {
+      return `${conversation.course?.courseCode || 'Course'} · all students`;
     }
+    return conversation.participants
+      .filter(p => p.user && p.user._id !== user._id)
+      .map(p => `${p.user.firstName} ${p.user.lastName}`)
+      .join(', ');
   };
 
-  if (loading) {
+  if (loading && conversations.length === 0) {
     return <LoadingSpinner />;
   }
 
   return (
-    <div>
+    <div className="space-y-6">
       {/* Header */}
-      <div className="flex justify-between items-center">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Messages</h1>
           <p className="mt-2 text-gray-600">Communicate with students and instructors</p>
         </div>
-        <button
-          onClick={() => setShowCompose(true)}
-          className="btn btn-primary flex items-center"
-        >
-          <PencilIcon className="h-5 w-5 mr-2" />
-          Compose
-        </button>
+        <div className="flex items-center space-x-2">
+          <form onSubmit={handleSearch} className="relative">
+            <MagnifyingGlassIcon className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="input pl-9"
+              placeholder="Search messages"
+            />
+          </form>
+          <button
+            onClick={() => setShowCompose(true)}
+            className="btn btn-primary flex items-center"
+          >
+            <PencilIcon className="h-5 w-5 mr-2" />
+            Compose
+          </button>
+        </div>
       </div>
 
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="-mb-px flex space-x-8">
           <button
-            onClick={() => setActiveTab('inbox')}
+            onClick={() => { setActiveTab('inbox'); setSelectedId(null); }}
             className={`py-2 px-1 border-b-2 font-medium text-sm ${
               activeTab === 'inbox'
                 ? 'border-primary-500 text-primary-600'
@@ -109,173 +139,144 @@ const Messages = () => {
           >
             <InboxIcon className="h-5 w-5 inline mr-2" />
             Inbox
+            {unreadCounts.messages > 0 && (
+              <span className="ml-2 bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full">
+                {unreadCounts.messages}
+              </span>
+            )}
           </button>
           <button
-            onClick={() => setActiveTab('sent')}
+            onClick={() => { setActiveTab('archived'); setSelectedId(null); }}
             className={`py-2 px-1 border-b-2 font-medium text-sm ${
-              activeTab === 'sent'
+              activeTab === 'archived'
                 ? 'border-primary-500 text-primary-600'
                 : 'border-transparent text-gray-500 hover:text-gray-700'
             }`}
           >
-            <PaperAirplaneIcon className="h-5 w-5 inline mr-2" />
-            Sent
+            <ArchiveBoxIcon className="h-5 w-5 inline mr-2" />
+            Archived
           </button>
         </nav>
       </div>
 
-      {/* Messages List */}
-      <div className="card">
-        {messages.length === 0 ? (
-          <div className="text-center py-12">
-            <InboxIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">No messages</h3>
-            <p className="text-gray-600">Start a conversation by composing a new message</p>
-          </div>
-        ) : (
-          <div className="space-y-2">
-            {messages.map((message) => (
-              <div
-                key={message._id}
-                onClick={() => {
-                  setSelectedMessage(message);
-                  if (!message.isRead && activeTab === 'inbox') {
-                    markAsRead(message._id);
-                  }
-                }}
-                className={`p-4 border rounded-lg cursor-pointer hover:bg-gray-50 ${
-                  !message.isRead && activeTab === 'inbox' ? 'bg-blue-50 border-blue-200' : ''
-                }`}
-              >
-                <div className="flex items-center justify-between">
-                  <div className="flex-1">
-                    <div className="flex items-center space-x-3">
-                      <p className="font-medium text-gray-900">
-                        {activeTab === 'inbox' 
-                          ? `${message.sender?.firstName} ${message.sender?.lastName}`
-                          : `${message.receiver?.firstName} ${message.receiver?.lastName}`
-                        }
-                      </p>
-                      <span className="text-xs text-gray-500 capitalize">
-                        {activeTab === 'inbox' ? message.sender?.role : message.receiver?.role}
-                      </span>
-                      {!message.isRead && activeTab === 'inbox' && (
-                        <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
-                      )}
-                    </div>
-                    <p className="text-sm font-medium text-gray-800 mt-1">{message.subject}</p>
-                    <p className="text-sm text-gray-600 line-clamp-2">{message.content}</p>
-                  </div>
-                  <div className="text-right text-xs text-gray-500">
-                    {formatDate(message.createdAt)}
-                  </div>
-                </div>
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Conversation list / search results */}
+        <div className="card lg:col-span-2 max-h-[70vh] overflow-y-auto">
+          {searchResults ? (
+            <div className="space-y-2">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-sm font-medium text-gray-900">
+                  {searchResults.messages.length + searchResults.conversations.length} result(s)
+                </h3>
+                <button onClick={clearSearch} className="text-sm text-blue-600 hover:text-blue-800">
+                  Clear search
+                </button>
               </div>
-            ))}
-          </div>
-        )}
-      </div>
-
-      {/* Compose Modal */}
-      {showCompose && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-lg">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Compose Message</h3>
-            
-            <form onSubmit={handleSendMessage} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
-                <select
-                  value={composeForm.receiverId}
-                  onChange={(e) => setComposeForm({ ...composeForm, receiverId: e.target.value })}
-                  required
-                  className="input"
+              {searchResults.conversations.map(conversation => (
+                <div
+                  key={`c-${conversation._id}`}
+                  onClick={() => openConversation(conversation._id)}
+                  className="p-3 border rounded-lg cursor-pointer hover:bg-gray-50"
                 >
-                  <option value="">Select recipient</option>
-                  {users.map(user => (
-                    <option key={user._id} value={user._id}>
-                      {user.firstName} {user.lastName} ({user.role})
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
-                <input
-                  type="text"
-                  value={composeForm.subject}
-                  onChange={(e) => setComposeForm({ ...composeForm, subject: e.target.value })}
-                  required
-                  className="input"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
-                <textarea
-                  rows={6}
-                  value={composeForm.content}
-                  onChange={(e) => setComposeForm({ ...composeForm, content: e.target.value })}
-                  required
-                  className="input"
-                />
-              </div>
-
-              <div className="flex justify-end space-x-3">
-                <button
-                  type="button"
-                  onClick={() => setShowCompose(false)}
-                  className="btn btn-secondary"
+                  <p className="text-sm font-medium text-gray-900">{conversation.subject}</p>
+                  <p className="text-xs text-gray-500">Subject match</p>
+                </div>
+              ))}
+              {searchResults.messages.map(message => (
+                <div
+                  key={message._id}
+                  onClick={() => openConversation(message.conversation?._id)}
+                  className="p-3 border rounded-lg cursor-pointer hover:bg-gray-50"
                 >
-                  Cancel
-                </button>
-                <button type="submit" className="btn btn-primary">
-                  Send Message
-                </button>
-              </div>
-            </form>
-          </div>
+                  <p className="text-sm font-medium text-gray-900">{message.conversation?.subject}</p>
+                  <p className="text-xs text-gray-500">
+                    {message.sender?.firstName} {message.sender?.lastName} · {formatDate(message.createdAt)}
+                  </p>
+                  <p className="text-sm text-gray-600 line-clamp-2">{message.content}</p>
+                </div>
+              ))}
+            </div>
+          ) : conversations.length === 0 ? (
+            <div className="text-center py-12">
+              <InboxIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No conversations</h3>
+              <p className="text-gray-600">
+                {activeTab === 'inbox'
+                  ? 'Start a conversation by composing a new message'
+                  : 'Archived conversations appear here'}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {conversations.map(conversation => (
+                <div
+                  key={conversation._id}
+                  onClick={() => openConversation(conversation._id)}
+                  className={`p-3 border rounded-lg cursor-pointer hover:bg-gray-50 ${
+                    selectedId === conversation._id ? 'border-primary-500' : ''
+                  } ${conversation.unreadCount > 0 ? 'bg-blue-50 border-blue-200' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900 truncate flex items-center">
+                      {conversation.kind !== 'direct' && <UserGroupIcon className="h-4 w-4 mr-1 text-gray-400" />}
+                      {getTitle(conversation)}
+                    </p>
+                    <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                      {formatDate(conversation.lastMessageAt)}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm text-gray-800 truncate">{conversation.subject}</p>
+                    {conversation.unreadCount > 0 && (
+                      <span className="ml-2 bg-blue-500 text-white text-xs px-2 py-0.5 rounded-full">
+                        {conversation.unreadCount}
+                      </span>
+                    )}
+                  </div>
+                  {conversation.lastMessage && (
+                    <p className="text-xs text-gray-600 line-clamp-1">
+                      {conversation.lastMessage.hasAttachments && <PaperClipIcon className="h-3 w-3 inline mr-1" />}
+                      {conversation.lastMessage.content}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
-      )}
 
-      {/* Message Detail Modal */}
-      {selectedMessage && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-2xl">
-            <div className="flex justify-between items-start mb-4">
-              <div>
-                <h3 className="text-lg font-medium text-gray-900">{selectedMessage.subject}</h3>
-                <p className="text-sm text-gray-600">
-                  {activeTab === 'inbox' ? 'From' : 'To'}: {' '}
-                  {activeTab === 'inbox' 
-                    ? `${selectedMessage.sender?.firstName} ${selectedMessage.sender?.lastName}`
-                    : `${selectedMessage.receiver?.firstName} ${selectedMessage.receiver?.lastName}`
-                  }
-                </p>
-                <p className="text-xs text-gray-500">
-                  {formatDate(selectedMessage.createdAt, {
-                    year: 'numeric',
-                    month: 'short',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}
-                </p>
-              </div>
-              <button
-                onClick={() => setSelectedMessage(null)}
-                className="text-gray-400 hover:text-gray-600"
-              >
-                ×
-              </button>
-            </div>
-            
-            <div className="border-t pt-4">
-              <p className="whitespace-pre-wrap text-gray-700">{selectedMessage.content}</p>
+        {/* Thread */}
+        <div className="card lg:col-span-3 h-[70vh]">
+          {selectedId ? (
+            <ConversationThread
+              key={selectedId}
+              conversationId={selectedId}
+              currentUserId={user._id}
+              onChanged={fetchConversations}
+              onRemoved={() => {
+                setSelectedId(null);
+                fetchConversations();
+              }}
+            />
+          ) : (
+            <div className="h-full flex items-center justify-center text-gray-500 text-sm">
+              Select a conversation to read it
             </div>
-          </div>
+          )}
         </div>
+      </div>
+
+      {/* Compose Modal */}
+      {showCompose && (
+        <ComposeMessage
+          onClose={() => setShowCompose(false)}
+          onSent={(conversation) => {
+            setShowCompose(false);
+            setActiveTab('inbox');
+            setSelectedId(conversation._id);
+            fetchConversations();
+          }}
+        />
       )}
     </div>
   );
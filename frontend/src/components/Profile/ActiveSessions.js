@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDateTime } from '../../utils/dateUtils';
+
+// Short "Browser on OS" label from a User-Agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !os) {
+    return 'Unknown device';
+  }
+  return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [idleTimeout, setIdleTimeout] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+      setIdleTimeout(response.data.idleTimeout);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (!window.confirm(`Sign out ${describeDevice(session.userAgent)}?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/auth/sessions/${session._id}`);
+      toast.success('Session signed out');
+      setSessions(current => current.filter(s => s._id !== session._id));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign out session');
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) {
+      return;
+    }
+    try {
+      const response = await axios.delete('/api/auth/sessions');
+      toast.success(response.data.message);
+      setSessions(current => current.filter(s => s.isCurrent));
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error('Failed to sign out other sessions');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-medium text-gray-900">Active Sessions</h2>
+        {sessions.length > 1 && (
+          <button onClick={revokeOthers} className="btn btn-secondary btn-sm">
+            Sign out other sessions
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Devices where you are signed in.
+        {idleTimeout && ` Sessions end automatically after ${Math.round(idleTimeout / 60)} minutes without activity.`}
+      </p>
+
+      <div className="divide-y divide-gray-200">
+        {sessions.map(session => {
+          const Icon = isMobile(session.userAgent) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+          return (
+            <div key={session._id} className="flex items-center justify-between py-4">
+              <div className="flex items-center">
+                <Icon className="h-8 w-8 text-gray-400 mr-4" />
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {describeDevice(session.userAgent)}
+                    {session.isCurrent && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ipAddress && `${session.ipAddress} · `}
+                    Signed in {formatDateTime(session.createdAt)} · Last active {formatDateTime(session.lastActiveAt)}
+                  </p>
+                </div>
+              </div>
+              {!session.isCurrent && (
+                <button onClick={() => revokeSession(session)} className="text-sm text-red-600 hover:text-red-800">
+                  Sign out
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
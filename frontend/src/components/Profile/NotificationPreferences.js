@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { BellIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const EMAIL_OPTIONS = [
+  { value: 'immediate', label: 'Immediately', description: 'One email for every notification as it happens' },
+  { value: 'daily_digest', label: 'Daily digest', description: 'A single summary email once a day' },
+  { value: 'off', label: 'Off', description: 'No notification emails; you will still see them in the app' }
+];
+
+const NotificationPreferences = () => {
+  const [email, setEmail] = useState('immediate');
+  const [emailEnabled, setEmailEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await axios.get('/api/notifications/preferences');
+      setEmail(response.data.email);
+      setEmailEnabled(response.data.emailEnabled);
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      toast.error('Failed to load notification preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await axios.put('/api/notifications/preferences', { email });
+      toast.success('Notification preferences saved');
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      toast.error(error.response?.data?.message || 'Failed to save notification preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-6">
+        <BellIcon className="h-6 w-6 text-gray-400 mr-3" />
+        <h2 className="text-lg font-medium text-gray-900">Email Notifications</h2>
+      </div>
+
+      {!emailEnabled && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+          Email notifications are currently turned off for the whole site. Your choice applies once they are enabled again.
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {EMAIL_OPTIONS.map(option => (
+          <label key={option.value} className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="radio"
+              name="email"
+              value={option.value}
+              checked={email === option.value}
+              onChange={(e) => setEmail(e.target.value)}
+              className="mt-1"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+              <span className="block text-sm text-gray-500">{option.description}</span>
+            </span>
+          </label>
+        ))}
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Preferences'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
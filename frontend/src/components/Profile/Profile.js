@@ -1,5 +1,8 @@
 import { useState } from 'react';
+import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
+import { useConfig } from '../../hooks/useConfiguration';
+import { getPasswordError, getPasswordRequirements } from '../../utils/passwordPolicy';
 import { 
   UserCircleIcon,
   KeyIcon,
@@ -7,9 +10,14 @@ import {
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { formatDateISO } from '../../utils/dateUtils';
+import NotificationPreferences from './NotificationPreferences';
+import ActiveSessions from './ActiveSessions';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const Profile = () => {
-  const { user } = useAuth();
+  const { user, updateTokens } = useAuth();
+  const { getSecurityConfig } = useConfig();
+  const security = getSecurityConfig();
   const [activeTab, setActiveTab] = useState('profile');
   const [loading, setLoading] = useState(false);
   const [profileForm, setProfileForm] = useState({
@@ -70,19 +78,30 @@ const Profile = () => {
       toast.error('New passwords do not match');
       return;
     }
+
+    const passwordError = getPasswordError(passwordForm.newPassword, security);
+    if (passwordError) {
+      toast.error(passwordError);
+      return;
+    }
     
     setLoading(true);
     
     try {
-      // This would normally call an API to change password
-      toast.success('Password changed successfully!');
+      const response = await axios.put('/api/auth/change-password', {
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword
+      });
+      // Every session is signed out on a password change; keep this device with its new tokens
+      updateTokens(response.data);
+      toast.success(response.data.message);
       setPasswordForm({
         currentPassword: '',
         newPassword: '',
         confirmPassword: ''
       });
     } catch (error) {
-      toast.error('Failed to change password');
+      toast.error(error.response?.data?.message || 'Failed to change password');
     } finally {
       setLoading(false);
     }
@@ -152,12 +171,42 @@ const Profile = () => {
             >
               Change Password
             </button>
+            <button
+              onClick={() => setActiveTab('notifications')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'notifications'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Notifications
+            </button>
+            <button
+              onClick={() => setActiveTab('sessions')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'sessions'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Sessions
+            </button>
+            <button
+              onClick={() => setActiveTab('two-factor')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'two-factor'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Two-Factor
+            </button>
           </nav>
         </div>
       </div>
 
       {/* Tab Content */}
-      {activeTab === 'profile' ? (
+      {activeTab === 'profile' && (
         /* Profile Form */
         <div className="card">
           <form onSubmit={handleProfileSubmit} className="space-y-6">
@@ -312,7 +361,9 @@ const Profile = () => {
             </div>
           </form>
         </div>
-      ) : (
+      )}
+
+      {activeTab === 'password' && (
         /* Password Form */
         <div className="card">
           <div className="flex items-center mb-6">
@@ -346,9 +397,9 @@ const Profile = () => {
                 onChange={handlePasswordChange}
                 className="input"
                 required
-                minLength={6}
+                minLength={security.passwordMinLength}
               />
-              <p className="text-xs text-gray-500 mt-1">Must be at least 6 characters</p>
+              <p className="text-xs text-gray-500 mt-1">{getPasswordRequirements(security).join(' · ')}</p>
             </div>
 
             <div>
@@ -377,6 +428,12 @@ const Profile = () => {
           </form>
         </div>
       )}
+
+      {activeTab === 'notifications' && <NotificationPreferences />}
+
+      {activeTab === 'sessions' && <ActiveSessions />}
+
+      {activeTab === 'two-factor' && <TwoFactorSettings />}
     </div>
   );
 };
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import TwoFactorEnrollment, { BackupCodes } from '../Auth/TwoFactorEnrollment';
+import { formatDate } from '../../utils/dateUtils';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'codes' or 'disable' while asking for the password
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      toast.error('Failed to load two-factor settings');
+    }
+  };
+
+  const handleEnabled = (codes) => {
+    setEnrolling(false);
+    setBackupCodes(codes);
+    fetchStatus();
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = passwordAction === 'codes'
+        ? await axios.post('/api/auth/2fa/backup-codes', { password })
+        : await axios.delete('/api/auth/2fa', { data: { password } });
+      toast.success(response.data.message);
+      if (response.data.backupCodes) {
+        setBackupCodes(response.data.backupCodes);
+      }
+      setPasswordAction(null);
+      setPassword('');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Request failed');
+    }
+  };
+
+  if (!status) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-2">
+        <ShieldCheckIcon className="h-6 w-6 text-gray-400 mr-3" />
+        <h2 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h2>
+        <span className={`ml-3 px-2 py-0.5 rounded-full text-xs font-medium ${
+          status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+        }`}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Sign in with a code from an authenticator app in addition to your password.
+        {status.required && ' Your role requires two-factor authentication.'}
+      </p>
+
+      {backupCodes && (
+        <div className="mb-6">
+          <BackupCodes codes={backupCodes} />
+          <button type="button" onClick={() => setBackupCodes(null)} className="btn btn-primary btn-sm mt-3">
+            I have saved them
+          </button>
+        </div>
+      )}
+
+      {status.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Enabled on {formatDate(status.enabledAt)} · {status.backupCodesRemaining} backup code{status.backupCodesRemaining === 1 ? '' : 's'} left
+          </p>
+
+          {passwordAction ? (
+            <form onSubmit={handlePasswordSubmit} className="flex items-end gap-3">
+              <div className="flex-1">
+                <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                  Confirm your password
+                </label>
+                <input
+                  id="twoFactorPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="input"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              </div>
+              <button type="submit" className={`btn ${passwordAction === 'disable' ? 'btn-danger' : 'btn-primary'}`}>
+                {passwordAction === 'disable' ? 'Turn off' : 'Generate codes'}
+              </button>
+              <button type="button" onClick={() => { setPasswordAction(null); setPassword(''); }} className="btn btn-secondary">
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="flex gap-3">
+              <button type="button" onClick={() => setPasswordAction('codes')} className="btn btn-secondary btn-sm">
+                New backup codes
+              </button>
+              {!status.required && (
+                <button type="button" onClick={() => setPasswordAction('disable')} className="text-sm text-red-600 hover:text-red-800">
+                  Turn off
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ) : enrolling ? (
+        <div className="max-w-sm">
+          <TwoFactorEnrollment onEnabled={handleEnabled} />
+        </div>
+      ) : (
+        <button type="button" onClick={() => setEnrolling(true)} className="btn btn-primary">
+          Set up two-factor authentication
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,289 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { QUESTION_TYPES } from '../../utils/quiz';
+
+const emptyQuestion = {
+  type: 'multiple_choice',
+  prompt: '',
+  options: [{ text: '', isCorrect: true }, { text: '', isCorrect: false }],
+  correctBoolean: true,
+  numericAnswer: '',
+  tolerance: 0,
+  acceptedPatterns: [''],
+  caseSensitive: false,
+  points: 1,
+  tags: ''
+};
+
+// Adds a question to a course's question bank, or edits one
+const QuestionForm = ({ courseId, question, onSaved, onClose }) => {
+  const [form, setForm] = useState(question ? {
+    ...emptyQuestion,
+    ...question,
+    options: question.options?.length > 0 ? question.options : emptyQuestion.options,
+    acceptedPatterns: question.acceptedPatterns?.length > 0 ? question.acceptedPatterns : [''],
+    numericAnswer: question.numericAnswer ?? '',
+    tags: (question.tags || []).join(', ')
+  } : emptyQuestion);
+  const [saving, setSaving] = useState(false);
+
+  const isChoice = ['multiple_choice', 'multi_select'].includes(form.type);
+
+  const updateOption = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => {
+        if (i === index) return { ...option, ...changes };
+        // A multiple choice question has a single correct option
+        return changes.isCorrect && prev.type === 'multiple_choice' ? { ...option, isCorrect: false } : option;
+      })
+    }));
+  };
+
+  const updatePattern = (index, value) => {
+    setForm(prev => ({
+      ...prev,
+      acceptedPatterns: prev.acceptedPatterns.map((pattern, i) => (i === index ? value : pattern))
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      type: form.type,
+      prompt: form.prompt,
+      options: isChoice ? form.options.map(({ text, isCorrect }) => ({ text, isCorrect })) : [],
+      correctBoolean: form.correctBoolean,
+      numericAnswer: form.type === 'numeric' ? form.numericAnswer : null,
+      tolerance: Number(form.tolerance) || 0,
+      acceptedPatterns: form.acceptedPatterns.filter(pattern => pattern.trim()),
+      caseSensitive: form.caseSensitive,
+      points: Number(form.points) || 0,
+      tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    };
+
+    try {
+      setSaving(true);
+      const response = question
+        ? await axios.put(`/api/quizzes/questions/${question._id}`, payload)
+        : await axios.post('/api/quizzes/questions', { ...payload, courseId });
+      toast.success(response.data.message);
+      onSaved(response.data.question);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save question');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border max-w-3xl shadow-lg rounded-md bg-white">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{question ? 'Edit Question' : 'New Question'}</h3>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value })}
+                className="input"
+              >
+                {QUESTION_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default Points</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={form.points}
+                onChange={(e) => setForm({ ...form, points: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+              <input
+                type="text"
+                value={form.tags}
+                onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                className="input"
+                placeholder="e.g. week 3, recursion"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Question *</label>
+            <textarea
+              rows={3}
+              value={form.prompt}
+              onChange={(e) => setForm({ ...form, prompt: e.target.value })}
+              className="input"
+              maxLength={2000}
+              required
+            />
+          </div>
+
+          {isChoice && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Options <span className="font-normal text-gray-500">
+                  ({form.type === 'multiple_choice' ? 'mark the correct one' : 'mark every correct one'})
+                </span>
+              </label>
+              {form.options.map((option, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type={form.type === 'multiple_choice' ? 'radio' : 'checkbox'}
+                    checked={option.isCorrect}
+                    onChange={(e) => updateOption(index, { isCorrect: e.target.checked })}
+                    className="form-checkbox"
+                    title="Correct"
+                  />
+                  <input
+                    type="text"
+                    value={option.text}
+                    onChange={(e) => updateOption(index, { text: e.target.value })}
+                    className="input"
+                    maxLength={500}
+                    placeholder={`Option ${index + 1}`}
+                    required
+                  />
+                  {form.options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, options: form.options.filter((_, i) => i !== index) })}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove option"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, options: [...form.options, { text: '', isCorrect: false }] })}
+                className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+              >
+                + Add option
+              </button>
+            </div>
+          )}
+
+          {form.type === 'true_false' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Answer</label>
+              <select
+                value={String(form.correctBoolean)}
+                onChange={(e) => setForm({ ...form, correctBoolean: e.target.value === 'true' })}
+                className="input"
+              >
+                <option value="true">True</option>
+                <option value="false">False</option>
+              </select>
+            </div>
+          )}
+
+          {form.type === 'numeric' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Answer *</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={form.numericAnswer}
+                  onChange={(e) => setForm({ ...form, numericAnswer: e.target.value })}
+                  className="input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tolerance (±)</label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={form.tolerance}
+                  onChange={(e) => setForm({ ...form, tolerance: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+          )}
+
+          {form.type === 'short_answer' && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">Accepted Answers</label>
+              <p className="text-xs text-gray-500">
+                Answers the whole response must match, where <code>*</code> stands for any text and <code>?</code> for one character, e.g. <code>paris</code> or <code>*mitochondri?</code>.
+                Answers matching none of them are left for you to review.
+              </p>
+              {form.acceptedPatterns.map((pattern, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={pattern}
+                    onChange={(e) => updatePattern(index, e.target.value)}
+                    className="input font-mono text-sm"
+                    maxLength={200}
+                  />
+                  {form.acceptedPatterns.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setForm({
+                        ...form,
+                        acceptedPatterns: form.acceptedPatterns.filter((_, i) => i !== index)
+                      })}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove pattern"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, acceptedPatterns: [...form.acceptedPatterns, ''] })}
+                  className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+                >
+                  + Add accepted answer
+                </button>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.caseSensitive}
+                    onChange={(e) => setForm({ ...form, caseSensitive: e.target.checked })}
+                    className="form-checkbox mr-2"
+                  />
+                  Case sensitive
+                </label>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2 pt-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Question'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionForm;
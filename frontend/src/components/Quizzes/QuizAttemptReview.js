@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDateTime } from '../../utils/dateUtils';
+import { RESULT_STYLES, resultLabel, formatResponse, formatAnswerKey, questionTypeLabel } from '../../utils/quiz';
+
+// A submitted quiz attempt with the answer key, where staff score answers by hand (short
+// answers matching no accepted pattern must be) and grade the attempt with the total
+const QuizAttemptReview = ({ attemptId, onClose, onGraded }) => {
+  const [attempt, setAttempt] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  // Question id -> { score, comment }
+  const [scores, setScores] = useState({});
+  const [feedback, setFeedback] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchAttempt = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/quizzes/attempts/${attemptId}`);
+      setAttempt(response.data.attempt);
+      setScores(Object.fromEntries(response.data.attempt.questions.map(question => [
+        question._id,
+        {
+          score: question.result === 'needs_review' ? '' : question.score,
+          comment: question.comment || ''
+        }
+      ])));
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to fetch quiz attempt';
+      toast.error(message);
+      setLoadError(message);
+    }
+  }, [attemptId]);
+
+  useEffect(() => {
+    fetchAttempt();
+  }, [fetchAttempt]);
+
+  const updateScore = (questionId, changes) => {
+    setScores(prev => ({ ...prev, [questionId]: { ...prev[questionId], ...changes } }));
+  };
+
+  const total = Object.values(scores).reduce((sum, entry) => sum + (Number(entry.score) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/quizzes/attempts/${attemptId}/review`, {
+        scores: Object.entries(scores).map(([question, entry]) => ({
+          question,
+          score: entry.score === '' ? undefined : Number(entry.score),
+          comment: entry.comment || undefined
+        })),
+        feedback: feedback || undefined
+      });
+      toast.success(response.data.message);
+      onGraded();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to grade quiz attempt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border max-w-4xl shadow-lg rounded-md bg-white">
+        {loadError ? (
+          <div className="text-center py-8">
+            <p className="text-red-600 mb-4">{loadError}</p>
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-sm">
+              Close
+            </button>
+          </div>
+        ) : !attempt ? (
+          <LoadingSpinner />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  {attempt.student?.firstName} {attempt.student?.lastName} · Attempt {attempt.attempt}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  Submitted {formatDateTime(attempt.submittedAt)}
+                  {attempt.status === 'expired' && ' · time ran out'}
+                  {attempt.gradedAt && ` · graded ${formatDateTime(attempt.gradedAt)}`}
+                </p>
+              </div>
+              <button type="button" onClick={onClose} className="btn btn-secondary btn-sm">
+                Close
+              </button>
+            </div>
+
+            <ol className="space-y-4">
+              {attempt.questions.map((question, index) => (
+                <li
+                  key={question._id}
+                  className={`p-4 border rounded-lg ${question.result === 'needs_review' ? 'border-purple-300 bg-purple-50' : ''}`}
+                >
+                  <div className="flex items-start justify-between">
+                    <p className="text-sm text-gray-900 whitespace-pre-wrap">
+                      <span className="font-medium mr-2">{index + 1}.</span>
+                      {question.prompt}
+                    </p>
+                    <span className={`ml-4 px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${RESULT_STYLES[question.result] || ''}`}>
+                      {resultLabel(question.result)}
+                    </span>
+                  </div>
+                  <div className="mt-2 text-sm">
+                    <div>
+                      <span className="text-gray-600">Answer: </span>
+                      <span className="text-gray-900 whitespace-pre-wrap">{formatResponse(question, question.response)}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {questionTypeLabel(question.type)} · Key: {formatAnswerKey(question)}
+                    </div>
+                  </div>
+                  <div className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-2 items-center">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max={question.points}
+                        step="0.25"
+                        value={scores[question._id]?.score ?? ''}
+                        onChange={(e) => updateScore(question._id, { score: e.target.value })}
+                        className="input w-24 text-sm"
+                        required={question.result === 'needs_review'}
+                      />
+                      <span className="text-sm text-gray-600">/ {question.points}</span>
+                    </div>
+                    <div className="md:col-span-3">
+                      <input
+                        type="text"
+                        value={scores[question._id]?.comment || ''}
+                        onChange={(e) => updateScore(question._id, { comment: e.target.value })}
+                        className="input text-sm"
+                        maxLength={1000}
+                        placeholder="Comment for the student"
+                      />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Feedback</label>
+              <textarea
+                rows={3}
+                value={feedback}
+                onChange={(e) => setFeedback(e.target.value)}
+                className="input"
+                maxLength={2000}
+              />
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <span className="text-sm text-gray-700">
+                Total: <span className="font-medium">{Math.round(total * 100) / 100}</span> / {attempt.maxScore}
+                <span className="text-xs text-gray-500 ml-2">Late penalties are applied to the total</span>
+              </span>
+              <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : attempt.gradedAt ? 'Update Grade' : 'Grade Attempt'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizAttemptReview;
@@ -0,0 +1,322 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { formatDateTime } from '../../utils/dateUtils';
+import { RESULT_STYLES, resultLabel, formatResponse, formatCountdown } from '../../utils/quiz';
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+// Input for the answer to one question, by question type
+const AnswerInput = ({ question, value, onChange, disabled }) => {
+  switch (question.type) {
+    case 'multiple_choice':
+      return (
+        <div className="space-y-2">
+          {question.options.map(option => (
+            <label key={option._id} className="flex items-center text-sm text-gray-900">
+              <input
+                type="radio"
+                name={question._id}
+                checked={value === option._id}
+                onChange={() => onChange(option._id)}
+                disabled={disabled}
+                className="form-checkbox mr-3"
+              />
+              {option.text}
+            </label>
+          ))}
+        </div>
+      );
+    case 'multi_select': {
+      const chosen = value || [];
+      return (
+        <div className="space-y-2">
+          {question.options.map(option => (
+            <label key={option._id} className="flex items-center text-sm text-gray-900">
+              <input
+                type="checkbox"
+                checked={chosen.includes(option._id)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...chosen, option._id]
+                  : chosen.filter(id => id !== option._id))}
+                disabled={disabled}
+                className="form-checkbox mr-3"
+              />
+              {option.text}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case 'true_false':
+      return (
+        <div className="flex space-x-6">
+          {[true, false].map(choice => (
+            <label key={String(choice)} className="flex items-center text-sm text-gray-900">
+              <input
+                type="radio"
+                name={question._id}
+                checked={value === choice}
+                onChange={() => onChange(choice)}
+                disabled={disabled}
+                className="form-checkbox mr-2"
+              />
+              {choice ? 'True' : 'False'}
+            </label>
+          ))}
+        </div>
+      );
+    case 'numeric':
+      return (
+        <input
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="input max-w-xs"
+        />
+      );
+    default:
+      return (
+        <textarea
+          rows={3}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          maxLength={2000}
+          className="input"
+        />
+      );
+  }
+};
+
+const isAnswered = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// A student's quiz attempt: the questions with a countdown while it is in progress, and the
+// answers with their results once it is handed in. Answers are saved as the student goes.
+const QuizAttemptView = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [attempt, setAttempt] = useState(null);
+  const [assignment, setAssignment] = useState(null);
+  // Question id -> response
+  const [answers, setAnswers] = useState({});
+  // Server time minus local time, so the countdown follows the server's clock
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [savedAt, setSavedAt] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const dirty = useRef(false);
+  const submittingRef = useRef(false);
+
+  const fetchAttempt = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/quizzes/attempts/${id}`);
+      setAttempt(response.data.attempt);
+      setAssignment(response.data.assignment);
+      setClockOffset(new Date(response.data.serverTime).getTime() - Date.now());
+      setAnswers(Object.fromEntries(response.data.attempt.questions.map(question => [question._id, question.response])));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Quiz attempt not found');
+      navigate('/assignments');
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    fetchAttempt();
+  }, [fetchAttempt]);
+
+  const inProgress = attempt?.status === 'in_progress';
+  const expiresAt = attempt?.expiresAt ? new Date(attempt.expiresAt).getTime() : null;
+  const timeLeft = expiresAt ? expiresAt - (now + clockOffset) : null;
+
+  const answerList = useCallback(() => Object.entries(answers)
+    .map(([question, response]) => ({ question, response })), [answers]);
+
+  const handleSubmit = useCallback(async (timedOut = false) => {
+    if (submittingRef.current) return;
+    submittingRef.current = true;
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`/api/quizzes/attempts/${id}/submit`, { answers: answerList() });
+      dirty.current = false;
+      toast.success(timedOut ? 'Time is up. Your answers have been submitted.' : response.data.message);
+      setAttempt(response.data.attempt);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit quiz');
+      fetchAttempt();
+    } finally {
+      submittingRef.current = false;
+      setSubmitting(false);
+    }
+  }, [id, answerList, fetchAttempt]);
+
+  // Tick the countdown, and hand the attempt in when the time runs out
+  useEffect(() => {
+    if (!inProgress || !expiresAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [inProgress, expiresAt]);
+
+  useEffect(() => {
+    if (inProgress && timeLeft !== null && timeLeft <= 0) {
+      handleSubmit(true);
+    }
+  }, [inProgress, timeLeft, handleSubmit]);
+
+  // Save answers shortly after the student stops changing them
+  useEffect(() => {
+    if (!inProgress || !dirty.current) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.put(`/api/quizzes/attempts/${id}/answers`, { answers: answerList() });
+        dirty.current = false;
+        setSavedAt(response.data.savedAt);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to save answers');
+        if (error.response?.status === 400) {
+          fetchAttempt();
+        }
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [answers, inProgress, id, answerList, fetchAttempt]);
+
+  const updateAnswer = (questionId, response) => {
+    dirty.current = true;
+    setAnswers(prev => ({ ...prev, [questionId]: response }));
+  };
+
+  // Save anything the autosave hasn't picked up yet before leaving
+  const handleLeave = async () => {
+    if (inProgress && dirty.current) {
+      try {
+        await axios.put(`/api/quizzes/attempts/${id}/answers`, { answers: answerList() });
+        dirty.current = false;
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to save answers');
+        return;
+      }
+    }
+    navigate(`/assignments/${attempt.assignment}`);
+  };
+
+  const confirmSubmit = () => {
+    const unanswered = attempt.questions.filter(question => !isAnswered(answers[question._id])).length;
+    const message = unanswered > 0
+      ? `${unanswered} question${unanswered === 1 ? ' is' : 's are'} unanswered. Submit anyway?`
+      : 'Submit your answers? You can\'t change them afterwards.';
+    if (window.confirm(message)) {
+      handleSubmit();
+    }
+  };
+
+  if (!attempt) return <LoadingSpinner />;
+
+  const graded = Boolean(attempt.gradedAt);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="card sticky top-0 z-10">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{assignment?.title}</h1>
+            <p className="text-sm text-gray-600">
+              Attempt {attempt.attempt} · started {formatDateTime(attempt.startedAt)}
+              {!inProgress && attempt.submittedAt && ` · submitted ${formatDateTime(attempt.submittedAt)}`}
+            </p>
+          </div>
+          {inProgress ? (
+            <div className="text-right">
+              {timeLeft !== null && (
+                <div className={`flex items-center justify-end text-xl font-semibold ${
+                  timeLeft < 60 * 1000 ? 'text-red-600' : timeLeft < 5 * 60 * 1000 ? 'text-yellow-600' : 'text-gray-900'
+                }`}>
+                  <ClockIcon className="h-6 w-6 mr-1" />
+                  {formatCountdown(timeLeft)}
+                </div>
+              )}
+              <div className="text-xs text-gray-500">
+                {savedAt ? `Saved ${formatDateTime(savedAt)}` : 'Answers are saved as you go'}
+              </div>
+            </div>
+          ) : (
+            <div className="text-right">
+              {graded ? (
+                <div className="text-xl font-semibold text-gray-900">{attempt.score}/{attempt.maxScore}</div>
+              ) : (
+                <div className="text-sm font-medium text-blue-600">Submitted · waiting for grading</div>
+              )}
+              {attempt.status === 'expired' && <div className="text-xs text-yellow-700">Time ran out</div>}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {attempt.questions.map((question, index) => (
+        <div key={question._id} className="card">
+          <div className="flex items-start justify-between mb-3">
+            <p className="text-gray-900 whitespace-pre-wrap">
+              <span className="font-medium mr-2">{index + 1}.</span>
+              {question.prompt}
+            </p>
+            <span className="ml-4 text-sm text-gray-500 whitespace-nowrap">
+              {graded ? `${question.score} / ${question.points}` : `${question.points} pt${question.points === 1 ? '' : 's'}`}
+            </span>
+          </div>
+
+          {inProgress ? (
+            <AnswerInput
+              question={question}
+              value={answers[question._id]}
+              onChange={(response) => updateAnswer(question._id, response)}
+              disabled={submitting}
+            />
+          ) : (
+            <div className="text-sm">
+              <span className="text-gray-600">Your answer: </span>
+              <span className="text-gray-900 whitespace-pre-wrap">{formatResponse(question, question.response)}</span>
+              {graded && question.result && (
+                <span className={`ml-3 px-2 py-0.5 text-xs rounded-full ${RESULT_STYLES[question.result]}`}>
+                  {resultLabel(question.result)}
+                </span>
+              )}
+              {question.comment && (
+                <div className="mt-2 p-2 text-xs text-blue-800 bg-blue-50 border border-blue-200 rounded whitespace-pre-wrap">
+                  {question.comment}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={handleLeave}
+          className="btn btn-secondary"
+        >
+          {inProgress ? 'Save and Leave' : 'Back to Assignment'}
+        </button>
+        {inProgress && (
+          <button
+            type="button"
+            onClick={confirmSubmit}
+            disabled={submitting}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {submitting ? 'Submitting...' : 'Submit Quiz'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizAttemptView;
@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import QuestionForm from './QuestionForm';
+import { QUESTION_TYPES, questionTypeLabel, formatAnswerKey } from '../../utils/quiz';
+
+// Chooses the questions of a quiz or exam from the course's question bank, and how it is given
+const QuizBuilder = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [assignment, setAssignment] = useState(null);
+  const [attemptCount, setAttemptCount] = useState(0);
+  const [bank, setBank] = useState([]);
+  // Quiz questions in order: { question, points } with the question bank document
+  const [selected, setSelected] = useState([]);
+  const [settings, setSettings] = useState({ shuffleQuestions: true, shuffleOptions: true, autoGrade: false });
+  const [typeFilter, setTypeFilter] = useState('');
+  // null when closed, {} for a new question, or the question being edited
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchBank = useCallback(async (courseId) => {
+    try {
+      const response = await axios.get('/api/quizzes/questions', { params: { courseId } });
+      setBank(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch the question bank');
+    }
+  }, []);
+
+  const fetchQuiz = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/quizzes/assignment/${id}`);
+      const { assignment: quizAssignment, autoGradeDefault } = response.data;
+      setAssignment(quizAssignment);
+      setAttemptCount(response.data.attemptCount);
+      setSelected((quizAssignment.quiz?.questions || [])
+        .filter(entry => entry.question)
+        .map(entry => ({ question: entry.question, points: entry.points })));
+      setSettings({
+        shuffleQuestions: quizAssignment.quiz?.shuffleQuestions ?? true,
+        shuffleOptions: quizAssignment.quiz?.shuffleOptions ?? true,
+        autoGrade: quizAssignment.quiz?.autoGrade ?? Boolean(autoGradeDefault)
+      });
+      fetchBank(quizAssignment.course._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Quiz not found');
+      navigate('/assignments');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate, fetchBank]);
+
+  useEffect(() => {
+    fetchQuiz();
+  }, [fetchQuiz]);
+
+  const locked = attemptCount > 0;
+  const isSelected = (questionId) => selected.some(entry => entry.question._id === questionId);
+  const totalPoints = Math.round(selected.reduce((total, entry) => total + (Number(entry.points) || 0), 0) * 100) / 100;
+
+  const addQuestion = (question) => {
+    setSelected(prev => [...prev, { question, points: question.points }]);
+  };
+
+  const removeQuestion = (questionId) => {
+    setSelected(prev => prev.filter(entry => entry.question._id !== questionId));
+  };
+
+  const moveQuestion = (index, offset) => {
+    setSelected(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const updatePoints = (questionId, points) => {
+    setSelected(prev => prev.map(entry => (entry.question._id === questionId ? { ...entry, points } : entry)));
+  };
+
+  const handleQuestionSaved = (question) => {
+    setEditing(null);
+    // Keep the quiz's copy of an edited question up to date
+    setSelected(prev => prev.map(entry => (entry.question._id === question._id ? { ...entry, question } : entry)));
+    fetchBank(assignment.course._id);
+  };
+
+  const handleDelete = async (question) => {
+    if (!window.confirm('Delete this question from the question bank?')) return;
+    try {
+      await axios.delete(`/api/quizzes/questions/${question._id}`);
+      toast.success('Question deleted');
+      fetchBank(assignment.course._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete question');
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/quizzes/assignment/${id}`, {
+        questions: selected.map(entry => ({ question: entry.question._id, points: Number(entry.points) || 0 })),
+        ...settings
+      });
+      toast.success(response.data.message);
+      setAssignment(prev => ({ ...prev, totalPoints: response.data.assignment.totalPoints }));
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save quiz');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+  if (!assignment) return null;
+
+  if (!['quiz', 'exam'].includes(assignment.type)) {
+    return (
+      <div className="max-w-4xl mx-auto card text-center py-12">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Only quizzes and exams have questions</h2>
+        <button onClick={() => navigate(-1)} className="btn btn-secondary mt-4">Back</button>
+      </div>
+    );
+  }
+
+  const bankQuestions = bank.filter(question => !typeFilter || question.type === typeFilter);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quiz Questions</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            <span className="font-medium">{assignment.title}</span>
+            <span className="ml-2">· {assignment.course?.title}</span>
+            {assignment.timeLimitMinutes && <span className="ml-2">· {assignment.timeLimitMinutes} minute time limit</span>}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={() => navigate(`/assignments/${id}/submissions`)} className="btn btn-secondary">
+            Submissions
+          </button>
+          <button onClick={() => navigate(-1)} className="btn btn-secondary">
+            Back
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">
+            In This Quiz <span className="text-sm font-normal text-gray-500">· {selected.length} questions, {totalPoints} points</span>
+          </h2>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Quiz'}
+          </button>
+        </div>
+
+        {locked && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+            Students have started this quiz ({attemptCount} attempt{attemptCount === 1 ? '' : 's'}), so its questions
+            and points can no longer change. The settings below can still be changed.
+          </div>
+        )}
+
+        {selected.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">
+            No questions yet. Add questions from the question bank below; until then students hand this in like any other assignment.
+          </p>
+        ) : (
+          <ol className="divide-y divide-gray-200">
+            {selected.map((entry, index) => (
+              <li key={entry.question._id} className="py-3 flex items-start justify-between">
+                <div className="flex-1 pr-4">
+                  <div className="text-sm text-gray-900">
+                    <span className="font-medium mr-2">{index + 1}.</span>
+                    {entry.question.prompt}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {questionTypeLabel(entry.question.type)} · Answer: {formatAnswerKey(entry.question)}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={entry.points}
+                    onChange={(e) => updatePoints(entry.question._id, e.target.value)}
+                    className="input w-20 text-sm"
+                    disabled={locked}
+                    title="Points"
+                  />
+                  {!locked && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => moveQuestion(index, -1)}
+                        disabled={index === 0}
+                        className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveQuestion(index, 1)}
+                        disabled={index === selected.length - 1}
+                        className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeQuestion(entry.question._id)}
+                        className="text-red-600 hover:text-red-800 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <div className="border-t pt-4 mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <label className="flex items-center text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.shuffleQuestions}
+              onChange={(e) => setSettings({ ...settings, shuffleQuestions: e.target.checked })}
+              className="form-checkbox mr-2"
+            />
+            Shuffle question order for each attempt
+          </label>
+          <label className="flex items-center text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.shuffleOptions}
+              onChange={(e) => setSettings({ ...settings, shuffleOptions: e.target.checked })}
+              className="form-checkbox mr-2"
+            />
+            Shuffle answer options
+          </label>
+          <label className="flex items-center text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.autoGrade}
+              onChange={(e) => setSettings({ ...settings, autoGrade: e.target.checked })}
+              className="form-checkbox mr-2"
+            />
+            Grade automatically when no answer needs review
+          </label>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Question Bank</h2>
+          <div className="flex items-center space-x-2">
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="input text-sm"
+            >
+              <option value="">All types</option>
+              {QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <button onClick={() => setEditing({})} className="btn btn-primary btn-sm flex items-center whitespace-nowrap">
+              <PlusIcon className="h-4 w-4 mr-1" />
+              New Question
+            </button>
+          </div>
+        </div>
+
+        {bankQuestions.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">No questions in this course's question bank yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {bankQuestions.map(question => (
+              <li key={question._id} className="py-3 flex items-start justify-between">
+                <div className="flex-1 pr-4">
+                  <div className="text-sm text-gray-900">{question.prompt}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {questionTypeLabel(question.type)} · {question.points} point{question.points === 1 ? '' : 's'}
+                    {question.tags?.length > 0 && ` · ${question.tags.join(', ')}`}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {isSelected(question._id) ? (
+                    <span className="text-xs text-green-600 font-medium">In quiz</span>
+                  ) : (
+                    <button
+                      onClick={() => addQuestion(question)}
+                      disabled={locked}
+                      className="btn btn-secondary btn-sm disabled:opacity-50"
+                    >
+                      Add
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setEditing(question)}
+                    className="text-primary-600 hover:text-primary-800"
+                    title="Edit question"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(question)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Delete question"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="text-xs text-gray-500 mt-4">
+          Editing a question changes it for attempts started afterwards; attempts already started keep the version they were given.
+        </p>
+      </div>
+
+      {editing && (
+        <QuestionForm
+          courseId={assignment.course._id}
+          question={editing._id ? editing : null}
+          onSaved={handleQuestionSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuizBuilder;
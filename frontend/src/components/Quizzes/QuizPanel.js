@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDateTime } from '../../utils/dateUtils';
+import { describeLatePolicy } from '../../utils/latePenalty';
+
+// A student's attempts at an online quiz, with the button to start or resume one.
+// isOverdue is the student's own deadline, grace period included, having passed.
+const QuizPanel = ({ assignment, isOverdue }) => {
+  const navigate = useNavigate();
+  const [attempts, setAttempts] = useState([]);
+  const [starting, setStarting] = useState(false);
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/quizzes/assignment/${assignment._id}/attempts`);
+      setAttempts(response.data.attempts);
+    } catch (error) {
+      console.error('Error fetching quiz attempts:', error);
+    }
+  }, [assignment._id]);
+
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts]);
+
+  const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+  const maxAttempts = assignment.maxAttempts ?? 1;
+  const hasAttemptsLeft = maxAttempts === 0 || attempts.length < maxAttempts;
+  const canStart = inProgress || (hasAttemptsLeft && (assignment.allowLateSubmission || !isOverdue));
+  const timeLimit = assignment.studentTimeLimitMinutes || assignment.timeLimitMinutes;
+
+  const handleStart = async () => {
+    if (!inProgress && timeLimit &&
+        !window.confirm(`You will have ${timeLimit} minutes once you start. The clock keeps running if you leave the page. Start now?`)) {
+      return;
+    }
+    try {
+      setStarting(true);
+      const response = await axios.post(`/api/quizzes/assignment/${assignment._id}/start`);
+      navigate(`/quiz-attempts/${response.data.attempt._id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start quiz');
+      fetchAttempts();
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Online Quiz</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {assignment.quiz.questions.length} questions · {assignment.totalPoints} points
+        {timeLimit && ` · ${timeLimit} minutes`}
+        {' · '}
+        {maxAttempts === 0 ? 'unlimited attempts' : `attempt ${Math.min(attempts.length + (inProgress ? 0 : 1), maxAttempts)} of ${maxAttempts}`}
+      </p>
+
+      {isOverdue && !inProgress && canStart && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+          The due date has passed, so this attempt will be marked late. {describeLatePolicy(assignment)}.
+        </div>
+      )}
+
+      {canStart ? (
+        <button
+          onClick={handleStart}
+          disabled={starting}
+          className="btn btn-primary disabled:opacity-50"
+        >
+          {starting ? 'Starting...' : inProgress ? 'Resume Quiz' : attempts.length > 0 ? 'Start New Attempt' : 'Start Quiz'}
+        </button>
+      ) : (
+        <p className="text-sm text-gray-600">
+          {hasAttemptsLeft
+            ? 'This quiz is past the due date and late attempts are not allowed.'
+            : 'You have used all your attempts at this quiz.'}
+        </p>
+      )}
+
+      {attempts.some(attempt => attempt.status !== 'in_progress') && (
+        <div className="border-t pt-4 mt-4">
+          <h4 className="font-medium text-gray-900 mb-2">Your Attempts</h4>
+          <ul className="divide-y divide-gray-200 text-sm">
+            {attempts.filter(attempt => attempt.status !== 'in_progress').map(attempt => (
+              <li key={attempt._id} className="py-2 flex items-center justify-between">
+                <span className="text-gray-900">
+                  Attempt {attempt.attempt} · {formatDateTime(attempt.submittedAt)}
+                  {attempt.status === 'expired' && <span className="ml-2 text-yellow-700">Time ran out</span>}
+                </span>
+                <span className="flex items-center space-x-4">
+                  <span className="text-gray-600">
+                    {attempt.gradedAt ? `${attempt.score}/${attempt.maxScore}` : 'Waiting for grading'}
+                  </span>
+                  <Link to={`/quiz-attempts/${attempt._id}`} className="text-primary-600 hover:text-primary-800 font-medium">
+                    View
+                  </Link>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizPanel;
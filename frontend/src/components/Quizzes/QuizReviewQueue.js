@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import QuizAttemptReview from './QuizAttemptReview';
+import { formatDateTime } from '../../utils/dateUtils';
+
+// Submitted quiz attempts waiting for a grade, in the courses the user grades. Attempts with
+// short answers to review come first.
+const QuizReviewQueue = () => {
+  const [attempts, setAttempts] = useState([]);
+  const [courseFilter, setCourseFilter] = useState('');
+  const [reviewing, setReviewing] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      const response = await axios.get('/api/quizzes/review');
+      setAttempts(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch the review queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const courses = [...new Map(attempts.map(attempt => [attempt.assignment.course._id, attempt.assignment.course])).values()];
+  const shown = attempts.filter(attempt => !courseFilter || attempt.assignment.course._id === courseFilter);
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quiz Review</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Quiz attempts waiting for a grade: answers that need a human, or quizzes that aren't graded automatically.
+          </p>
+        </div>
+        {courses.length > 1 && (
+          <select
+            value={courseFilter}
+            onChange={(e) => setCourseFilter(e.target.value)}
+            className="input w-64"
+          >
+            <option value="">All courses</option>
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>
+                {course.courseCode} · {course.title}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="card text-center py-12 text-gray-500">Nothing to review</div>
+      ) : (
+        <div className="card overflow-x-auto p-0">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quiz</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scored So Far</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {shown.map(attempt => (
+                <tr key={attempt._id}>
+                  <td className="px-4 py-2">
+                    <div className="text-gray-900">{attempt.student?.firstName} {attempt.student?.lastName}</div>
+                    <div className="text-xs text-gray-500">{attempt.student?.email}</div>
+                  </td>
+                  <td className="px-4 py-2">
+                    <Link
+                      to={`/assignments/${attempt.assignment._id}/submissions`}
+                      className="text-primary-600 hover:text-primary-800"
+                    >
+                      {attempt.assignment.title}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {attempt.assignment.course?.courseCode} · attempt {attempt.attempt}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {formatDateTime(attempt.submittedAt)}
+                    {attempt.status === 'expired' && <div className="text-xs text-yellow-700">Time ran out</div>}
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {attempt.score} / {attempt.maxScore}
+                    {attempt.needsReview && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">
+                        Needs review
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button onClick={() => setReviewing(attempt._id)} className="btn btn-primary btn-sm">
+                      Review
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {reviewing && (
+        <QuizAttemptReview
+          attemptId={reviewing}
+          onClose={() => setReviewing(null)}
+          onGraded={() => {
+            setReviewing(null);
+            fetchQueue();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuizReviewQueue;
@@ -7,6 +7,41 @@ axios.defaults.baseURL = process.env.REACT_APP_API_URL || 'https://cms-backend-w
 
 const AuthContext = createContext();
 
+// Access tokens are short-lived; the refresh token is exchanged for a new pair when they expire
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete axios.defaults.headers.common['Authorization'];
+};
+
+// Concurrent 401s share one refresh request, since each refresh token works only once
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshRequest = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then(response => {
+        storeTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -25,13 +60,54 @@ export const AuthProvider = ({ children }) => {
       setUser(response.data.user);
     } catch (error) {
       console.error('Error fetching user:', error);
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
+      clearTokens();
     } finally {
       setLoading(false);
     }
   }, []);
 
+  // Retry requests rejected for an expired access token once, after refreshing it.
+  // When the session itself is gone (logged out elsewhere, idle, password changed) sign out here too.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const { config, response } = error;
+
+        // Two-factor became required for this account; ProtectedRoute sends the user to enroll
+        if (response?.status === 403 && response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+          setUser(current => (current ? { ...current, twoFactorSetupRequired: true } : current));
+          return Promise.reject(error);
+        }
+
+        if (response?.status !== 401 || !config || config.skipAuthRefresh || config._retried || !localStorage.getItem('token')) {
+          return Promise.reject(error);
+        }
+
+        config._retried = true;
+        try {
+          // Another tab may already have refreshed the shared tokens
+          const sentToken = String(config.headers?.Authorization || '').replace('Bearer ', '');
+          const storedToken = localStorage.getItem('token');
+          const token = storedToken && storedToken !== sentToken ? storedToken : await refreshAccessToken();
+
+          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          config.headers.Authorization = `Bearer ${token}`;
+          return axios(config);
+        } catch (refreshError) {
+          clearTokens();
+          setUser(null);
+          toast.error(response.data?.message === 'Account is deactivated'
+            ? 'Your account has been deactivated'
+            : 'Your session has expired. Please log in again.', { id: 'session-expired' });
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token) {
@@ -45,10 +121,14 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
-      const { token, user } = response.data;
+      const { user, twoFactorRequired, challengeToken } = response.data;
+
+      // Password accepted; the sign-in finishes with verifyTwoFactor
+      if (twoFactorRequired) {
+        return { success: false, twoFactorRequired, challengeToken };
+      }
       
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(response.data);
       setUser(user);
       
       toast.success('Login successful!');
@@ -56,17 +136,38 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       toast.error(message);
-      return { success: false, message };
+      return { success: false, message, code: error.response?.data?.code };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+
+      storeTokens(response.data);
+      setUser(response.data.user);
+
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, message, expired: error.response?.status === 401 };
     }
   };
 
   const register = async (userData) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
-      const { token, user, needsDocuments } = response.data;
+      const { user, needsDocuments, verificationRequired } = response.data;
+
+      // No tokens until the emailed verification link has been opened
+      if (verificationRequired) {
+        toast.success(response.data.message, { duration: 8000 });
+        return { success: true, verificationRequired };
+      }
       
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(response.data);
       setUser(user);
       
       toast.success('Registration successful!');
@@ -78,9 +179,14 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    try {
+      // End the session on the server so its refresh token stops working
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Error ending session:', error);
+    }
+    clearTokens();
     setUser(null);
     toast.success('Logged out successfully');
     // Redirect to home page after logout
@@ -91,20 +197,28 @@ export const AuthProvider = ({ children }) => {
     const token = localStorage.getItem('token');
     if (token) {
       try {
-        const response = await axios.get(`${process.env.REACT_APP_API_URL}/api/auth/me`);
-        setUser(response.data);
+        const response = await axios.get('/api/auth/me');
+        setUser(response.data.user);
       } catch (error) {
         console.error('Error refreshing user data:', error);
       }
     }
   };
 
+  // Whether the user holds a permission, for their own courses or all of them
+  const hasPermission = (permission) => Boolean(
+    user?.permissions?.some(p => p === permission || p === `${permission}:any`)
+  );
+
   const value = {
     user,
+    hasPermission,
     login,
+    verifyTwoFactor,
     register,
     logout,
     refreshUser,
+    updateTokens: storeTokens,
     loading
   };
 
@@ -39,11 +39,17 @@ export const ConfigurationProvider = ({ children }) => {
         student_registration_open: true,
         instructor_registration_open: true,
         assignment_late_penalty: 10,
+        assignment_grace_period_minutes: 0,
         assignment_auto_grade: false,
         attendance_required_percentage: 75,
         email_notifications_enabled: true,
         push_notifications_enabled: true,
         password_min_length: 8,
+        password_require_mixed_case: true,
+        password_require_number: true,
+        password_require_symbol: false,
+        password_block_breached: true,
+        require_email_verification: false,
         theme_primary_color: '#3B82F6',
         theme_secondary_color: '#10B981',
         dashboard_widgets: ['recent_activity', 'course_stats', 'assignment_deadlines', 'attendance_summary']
@@ -112,6 +118,7 @@ export const ConfigurationProvider = ({ children }) => {
   const getAssignmentConfig = () => {
     return {
       latePenalty: getConfig('assignment_late_penalty', 10),
+      gracePeriodMinutes: getConfig('assignment_grace_period_minutes', 0),
       autoGrade: getConfig('assignment_auto_grade', false)
     };
   };
@@ -134,7 +141,12 @@ export const ConfigurationProvider = ({ children }) => {
   // Get security configuration
   const getSecurityConfig = () => {
     return {
-      passwordMinLength: getConfig('password_min_length', 8)
+      passwordMinLength: getConfig('password_min_length', 8),
+      passwordRequireMixedCase: getConfig('password_require_mixed_case', true),
+      passwordRequireNumber: getConfig('password_require_number', true),
+      passwordRequireSymbol: getConfig('password_require_symbol', false),
+      passwordBlockBreached: getConfig('password_block_breached', true),
+      requireEmailVerification: getConfig('require_email_verification', false)
     };
   };
 
@@ -0,0 +1,115 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import axios from 'axios';
+import { useAuth } from './AuthContext';
+
+// How often unread counts are refreshed while the realtime connection is down
+const POLL_INTERVAL = 30000;
+
+// Wait before retrying a handshake the server rejected (usually an expired access token)
+const RECONNECT_DELAY = 5000;
+
+const SocketContext = createContext();
+
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+export const SocketProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?._id;
+  const twoFactorSetupRequired = Boolean(user?.twoFactorSetupRequired);
+  const [socket, setSocket] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [unreadCounts, setUnreadCounts] = useState({ notifications: 0, messages: 0 });
+
+  const refreshUnreadCounts = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/notifications/unread-counts');
+      setUnreadCounts(response.data);
+    } catch (error) {
+      console.error('Error fetching unread counts:', error);
+    }
+  }, []);
+
+  // Connect once the user is known; the server authenticates with the same JWT as the API
+  // and, like the API, refuses users who still have to set up required two-factor authentication
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!userId || !token || twoFactorSetupRequired) {
+      return undefined;
+    }
+
+    // Read the token on every (re)connect, since access tokens are refreshed in the background
+    const client = io(axios.defaults.baseURL, {
+      auth: (callback) => callback({ token: localStorage.getItem('token') }),
+      transports: ['websocket', 'polling']
+    });
+    setSocket(client);
+
+    client.on('connect', () => setConnected(true));
+    client.on('disconnect', () => setConnected(false));
+    let retryTimer = null;
+    client.on('connect_error', (error) => {
+      console.error('Realtime connection error:', error.message);
+      setConnected(false);
+
+      // Socket.IO does not retry handshakes rejected by the server. Any API call
+      // refreshes an expired access token, so make one and then reconnect.
+      if (!client.active) {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(async () => {
+          await refreshUnreadCounts();
+          if (localStorage.getItem('token')) {
+            client.connect();
+          }
+        }, RECONNECT_DELAY);
+      }
+    });
+    client.on('unread:counts', setUnreadCounts);
+
+    return () => {
+      clearTimeout(retryTimer);
+      client.disconnect();
+      setSocket(null);
+      setConnected(false);
+    };
+  }, [userId, twoFactorSetupRequired, refreshUnreadCounts]);
+
+  // Fall back to polling whenever the socket is not connected
+  useEffect(() => {
+    if (!userId || connected) {
+      return undefined;
+    }
+
+    refreshUnreadCounts();
+    const interval = setInterval(refreshUnreadCounts, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [userId, connected, refreshUnreadCounts]);
+
+  // Listen for a server event; returns a function that removes the listener
+  const subscribe = useCallback((event, handler) => {
+    if (!socket) {
+      return () => {};
+    }
+    socket.on(event, handler);
+    return () => socket.off(event, handler);
+  }, [socket]);
+
+  const value = {
+    connected,
+    unreadCounts,
+    refreshUnreadCounts,
+    subscribe
+  };
+
+  return (
+    <SocketContext.Provider value={value}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
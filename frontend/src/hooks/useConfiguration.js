@@ -57,6 +57,7 @@ export const useConfig = () => {
     studentRegistrationOpen: isRegistrationOpen('student'),
     instructorRegistrationOpen: isRegistrationOpen('instructor'),
     assignmentLatePenalty: getConfig('assignment_late_penalty', 10),
+    assignmentGracePeriodMinutes: getConfig('assignment_grace_period_minutes', 0),
     assignmentAutoGrade: getConfig('assignment_auto_grade', false),
     attendanceRequiredPercentage: getConfig('attendance_required_percentage', 75),
     emailNotificationsEnabled: getConfig('email_notifications_enabled', true),
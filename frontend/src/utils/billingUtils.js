@@ -0,0 +1,49 @@
+import axios from 'axios';
+
+export const PAYMENT_METHODS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  cheque: 'Cheque',
+  online: 'Online'
+};
+
+export const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
+
+export const getInvoiceStatusColor = (status) => {
+  switch (status) {
+    case 'paid':
+      return 'bg-green-100 text-green-800';
+    case 'partial':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'open':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
+
+// Fetch a server-rendered billing document. HTML opens in a new tab; PDF is saved as filename.
+export const exportBillingDocument = async (url, format, filename) => {
+  const response = await axios.get(url, {
+    params: { format },
+    responseType: 'blob'
+  });
+  const objectUrl = URL.createObjectURL(response.data);
+
+  if (format === 'html') {
+    window.open(objectUrl, '_blank');
+  } else {
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    link.click();
+  }
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+};
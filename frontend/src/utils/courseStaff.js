@@ -0,0 +1,18 @@
+// Course teaching team roles, mirroring Course.staff on the server
+
+export const STAFF_ROLE_LABELS = {
+  lead: 'Lead Instructor',
+  co_instructor: 'Co-Instructor',
+  teaching_assistant: 'Teaching Assistant'
+};
+
+// The user's place on a course's teaching team: 'lead', a staff role, or null
+export const getStaffRole = (course, user) => {
+  if (!course || !user) return null;
+  if ((course.instructor?._id || course.instructor) === user._id) return 'lead';
+  const member = (course.staff || []).find(m => (m.user?._id || m.user) === user._id);
+  return member ? member.role : null;
+};
+
+// Lead instructors and co-instructors run the course; teaching assistants only grade and take attendance
+export const canRunCourse = (staffRole) => staffRole === 'lead' || staffRole === 'co_instructor';
@@ -0,0 +1,30 @@
+// Late submission policy of an assignment, mirroring Assignment.getLateness on the server
+
+export const describeLatePolicy = (assignment) => {
+  if (!assignment) return '';
+  if (!assignment.allowLateSubmission) return 'Late submissions are not accepted';
+
+  const grace = assignment.gracePeriodMinutes > 0
+    ? ` after a ${assignment.gracePeriodMinutes}-minute grace period`
+    : '';
+  if (!assignment.latePenalty) return `Late submissions are accepted without penalty${grace}`;
+
+  const amount = assignment.latePenaltyType === 'flat'
+    ? `${assignment.latePenalty}% of the total points`
+    : `${assignment.latePenalty}% of the total points per day late`;
+  const cap = assignment.latePenaltyCap !== undefined && assignment.latePenaltyCap !== null
+    ? `, at most ${assignment.latePenaltyCap}%`
+    : '';
+
+  return `Late submissions lose ${amount}${cap}${grace}`;
+};
+
+// Summary of the penalty recorded on a graded submission
+export const describeAppliedPenalty = (grade) => {
+  const penalty = grade?.latePenalty;
+  if (!penalty || penalty.daysLate === undefined) return null;
+
+  const days = `${penalty.daysLate} day${penalty.daysLate === 1 ? '' : 's'} late`;
+  if (penalty.waived) return `${days} · penalty waived`;
+  return `${days} · −${penalty.percent}% (−${penalty.points} points from ${grade.rawPoints})`;
+};
@@ -0,0 +1,28 @@
+// Client-side mirror of the server's password policy (see getSecurityConfig).
+// The breached-password check only runs on the server.
+
+export const getPasswordRequirements = (security) => {
+  const requirements = [`At least ${security.passwordMinLength} characters`];
+  if (security.passwordRequireMixedCase) requirements.push('Upper and lower case letters');
+  if (security.passwordRequireNumber) requirements.push('At least one number');
+  if (security.passwordRequireSymbol) requirements.push('At least one symbol');
+  if (security.passwordBlockBreached) requirements.push('Not a commonly breached password');
+  return requirements;
+};
+
+// First problem with the password, or null when it meets the requirements checked here
+export const getPasswordError = (password, security) => {
+  if (password.length < security.passwordMinLength) {
+    return `Password must be at least ${security.passwordMinLength} characters`;
+  }
+  if (security.passwordRequireMixedCase && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+    return 'Password must contain both upper and lower case letters';
+  }
+  if (security.passwordRequireNumber && !/\d/.test(password)) {
+    return 'Password must contain a number';
+  }
+  if (security.passwordRequireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain a symbol';
+  }
+  return null;
+};
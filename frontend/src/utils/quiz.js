@@ -0,0 +1,72 @@
+// Quiz helpers, mirroring the Question and QuizAttempt models on the server
+
+export const QUESTION_TYPES = [
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'multi_select', label: 'Multi-select' },
+  { value: 'true_false', label: 'True / false' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'short_answer', label: 'Short answer' }
+];
+
+export const questionTypeLabel = (type) => QUESTION_TYPES.find(option => option.value === type)?.label || type;
+
+export const hasQuiz = (assignment) => assignment?.quiz?.questions?.length > 0;
+
+export const RESULT_STYLES = {
+  correct: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  incorrect: 'bg-red-100 text-red-800',
+  needs_review: 'bg-purple-100 text-purple-800'
+};
+
+export const resultLabel = (result) => (result === 'needs_review' ? 'Needs review' : result
+  ? result.charAt(0).toUpperCase() + result.slice(1)
+  : '');
+
+// A response as text, e.g. the options a student chose
+export const formatResponse = (question, response) => {
+  if (response === undefined || response === null || response === '' ||
+      (Array.isArray(response) && response.length === 0)) {
+    return 'No answer';
+  }
+  const optionText = (id) => question.options?.find(option => option._id === id)?.text || 'Removed option';
+
+  switch (question.type) {
+    case 'multiple_choice':
+      return optionText(response);
+    case 'multi_select':
+      return [].concat(response).map(optionText).join(', ');
+    case 'true_false':
+      return response ? 'True' : 'False';
+    default:
+      return String(response);
+  }
+};
+
+// The answer key of a question as text, for staff
+export const formatAnswerKey = (question) => {
+  switch (question.type) {
+    case 'multiple_choice':
+    case 'multi_select':
+      return question.options.filter(option => option.isCorrect).map(option => option.text).join(', ');
+    case 'true_false':
+      return question.correctBoolean ? 'True' : 'False';
+    case 'numeric':
+      return question.tolerance ? `${question.numericAnswer} ± ${question.tolerance}` : String(question.numericAnswer);
+    case 'short_answer':
+      return question.acceptedPatterns?.length > 0 ? question.acceptedPatterns.join(' | ') : 'Reviewed by hand';
+    default:
+      return '';
+  }
+};
+
+// Time left as m:ss, or h:mm:ss for long quizzes
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
@@ -0,0 +1,35 @@
+// Rubric helpers, mirroring Rubric.getTotalPoints and Assignment.scoreRubric on the server
+
+// Most a criterion can score: its best level
+export const criterionMaxPoints = (criterion) => Math.max(
+  0,
+  ...(criterion.levels || []).map(level => Number(level.points) || 0)
+);
+
+export const rubricTotal = (criteria = []) => criteria.reduce(
+  (total, criterion) => total + criterionMaxPoints(criterion),
+  0
+);
+
+export const hasRubric = (assignment) => assignment?.rubric?.criteria?.length > 0;
+
+export const newCriterion = () => ({
+  title: '',
+  description: '',
+  levels: [
+    { title: 'Meets expectations', description: '', points: 10 },
+    { title: 'Needs improvement', description: '', points: 5 },
+    { title: 'Missing', description: '', points: 0 }
+  ]
+});
+
+// Criteria without the ids of a saved rubric, so that a copy is stored rather than a reference
+export const copyCriteria = (criteria = []) => criteria.map(({ title, description, levels }) => ({
+  title,
+  description: description || '',
+  levels: levels.map(level => ({
+    title: level.title,
+    description: level.description || '',
+    points: level.points
+  }))
+}));
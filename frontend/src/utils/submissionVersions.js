@@ -0,0 +1,68 @@
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+// Submission files are served through an authenticated route, so they are fetched as blobs
+export const downloadSubmissionFile = async (submissionId, file) => {
+  try {
+    const response = await axios.get(`/api/submissions/${submissionId}/files/${file._id}`, {
+      responseType: 'blob'
+    });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.originalName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    toast.error('Failed to download file');
+  }
+};
+
+// Line diff of two texts from their longest common subsequence.
+// Returns [{ type: 'same' | 'added' | 'removed', text }].
+export const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // common[i][j] is the LCS length of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+};
+
+// Files added, removed or kept between two attempts, matched by name and size
+export const diffAttachments = (before = [], after = []) => {
+  const key = file => `${file.originalName}:${file.size}`;
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+
+  return [
+    ...before.filter(file => !afterKeys.has(key(file))).map(file => ({ type: 'removed', file })),
+    ...after.map(file => ({ type: beforeKeys.has(key(file)) ? 'same' : 'added', file }))
+  ];
+};